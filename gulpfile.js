@@ -412,6 +412,65 @@ function buildDoc(done){
     done()
 }
 
+/**
+ * Сборщик логов с устройства, адрес указывается в настройке console_remote.
+ * Принимает WebSocket и HTTP POST на одном порту и печатает строки в терминал
+ */
+function logs(){
+    const http = require('http');
+    const WebSocketServer = require('ws').WebSocketServer;
+
+    let port = parseInt(process.env.LOGS_PORT) || 9333;
+
+    let print = function(data){
+        let time = new Date(data.time || Date.now()).toTimeString().slice(0, 8);
+
+        console.log(time + ' [' + (data.platform || '?') + ' ' + (data.device || '').slice(0, 8) + '] ' + (data.level || 'log').toUpperCase() + ' ' + (data.name || '') + ': ' + (data.text || ''));
+    }
+
+    let read = function(text, call){
+        try{
+            call(JSON.parse(text));
+        }
+        catch(e){
+            console.log('Logs', 'wrong message:', text.slice(0, 200));
+        }
+    }
+
+    let server = http.createServer(function(req, res){
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if(req.method !== 'POST') return res.end();
+
+        let body = '';
+
+        req.on('data', function(chunk){ body += chunk });
+        req.on('end', function(){
+            read(body, function(data){
+                (data.logs || []).forEach(function(record){
+                    print(Object.assign({}, data, record));
+                });
+            });
+
+            res.end('ok');
+        });
+    });
+
+    new WebSocketServer({server: server}).on('connection', function(socket, req){
+        socket.on('message', function(raw){
+            read(raw.toString(), function(data){
+                if(data.type == 'hello') console.log('Logs', 'device connected:', data.platform, data.device, data.version, 'from', req.socket.remoteAddress);
+                else print(data);
+            });
+        });
+    });
+
+    server.listen(port, function(){
+        console.log('Logs', 'waiting on ws://<ip>:' + port + ' and http://<ip>:' + port + '/');
+    });
+}
+
 exports.pack_webos   = series(sync_webos, uglify_task, public_webos, index_webos);
 exports.pack_tizen   = series(sync_tizen, uglify_task, public_tizen, index_tizen);
 exports.pack_github  = series(sync_github, uglify_task, public_github, write_manifest, index_github);
@@ -421,3 +480,4 @@ exports.default = parallel(watch, browser_sync);
 exports.debug = series(enable_debug_mode, this.default)
 exports.doc = series(sync_doc, buildDoc)
 exports.write_manifest = series(write_manifest)
+exports.logs = logs
@@ -9,6 +9,7 @@ import Favorites from '../utils/favorites'
 import HUD from '../hud/hud'
 import Locked from '../utils/locked'
 import Pilot from '../utils/pilot'
+import Archive from '../utils/archive'
 
 class Channels{
     constructor(listener){
@@ -88,26 +89,60 @@ class Channels{
 
         let time
         let update
+        let playing
 
         let start_channel = Lampa.Arrays.clone(this.icons.icons_clone[data.position])
             start_channel.original = this.icons.icons_clone[data.position]
 
+        let start_archive = Archive.get(start_channel.original)
+
         data.url = Url.prepareUrl(start_channel.url)
 
-        if(this.archive && this.archive.channel == start_channel.original){
-            data.url = Url.catchupUrl(this.archive.channel.url, this.archive.channel.catchup.type, this.archive.channel.catchup.source)
-            data.url = Url.prepareUrl(data.url, this.archive.program)
+        if(start_archive && Archive.url(start_channel, start_archive)){
+            data.url = Archive.url(start_channel, start_archive)
         }
         else{
             this.addToHistory(Lampa.Arrays.clone(start_channel))
         }
 
+        // где сейчас находимся в архиве, время EPG в мс
+        // при закрытии плеера видео уже сброшено, поэтому помним последнее время
+        let archivePosition = ()=>{
+            let video = Lampa.PlayerVideo.video()
+
+            if(video && video.currentTime) playing.current = video.currentTime
+
+            return playing.archive + Math.round((playing.current || 0) * 1000)
+        }
+
+        let archiveSave = ()=>{
+            if(playing && playing.archive) Archive.set(playing.original, archivePosition())
+        }
+
+        let timeshift = (channel, time)=>{
+            if(playing && playing.original !== channel.original) archiveSave()
+
+            playing = false
+
+            if(time) Archive.set(channel.original, time)
+            else Archive.remove(channel.original)
+
+            if(this.hud) this.hud = this.hud.destroy()
+
+            Lampa.PlayerIPTV.redrawChannel()
+            Lampa.PlayerIPTV.play()
+
+            Lampa.Controller.toggle('player_tv')
+        }
+
         data.locked = Boolean(Locked.find(Locked.format('channel', start_channel.original)))
 
         data.onGetChannel = (position)=>{
             let original  = this.icons.icons_clone[position]
             let channel   = Lampa.Arrays.clone(original)
-            let timeshift = this.archive && this.archive.channel == original ? this.archive.timeshift : 0
+            let archive   = Archive.get(original)
+            let archurl   = archive ? Archive.url(original, archive) : ''
+            let timeshift = archurl ? EPG.time(original) - archive : 0
 
             channel.name  = Utils.clearChannelName(channel.name)
             channel.group = Utils.clearMenuName(channel.group)
@@ -117,10 +152,10 @@ class Channels{
             channel.original = original
             
             if(timeshift){
-                channel.shift = timeshift
+                channel.shift   = timeshift
+                channel.archive = archive
 
-                channel.url = Url.catchupUrl(original.url, channel.catchup.type, channel.catchup.source)
-                channel.url = Url.prepareUrl(channel.url, this.archive.program)
+                channel.url = archurl
             }
 
             if(Locked.find(Locked.format('channel', original))){
@@ -188,6 +223,10 @@ class Channels{
 
                 let endless = this.details.playlist(channel, program, {
                     onPlay: (param)=>{
+                        let range = Archive.range(channel)
+
+                        if(range && param.program.start >= range.from) return timeshift(channel, param.program.start)
+
                         Lampa.Player.close()
     
                         this.playArchive(param)
@@ -197,6 +236,18 @@ class Channels{
                 this.hud.listener.send('set_program_endless',{endless})
             })
 
+            this.hud.listener.follow('get_timeshift',()=>{
+                this.hud.listener.send('set_timeshift',{
+                    range: Archive.range(channel),
+                    program: cache[channel.id || 'none'],
+                    position: playing && playing.original == channel.original && playing.archive ? archivePosition() : channel.archive || 0
+                })
+            })
+
+            this.hud.listener.follow('timeshift',(e)=>{
+                timeshift(channel, e.time)
+            })
+
             this.hud.listener.follow('action-favorite',(orig)=>{
                 Lampa.PlayerIPTV.redrawChannel()
 
@@ -270,6 +321,12 @@ class Channels{
         }
 
         data.onPlay = (channel)=>{
+            archiveSave()
+
+            playing = channel
+
+            if(channel.archive) Lampa.Noty.show(Lampa.Lang.translate('iptv_timeshift_resume') + ' ' + Lampa.Utils.parseTime(channel.archive).briefly)
+
             Pilot.notebook('channel', this.icons.icons_clone.indexOf(channel.original))
 
             if(channel.original.added){
@@ -348,15 +405,18 @@ class Channels{
 
         time = setInterval(()=>{
             if(update) update()
+
+            archiveSave()
         },1000 * 10)
 
         let destroy = ()=>{
             Lampa.Player.listener.remove('destroy', destroy)
 
-            cache  = null
-            update = null
+            archiveSave()
 
-            this.archive = false
+            cache   = null
+            update  = null
+            playing = null
 
             if(this.hud) this.hud = this.hud.destroy()
 
@@ -1,5 +1,7 @@
 import Menu from './menu'
 import Program from './program'
+import Timeshift from './timeshift'
+import Utils from '../utils/utils'
 
 class HUD{
     constructor(channel, program){
@@ -8,11 +10,22 @@ class HUD{
         this.menu    = new Menu(this.listener, channel, program)
         this.program = new Program(this.listener, channel, program)
 
+        if(Utils.hasArchive(channel)) this.timeshift = new Timeshift(this.listener, channel)
+
         this.hud = Lampa.Template.js('cub_iptv_hud')
 
         this.hud.find('.iptv-hud__menu').append(this.menu.render())
         this.hud.find('.iptv-hud__program').append(this.program.render())
 
+        if(this.timeshift){
+            let timeshift = document.createElement('div')
+                timeshift.addClass('iptv-hud__timeshift')
+
+            timeshift.append(this.timeshift.render())
+
+            this.hud.find('.iptv-hud__content').append(timeshift)
+        }
+
         document.body.find('.player').append(this.hud)
 
         this.listen()
@@ -21,6 +34,8 @@ class HUD{
     create(){
         this.menu.create()
         this.program.create()
+
+        if(this.timeshift) this.timeshift.create()
         
         this.menu.toggle()
     }
@@ -33,12 +48,18 @@ class HUD{
         this.listener.follow('toggle_program',()=>{
             this.program.toggle()
         })
+
+        this.listener.follow('toggle_timeshift',()=>{
+            if(this.timeshift) this.timeshift.toggle()
+        })
     }
 
     destroy(){
         this.menu.destroy()
         this.program.destroy()
 
+        if(this.timeshift) this.timeshift.destroy()
+
         this.hud.remove()
     }
 }
@@ -37,6 +37,9 @@ class HUDProgram{
             left: ()=>{
                 this.listener.send('toggle_menu')
             },
+            right: ()=>{
+                this.listener.send('toggle_timeshift')
+            },
             gone: ()=>{
                 let focus = this.html.find('.focus')
 
@@ -0,0 +1,124 @@
+import Utils from '../utils/utils'
+
+class HUDTimeshift{
+    constructor(listener, channel){
+        this.listener = listener
+        this.channel  = channel
+
+        this.html = document.createElement('div')
+    }
+
+    create(){
+        this.listener.follow('set_timeshift',(event)=>{
+            this.range    = event.range
+            this.program  = event.program || []
+            this.position = event.position
+            this.cursor   = event.position || event.range.to
+
+            this.build()
+        })
+
+        this.listener.send('get_timeshift')
+    }
+
+    build(){
+        this.body = Lampa.Template.js('cub_iptv_hud_timeshift')
+
+        let steps   = this.body.find('.iptv-hud-timeshift__steps')
+        let buttons = this.body.find('.iptv-hud-timeshift__buttons')
+        let minutes = [-60, -10, 10, 60]
+
+        minutes.forEach(step=>{
+            steps.append(this.button((step > 0 ? '+' : '-') + (Math.abs(step) == 60 ? '1 ' + Lampa.Lang.translate('time_h') : Math.abs(step) + ' ' + Lampa.Lang.translate('time_m')), ()=>{
+                this.move(step * 1000 * 60)
+            }))
+        })
+
+        buttons.append(this.button(Lampa.Lang.translate('iptv_timeshift_play'), ()=>{
+            this.listener.send('timeshift', {time: this.cursor >= this.range.to ? 0 : this.cursor})
+        }))
+
+        buttons.append(this.button(Lampa.Lang.translate('iptv_timeshift_live'), ()=>{
+            this.listener.send('timeshift', {time: 0})
+        }))
+
+        this.body.find('.iptv-hud-timeshift__from').text(Lampa.Utils.parseTime(this.range.from).briefly)
+
+        this.html.append(this.body)
+
+        this.update()
+    }
+
+    button(text, call){
+        let button = $(`<div class="iptv-hud-timeshift__button selector">${text}</div>`)
+
+        button.on('hover:enter',call)
+
+        return button[0]
+    }
+
+    /**
+     * Сдвинуть курсор, не дальше границ архива
+     * @param {number} step - миллисекунды
+     */
+    move(step){
+        this.cursor = Math.max(this.range.from, Math.min(this.range.to, this.cursor + step))
+
+        this.update()
+    }
+
+    update(){
+        let total = this.range.to - this.range.from
+        let live  = this.cursor >= this.range.to
+        let prog  = this.program.find(p=>this.cursor >= p.start && this.cursor < p.stop)
+        let watch = this.position || this.range.to
+
+        this.body.find('.iptv-hud-timeshift__cursor').style.left = ((this.cursor - this.range.from) / total * 100) + '%'
+        this.body.find('.iptv-hud-timeshift__played').style.width = ((watch - this.range.from) / total * 100) + '%'
+
+        this.body.find('.iptv-hud-timeshift__time').text(live ? Lampa.Lang.translate('iptv_timeshift_live') : Lampa.Utils.parseTime(this.cursor).briefly + ' (-' + Lampa.Utils.secondsToTime((this.range.to - this.cursor) / 1000, true) + ')')
+        this.body.find('.iptv-hud-timeshift__program').text(prog ? Lampa.Utils.capitalizeFirstLetter(Utils.clear(prog.title)) : '')
+    }
+
+    toggle(){
+        Lampa.Controller.add('player_iptv_hud_timeshift',{
+            toggle: ()=>{
+                Lampa.Controller.collectionSet(this.render())
+                Lampa.Controller.collectionFocus(false,this.render())
+            },
+            up: ()=>{
+                Navigator.move('up')
+            },
+            down: ()=>{
+                Navigator.move('down')
+            },
+            left: ()=>{
+                if(Navigator.canmove('left')) Navigator.move('left')
+                else this.listener.send('toggle_program')
+            },
+            right: ()=>{
+                Navigator.move('right')
+            },
+            gone: ()=>{
+                let focus = this.html.find('.focus')
+
+                if(focus) focus.removeClass('focus')
+            },
+            back: ()=>{
+                this.listener.send('close')
+            }
+        })
+
+        Lampa.Controller.toggle('player_iptv_hud_timeshift')
+    }
+
+    render(){
+        return this.html
+    }
+
+    destroy(){
+
+    }
+}
+
+export default HUDTimeshift
@@ -631,6 +631,42 @@ function init(){
             zh: '在主页上显示频道',
             pt: 'Mostrar canais na página principal',
             bg: 'Показване на канали на главната страница'
+        },
+        iptv_timeshift: {
+            ru: 'Архив',
+            en: 'Archive',
+            uk: 'Архів',
+            be: 'Архіў',
+            zh: '回看',
+            pt: 'Arquivo',
+            bg: 'Архив'
+        },
+        iptv_timeshift_live: {
+            ru: 'Прямой эфир',
+            en: 'Live',
+            uk: 'Прямий ефір',
+            be: 'Прамы эфір',
+            zh: '直播',
+            pt: 'Ao vivo',
+            bg: 'На живо'
+        },
+        iptv_timeshift_play: {
+            ru: 'Смотреть отсюда',
+            en: 'Watch from here',
+            uk: 'Дивитися звідси',
+            be: 'Глядзець адсюль',
+            zh: '从这里观看',
+            pt: 'Assistir daqui',
+            bg: 'Гледай от тук'
+        },
+        iptv_timeshift_resume: {
+            ru: 'Продолжаем архив с',
+            en: 'Resuming archive from',
+            uk: 'Продовжуємо архів з',
+            be: 'Працягваем архіў з',
+            zh: '继续回看，从',
+            pt: 'Retomando o arquivo de',
+            bg: 'Продължаваме архива от'
         }
     })
 }
@@ -176,6 +176,24 @@ function init(){
         </div>
     `)
 
+    Lampa.Template.add('cub_iptv_hud_timeshift',`
+        <div class="iptv-hud-timeshift">
+            <div class="iptv-hud-timeshift__title">#{iptv_timeshift}</div>
+            <div class="iptv-hud-timeshift__time"></div>
+            <div class="iptv-hud-timeshift__program"></div>
+            <div class="iptv-hud-timeshift__bar">
+                <div class="iptv-hud-timeshift__played"></div>
+                <div class="iptv-hud-timeshift__cursor"></div>
+            </div>
+            <div class="iptv-hud-timeshift__range">
+                <span class="iptv-hud-timeshift__from"></span>
+                <span>#{iptv_timeshift_live}</span>
+            </div>
+            <div class="iptv-hud-timeshift__steps"></div>
+            <div class="iptv-hud-timeshift__buttons"></div>
+        </div>
+    `)
+
     Lampa.Template.add('cub_iptv_channel_main_board',`
         <div class="iptv-channel iptv-channel--main selector layer--visible layer--render">
             <div class="iptv-channel__body">
@@ -0,0 +1,95 @@
+import EPG from './epg'
+import Url from './url'
+import Utils from './utils'
+
+class Archive{
+    static key(channel){
+        return Lampa.Utils.hash(channel.url)
+    }
+
+    static storage(){
+        return Lampa.Storage.cache('iptv_archive_position', 100, {})
+    }
+
+    /**
+     * Границы архива канала по времени EPG
+     * @param {object} channel
+     * @returns {{from:number, to:number}|null}
+     */
+    static range(channel){
+        let days = Utils.hasArchive(channel)
+
+        if(!days) return null
+
+        let now = EPG.time(channel)
+
+        return {
+            from: now - days * 1000 * 60 * 60 * 24,
+            to: now
+        }
+    }
+
+    /**
+     * Сохраненная позиция в архиве, если еще доступна
+     * @param {object} channel - оригинальный канал из плейлиста
+     * @returns {number} - время EPG в мс или 0 если смотрим эфир
+     */
+    static get(channel){
+        let time  = this.storage()[this.key(channel)] || 0
+        let range = this.range(channel)
+
+        if(time && (!range || time < range.from || time > range.to - 1000 * 60)){
+            this.remove(channel)
+
+            return 0
+        }
+
+        return time
+    }
+
+    /**
+     * Запомнить позицию, если догнали эфир, то позиция удаляется
+     * @param {object} channel - оригинальный канал из плейлиста
+     * @param {number} time - время EPG в мс
+     */
+    static set(channel, time){
+        let range = this.range(channel)
+
+        if(!range || time > range.to - 1000 * 60) return this.remove(channel)
+
+        let all = this.storage()
+
+        all[this.key(channel)] = Math.round(time)
+
+        Lampa.Storage.set('iptv_archive_position', all)
+    }
+
+    static remove(channel){
+        let all = this.storage()
+
+        if(all[this.key(channel)]){
+            delete all[this.key(channel)]
+
+            Lampa.Storage.set('iptv_archive_position', all)
+        }
+    }
+
+    /**
+     * Ссылка на архив начиная с указанного времени и до эфира
+     * @param {object} channel
+     * @param {number} time - время EPG в мс
+     * @returns {string} - пустая строка если архив отключен
+     */
+    static url(channel, time){
+        let url = Url.catchupUrl(channel.url, channel.catchup.type, channel.catchup.source)
+
+        if(!url) return ''
+
+        return Url.prepareUrl(url, {
+            start: time,
+            stop: EPG.time(channel) + 1000 * 60 * 60
+        })
+    }
+}
+
+export default Archive
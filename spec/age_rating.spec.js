@@ -0,0 +1,59 @@
+import rating from '../src/utils/age_rating'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Age rating tests', () => {
+    test('certifications of different systems', () => {
+        expect(rating.age('PG-13')).toBe(13)
+        expect(rating.age('TV-MA')).toBe(17)
+        expect(rating.age('16+')).toBe(16)
+        expect(rating.age('FSK 12')).toBe(12)
+        expect(rating.age(0)).toBe(0)
+        expect(rating.age('NR')).toBe(undefined)
+        expect(rating.age('')).toBe(undefined)
+    })
+
+    test('pick rating of card by country', () => {
+        const movie = {release_dates: {results: [
+            {iso_3166_1: 'DE', release_dates: [{certification: '12'}]},
+            {iso_3166_1: 'US', release_dates: [{certification: ''}, {certification: 'R'}]},
+            {iso_3166_1: 'RU', release_dates: [{certification: '18+'}]}
+        ]}}
+
+        expect(rating.pick(movie, 'ru')).toBe(18)
+        expect(rating.pick(movie, 'de')).toBe(12)
+        expect(rating.pick(movie, 'fr')).toBe(17)
+        expect(rating.pick({content_ratings: {results: [{iso_3166_1: 'US', rating: 'TV-Y7'}]}})).toBe(7)
+        expect(rating.pick({restrict: 16})).toBe(16)
+        expect(rating.pick({})).toBe(undefined)
+    })
+
+    test('language of interface is mapped to a country', () => {
+        const movie = {release_dates: {results: [
+            {iso_3166_1: 'GB', release_dates: [{certification: '18'}]},
+            {iso_3166_1: 'UA', release_dates: [{certification: '12'}]},
+            {iso_3166_1: 'US', release_dates: [{certification: 'PG-13'}]}
+        ]}}
+
+        expect(rating.region('uk')).toBe('UA')
+        expect(rating.region('en')).toBe('US')
+        expect(rating.region('be')).toBe('BY')
+        expect(rating.region('xx')).toBe('US')
+        expect(rating.region()).toBe('US')
+
+        expect(rating.pick(movie, rating.region('uk'))).toBe(12)
+        expect(rating.pick(movie, rating.region('en'))).toBe(13)
+    })
+
+    test('cards and policy', () => {
+        expect(rating.isCard({id: 1, title: 'A', original_title: 'A'})).toBe(true)
+        expect(rating.isCard({id: 2, name: 'P', original_name: 'P', gender: 2})).toBe(false)
+        expect(rating.isCard({id: 3, media_type: 'person'})).toBe(false)
+        expect(rating.type({id: 4, original_name: 'B'})).toBe('tv')
+
+        expect(rating.allowed(12, 12)).toBe(true)
+        expect(rating.allowed(16, 12)).toBe(false)
+        expect(rating.allowed(undefined, 12, 'show')).toBe(true)
+        expect(rating.allowed(-1, 12, 'hide')).toBe(false)
+    })
+})
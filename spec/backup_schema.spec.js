@@ -0,0 +1,70 @@
+import schema from '../src/utils/backup_schema'
+
+import {expect, suite, test} from 'vitest'
+
+const options = {settings: ['interface_size', 'player']}
+
+const store = {
+    'favorite': JSON.stringify({book: [1], card: [{id: 1, title: 'One'}]}),
+    'file_view': JSON.stringify({'123': {time: 10, percent: 5}}),
+    'plugins': JSON.stringify([{url: 'http://a/p.js', status: 1}]),
+    'parental_control': 'false',
+    'iptv_playlist_custom': '[]',
+    'keypad_map': JSON.stringify({up: 19}),
+    'theme_local_active': 'theme_1',
+    'interface_size': 'normal',
+    'app.js': 'code'
+}
+
+suite('Backup tests', () => {
+    test('split by sections', () => {
+        const backup = schema.create(store, options)
+
+        expect(Object.keys(backup.sections).sort()).toEqual(['bookmarks', 'iptv', 'keypad', 'parental', 'plugins', 'settings', 'themes', 'timelines'])
+        expect(backup.sections.settings).toEqual({interface_size: 'normal'})
+    })
+
+    test('only selected sections', () => {
+        const backup = schema.create(store, {...options, sections: ['bookmarks']})
+
+        expect(Object.keys(backup.sections)).toEqual(['bookmarks'])
+    })
+
+    test('old backup is migrated', () => {
+        const backup = schema.read(JSON.stringify({'favorite': '{}', 'player': 'inner', 'app.js': 'code'}), options)
+
+        expect(backup.version).toEqual(schema.version)
+        expect(backup.sections).toEqual({bookmarks: {favorite: '{}'}, settings: {player: 'inner'}})
+    })
+
+    test('newer backup is rejected', () => {
+        expect(() => schema.read({type: 'lampa_backup', version: schema.version + 1, sections: {}})).toThrow()
+    })
+
+    test('merge keeps local data', () => {
+        const backup = schema.read({
+            type: 'lampa_backup',
+            version: 2,
+            sections: {
+                bookmarks: {favorite: JSON.stringify({book: [2, 1], card: [{id: 2, title: 'Two'}, {id: 1, title: 'Old'}]})},
+                timelines: {file_view: JSON.stringify({'123': {time: 99, percent: 90}, '456': {time: 1, percent: 1}})},
+                settings: {interface_size: 'small'},
+                plugins: {plugins: JSON.stringify([{url: 'http://a/p.js', status: 0}])}
+            }
+        })
+
+        const result = schema.merge(store, backup)
+
+        expect(JSON.parse(result.favorite)).toEqual({book: [1, 2], card: [{id: 1, title: 'One'}, {id: 2, title: 'Two'}]})
+        expect(JSON.parse(result.file_view)).toEqual({'123': {time: 10, percent: 5}, '456': {time: 1, percent: 1}})
+        expect(result.interface_size).toEqual('small')
+        expect(result.plugins).toBeUndefined()
+
+        expect(schema.preview(store, backup)).toEqual({
+            bookmarks: {added: 0, changed: 1, same: 0},
+            timelines: {added: 0, changed: 1, same: 0},
+            settings: {added: 0, changed: 1, same: 0},
+            plugins: {added: 0, changed: 0, same: 1}
+        })
+    })
+})
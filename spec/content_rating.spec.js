@@ -0,0 +1,115 @@
+import {expect, suite, test, vi, beforeEach} from 'vitest'
+
+let stored   = {}
+let requests = []
+let running  = 0
+let most     = 0
+let answer   = ()=>'R'
+
+vi.mock('../src/core/storage/storage', ()=>({default: {
+    get: (name, empty)=>stored[name] === undefined ? JSON.parse(empty) : stored[name],
+    set: (name, value)=>stored[name] = value,
+    cache: (name, max, empty)=>stored[name] === undefined ? empty : stored[name],
+    field: (name)=>name == 'parental_control' ? true : name == 'language' ? 'en' : ''
+}}))
+
+vi.mock('../src/core/account/permit', ()=>({default: {access: false, child: false, local: 'device', profile: {}}}))
+vi.mock('../src/core/tmdb/tmdb', ()=>({default: {api: (url)=>url, key: ()=>'key'}}))
+
+// ответ приходит асинхронно, как из сети, считаем сколько запросов идет одновременно
+vi.mock('../src/utils/reguest', ()=>({default: function(){
+    this.silent = (url, ok, error)=>{
+        let id = parseInt(url.split('/')[1])
+
+        requests.push(id)
+
+        running++
+        most = Math.max(most, running)
+
+        setTimeout(()=>{
+            running--
+
+            let certification = answer(id)
+
+            if(certification === null) return error()
+
+            ok({results: [{iso_3166_1: 'US', release_dates: [{certification}]}]})
+        }, 1)
+    }
+}}))
+
+const {default: ContentRating} = await import('../src/core/content_rating')
+
+function row(count){
+    let results = []
+
+    for(let i = 1; i <= count; i++) results.push({id: i, title: 'Movie ' + i, original_title: 'Movie ' + i, release_date: '2020-01-01'})
+
+    return {results}
+}
+
+function load(json){
+    return new Promise((resolve)=>ContentRating.results(json, ()=>resolve(json)))
+}
+
+suite('Content rating tests', () => {
+    beforeEach(()=>{
+        stored   = {parental_control_rating: {device: {max: '12', unknown: 'show'}}}
+        requests = []
+        running  = 0
+        most     = 0
+    })
+
+    test('every unrated card of a big row is checked before the row is shown', async () => {
+        answer = (id)=>id % 2 ? 'R' : 'PG'
+
+        let json = await load(row(20))
+
+        expect(requests.length).toEqual(20)
+        expect(most).toBeLessThanOrEqual(5)
+        expect(json.results.map(c=>c.id)).toEqual([2, 4, 6, 8, 10, 12, 14, 16, 18, 20])
+
+        // рейтинги сохранены, повторно не спрашиваем
+        requests = []
+
+        await load(row(20))
+
+        expect(requests.length).toEqual(0)
+    })
+
+    test('card without certification follows the unknown policy', async () => {
+        answer = ()=>''
+
+        expect((await load(row(2))).results.length).toEqual(2)
+
+        stored.parental_control_rating.device.unknown = 'hide'
+
+        expect(ContentRating.filter(row(2).results).length).toEqual(0)
+    })
+
+    test('card that was not checked yet is hidden', () => {
+        expect(ContentRating.filter(row(3).results)).toEqual([])
+        expect(ContentRating.allowed({id: 1, title: 'A', original_title: 'A', release_dates: {results: []}})).toBe(true)
+    })
+
+    test('failed lookup is hidden and not saved', async () => {
+        answer = (id)=>id == 50 ? null : 'PG'
+
+        let json = await load({results: [
+            {id: 50, title: 'Broken', original_title: 'Broken'},
+            {id: 51, title: 'Fine', original_title: 'Fine'}
+        ]})
+
+        expect(json.results.map(c=>c.id)).toEqual([51])
+        expect(stored.content_rating.movie_50).toBe(undefined)
+        expect(stored.content_rating.movie_51).toEqual(6)
+
+        // сразу не повторяем, но и не считаем карточку проверенной
+        requests = []
+
+        json = await load({results: [{id: 50, title: 'Broken', original_title: 'Broken'}]})
+
+        expect(requests).toEqual([])
+        expect(json.results).toEqual([])
+    })
+})
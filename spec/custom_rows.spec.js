@@ -0,0 +1,47 @@
+import rows from '../src/utils/custom_rows'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Custom rows tests', () => {
+    test('normalize checks the source', () => {
+        expect(rows.normalize({id: 'r1', name: ' Noir ', type: 'keyword', source: {id: 2026, name: 'noir'}, screens: ['main', 'full'], life: 60})).toEqual({
+            id: 'r1',
+            name: 'Noir',
+            type: 'keyword',
+            media: 'movie',
+            source: {id: 2026, name: 'noir'},
+            screens: ['main'],
+            life: 60
+        })
+
+        expect(rows.normalize({id: 'r2', name: 'Bad', type: 'list', source: {url: 'ftp://list'}})).toBe(null)
+        expect(rows.normalize({id: 'r3', name: 'Later', type: 'bookmarks', source: {folder: 'book'}, life: 5}).life).toBe(1440)
+    })
+
+    test('tmdb methods', () => {
+        expect(rows.method({type: 'company', media: 'tv', source: {id: 49}})).toBe('discover/tv?with_companies=49&sort_by=popularity.desc')
+        expect(rows.method({type: 'collection', source: {id: 10}})).toBe('collection/10')
+        expect(rows.method({type: 'discover', source: {type: 'tv', sort: 'vote_average.desc'}})).toBe('discover/tv?sort_by=vote_average.desc')
+        expect(rows.method({type: 'bookmarks', source: {folder: 'book'}})).toBe('')
+    })
+
+    test('move rows', () => {
+        const list = [{id: 'a'}, {id: 'b'}, {id: 'c'}]
+
+        expect(rows.move(list, 'c', -1).map(r=>r.id)).toEqual(['a', 'c', 'b'])
+        expect(rows.move(list, 'a', -1).map(r=>r.id)).toEqual(['a', 'b', 'c'])
+    })
+
+    test('parse trakt and tmdb lists', () => {
+        const result = rows.parseList([
+            {type: 'movie', movie: {title: 'Heat', ids: {tmdb: 949}}},
+            {type: 'show', show: {title: 'Dark', ids: {tmdb: 70523}}},
+            {id: 603, title: 'The Matrix', poster_path: '/m.jpg'},
+            {title: 'No ids'}
+        ])
+
+        expect(result.ids).toEqual([{id: 949, method: 'movie'}, {id: 70523, method: 'tv'}])
+        expect(result.cards.map(c=>c.id)).toEqual([603])
+        expect(rows.parseList({items: [{tmdb: 1, type: 'tv'}]}).ids).toEqual([{id: 1, method: 'tv'}])
+    })
+})
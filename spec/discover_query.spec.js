@@ -0,0 +1,58 @@
+import discover from '../src/utils/discover_query'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Discover query tests', () => {
+    test('empty filter', () => {
+        expect(discover.build({})).toBe('discover/movie?sort_by=popularity.desc')
+    })
+
+    test('full movie filter', () => {
+        const url = discover.build({
+            genres: {with: [28, 12], without: [16], mode: 'or'},
+            runtime: {from: 90, to: 150},
+            votes: 500,
+            certification: {country: 'US', lte: 'PG-13'},
+            providers: {region: 'US', ids: [8, 9]},
+            people: [{id: 287, name: 'Brad Pitt'}],
+            keywords: [{id: 9715}, {id: 9717}],
+            keywords_mode: 'and',
+            language: 'en',
+            dates: {from: '2010', to: '2020-06-01'}
+        })
+
+        expect(url.split('?')[0]).toBe('discover/movie')
+        expect(url.split('?')[1].split('&')).toEqual([
+            'sort_by=popularity.desc',
+            'with_genres=28%7C12',
+            'without_genres=16',
+            'with_runtime.gte=90',
+            'with_runtime.lte=150',
+            'vote_count.gte=500',
+            'certification_country=US',
+            'certification.lte=PG-13',
+            'watch_region=US',
+            'with_watch_providers=8%7C9',
+            'with_people=287',
+            'with_keywords=9715%2C9717',
+            'with_original_language=en',
+            'primary_release_date.gte=2010-01-01',
+            'primary_release_date.lte=2020-06-01'
+        ])
+    })
+
+    test('tv skips movie only params', () => {
+        const url = discover.build({type: 'tv', certification: {lte: 'R'}, people: [{id: 1}], dates: {from: '2021'}})
+
+        expect(url).toBe('discover/tv?sort_by=popularity.desc&first_air_date.gte=2021-01-01')
+    })
+
+    test('genre toggles with, without, none', () => {
+        const genres = {with: [], without: []}
+
+        expect(discover.toggleGenre(genres, 18)).toBe('with')
+        expect(discover.toggleGenre(genres, 18)).toBe('without')
+        expect(genres).toEqual({with: [], without: [18]})
+        expect(discover.toggleGenre(genres, 18)).toBe('none')
+    })
+})
@@ -0,0 +1,29 @@
+import keymap from '../src/utils/keymap'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Keymap tests', () => {
+    test('bind moves code between actions', () => {
+        let map = keymap.bind({}, 'up', 19)
+
+        map = keymap.bind(map, 'info', 165)
+        map = keymap.bind(map, 'down', 19)
+
+        expect(map).toEqual({down: 19, info: 165})
+    })
+
+    test('translate learned codes to standard ones', () => {
+        const map = {up: 19, enter: 66, subtitles: 175}
+
+        expect(keymap.translate(map, 19)).toBe(38)
+        expect(keymap.translate(map, 66)).toBe(13)
+        expect(keymap.translate(map, 175)).toBe(0)
+        expect(keymap.translate(map, 40)).toBe(40)
+        expect(keymap.action(map, 175)).toBe('subtitles')
+    })
+
+    test('normalize drops unknown actions and bad codes', () => {
+        expect(keymap.normalize({up: '19', fly: 5, down: 'x', left: 0})).toEqual({up: 19})
+        expect(keymap.normalize(null)).toEqual({})
+    })
+})
@@ -0,0 +1,37 @@
+import buffer from '../src/utils/log_buffer'
+
+import {expect, suite, test} from 'vitest'
+
+const time = new Date(2024, 4, 15, 18, 30, 5, 42).getTime()
+
+suite('Log buffer tests', () => {
+    test('ring buffer keeps newest records', () => {
+        const list = []
+
+        for(let i = 0; i < 5; i++) buffer.push(list, {time: time + i, level: 'log', text: 'line ' + i}, 3)
+
+        expect(list.map(r=>r.text)).toEqual(['line 4', 'line 3', 'line 2'])
+    })
+
+    test('filter by level and text', () => {
+        const list = [
+            {time, level: 'error', text: 'Player: stream failed'},
+            {time, level: 'warn', text: 'Player slow start'},
+            {time, level: 'log', text: 'Socket open'}
+        ]
+
+        expect(buffer.filter(list, {level: 'all'}).length).toBe(3)
+        expect(buffer.filter(list, {level: 'warn'}).map(r=>r.level)).toEqual(['error', 'warn'])
+        expect(buffer.filter(list, {level: 'all', text: ' player '}).length).toBe(2)
+        expect(buffer.filter(list, {level: 'error', text: 'socket'})).toEqual([])
+    })
+
+    test('format for export', () => {
+        const list = [
+            {time: time + 1000, level: 'warn', name: 'Player', text: 'second'},
+            {time, level: 'log', text: 'first'}
+        ]
+
+        expect(buffer.format(list)).toBe('2024-05-15 18:30:05.042 [LOG] first\n2024-05-15 18:30:06.042 [WARN] Player: second')
+    })
+})
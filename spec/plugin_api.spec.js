@@ -0,0 +1,168 @@
+import {expect, suite, test, vi, beforeEach} from 'vitest'
+import Subscribe from '../src/utils/subscribe'
+
+let calls = []
+
+let track = (name)=>(...args)=>calls.push(name + ':' + args.filter(a=>typeof a == 'string').join(','))
+
+vi.mock('../src/core/component', ()=>({default: {add: track('component.add'), remove: track('component.remove')}}))
+vi.mock('../src/interaction/template', ()=>({default: {add: track('template.add'), remove: track('template.remove')}}))
+vi.mock('../src/core/content_rows', ()=>({default: {add: (row)=>calls.push('row.add:' + row.name), remove: (row)=>calls.push('row.remove:' + row.name)}}))
+vi.mock('../src/core/storage/storage', ()=>({default: {get: (name)=>'value of ' + name}}))
+vi.mock('../src/interaction/console', ()=>({default: {errors: ()=>[]}}))
+vi.mock('../src/interaction/settings/api', ()=>({default: {
+    addComponent: (data)=>calls.push('settings.addComponent:' + data.component),
+    removeComponent: track('settings.removeComponent'),
+    addParam: (data)=>calls.push('settings.addParam:' + data.param.name),
+    removeParam: track('settings.removeParam')
+}}))
+
+globalThis.window   = {appready: true}
+globalThis.document = {currentScript: null}
+globalThis.Lampa    = {Listener: Subscribe()}
+
+const {default: PluginApi} = await import('../src/core/plugin_api')
+
+/**
+ * Плагин, который регистрирует все, что умеет
+ */
+function full(plugin){
+    plugin.component('demo', function(){})
+    plugin.template('demo_item', '<div></div>')
+    plugin.addParam({component: 'interface', param: {name: 'demo_param', type: 'trigger'}, field: {name: 'Demo'}})
+    plugin.row({name: 'demo_row', title: 'Demo'})
+    plugin.onStop(()=>calls.push('onStop'))
+}
+
+suite('Plugin API tests', () => {
+    beforeEach(()=>{
+        calls = []
+
+        PluginApi.all().slice().forEach(p=>PluginApi.stop(p))
+        PluginApi.all().length = 0
+
+        window.appready        = true
+        document.currentScript = null
+
+        vi.spyOn(console, 'log').mockImplementation(()=>{})
+        vi.spyOn(console, 'warn').mockImplementation(()=>{})
+        vi.spyOn(console, 'error').mockImplementation(()=>{})
+    })
+
+    test('register starts the plugin, url is taken from the running script', () => {
+        document.currentScript = {src: 'https://plugins.test/demo.js?v=2', getAttribute: ()=>null}
+
+        let record = PluginApi.register({id: 'demo', start: full})
+
+        expect(record.url).toEqual('plugins.test/demo.js')
+        expect(record.running).toBe(true)
+        expect(PluginApi.find('http://plugins.test/demo.js')).toBe(record)
+        expect(calls).toEqual(['component.add:demo', 'template.add:demo_item,<div></div>', 'settings.addParam:demo_param', 'row.add:demo_row'])
+    })
+
+    test('injected plugin gets url from data-url', () => {
+        document.currentScript = {src: '', getAttribute: (name)=>name == 'data-url' ? 'cache://demo.js' : null}
+
+        expect(PluginApi.register({start: ()=>{}}).url).toEqual('demo.js')
+    })
+
+    test('url is required outside of the plugin script', () => {
+        expect(PluginApi.register({id: 'late', start: ()=>{}})).toBe(undefined)
+        expect(PluginApi.all().length).toEqual(0)
+        expect(console.warn).toHaveBeenCalled()
+
+        expect(PluginApi.register({id: 'late', url: 'plugins.test/late.js', start: ()=>{}}).running).toBe(true)
+    })
+
+    test('registering the same plugin again replaces it', () => {
+        let first  = PluginApi.register({id: 'demo', url: 'plugins.test/demo.js', start: full})
+        let second = PluginApi.register({id: 'demo', url: 'plugins.test/demo.js', start: ()=>calls.push('second')})
+
+        expect(first.running).toBe(false)
+        expect(second.running).toBe(true)
+        expect(PluginApi.all()).toEqual([second])
+        expect(calls.indexOf('row.remove:demo_row')).toBeLessThan(calls.indexOf('second'))
+    })
+
+    test('start error is isolated and partial registrations are rolled back', () => {
+        let broken = PluginApi.register({id: 'broken', url: 'plugins.test/broken.js', start: (plugin)=>{
+            plugin.component('broken', function(){})
+            plugin.row({name: 'broken_row'})
+
+            throw new Error('boom')
+        }})
+
+        let good = PluginApi.register({id: 'good', url: 'plugins.test/good.js', start: ()=>calls.push('good')})
+
+        expect(broken.running).toBe(false)
+        expect(broken.error.message).toEqual('boom')
+        expect(good.running).toBe(true)
+        expect(calls).toEqual(['component.add:broken', 'row.add:broken_row', 'row.remove:broken_row', 'component.remove:broken', 'good'])
+        expect(PluginApi.errors('plugins.test/broken.js')[0].message).toEqual('boom')
+        expect(PluginApi.errors('plugins.test/good.js')).toEqual([])
+    })
+
+    test('stop disposes in reverse order and start registers again', () => {
+        let record = PluginApi.register({id: 'demo', url: 'plugins.test/demo.js', start: full, stop: ()=>calls.push('stop')})
+
+        calls = []
+
+        expect(PluginApi.stop('plugins.test/demo.js')).toBe(true)
+        expect(PluginApi.stop('plugins.test/demo.js')).toBe(false)
+
+        expect(calls).toEqual(['stop', 'onStop', 'row.remove:demo_row', 'settings.removeParam:interface,demo_param', 'template.remove:demo_item', 'component.remove:demo'])
+
+        calls = []
+
+        expect(PluginApi.start(record)).toBe(true)
+        expect(PluginApi.start(record)).toBe(false)
+        expect(calls.length).toEqual(4)
+
+        PluginApi.stop(record)
+
+        // повторный запуск не копит старые регистрации
+        expect(calls.filter(c=>c == 'component.remove:demo').length).toEqual(1)
+    })
+
+    test('followed listeners are removed on stop', () => {
+        let listener = Subscribe()
+        let got      = []
+
+        let record = PluginApi.register({id: 'follow', url: 'plugins.test/follow.js', start: (plugin)=>{
+            plugin.follow(listener, 'full,menu', (e)=>got.push(e.type))
+        }})
+
+        listener.send('full', {type: 'full'})
+        listener.send('menu', {type: 'menu'})
+
+        PluginApi.stop(record)
+
+        listener.send('full', {type: 'full'})
+
+        expect(got).toEqual(['full', 'menu'])
+    })
+
+    test('plugin waits for the app to be ready', () => {
+        window.appready = false
+
+        let record = PluginApi.register({id: 'wait', url: 'plugins.test/wait.js', start: ()=>{}})
+
+        expect(record.running).toBe(false)
+
+        Lampa.Listener.send('app', {type: 'ready'})
+
+        expect(record.running).toBe(true)
+    })
+
+    test('settings of the plugin', () => {
+        PluginApi.register({id: 'demo', url: 'plugins.test/demo.js', start: full})
+
+        expect(PluginApi.settings('plugins.test/demo.js')).toEqual({
+            plugin: 'demo',
+            url: 'plugins.test/demo.js',
+            settings: {demo_param: 'value of demo_param'}
+        })
+
+        expect(PluginApi.settings('plugins.test/none.js')).toBe(null)
+    })
+})
@@ -0,0 +1,45 @@
+import manifest from '../src/utils/plugin_manifest'
+import sha256 from '../src/utils/sha256'
+
+import {expect, suite, test} from 'vitest'
+
+const code = `/**
+ * Online plugin
+ * @permission network api.example.com, cdn.example.com
+ * @permission storage online_view
+ * @permission player
+ */
+// @permission teleport now
+(function(){ Lampa.Player.listener.follow('start', ()=>{}) })()`
+
+suite('Plugin manifest tests', () => {
+    test('parse declared permissions', () => {
+        expect(manifest.parse(code)).toEqual({
+            network: ['api.example.com', 'cdn.example.com'],
+            storage: ['online_view'],
+            player: true,
+            account: false,
+            declared: true
+        })
+
+        expect(manifest.parse('(function(){})()')).toEqual(manifest.empty())
+    })
+
+    test('storage keys from url count as requested', () => {
+        const permissions = manifest.request(code, 'http://a/p.js?u={storage_account_email}&v={storage_online_view}')
+
+        expect(permissions.storage).toEqual(['online_view', 'account_email'])
+        expect(manifest.account(permissions)).toBe(true)
+        expect(manifest.storage(permissions, 'online_view')).toBe(true)
+        expect(manifest.storage(permissions, 'favorite')).toBe(false)
+        expect(manifest.storage(undefined, 'favorite')).toBe(true)
+    })
+
+    test('sha256 hashes', () => {
+        expect(sha256.hex('')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+        expect(sha256.hex('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad')
+        expect(sha256.hex('a'.repeat(1000))).toBe('41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3')
+        expect(sha256.hex('привет 😀')).toBe('6967e946b61d615cdffc211cd4228f92eb13da56f0681914ab9bd8eefeb6ba05')
+        expect(sha256.integrity('abc')).toBe('sha256-ungWv48Bz+pBQUDeXa4iI7ADYaOWF3qctBD/YfIAFa0=')
+    })
+})
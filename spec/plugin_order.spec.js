@@ -0,0 +1,60 @@
+import order from '../src/utils/plugin_order'
+import manifest from '../src/utils/plugin_manifest'
+
+import {expect, suite, test} from 'vitest'
+
+const proxy  = {id: 'proxy.js', provides: [{name: 'tmdb_proxy', version: '1.4.0'}], requires: []}
+const online = {id: 'online.js', provides: [], requires: [{name: 'tmdb_proxy', range: '>=1.2 <2'}]}
+const plain  = {id: 'plain.js'}
+
+suite('Plugin order tests', () => {
+    test('version ranges', () => {
+        expect(order.satisfies('1.4.0', '>=1.2 <2')).toBe(true)
+        expect(order.satisfies('2.0.0', '>=1.2 <2')).toBe(false)
+        expect(order.satisfies('1.9', '^1.2')).toBe(true)
+        expect(order.satisfies('1.3.1', '~1.2.0')).toBe(false)
+        expect(order.satisfies('1.2.0', '1.2')).toBe(true)
+        expect(order.satisfies('0.1', '*')).toBe(true)
+    })
+
+    test('dependencies load in levels', () => {
+        expect(order.plan([online, plain, proxy])).toEqual({
+            levels: [['plain.js', 'proxy.js'], ['online.js']],
+            skipped: []
+        })
+    })
+
+    test('report missing, version, skipped and cycle', () => {
+        const old    = {id: 'old.js', provides: [{name: 'lib', version: '0.9'}]}
+        const user   = {id: 'user.js', provides: [{name: 'user'}], requires: [{name: 'lib', range: '>=1'}]}
+        const second = {id: 'second.js', requires: [{name: 'user', range: ''}]}
+        const alone  = {id: 'alone.js', requires: [{name: 'nothing', range: ''}]}
+        const a      = {id: 'a.js', provides: [{name: 'a'}], requires: [{name: 'b', range: ''}]}
+        const b      = {id: 'b.js', provides: [{name: 'b'}], requires: [{name: 'a', range: ''}]}
+
+        const result = order.plan([old, user, second, alone, a, b])
+
+        expect(result.levels).toEqual([['old.js']])
+        expect(result.skipped).toEqual([
+            {id: 'user.js', reason: 'version', dependency: 'lib', range: '>=1', found: ['0.9']},
+            {id: 'alone.js', reason: 'missing', dependency: 'nothing', range: ''},
+            {id: 'second.js', reason: 'skipped', dependency: 'user', range: '', by: 'user.js'},
+            {id: 'a.js', reason: 'cycle', dependency: 'b', range: ''},
+            {id: 'b.js', reason: 'cycle', dependency: 'a', range: ''}
+        ])
+    })
+
+    test('unmet after a provider failed', () => {
+        const items = [proxy, online]
+
+        expect(order.unmet(items, online, [])).toEqual({name: 'tmdb_proxy', range: '>=1.2 <2'})
+        expect(order.unmet(items, online, ['proxy.js'])).toBe(undefined)
+    })
+
+    test('parse dependencies from code', () => {
+        expect(manifest.dependencies('// @provides tmdb_proxy 1.2.0\n// @requires lib.core >=1.0 <2\n')).toEqual({
+            provides: [{name: 'tmdb_proxy', version: '1.2.0'}],
+            requires: [{name: 'lib.core', range: '>=1.0 <2'}]
+        })
+    })
+})
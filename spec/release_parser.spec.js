@@ -0,0 +1,91 @@
+import parser from '../src/utils/release_parser'
+
+import {expect, suite, test} from 'vitest'
+
+function testRelease(title, need) {
+    test(title, () => {
+        const result = parser.parse(title)
+
+        for(let name in need){
+            expect(result[name], name).toEqual(need[name])
+        }
+    })
+}
+
+suite('Video tests', () => {
+    testRelease('Dune.Part.Two.2024.2160p.UHD.BluRay.REMUX.DV.HDR10.HEVC.TrueHD.7.1.Atmos-FGT', {
+        resolution: '2160p', quality: '4k', source: 'Remux', codec: 'HEVC', hdr: true, dv: 'dv', hdr_types: ['HDR10', 'DV'], group: 'FGT', year: 2024
+    })
+    testRelease('Movie.Name.2023.1080p.AMZN.WEB-DL.DDP5.1.H.264-FLUX', {
+        resolution: '1080p', source: 'WEB-DL', codec: 'AVC', hdr: false, dv: '', channels: '5.1', group: 'FLUX'
+    })
+    testRelease('Movie Name (2019) BDRip 720p | D', {
+        resolution: '720p', quality: '720p', source: 'BDRip', group: ''
+    })
+    testRelease('Дюна: Часть вторая / Dune: Part Two (2024) UHD BDRemux 2160p | HDR | Dolby Vision TV | D, P, A | Лицензия', {
+        quality: '4k', source: 'Remux', hdr: true, dv: 'tv', year: 2024
+    })
+    testRelease('Movie.Name.2020.HDR10+.2160p.WEB-DL.x265', {
+        hdr_types: ['HDR10+'], codec: 'HEVC', source: 'WEB-DL'
+    })
+    testRelease('Movie.Name.2021.1080p.WEB-Rip.x264-GRP', {
+        source: 'WEBRip'
+    })
+    testRelease('Movie Name (2021) WEBRip 720p', {
+        source: 'WEBRip'
+    })
+    testRelease('Movie Name (2021) WEB 1080p', {
+        source: 'WEB-DL'
+    })
+    testRelease('Movie.Name.2005.DVDRip.XviD.AC3', {
+        resolution: '', source: 'DVDRip', codec: 'XviD', audio: ['AC3']
+    })
+    testRelease('Movie Name 3D (2012) BD3D 1080p | Half OU', {
+        stereo: true
+    })
+})
+
+suite('Audio tests', () => {
+    testRelease('Movie.2022.1080p.BluRay.DTS-HD.MA.7.1.x264-GRP', {
+        audio: ['DTS-HD'], channels: '7.1', source: 'BluRay'
+    })
+    testRelease('Movie.2022.1080p.WEB-DL.EAC3.2.0.H.265', {
+        audio: ['DDP'], channels: '2.0'
+    })
+    testRelease('Фильм / Movie (2021) WEB-DL 1080p | Дублированный | Sub', {
+        voice_types: ['dub'], subtitles: true
+    })
+    testRelease('Сериал / Serial [S01] (2020) WEB-DL 1080p | LostFilm', {
+        voices: ['LostFilm']
+    })
+    testRelease('Фильм / Movie (2018) BDRip 1080p | P, L2, L1 | Rus, Eng, Ukr', {
+        voice_types: ['mvo', 'dvo', 'avo'], languages: ['ru', 'uk', 'en']
+    })
+})
+
+suite('Episodes tests', () => {
+    testRelease('The.SerialName.2023.S03.1080p.NF.WEB-DL.DDP5.1.x264', {
+        seasons: [3], episodes: []
+    })
+    testRelease('SerialName.S01E04.EpisodeName.1080p.WEB-DL.DDP5.1.H.264', {
+        seasons: [1], episodes: [4]
+    })
+    testRelease('One.Punch.Man.S01E01-12.MPEG4.2015.SATRip', {
+        seasons: [1], episodes: [1,2,3,4,5,6,7,8,9,10,11,12], source: 'SATRip', codec: 'MPEG-4'
+    })
+    testRelease('Сериал / Serial [S01-03] (2019) WEB-DL 1080p', {
+        seasons: [1,2,3]
+    })
+    testRelease('Сериал / Serial / Сезон: 2 / Серии: 1-8 из 10 (2022) WEBRip 1080p', {
+        seasons: [2], episodes: [1,2,3,4,5,6,7,8], episodes_total: 10, source: 'WEBRip'
+    })
+    testRelease('Сериал (1-3 сезон) (2017) HDTVRip', {
+        seasons: [1,2,3], source: 'HDTV'
+    })
+    testRelease('[SubsPlease] Mashle - 12 (1080p) [D6484514].mkv', {
+        group: 'SubsPlease', resolution: '1080p'
+    })
+    testRelease('One_Punch_Man_03x07_MPEG4_2015_SATRip.mkv', {
+        episodes: [7]
+    })
+})
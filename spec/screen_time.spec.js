@@ -0,0 +1,47 @@
+import time from '../src/utils/screen_time'
+
+import {expect, suite, test} from 'vitest'
+
+const wednesday = new Date(2024, 4, 15, 18, 30).getTime()
+const saturday  = new Date(2024, 4, 18, 18, 30).getTime()
+
+suite('Screen time tests', () => {
+    test('parse windows', () => {
+        expect(time.windows('17:00-20:00, 21:30 – 22:00')).toEqual([{from: 1020, to: 1200}, {from: 1290, to: 1320}])
+        expect(time.windows('')).toEqual([])
+        expect(time.windows('17:00')).toBe(null)
+        expect(time.windows('25:00-26:00')).toBe(null)
+    })
+
+    test('allowed windows by day type', () => {
+        const rules = {window_weekdays: '17:00-20:00', window_weekend: '10:00-12:00'}
+
+        expect(time.check(rules, {}, wednesday)).toEqual({allowed: true, reason: 'window', left: 90 * 60})
+        expect(time.check(rules, {}, saturday).allowed).toBe(false)
+        expect(time.windowLeft(time.windows('22:00-01:00'), new Date(2024, 4, 15, 0, 30).getTime())).toEqual(30 * 60)
+    })
+
+    test('daily budget and usage log', () => {
+        const rules = {budget_weekdays: 60}
+
+        let usage = time.add({'2024-01-01': {used: 100}}, 50 * 60, wednesday)
+
+        expect(Object.keys(usage)).toEqual(['2024-05-15'])
+        expect(time.check(rules, usage, wednesday)).toEqual({allowed: true, reason: 'budget', left: 10 * 60})
+        expect(time.check(rules, time.add(usage, 10 * 60, wednesday), wednesday).allowed).toBe(false)
+        expect(time.check(rules, usage, saturday).left).toBe(Infinity)
+    })
+
+    test('pin extension', () => {
+        const rules = {budget_weekdays: 60, window_weekdays: '10:00-12:00'}
+
+        let usage = time.add({}, 60 * 60, wednesday)
+
+        expect(time.check(rules, usage, wednesday).allowed).toBe(false)
+
+        usage = time.extend(usage, 15 * 60, wednesday)
+
+        expect(time.check(rules, usage, wednesday)).toEqual({allowed: true, reason: 'window', left: 15 * 60})
+        expect(time.check(rules, usage, wednesday + 16 * 60 * 1000).allowed).toBe(false)
+    })
+})
@@ -0,0 +1,36 @@
+import suggest from '../src/utils/search_suggest'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Search suggest tests', () => {
+    test('normalize', () => {
+        expect(suggest.normalize('  Ёлки: Новые! ')).toBe('елки новые')
+        expect(suggest.normalize('Spider-Man')).toBe('spider man')
+    })
+
+    test('prefix before word before substring', () => {
+        const result = suggest.match('man', [
+            {title: 'Batman', type: 'cached'},
+            {title: 'Iron Man', type: 'card'},
+            {title: 'Mandalorian', type: 'history'},
+            {title: 'Man', type: 'history'}
+        ])
+
+        expect(result.map(r=>r.title)).toEqual(['Mandalorian', 'Iron Man', 'Batman'])
+    })
+
+    test('duplicates keep better source', () => {
+        const result = suggest.match('mat', [
+            {title: 'The Matrix', type: 'cached'},
+            {title: 'the matrix', type: 'saved'},
+            {title: 'Matilda', type: 'card', weight: 1},
+            {title: 'Matrix', type: 'card', weight: 5}
+        ])
+
+        expect(result).toEqual([
+            {title: 'Matrix', type: 'card'},
+            {title: 'Matilda', type: 'card'},
+            {title: 'the matrix', type: 'saved'}
+        ])
+    })
+})
@@ -0,0 +1,23 @@
+import Subscribe from '../src/utils/subscribe'
+
+import {expect, suite, test, vi} from 'vitest'
+
+suite('Subscribe tests', () => {
+    test('error in one listener does not stop the others', () => {
+        const listener = Subscribe()
+        const called   = []
+
+        vi.spyOn(console, 'error').mockImplementation(()=>{})
+
+        listener.follow('app', ()=>called.push('first'))
+        listener.follow('app', ()=>{ throw new Error('broken plugin') })
+        listener.follow('app', ()=>called.push('last'))
+
+        listener.send('app', {type: 'ready'})
+
+        expect(called).toEqual(['first', 'last'])
+        expect(console.error).toHaveBeenCalledTimes(1)
+
+        console.error.mockRestore()
+    })
+})
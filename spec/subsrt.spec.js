@@ -0,0 +1,32 @@
+import subsrt from '../src/utils/subsrt/subsrt'
+
+import {expect, suite, test} from 'vitest'
+
+const srt = '1\n00:00:01,000 --> 00:00:02,500\nHello\n\n2\n00:00:03,000 --> 00:00:04,000\nWorld\n'
+
+function testConvert(format) {
+    test(format, () => {
+        const captions = subsrt.parse(subsrt.convert(srt, {to: format}), {format}).filter(c => c.type == 'caption')
+
+        expect(captions.map(c => [c.start, c.end, c.text.trim()])).toEqual([[1000, 2500, 'Hello'], [3000, 4000, 'World']])
+    })
+}
+
+suite('Convert tests', () => {
+    test('srt separated by empty line', () => {
+        expect(subsrt.parse(srt).length).toEqual(2)
+    })
+
+    testConvert('vtt')
+    testConvert('sbv')
+    testConvert('ass')
+    testConvert('ssa')
+})
+
+suite('Resync tests', () => {
+    test('offset and ratio', () => {
+        const captions = subsrt.parse(subsrt.convert(srt, {to: 'srt', resync: {offset: 500, ratio: 1.5}}))
+
+        expect(captions.map(c => [c.start, c.end])).toEqual([[2000, 4250], [5000, 6500]])
+    })
+})
@@ -0,0 +1,226 @@
+import {expect, suite, test, vi, beforeAll, afterAll} from 'vitest'
+import WebSocket from 'ws'
+import {server} from './sync_server'
+import merge from '../src/utils/sync_merge'
+
+let stored = {}
+
+vi.mock('../src/core/storage/storage', ()=>({
+    default: {
+        get: (name, empty)=>stored[name] === undefined ? empty : stored[name]
+    }
+}))
+
+vi.mock('../src/core/manifest', ()=>({default: {cub_domain: 'cub.rip', cub_site: 'cub.rip'}}))
+vi.mock('../src/utils/utils', ()=>({default: {protocol: ()=>'https://'}}))
+
+const {default: Backend} = await import('../src/core/account/backend')
+
+let stand = server({codes: {'111111': 'user@mail', '222222': 'user@mail'}})
+
+/**
+ * Запрос к API, как его делает Account.Api.load: заголовки token и profile, POST формой
+ */
+async function load(path, device, post){
+    let headers = {}
+
+    if(device){
+        headers.token   = device.token
+        headers.profile = device.profile
+    }
+
+    if(post) headers['Content-Type'] = 'application/x-www-form-urlencoded'
+
+    let res = await fetch(Backend.api() + path, {
+        method: post ? 'POST' : 'GET',
+        headers,
+        body: post ? new URLSearchParams(post).toString() : undefined
+    })
+
+    return {status: res.status, json: await res.json()}
+}
+
+/**
+ * Устройство, привязанное по коду
+ */
+async function device(code, name){
+    let result = await load('device/add', null, {code})
+
+    return {
+        name,
+        token: result.json.token,
+        profile: result.json.profile.id,
+        bookmarks: [],
+        timelines: {}
+    }
+}
+
+/**
+ * Подключить устройство к сокету, сообщения копятся в device.messages
+ */
+function connect(device){
+    return new Promise((resolve, reject)=>{
+        let socket = new WebSocket(Backend.socket())
+
+        device.socket   = socket
+        device.messages = []
+
+        socket.on('message', (raw)=>device.messages.push(JSON.parse(raw.toString())))
+        socket.on('error', reject)
+        socket.on('open', ()=>{
+            send(device, 'start', {})
+
+            resolve()
+        })
+    })
+}
+
+function send(device, method, data){
+    data.method    = method
+    data.device_id = device.name
+    data.name      = device.name
+    data.account   = {token: device.token, profile: {id: device.profile}}
+
+    device.socket.send(JSON.stringify(data))
+}
+
+/**
+ * Дождаться сообщения сокета
+ */
+function receive(device, method, check = ()=>true){
+    let started = Date.now()
+
+    return new Promise((resolve, reject)=>{
+        let poll = ()=>{
+            let found = device.messages.filter(m=>m.method == method && check(m.data)).pop()
+
+            if(found) resolve(found)
+            else if(Date.now() - started > 2000) reject(new Error('no ' + method + ' message'))
+            else setTimeout(poll, 20)
+        }
+
+        poll()
+    })
+}
+
+suite('self sync backend', () => {
+    let first, second
+
+    beforeAll(async ()=>{
+        let url = await stand.listen()
+
+        stored.account_backend     = 'self'
+        stored.account_backend_url = url + '/'
+
+        first  = await device('111111', 'tv')
+        second = await device('222222', 'phone')
+    })
+
+    afterAll(async ()=>{
+        await stand.close()
+    })
+
+    test('self backend points to the own server', () => {
+        let url = stored.account_backend_url.replace(/\/$/, '')
+
+        expect(Backend.is('self')).toBe(true)
+        expect(Backend.ready()).toBe(true)
+        expect(Backend.api()).toEqual(url + '/api/')
+        expect(Backend.socket()).toEqual(url.replace(/^http/, 'ws') + '/socket')
+    })
+
+    test('devices of one account share a token, unknown tokens are rejected', async () => {
+        expect(first.token).toBeTruthy()
+        expect(second.token).toEqual(first.token)
+
+        expect((await load('device/add', null, {code: '000000'})).json.secuses).toBe(false)
+        expect((await load('profiles/all', {token: 'wrong', profile: 1})).status).toEqual(403)
+    })
+
+    test('profiles created on one device are seen on another', async () => {
+        await load('profiles/create', first, {name: 'Kids'})
+
+        let result  = await load('profiles/all', second)
+        let profile = result.json.profiles.find(p=>p.name == 'Kids')
+
+        expect(result.json.profiles.length).toEqual(2)
+        expect(profile).toBeTruthy()
+
+        // на устройстве профиль переименовали позже, чем он пришел с сервера
+        let local = Object.assign({}, profile, {name: 'Children', updated: profile.updated + 1000})
+
+        expect(merge.profile(local, profile).name).toEqual('Children')
+        expect(merge.profile({id: profile.id, name: 'Old', updated: 1}, profile).name).toEqual('Kids')
+    })
+
+    test('bookmarks sync through dump and changelog', async () => {
+        await load('bookmarks/add', first, {type: 'book', card_id: 10, data: JSON.stringify({id: 10}), time: 100})
+        await load('bookmarks/add', first, {type: 'book', card_id: 20, data: JSON.stringify({id: 20}), time: 110})
+
+        let dump = await load('bookmarks/dump', second)
+
+        second.bookmarks = dump.json.bookmarks
+
+        expect(second.bookmarks.map(b=>b.card_id).sort()).toEqual([10, 20])
+
+        await load('bookmarks/remove', first, {type: 'book', card_id: 10, time: 120})
+        await load('bookmarks/add', first, {type: 'like', card_id: 20, data: JSON.stringify({id: 20}), time: 130})
+
+        let changes = await load('bookmarks/changelog?since=' + dump.json.version, second)
+
+        expect(changes.json.version).toBeGreaterThan(dump.json.version)
+        expect(changes.json.changelog.map(c=>c.action)).toEqual(['remove', 'add'])
+
+        second.bookmarks = merge.changelog(second.bookmarks, changes.json.changelog)
+
+        expect(second.bookmarks.map(b=>b.type + b.card_id)).toEqual(['like20', 'book20'])
+
+        // закладки другого профиля не видны
+        expect((await load('bookmarks/dump', Object.assign({}, second, {profile: 2}))).json.bookmarks).toEqual([])
+    })
+
+    test('devices see each other and get bookmarks and timeline over the socket', async () => {
+        await connect(first)
+        await connect(second)
+
+        let devices = await receive(first, 'devices', (data)=>data.length == 2)
+
+        expect(devices.data.map(d=>d.uid).sort()).toEqual(['phone', 'tv'])
+
+        send(first, 'bookmarks', {})
+
+        await receive(second, 'bookmarks')
+
+        let road = {hash: 'abc', percent: 40, time: 400, duration: 1000, profile: first.profile, updated: 500}
+
+        second.timelines.abc = {hash: 'abc', percent: 10, time: 100, duration: 1000, profile: first.profile, updated: 200}
+
+        send(first, 'timeline', {params: road})
+
+        let message = await receive(second, 'timeline')
+
+        expect(message.data).toEqual(road)
+        expect(merge.newer(second.timelines.abc, message.data)).toBe(true)
+
+        // отправитель свое же сообщение не получает
+        expect(first.messages.filter(m=>m.method == 'timeline').length).toEqual(0)
+    })
+
+    test('timeline changelog returns only changes after the version', async () => {
+        let dump = await load('timeline/dump', second)
+
+        expect(dump.json.timelines.abc.percent).toEqual(40)
+
+        send(first, 'timeline', {params: {hash: 'def', percent: 5, time: 50, duration: 1000, profile: first.profile, updated: 600}})
+
+        await receive(second, 'timeline', (data)=>data.hash == 'def')
+
+        let changes = await load('timeline/changelog?since=' + dump.json.version, second)
+
+        expect(Object.keys(changes.json.timelines)).toEqual(['def'])
+        expect(changes.json.version).toBeGreaterThan(dump.json.version)
+
+        first.socket.close()
+        second.socket.close()
+    })
+})
@@ -0,0 +1,230 @@
+// @vitest-environment jsdom
+
+import {expect, suite, test, vi, beforeAll, afterAll} from 'vitest'
+import fs from 'fs'
+import WebSocket from 'ws'
+import {server} from './sync_server'
+
+let stored  = {}
+let changed = []
+let cache   = {}
+
+/**
+ * Настоящие модули клиента: account/api, backend, permit, bookmarks, core/socket, interaction/timeline и utils/reguest.
+ * Подменены только хранилища и интерфейс, которые в тестовом окружении не работают
+ */
+vi.mock('../src/core/storage/storage', ()=>({default: {
+    get: (name, empty)=>stored[name] !== undefined ? stored[name] : typeof empty == 'string' && /^[\[{]/.test(empty) ? JSON.parse(empty) : empty,
+    set: (name, value)=>stored[name] = value,
+    field: (name)=>name == 'account_use' ? true : name == 'device_name' ? 'TV' : '',
+    cache: (name, max, empty)=>stored[name] === undefined ? empty : stored[name],
+    listener: {follow: ()=>{}}
+}}))
+
+vi.mock('../src/utils/cache', ()=>({default: {
+    getData: (store, key)=>Promise.resolve(cache[key]),
+    getDataAnyCase: (store, key)=>Promise.resolve(cache[key]),
+    rewriteData: (store, key, value)=>Promise.resolve(cache[key] = JSON.parse(JSON.stringify(value)))
+}}))
+
+// Воркер в браузере с тем же разбором, что и запасной вариант в utils/worker.js
+vi.mock('../src/utils/worker', ()=>({default: {
+    utils: (msg, call)=>call({data: msg.data.map((elem)=>{
+        if(typeof elem.data == 'string') elem.data = JSON.parse(elem.data)
+
+        return elem
+    }).reverse()})
+}}))
+
+vi.mock('../src/core/account/account', ()=>({default: Account}))
+vi.mock('../src/core/api/api', ()=>({default: {}}))
+vi.mock('../src/core/favorite', ()=>({default: {}}))
+vi.mock('../src/core/mirrors', ()=>({default: {connected: ()=>true}}))
+vi.mock('../src/core/android', ()=>({default: {}}))
+vi.mock('../src/core/platform', ()=>({default: {is: ()=>false, get: ()=>''}}))
+vi.mock('../src/core/timer', ()=>({default: {add: ()=>{}, remove: ()=>{}}}))
+vi.mock('../src/core/markers', ()=>({default: {live: ()=>{}, pass: ()=>{}, error: ()=>{}}}))
+vi.mock('../src/core/controller', ()=>({default: {}}))
+vi.mock('../src/core/lang', ()=>({default: {translate: (name)=>name}}))
+vi.mock('../src/core/account/modal', ()=>({default: {}}))
+vi.mock('../src/interaction/activity/activity', ()=>({default: {renderLayers: ()=>[]}}))
+vi.mock('../src/interaction/player', ()=>({default: {}}))
+vi.mock('../src/interaction/modal', ()=>({default: {}}))
+vi.mock('../src/interaction/template', ()=>({default: {}}))
+vi.mock('../src/interaction/noty', ()=>({default: {show: ()=>{}}}))
+vi.mock('../src/interaction/loading_progress', ()=>({default: {status: ()=>{}}}))
+
+// Account собирается из настоящих модулей после импорта, иначе круговая зависимость socket -> account -> bookmarks -> socket
+let Account = {
+    hasPremium: ()=>false
+}
+
+// Приложение берет jQuery из public/vender, так же и здесь
+new Function(fs.readFileSync('public/vender/jquery/jquery.js', 'utf8')).call(window)
+
+globalThis.$ = window.$
+
+if(!globalThis.WebSocket) globalThis.WebSocket = window.WebSocket || WebSocket
+
+window.lampa_settings = {account_use: true, account_sync: true, socket_use: true, socket_methods: true, disable_features: {}}
+
+globalThis.Lampa = {Listener: {send: (name, data)=>changed.push(data)}}
+
+const {default: Backend}   = await import('../src/core/account/backend')
+const {default: Permit}    = await import('../src/core/account/permit')
+const {default: Bookmarks} = await import('../src/core/account/bookmarks')
+const {default: Socket}    = await import('../src/core/socket')
+const {default: Timeline}  = await import('../src/interaction/timeline')
+
+Account.Permit    = Permit
+Account.Backend   = Backend
+Account.Bookmarks = Bookmarks
+
+let stand = server({codes: {'111111': 'user@mail', '222222': 'user@mail'}})
+
+/**
+ * Второе устройство того же аккаунта, говорит с сервером напрямую
+ */
+let phone = {messages: []}
+
+async function load(path, post){
+    let res = await fetch(Backend.api() + path, {
+        method: post ? 'POST' : 'GET',
+        headers: Object.assign({token: phone.token, profile: phone.profile}, post ? {'Content-Type': 'application/x-www-form-urlencoded'} : {}),
+        body: post ? new URLSearchParams(post).toString() : undefined
+    })
+
+    return res.json()
+}
+
+function send(method, data){
+    phone.socket.send(JSON.stringify(Object.assign(data, {method, device_id: 'phone', name: 'phone', account: {token: phone.token, profile: {id: phone.profile}}})))
+}
+
+/**
+ * Дождаться, пока условие выполнится
+ */
+function until(check, what){
+    let started = Date.now()
+
+    return new Promise((resolve, reject)=>{
+        let poll = ()=>{
+            let result = check()
+
+            if(result) resolve(result)
+            else if(Date.now() - started > 4000) reject(new Error('timeout: ' + what))
+            else setTimeout(poll, 20)
+        }
+
+        poll()
+    })
+}
+
+suite('sync client against the self server', () => {
+    beforeAll(async ()=>{
+        let url = await stand.listen()
+
+        stored.account_backend     = 'self'
+        stored.account_backend_url = url + '/'
+
+        // телевизор привязывается так же, как в account/device.js, и дальше работает через модули клиента
+        let tv = await (await fetch(Backend.api() + 'device/add', {method: 'POST', headers: {'Content-Type': 'application/x-www-form-urlencoded'}, body: 'code=111111'})).json()
+
+        stored.account = {token: tv.token, email: tv.email, profile: tv.profile}
+
+        let other = await load('device/add', {code: '222222'})
+
+        phone.token   = other.token
+        phone.profile = other.profile.id
+
+        await new Promise((resolve, reject)=>{
+            phone.socket = new WebSocket(Backend.socket())
+
+            phone.socket.on('message', (raw)=>phone.messages.push(JSON.parse(raw.toString())))
+            phone.socket.on('error', reject)
+            phone.socket.on('open', ()=>{
+                send('start', {})
+
+                resolve()
+            })
+        })
+
+        Timeline.init()
+
+        Socket.init()
+
+        await until(()=>Socket.devices().length == 2, 'devices')
+    })
+
+    afterAll(async ()=>{
+        // без этого сокет клиента после закрытия сервера начнет переподключаться
+        window.lampa_settings.socket_use = false
+
+        phone.socket.close()
+
+        await stand.close()
+    })
+
+    test('client is logged in to the self server', () => {
+        expect(Permit.sync).toBeTruthy()
+        expect(Socket.devices().map(d=>d.uid)).toContain('phone')
+    })
+
+    test('bookmark added on the tv reaches the server and the other device', async () => {
+        Bookmarks.push('add', 'book', {id: 10, title: 'Movie', original_title: 'Movie', release_date: '2020-01-01'})
+
+        await until(()=>Bookmarks.find({type: 'book', id: 10}), 'bookmark on the tv')
+
+        await until(()=>phone.messages.find(m=>m.method == 'bookmarks'), 'bookmarks message on the phone')
+
+        expect(changed.find(e=>e.target == 'favorite' && e.reason == 'update' && e.card.id == 10)).toBeTruthy()
+
+        let dump = await load('bookmarks/dump')
+
+        expect(dump.bookmarks.map(b=>b.type + b.card_id)).toEqual(['book10'])
+        expect(JSON.parse(dump.bookmarks[0].data).title).toEqual('Movie')
+    })
+
+    test('bookmark changed on the other device is pulled by the tv after the socket message', async () => {
+        await load('bookmarks/add', {type: 'like', card_id: 20, data: JSON.stringify({id: 20, title: 'Show', original_name: 'Show'}), time: Date.now()})
+        await load('bookmarks/remove', {type: 'book', card_id: 10, time: Date.now()})
+
+        send('bookmarks', {})
+
+        await until(()=>Bookmarks.find({type: 'like', id: 20}), 'bookmark from the phone')
+
+        expect(Bookmarks.find({type: 'book', id: 10})).toBeFalsy()
+        expect(Bookmarks.all().map(c=>c.id)).toEqual([20])
+    })
+
+    test('progress watched on the tv goes to the other device', async () => {
+        Timeline.update({hash: 'abc', percent: 40, time: 400, duration: 1000, profile: stored.account.profile.id})
+
+        let message = await until(()=>phone.messages.find(m=>m.method == 'timeline'), 'timeline on the phone')
+
+        expect(message.data.hash).toEqual('abc')
+        expect(message.data.percent).toEqual(40)
+        expect(message.data.updated).toBeTruthy()
+
+        let dump = await load('timeline/dump')
+
+        expect(dump.timelines.abc.percent).toEqual(40)
+    })
+
+    test('newer progress from the other device wins, older one is ignored', async () => {
+        let road = Timeline.view('abc')
+
+        send('timeline', {params: {hash: 'abc', percent: 70, time: 700, duration: 1000, profile: phone.profile, updated: Date.now() + 1000, device: 'phone'}})
+
+        await until(()=>Timeline.view('abc').percent == 70, 'newer progress on the tv')
+
+        send('timeline', {params: {hash: 'abc', percent: 10, time: 100, duration: 1000, profile: phone.profile, updated: 1, device: 'phone'}})
+        send('timeline', {params: {hash: 'def', percent: 5, time: 50, duration: 1000, profile: phone.profile, updated: Date.now(), device: 'phone'}})
+
+        await until(()=>Timeline.view('def').percent == 5, 'second progress on the tv')
+
+        expect(road.percent).toEqual(40)
+        expect(Timeline.view('abc').percent).toEqual(70)
+        expect(stored[Timeline.filename()].abc.device).toEqual('phone')
+    })
+})
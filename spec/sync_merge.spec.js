@@ -0,0 +1,83 @@
+import merge from '../src/utils/sync_merge'
+
+import {expect, suite, test} from 'vitest'
+
+/**
+ * Заменитель своего сервера синхронизации: хранит журнал и отдает изменения с версии
+ */
+function server(){
+    let log = []
+
+    return {
+        push: (change)=>log.push(Object.assign({entity_id: log.length + 1}, change)),
+        // как по сети, каждый раз новые объекты
+        changelog: (since)=>JSON.parse(JSON.stringify({version: log.length, changelog: log.slice(since)}))
+    }
+}
+
+suite('Sync merge tests', () => {
+    test('newer record wins', () => {
+        expect(merge.newer({updated: 20}, {updated: 10})).toBe(false)
+        expect(merge.newer({updated: 10}, {updated: 20})).toBe(true)
+        expect(merge.newer(undefined, {updated: 10})).toBe(true)
+        expect(merge.newer({updated: 1700000000500}, {updated: 1700000001})).toBe(true)
+        expect(merge.newer({updated: 1700000000500}, {updated: '2023-11-14T22:13:19Z'})).toBe(false)
+    })
+
+    test('record without time is trusted', () => {
+        expect(merge.newer({updated: 20}, {percent: 50})).toBe(true)
+        expect(merge.profile({id: 1, name: 'Local', updated: 5}, {id: 1, name: 'Server'}).name).toEqual('Server')
+        expect(merge.profile({id: 1, name: 'Local', updated: 5}, {id: 1, name: 'Server', updated: 3}).name).toEqual('Local')
+    })
+
+    test('timelines keep local progress if it is newer', () => {
+        const local  = {a: {percent: 80, updated: 300}, b: {percent: 10, updated: 100}}
+        const remote = {a: {percent: 20, updated: 200}, b: {percent: 40, updated: 200}, c: {percent: 5}}
+
+        const changed = Object.keys(remote).filter(hash=>merge.newer(local[hash], remote[hash]))
+
+        expect(changed).toEqual(['b', 'c'])
+    })
+
+    test('finished episode keeps the furthest progress', () => {
+        const local = {percent: 95, updated: 100}
+
+        expect(merge.progress(local, {percent: 30, updated: 200})).toBe(local)
+        expect(merge.progress({percent: 30, updated: 200}, {percent: 50, updated: 100}).percent).toEqual(30)
+        expect(merge.progress({percent: 30, updated: 100}, {percent: 50, updated: 200}).percent).toEqual(50)
+        expect(merge.progress(undefined, {percent: 10}).percent).toEqual(10)
+    })
+
+    test('two devices sync bookmarks through the server', () => {
+        const stand = server()
+
+        stand.push({action: 'add', id: 1, type: 'book', card_id: 10, data: {id: 10}, updated_at: 100})
+        stand.push({action: 'add', id: 2, type: 'book', card_id: 20, data: {id: 20}, updated_at: 110})
+
+        let first  = merge.changelog([], stand.changelog(0).changelog)
+        let second = merge.changelog([], stand.changelog(0).changelog)
+
+        expect(first.map(b=>b.card_id)).toEqual([20, 10])
+
+        // второе устройство удаляет закладку, первое позже добавляет ее снова
+        stand.push({action: 'remove', entity_id: 1, updated_at: 120})
+
+        first[1].time = 130
+
+        first  = merge.changelog(first, stand.changelog(2).changelog)
+        second = merge.changelog(second, stand.changelog(2).changelog)
+
+        expect(first.map(b=>b.card_id)).toEqual([20, 10])
+        expect(second.map(b=>b.card_id)).toEqual([20])
+    })
+
+    test('changelog is applied in time order', () => {
+        const result = merge.changelog([], [
+            {action: 'clear', entity_id: 'book', updated_at: 200},
+            {action: 'add', id: 1, type: 'book', card_id: 10, data: {id: 10}, updated_at: 100},
+            {action: 'add', id: 2, type: 'like', card_id: 10, data: {id: 10}, updated_at: 150}
+        ])
+
+        expect(result.map(b=>b.type)).toEqual(['like'])
+    })
+})
@@ -0,0 +1,268 @@
+import http from 'http'
+import {WebSocketServer} from 'ws'
+
+/**
+ * Свой сервер синхронизации для тестов: HTTP и WebSocket по протоколу из src/core/account/backend.js.
+ * Все хранится в памяти, аккаунт определяется по заголовку token или account.token в сообщении сокета.
+ *
+ * let stand = server({codes: {'123456': 'user@mail'}})
+ * let url   = await stand.listen()  // http://127.0.0.1:port
+ * ...
+ * await stand.close()
+ */
+
+function body(req){
+    return new Promise((resolve)=>{
+        let chunks = []
+
+        req.on('data', (chunk)=>chunks.push(chunk))
+        req.on('end', ()=>{
+            let text = Buffer.concat(chunks).toString()
+
+            if(!text) return resolve({})
+
+            if((req.headers['content-type'] || '').indexOf('json') >= 0){
+                try{
+                    return resolve(JSON.parse(text))
+                }
+                catch(e){
+                    return resolve({})
+                }
+            }
+
+            resolve(Object.fromEntries(new URLSearchParams(text)))
+        })
+    })
+}
+
+function account(email){
+    return {
+        email,
+        token: 'token_' + Math.random().toString(36).slice(2),
+        version: 0,
+        profiles: [{id: 1, name: 'Main', icon: 'l_1', main: true, child: false, age: 0, updated: Date.now()}],
+        bookmarks: [],
+        changelog: [],
+        timelines: {}
+    }
+}
+
+export function server(options = {}){
+    let codes    = options.codes || {}
+    let accounts = {}
+    let sockets  = []
+
+    let find = (token)=>Object.values(accounts).find(a=>a.token == token)
+
+    /**
+     * Записать изменение закладок, версия растет с каждым изменением
+     */
+    let change = (user, entry)=>{
+        user.version++
+
+        entry.version    = user.version
+        entry.updated_at = entry.updated_at || Date.now()
+
+        user.changelog.push(entry)
+    }
+
+    let routes = {
+        'POST device/add': (user, data)=>{
+            let email = codes[data.code]
+
+            if(!email) return {secuses: false, text: 'code not found'}
+
+            accounts[email] = accounts[email] || account(email)
+
+            return {secuses: true, token: accounts[email].token, email, profile: accounts[email].profiles[0]}
+        },
+
+        'GET users/get': (user)=>({secuses: true, user: {email: user.email, premium: 0}}),
+
+        'GET profiles/all': (user)=>({secuses: true, profiles: user.profiles}),
+
+        'POST profiles/create': (user, data)=>{
+            let profile = {id: user.profiles.length + 1, name: data.name || '', icon: 'l_1', main: false, child: false, age: 0, updated: Date.now()}
+
+            user.profiles.push(profile)
+
+            return {secuses: true, profile}
+        },
+
+        'GET bookmarks/dump': (user, data, profile)=>({
+            secuses: true,
+            version: user.version,
+            bookmarks: user.bookmarks.filter(b=>b.profile == profile)
+        }),
+
+        'GET bookmarks/changelog': (user, data, profile, query)=>({
+            secuses: true,
+            version: user.version,
+            changelog: user.changelog.filter(c=>c.profile == profile && c.version > (parseInt(query.get('since')) || 0))
+        }),
+
+        'POST bookmarks/add': (user, data, profile)=>{
+            let time  = parseInt(data.time) || Date.now()
+            let found = user.bookmarks.find(b=>b.profile == profile && b.type == data.type && b.card_id == data.card_id)
+            let mark  = found || {id: user.version + 1, profile, type: data.type, card_id: parseInt(data.card_id)}
+
+            mark.data = data.data
+            mark.time = time
+
+            if(!found) user.bookmarks.push(mark)
+
+            change(user, {action: found ? 'update' : 'add', profile, entity_id: mark.id, id: mark.id, card_id: mark.card_id, type: mark.type, data: mark.data, updated_at: time})
+
+            return {secuses: true}
+        },
+
+        'POST bookmarks/remove': (user, data, profile)=>{
+            let found = user.bookmarks.find(b=>b.profile == profile && b.type == data.type && b.card_id == data.card_id)
+
+            if(found){
+                user.bookmarks.splice(user.bookmarks.indexOf(found), 1)
+
+                change(user, {action: 'remove', profile, entity_id: found.id, updated_at: parseInt(data.time) || 0})
+            }
+
+            return {secuses: true}
+        },
+
+        'POST bookmarks/clear': (user, data, profile)=>{
+            user.bookmarks = user.bookmarks.filter(b=>!(b.profile == profile && b.type == data.group))
+
+            change(user, {action: 'clear', profile, entity_id: data.group})
+
+            return {secuses: true}
+        },
+
+        'GET timeline/dump': (user, data, profile)=>({
+            secuses: true,
+            version: user.version,
+            timelines: timelines(user, profile, 0)
+        }),
+
+        'GET timeline/changelog': (user, data, profile, query)=>({
+            secuses: true,
+            version: user.version,
+            timelines: timelines(user, profile, parseInt(query.get('since')) || 0)
+        })
+    }
+
+    let timelines = (user, profile, since)=>{
+        let result = {}
+
+        for(let hash in user.timelines){
+            let road = user.timelines[hash]
+
+            if(road.profile == profile && road.version > since) result[hash] = road
+        }
+
+        return result
+    }
+
+    let handler = async (req, res)=>{
+        let url   = new URL(req.url, 'http://localhost')
+        let path  = url.pathname.replace(/^\/api\//, '')
+        let route = routes[req.method + ' ' + path]
+        let user  = find(req.headers.token)
+        let reply = (code, json)=>{
+            res.writeHead(code, {'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*'})
+            res.end(JSON.stringify(json))
+        }
+
+        // Браузер перед запросом с заголовками token и profile спрашивает разрешение
+        if(req.method == 'OPTIONS'){
+            res.writeHead(204, {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'GET, POST',
+                'Access-Control-Allow-Headers': 'token, profile, content-type'
+            })
+
+            return res.end()
+        }
+
+        if(!route) return reply(404, {secuses: false, text: 'not found'})
+
+        if(path !== 'device/add' && !user) return reply(403, {secuses: false, text: 'token not found'})
+
+        reply(200, route(user, await body(req), parseInt(req.headers.profile) || 0, url.searchParams))
+    }
+
+    let http_server = http.createServer(handler)
+    let ws_server   = new WebSocketServer({server: http_server, path: '/socket'})
+
+    /**
+     * Разослать сообщение устройствам аккаунта, кроме отправителя
+     */
+    let broadcast = (from, method, data)=>{
+        sockets.forEach(socket=>{
+            if(socket !== from && socket.user && socket.user === from.user) socket.send(JSON.stringify({method, data}))
+        })
+    }
+
+    ws_server.on('connection', (socket)=>{
+        sockets.push(socket)
+
+        socket.on('close', ()=>{
+            sockets.splice(sockets.indexOf(socket), 1)
+        })
+
+        socket.on('message', (raw)=>{
+            let text = raw.toString()
+
+            if(text == 'ping') return socket.send('pong')
+
+            let message
+
+            try{
+                message = JSON.parse(text)
+            }
+            catch(e){
+                return
+            }
+
+            let user = find(message.account && message.account.token)
+
+            if(!user) return
+
+            socket.user      = user
+            socket.device_id = message.device_id
+            socket.name      = message.name
+
+            if(message.method == 'start' || message.method == 'check_token'){
+                let devices = sockets.filter(s=>s.user === user).map(s=>({uid: s.device_id, name: s.name}))
+
+                sockets.forEach(s=>{
+                    if(s.user === user) s.send(JSON.stringify({method: 'devices', data: devices}))
+                })
+            }
+            else if(message.method == 'timeline' && message.params && message.params.hash){
+                let params = message.params
+
+                user.version++
+
+                user.timelines[params.hash] = Object.assign({}, params, {version: user.version})
+
+                broadcast(socket, 'timeline', params)
+            }
+            else if(message.method == 'bookmarks'){
+                broadcast(socket, 'bookmarks', message.params || {})
+            }
+        })
+    })
+
+    return {
+        listen: ()=>new Promise((resolve)=>{
+            http_server.listen(0, '127.0.0.1', ()=>resolve('http://127.0.0.1:' + http_server.address().port))
+        }),
+
+        close: ()=>new Promise((resolve)=>{
+            sockets.forEach(s=>s.terminate())
+
+            ws_server.close(()=>http_server.close(()=>resolve()))
+        }),
+
+        accounts: ()=>accounts
+    }
+}
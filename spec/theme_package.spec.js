@@ -0,0 +1,40 @@
+import themes from '../src/utils/theme_package'
+
+import {expect, suite, test} from 'vitest'
+
+suite('Theme package tests', () => {
+    test('normalize drops invalid values', () => {
+        const theme = themes.normalize({
+            id: 'my theme!',
+            name: ' Ocean ',
+            variables: {accent: '#2196F3', background: 'url(javascript:1)', card_radius: '9', font: 'Arial; color:red'},
+            background: {type: 'image', image: 'javascript:alert(1)', blur: 12}
+        })
+
+        expect(theme.id).toBe('mytheme')
+        expect(theme.name).toBe('Ocean')
+        expect(theme.variables).toEqual({accent: '#2196f3', background: '#1d1f20', card_radius: 3, focus_ring: '#ffffff', font: 'SegoeUI'})
+        expect(theme.background).toEqual({type: 'image', color: '#000000', blur: 12, image: ''})
+    })
+
+    test('css only overrides changed variables', () => {
+        const plain = themes.css(themes.defaults())
+
+        expect(plain.split('\n').length).toBe(1)
+        expect(plain).toContain('--theme-accent: #ffffff')
+
+        const dark = themes.css({variables: {accent: '#222', card_radius: 0.5}})
+
+        expect(dark).toContain('.settings-param.focus{background-color: #222; color: #ffffff}')
+        expect(dark).toContain('.card__img, .card__view{border-radius: 0.5em}')
+        expect(dark).not.toContain('body{')
+    })
+
+    test('pack and unpack', () => {
+        const theme = themes.normalize({id: 'sea', name: 'Sea', variables: {focus_ring: 'rgb(0, 150, 255)'}})
+
+        expect(themes.unpack(themes.pack(theme))).toEqual(theme)
+        expect(()=>themes.unpack('{"type":"lampa_backup"}')).toThrow()
+        expect(()=>themes.unpack('not json')).toThrow()
+    })
+})
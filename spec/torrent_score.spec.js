@@ -0,0 +1,53 @@
+import scorer from '../src/utils/torrent_score'
+
+import {expect, suite, test} from 'vitest'
+
+const GB = 1024 * 1024 * 1024
+
+const list = [
+    {Title: 'Movie (2023) WEB-DL 1080p | Дублированный | Rus, Eng', Seeders: 120, Size: 8 * GB},
+    {Title: 'Movie (2023) UHD BDRemux 2160p | HDR | D | Rus, Eng', Seeders: 25, Size: 55 * GB},
+    {Title: 'Movie (2023) UHD BDRemux 2160p | HDR | P | Rus, Eng', Seeders: 40, Size: 70 * GB},
+    {Title: 'Movie.2023.2160p.WEB-DL.DV.HDR10.HEVC-GRP', Seeders: 5, Size: 20 * GB},
+    {Title: 'Movie (2023) BDRip 720p | A | Rus', Seeders: 300, Size: 2 * GB}
+]
+
+function testBest(title, profile, need) {
+    test(title, () => {
+        const found = scorer.best(profile, list)
+
+        expect(found ? found.Title : null).toEqual(need)
+    })
+}
+
+suite('Profile tests', () => {
+    testBest('4K HDR Remux, min 10 seeders, dub, < 60 GB', {
+        quality: ['4k'], hdr: 1, source: ['Remux'], voice_types: ['dub'], min_seeders: 10, max_size: 60
+    }, list[1].Title)
+
+    testBest('Empty profile picks nothing', {}, null)
+
+    testBest('No release matches a non-strict profile', {
+        quality: ['480p'], source: ['DVDRip']
+    }, null)
+
+    testBest('Preferred quality order', {
+        quality: ['1080p', '4k']
+    }, list[0].Title)
+
+    testBest('Avoid Dolby Vision', {
+        quality: ['4k'], dv: 2, max_size: 60
+    }, list[1].Title)
+
+    testBest('Strict profile rejects everything', {
+        quality: ['480p'], strict: true
+    }, null)
+
+    testBest('Min seeders filters small releases', {
+        quality: ['4k'], hdr: 1, dv: 1, min_seeders: 10
+    }, list[2].Title)
+
+    test('Score is -1 for too large release', () => {
+        expect(scorer.score({max_size: 60}, list[2])).toEqual(-1)
+    })
+})
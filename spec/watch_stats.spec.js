@@ -0,0 +1,44 @@
+import stats from '../src/utils/watch_stats'
+
+import {expect, suite, test} from 'vitest'
+
+const now = new Date(2024, 4, 15, 20, 0).getTime() // среда
+const day = 1000 * 60 * 60 * 24
+
+suite('Watch stats tests', () => {
+    test('hours by weeks and months', () => {
+        const result = stats.time({
+            a: {percent: 100, time: 3600, duration: 3600, updated: now},
+            b: {percent: 50, time: 0, duration: 1800, updated: now - day * 7},
+            c: {percent: 10, time: 600, duration: 6000},
+            d: 40
+        }, {now, weeks: 2, months: 2})
+
+        expect(result.total).toEqual({seconds: 5100, files: 3, finished: 1})
+        expect(result.weeks.map(w=>w.seconds)).toEqual([900, 3600])
+        expect(result.months.map(m=>m.seconds)).toEqual([0, 4500])
+        expect(new Date(result.weeks[1].from).getDay()).toEqual(1)
+    })
+
+    test('streaks', () => {
+        expect(stats.streak(['2024-05-10', '2024-05-11', '2024-05-12', '2024-05-14', '2024-05-15'], now)).toEqual({longest: 3, current: 2})
+        expect(stats.streak(['2024-05-01'], now)).toEqual({longest: 1, current: 0})
+        expect(stats.streak([], now)).toEqual({longest: 0, current: 0})
+    })
+
+    test('top genres and people', () => {
+        const cards = [{id: 1, genre_ids: [18, 35]}, {id: 2, genre_ids: [18]}, {id: 3}]
+        const people = {1: [{id: 7, name: 'Actor'}], 2: [{id: 7, name: 'Actor'}, {id: 8, name: 'Director'}]}
+
+        expect(stats.genres(cards)).toEqual([{id: 18, count: 2}, {id: 35, count: 1}])
+        expect(stats.people(cards, people, card=>card.id)).toEqual([{id: 7, name: 'Actor', count: 2}, {id: 8, name: 'Director', count: 1}])
+    })
+
+    test('series completion', () => {
+        const hash = (s, e)=>s + ':' + e
+        const card = {number_of_seasons: 2, number_of_episodes: 4}
+
+        expect(stats.series(card, {'1:1': {percent: 100}, '1:2': {percent: 95}, '2:1': {percent: 30}}, hash)).toEqual({watched: 2, total: 4, percent: 50})
+        expect(stats.series({}, {}, hash)).toEqual({watched: 0, total: 0, percent: 0})
+    })
+})
@@ -50,6 +50,7 @@ import Info from './interaction/info_old'
 import Card from './interaction/card'
 import Account from './core/account/account'
 import Plugins from './core/plugins'
+import PluginApi from './core/plugin_api'
 import Socket from './core/socket'
 import Recomends from './core/recomend'
 import TimeTable from './core/timetable'
@@ -64,6 +65,11 @@ import LangChoice from './interaction/lang'
 import Extensions from './interaction/extensions/extensions'
 import Iframe from './interaction/iframe'
 import Parser from './core/api/sources/parser'
+import ParserEndpoints from './core/parser_endpoints'
+import TorrentProfiles from './core/torrent_profiles'
+import BackupLocal from './core/backup_local'
+import KeypadLearn from './core/keypad_learn'
+import Statistics from './core/statistics'
 import TMDB from './core/tmdb/tmdb'
 import Base64 from './utils/base64'
 import Loading from './interaction/loading'
@@ -75,6 +81,7 @@ import Developer from './interaction/developer'
 import DeviceInput from './interaction/device_input'
 import AppWorker from './utils/worker'
 import Theme from './core/theme'
+import ThemeEditor from './core/theme_editor'
 import AdManager from './interaction/advert/manager'
 import DB from './utils/db'
 import NavigationBar from './interaction/navigation_bar'
@@ -276,6 +283,7 @@ function initClass(){
         NoticeClass,
         NoticeClassLampa,
         Background,
+        Theme,
         Favorite,
         Select,
         Controller,
@@ -319,12 +327,17 @@ function initClass(){
         InteractionLine,
         Status,
         Plugins,
+        PluginApi,
         Extensions,
         Tizen,
         Layer,
         Console,
         Iframe,
         Parser,
+        ParserEndpoints,
+        TorrentProfiles,
+        BackupLocal,
+        Statistics,
         Manifest,
         TMDB,
         Base64,
@@ -580,12 +593,30 @@ function startApp(){
     Parser.init()
     LoadingProgress.status('Parser init')
 
+    ParserEndpoints.init()
+    LoadingProgress.status('ParserEndpoints init')
+
+    TorrentProfiles.init()
+    LoadingProgress.status('TorrentProfiles init')
+
+    BackupLocal.init()
+    LoadingProgress.status('BackupLocal init')
+
+    KeypadLearn.init()
+    LoadingProgress.status('KeypadLearn init')
+
+    Statistics.init()
+    LoadingProgress.status('Statistics init')
+
     WebOSLauncher.init()
     LoadingProgress.status('WebOSLauncher init')
 
     Theme.init()
     LoadingProgress.status('Theme init')
 
+    ThemeEditor.init()
+    LoadingProgress.status('ThemeEditor init')
+
     AdManager.init()
     LoadingProgress.status('AdManager init')
 
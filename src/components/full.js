@@ -18,6 +18,7 @@ import Background from '../interaction/background'
 import Template from '../interaction/template'
 import Permit from '../core/account/permit'
 import TMDB from '../core/api/sources/tmdb'
+import ContentRating from '../core/content_rating'
 
 let components = {
     start: Start,
@@ -52,7 +53,7 @@ function component(object){
             Api.full(object, (data)=>{
                 if(!data.movie) return this.emit('error', {empty: true})
                 
-                if(data.movie.blocked) return this.emit('error', {blocked: true})
+                if(data.movie.blocked || !ContentRating.allowed(data.movie)) return this.emit('error', {blocked: true})
 
                 // Для плагинов которые используют Activity.active().card
                 object.card = data.movie
@@ -0,0 +1,173 @@
+import Controller from '../core/controller'
+import Utils from '../utils/utils'
+import Lang from '../core/lang'
+import Select from '../interaction/select'
+import Router from '../core/router'
+import Statistics from '../core/statistics'
+import Category from '../interaction/items/category'
+import CategoryModule from '../interaction/items/category/module/module'
+
+/**
+ * Компонент "Статистика просмотров"
+ * @param {*} object
+ */
+
+function component(object){
+    let comp = Utils.createInstance(Category, object, {
+        module: CategoryModule.only('Loading'),
+        loading: {
+            icon: 'card'
+        }
+    })
+
+    let profiles = Statistics.profiles()
+    let profile  = profiles.find(p=>p.current) || profiles[0]
+
+    function hours(seconds){
+        return (Math.round(seconds / 360) / 10) + ' ' + Lang.translate('time_h')
+    }
+
+    comp.use({
+        onCreate: function(){
+            this.build(Statistics.collect(profile.file))
+        },
+        onBuild: function(data){
+            let html = $('<div class="statistics"></div>')
+
+            let filter = $(`<div class="statistics__filter selector"><span>${Lang.translate('statistics_profile')}:</span> <b></b></div>`)
+
+            filter.find('b').text(profile.title)
+
+            filter.on('hover:enter', ()=>{
+                Select.show({
+                    title: Lang.translate('statistics_profile'),
+                    items: profiles.map(p=>({title: p.title, selected: p == profile, profile: p})),
+                    onSelect: (a)=>{
+                        profile = a.profile
+
+                        this.rebuild()
+                    },
+                    onBack: ()=>{
+                        Controller.toggle('content')
+                    }
+                })
+            })
+
+            html.append(filter)
+
+            let time   = data.time
+            let totals = $('<div class="statistics__totals selector"></div>')
+
+            let tiles = [
+                [hours(time.total.seconds), 'statistics_total'],
+                [time.total.finished, 'statistics_finished'],
+                [time.streak.longest, 'statistics_streak_longest'],
+                [time.streak.current, 'statistics_streak_current']
+            ]
+
+            tiles.forEach(tile=>{
+                let item = $('<div class="statistics__tile"><div class="statistics__tile-value"></div><div class="statistics__tile-name"></div></div>')
+
+                item.find('.statistics__tile-value').text(tile[0])
+                item.find('.statistics__tile-name').text(Lang.translate(tile[1]))
+
+                totals.append(item)
+            })
+
+            html.append(totals)
+
+            html.append(this.chart(Lang.translate('statistics_weeks'), time.weeks, (from)=>Utils.parseTime(from).short))
+            html.append(this.chart(Lang.translate('statistics_months'), time.months, (from)=>Lang.translate('month_' + (new Date(from).getMonth() + 1))))
+
+            if(data.genres.length) html.append(this.list(Lang.translate('statistics_genres'), data.genres.map(g=>({name: g.name, value: g.count, percent: g.count / data.genres[0].count * 100}))))
+            if(data.people.length) html.append(this.list(Lang.translate('statistics_people'), data.people.map(p=>({name: p.name, value: p.count, percent: p.count / data.people[0].count * 100}))))
+
+            if(data.series.length){
+                html.append(`<div class="statistics__title">${Lang.translate('statistics_series')}</div>`)
+
+                data.series.forEach(serial=>{
+                    let last = serial.last.season ? ' - S' + serial.last.season + (serial.last.episode ? ' E' + serial.last.episode : '') : ''
+                    let item = this.row(serial.card.name || serial.card.title, serial.watched + ' / ' + serial.total + last, serial.percent)
+
+                    item.addClass('selector').on('hover:enter', ()=>{
+                        Router.call('full', serial.card)
+                    })
+
+                    html.append(item)
+                })
+            }
+
+            if(!time.total.files) html.append(`<div class="statistics__empty">${Lang.translate('statistics_empty')}</div>`)
+
+            html.find('.selector').on('hover:focus', (e)=>{
+                this.last = e.target
+
+                this.scroll.update($(e.target), true)
+            })
+
+            $(this.body).append(html)
+        }
+    })
+
+    comp.rebuild = function(){
+        this.last = false
+
+        $(this.body).empty()
+
+        this.emit('build', Statistics.collect(profile.file))
+
+        Controller.toggle('content')
+    }
+
+    /**
+     * Столбики времени просмотра
+     * @param {string} title
+     * @param {[{from:number, seconds:number}]} items
+     * @param {(from:number)=>string} name - подпись столбика
+     */
+    comp.chart = function(title, items, name){
+        let max   = Math.max.apply(null, items.map(i=>i.seconds).concat([1]))
+        let block = $(`<div class="statistics__block selector"><div class="statistics__title">${title}</div><div class="statistics__chart"></div></div>`)
+
+        items.forEach(item=>{
+            let bar = $('<div class="statistics__bar"><div class="statistics__bar-value"></div><div class="statistics__bar-line"><div></div></div><div class="statistics__bar-name"></div></div>')
+
+            bar.find('.statistics__bar-value').text(item.seconds ? hours(item.seconds) : '')
+            bar.find('.statistics__bar-line > div').css('height', (item.seconds / max * 100) + '%')
+            bar.find('.statistics__bar-name').text(name(item.from))
+
+            block.find('.statistics__chart').append(bar)
+        })
+
+        return block
+    }
+
+    /**
+     * Список с полосками
+     * @param {string} title
+     * @param {[{name:string, value:number, percent:number}]} items
+     */
+    comp.list = function(title, items){
+        let block = $(`<div class="statistics__block selector"><div class="statistics__title">${title}</div></div>`)
+
+        items.forEach(item=>{
+            block.append(this.row(item.name, item.value, item.percent))
+        })
+
+        return block
+    }
+
+    comp.row = function(name, value, percent){
+        let row = $('<div class="statistics__row"><div class="statistics__row-name"></div><div class="statistics__row-value"></div><div class="statistics__row-line"><div></div></div></div>')
+
+        row.find('.statistics__row-name').text(name)
+        row.find('.statistics__row-value').text(value)
+        row.find('.statistics__row-line > div').css('width', Math.min(100, percent) + '%')
+
+        return row
+    }
+
+    return comp
+}
+
+export default component
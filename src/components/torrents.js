@@ -21,6 +21,8 @@ import Explorer from '../interaction/explorer'
 import Layer from '../core/layer'
 import WatchedHistory from '../interaction/watched_history'
 import Listener from './torrents/listener'
+import ReleaseParser from '../utils/release_parser'
+import TorrentProfiles from '../core/torrent_profiles'
 
 import voices from './torrents/voices'
 import filter_langs from './torrents/lang'
@@ -54,11 +56,15 @@ function component(object){
     let last
     let last_filter
     let initialized
+    let builded
+    let picked
+
+    let sources_html = $('<div class="torrent-sources hide"></div>')
 
     let filter_items = {
-        quality: [Lang.translate('torrent_parser_any_one'),'4k','1080p','720p'],
+        quality: [Lang.translate('torrent_parser_any_one')].concat(ReleaseParser.qualities),
         hdr: [Lang.translate('torrent_parser_no_choice'),Lang.translate('torrent_parser_yes'),Lang.translate('torrent_parser_no')],
-        dv: [Lang.translate('torrent_parser_no_choice'), 'Dolby Vision', 'Dolby Vision TV', Lang.translate('torrent_parser_no')],
+        dv: [Lang.translate('torrent_parser_no_choice')].concat(ReleaseParser.dv_types.map(a=>a.title), [Lang.translate('torrent_parser_no')]),
         sub: [Lang.translate('torrent_parser_no_choice'),Lang.translate('torrent_parser_yes'),Lang.translate('torrent_parser_no')],
         voice: [],
         tracker: [Lang.translate('torrent_parser_any_two')],
@@ -98,8 +104,7 @@ function component(object){
         filter_items.year.push((y - (19 - i)) + '')
     }
 
-    let finded_seasons      = []
-    let finded_seasons_full = []
+    let finded_seasons = []
 
     filter_items.lang = filter_items.lang.concat(filter_langs.map(a=>Lang.translate(a.title)))
     
@@ -155,15 +160,27 @@ function component(object){
         Parser.get(object,(data)=>{
             results = data
 
-            this.build()
+            picked = object.from_search ? null : TorrentProfiles.best(results.Results)
 
-            Layer.update(scroll.render(true))
+            this.sources(false)
 
-            this.activity.loader(false)
+            if(builded) this.update()
+            else this.ready()
 
-            this.activity.toggle()
+            this.autopick()
         },(text)=>{
+            this.sources(false)
+
             this.empty(Lang.translate('torrent_error_connect') + ': ' + text)
+        },(data)=>{
+            this.sources(data.sources)
+
+            if(!data.Results.length) return
+
+            results = data
+
+            if(builded) this.update()
+            else this.ready()
         })
 
         filter.onSearch = (value)=>{
@@ -184,6 +201,105 @@ function component(object){
         filter.addButtonBack()
 
         files.appendHead(filter.render())
+
+        files.appendHead(sources_html)
+    }
+
+    /**
+     * Первый вывод списка, дальше только обновляем
+     */
+    this.ready = function(){
+        builded = true
+
+        this.build()
+
+        Layer.update(scroll.render(true))
+
+        this.activity.loader(false)
+
+        this.activity.toggle()
+    }
+
+    /**
+     * Показать какие источники еще в ожидании или с ошибкой
+     * @param {[{name:string, status:string, count:number, error:string}]|boolean} sources - false если опрос завершен
+     */
+    this.sources = function(sources){
+        if(sources === false){
+            sources_html.find('.torrent-sources__item--pending').remove()
+
+            sources_html.toggleClass('hide', !sources_html.find('.torrent-sources__item--error').length)
+
+            return
+        }
+
+        sources_html.empty().removeClass('hide')
+
+        if(sources.length < 2 && sources.every(s=>s.status !== 'error')) return sources_html.addClass('hide')
+
+        sources.forEach(source=>{
+            let item = $('<div class="torrent-sources__item torrent-sources__item--' + source.status + '"></div>')
+
+            item.text(source.name + (source.status == 'done' ? ' - ' + source.count : source.status == 'error' ? ' - ' + Lang.translate('torrent_parser_source_error') : ''))
+
+            if(source.error) item.attr('title', source.error)
+
+            sources_html.append(item)
+        })
+    }
+
+    /**
+     * Обновить список после ответа очередного источника, фокус остается на той же раздаче
+     */
+    this.update = function(){
+        let focused = last ? $(last).data('element') : false
+
+        filter.sort(results.Results, Storage.get('torrents_sort','Seeders'))
+
+        this.sortWithViewed()
+
+        this.buildFilterd()
+
+        this.filtred()
+
+        this.reset()
+
+        this.showResults(Math.max(1, object.page || 1))
+
+        if(focused){
+            let found = scroll.render().find('.torrent-item').filter(function(){
+                return $(this).data('element') === focused
+            })[0]
+
+            if(found) last = found
+        }
+
+        if(last) scroll.update($(last), true)
+
+        if(Controller.enabled().name == 'content') Controller.toggle('content')
+    }
+
+    /**
+     * Запустить раздачу, выбранную профилем, если пользователь ничего не нажал
+     */
+    this.autopick = function(){
+        let profile = TorrentProfiles.active()
+
+        if(!picked || !profile || !profile.autostart || Controller.enabled().name !== 'content') return
+
+        let item = scroll.render().find('.torrent-item').filter(function(){
+            return $(this).data('element') === picked
+        })[0]
+
+        if(!item) return
+
+        last = item
+
+        Controller.collectionFocus(last, scroll.render())
+
+        Noty.show(Lang.translate('torrent_profile_picked') + ': ' + profile.name)
+
+        Torrent.autostart($(item))
     }
 
     this.empty = function(descr, add_button){
@@ -288,6 +404,13 @@ function component(object){
         popular.sort((a,b)=>b.Seeders - a.Seeders)
 
         results.Results = popular.concat(other)
+
+        // выбранная профилем раздача всегда первая
+        if(picked){
+            Arrays.remove(results.Results, picked)
+
+            results.Results.unshift(picked)
+        }
     }
 
     this.cardID = function(){
@@ -350,61 +473,25 @@ function component(object){
         
 
         results.Results.forEach(element => {
-            let title = element.Title.toLowerCase(),
-                tracker = element.Tracker;
-            
-            for(let i = 0; i < voices.length; i++){
-                let voice = voices[i].toLowerCase()
+            let release = this.release(element)
+            let tracker = element.Tracker || ''
 
-                if(title.indexOf(voice) >= 0){
-                    if(filter_items.voice.indexOf(voices[i]) == -1) filter_items.voice.push(voices[i])
-                }
-                
-                if(element.info && element.info.voices){
-                    if(element.info.voices.map(v=>v.toLowerCase()).indexOf(voice) >= 0){
-                        if(filter_items.voice.indexOf(voices[i]) == -1) filter_items.voice.push(voices[i])
-                    }
-                }
-            }
+            release.voices.concat(element.info && element.info.voices ? element.info.voices : []).forEach(voice=>{
+                let name = voices.find(v=>v.toLowerCase() == voice.toLowerCase())
+
+                if(name && filter_items.voice.indexOf(name) == -1) filter_items.voice.push(name)
+            })
 
             tracker.split(',').forEach(t=>{
                 if(filter_items.tracker.indexOf(t.trim()) === -1) filter_items.tracker.push(t.trim())
             })
 
-            let season = title.match(/.?s\[(\d+)-\].?|.?s(\d+).?|.?\((\d+) сезон.?|.?season (\d+),.?/)
-
-            if(season){
-                season = season.filter(c=>c)
-
-                if(season.length > 1){
-                    let orig   = season[1]
-                    let number = parseInt(orig) + ''
-
-                    if(number && finded_seasons.indexOf(number) == -1){
-                        finded_seasons.push(number)
-                        finded_seasons_full.push(orig)
-                    }
-                }
-            }
-        })
-
-        finded_seasons_full.sort((a,b)=>{
-            let ac = parseInt(a)
-            let bc = parseInt(b)
-
-            if(ac > bc) return 1
-            else if(ac < bc) return -1
-            else return 0
+            release.seasons.forEach(season=>{
+                if(finded_seasons.indexOf(season + '') == -1) finded_seasons.push(season + '')
+            })
         })
 
-        finded_seasons.sort((a,b)=>{
-            let ac = parseInt(a)
-            let bc = parseInt(b)
-
-            if(ac > bc) return 1
-            else if(ac < bc) return -1
-            else return 0
-        })
+        finded_seasons.sort((a,b)=>parseInt(a) - parseInt(b))
 
         if(finded_seasons.length) filter_items.season = filter_items.season.concat(finded_seasons)
 
@@ -551,12 +638,13 @@ function component(object){
             }
         }
 
+        // выбранная профилем раздача проходит фильтры как все, если не прошла - ее не закрепляем
         filtred  = results.Results.filter((element)=>{
             if(filter_any){
                 let passed  = false,
                     nopass  = false,
-                    title   = element.Title.toLowerCase(),
-                    tracker = element.Tracker;
+                    release = this.release(element),
+                    tracker = element.Tracker || '';
 
                 let qua = Arrays.toArray(filter_data.quality),
                     hdr = filter_data.hdr,
@@ -569,14 +657,8 @@ function component(object){
                     yer = filter_data.year,
                     _3d = filter_data._3d
 
-                let test = function(search, test_index){
-                    let regex = new RegExp(search)
-                    
-                    return test_index ? title.indexOf(search) >= 0 : regex.test(title)
-                }
-
-                let check = function(search, invert){
-                    if(test(search)){
+                let check = function(value, invert){
+                    if(value){
                         if(invert) nopass = true
                         else passed = true
                     } 
@@ -593,27 +675,16 @@ function component(object){
 
                     arr.forEach(a=>{
                         if(type == 'quality'){
-                            if(a == '4k' && test('(4k|uhd)[ |\\]|,|$]|2160[pр]|ultrahd')) any = true
-                            if(a == '1080p' && test('fullhd|1080[pр]')) any = true
-                            if(a == '720p' && test('720[pр]')) any = true
+                            if(release.quality == a) any = true
                         }
                         if(type == 'voice'){
                             let p = filter_items.voice.indexOf(a)
                             let n = element.info && element.info.voices ? element.info.voices.map(v=>v.toLowerCase()) : []
 
-                            if(p == 1){
-                                if(test('дублирован|дубляж|  apple| dub| d[,| |$]|[,|\\s]дб[,|\\s|$]')) any = true
-                            }
-                            else if(p == 2){
-                                if(test('многоголос| p[,| |$]|[,|\\s](лм|пм)[,|\\s|$]')) any = true
-                            }
-                            else if(p == 3){
-                                if(test('двухголос|двуголос| l2[,| |$]|[,|\\s](лд|пд)[,|\\s|$]')) any = true
-                            }
-                            else if(p == 4){
-                                if(test('любитель|авторский| l1[,| |$]|[,|\\s](ло|ап)[,|\\s|$]')) any = true
+                            if(p >= 1 && p <= ReleaseParser.voice_types.length){
+                                if(release.voice_types.indexOf(ReleaseParser.voice_types[p - 1]) >= 0) any = true
                             }
-                            else if(test(a.toLowerCase(),true)) any = true
+                            else if(release.voices.indexOf(a) >= 0) any = true
                             else if(n.length && n.indexOf(a.toLowerCase()) >= 0) any = true
                         }
                         if(type == 'lang'){
@@ -621,36 +692,24 @@ function component(object){
                             let c = filter_langs[p - 1]
 
                             if(c){
+                                let codes = c.code.split('|')
+                                let known = codes.filter(code=>ReleaseParser.languages.indexOf(code) >= 0)
+                                let title = (element.Title || '').toLowerCase()
+
                                 if(element.languages){                            
-                                    if(element.languages.find(l=>l.toLowerCase().slice(0,2) == c.code)) any = true
+                                    if(element.languages.find(l=>codes.indexOf(l.toLowerCase().slice(0,2)) >= 0)) any = true
                                 }
-                                else if(title.indexOf(c.code) >= 0) any = true
+                                else if(known.length && release.languages.find(l=>known.indexOf(l) >= 0)) any = true
+                                // языки, которых нет в разборщике, ищем по названию как раньше
+                                else if(codes.find(code=>known.indexOf(code) == -1 && title.indexOf(code) >= 0)) any = true
                             }
                             else any = true
                         }
                         if(type == 'tracker'){
                             if(tracker.split(',').find(t=>t.trim().toLowerCase() == a.toLowerCase())) any = true
                         }
-
-                        if (type == 'season') {
-                            let i = finded_seasons.indexOf(a)
-                            let f = parseInt(finded_seasons_full[i])
-
-                            var SES1 = title.match(/\[s(\d+)-(\d+)\]/)
-                            var SES2 = title.match(/season (\d+)-(\d+)/)
-                            var SES3 = title.match(/season (\d+) - (\d+).?/)
-                            var SES4 = title.match(/сезон: (\d+)-(\d+) \/.?/)
-
-                            function pad(n) {
-                                return (n < 10 && n != '01') ? '0' + n : n
-                            }
-
-                            if(Array.isArray(SES1) && (f >= SES1[1] && f <= SES1[2] || pad(f) >= SES1[1] && pad(f) <= SES1[2] || f >= pad(SES1[1]) && f <= pad(SES1[2]))) any = true
-                            if(Array.isArray(SES2) && (f >= SES2[1] && f <= SES2[2] || pad(f) >= SES2[1] && pad(f) <= SES2[2] || f >= pad(SES2[1]) && f <= pad(SES2[2]))) any = true
-                            if(Array.isArray(SES3) && (f >= SES3[1] && f <= SES3[2] || pad(f) >= SES3[1] && pad(f) <= SES3[2] || f >= pad(SES3[1]) && f <= pad(SES3[2]))) any = true
-                            if(Array.isArray(SES4) && (f >= SES4[1] && f <= SES4[2] || pad(f) >= SES4[1] && pad(f) <= SES4[2] || f >= pad(SES4[1]) && f <= pad(SES4[2]))) any = true
-
-                            if (test('.?\\[0' + f + 'x0.?|.?\\[0' + f + 'х0.?|.?\\[s' + f + '-.?|.?-' + f + '\\].?|.?\\[s0' + f + '\\].?|.?\\[s' + f + '\\].?|.?s' + f + 'e.?|.?s' + f + '-.?|.?сезон: ' + f + ' .?|.?сезон:' + f + '.?|сезон ' +f+ ',.?|\\[' +f+ ' сезон.?|.?\\(' +f+ ' сезон.?|.?season ' +f+'.?')) any = true
+                        if(type == 'season'){
+                            if(release.seasons.indexOf(parseInt(a)) >= 0) any = true
                         }
                     })
 
@@ -664,28 +723,21 @@ function component(object){
                 includes('season', ses)
                 includes('lang', lng)
 
-                if(hdr) check('[\\[| ]hdr[10| |\\]|,|$]',hdr !== 1)
+                if(hdr) check(release.hdr, hdr !== 1)
 
-                if(dv == 0){
-                    check(filter_items.dv[dv], dv !== 1)
-                }
-                else if(dv == 1){
-                    check('dolby vision')
-                }
-                else if(dv == 2){
-                    check('dolby vision tv')
+                if(dv){
+                    let type = ReleaseParser.dv_types[dv - 1]
+
+                    // последний пункт это "нет"
+                    if(type) check(type.code == 'dv' ? release.dv : release.dv == type.code)
+                    else check(release.dv, true)
                 }
-                else if(dv == 3){
-                    check('dolby vision', dv !== 0 )
-                }                
 
-                if(sub) check(' sub|[,|\\s]ст[,|\\s|$]', sub !== 1)
+                if(sub) check(release.subtitles, sub !== 1)
 
-                if(yer){
-                    check(filter_items.year[yer])
-                }
+                if(yer) check(release.years.indexOf(parseInt(filter_items.year[yer])) >= 0)
 
-                if(_3d) check(' стереопара|interlace|anaglyph|анаглиф|bd3d|over\\-?under|side\\-?by\\-?side|[\\-\\[\\(| ]((half|h)?ou|(half|h)?sbs|lrq?|abq?|ba|rl|3d[\\- ]video)([ |\\]\\),]|$)', _3d !== 1)
+                if(_3d) check(release.stereo, _3d !== 1)
 
                 return nopass ? false : passed
             }
@@ -693,7 +745,18 @@ function component(object){
         })
     }
 
-    this.showResults = function(){
+    /**
+     * Разобранное название раздачи, считаем один раз
+     * @param {object} element
+     * @returns {object}
+     */
+    this.release = function(element){
+        if(!element.release) element.release = ReleaseParser.parse(element.Title)
+
+        return element.release
+    }
+
+    this.showResults = function(pages = 1){
         total_pages = Math.ceil(filtred.length / 20)
 
         if(filtred.length){
@@ -701,7 +764,7 @@ function component(object){
             
             scroll.append(history.render(true))
 
-            this.append(filtred.slice(0,20))
+            this.append(filtred.slice(0,20 * pages))
         }
         else{
             if(results.Results.length) this.listEmpty()
@@ -785,6 +848,8 @@ function component(object){
 
             let item = Template.get('torrent',element)
 
+            item.data('element', element)
+
             if(element.ffprobe){
                 let ffprobe_elem = item.find('.torrent-item__ffprobe')
                 let ffprobe_tags = []
@@ -845,11 +910,24 @@ function component(object){
     
                 if(ffprobe_tags.length) ffprobe_elem.removeClass('hide')
             }
+            else{
+                let release_elem = item.find('.torrent-item__ffprobe')
+                let release      = this.release(element)
+                let video        = [release.resolution, release.source, release.codec].concat(release.hdr_types).filter(a=>a)
+
+                if(video.length) release_elem.append('<div class="m-video">'+video.join(' ')+'</div>')
+                if(release.channels) release_elem.append('<div class="m-channels">'+release.channels+'</div>')
+                if(release.audio.length) release_elem.append('<div class="m-audio">'+release.audio.join(' ')+'</div>')
+
+                if(video.length || release.channels || release.audio.length) release_elem.removeClass('hide')
+            }
 
             if (!bitrate) item.find('.bitrate').remove()
 
             if(element.viewed) item.append('<div class="torrent-item__viewed">'+Template.get('icon_viewed',{},true)+'</div>')
 
+            if(element === picked) item.addClass('torrent-item--picked')
+
             if(!element.size || parseInt(element.size) == 0) item.find('.torrent-item__size').remove()
 
             item.on('hover:focus',(e)=>{
@@ -983,6 +1061,8 @@ function component(object){
     }
 
     this.destroy = function(){
+        Torrent.stopAutostart()
+
         network.clear()
         Parser.clear()
 
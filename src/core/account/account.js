@@ -12,6 +12,7 @@ import Device from './device'
 import Api from './api'
 import Modal from './modal'
 import Timer from '../timer'
+import Backend from './backend'
 
 let network = new Reguest()
 let user_data
@@ -97,6 +98,7 @@ let Account = {
     Timeline,
     Permit,
     Modal,
+    Backend,
 
     listener: Listener,
     network,
@@ -1,15 +1,15 @@
 import Permit from './permit'
 import Utils from '../../utils/utils'
-import Manifest from '../manifest'
 import Reguest from '../../utils/reguest'
 import Arrays from '../../utils/arrays'
 import Storage from '../storage/storage'
 import Modal from './modal'
+import Backend from './backend'
 
 let network = new Reguest()
 
 function url(){
-    return Utils.protocol() + Manifest.cub_domain + '/api/'
+    return Backend.api()
 }
 
 function load(path, params = {}, post = false){
@@ -0,0 +1,136 @@
+import Storage from '../storage/storage'
+import Manifest from '../manifest'
+import Utils from '../../utils/utils'
+
+/**
+ * Сервер синхронизации аккаунта: профили, закладки, прогресс просмотра и устройства.
+ * По умолчанию это CUB, но можно указать свой сервер, который отвечает по тому же протоколу.
+ *
+ * HTTP, адрес api() + путь, в заголовках token и profile:
+ *   POST device/add {code}                 -> {token, email, profile:{}} привязка устройства по коду
+ *   GET  users/get                         -> {user:{email, premium}}
+ *   GET  profiles/all                      -> {secuses, profiles:[{id, name, icon, main, child, age, updated}]}
+ *   POST profiles/create {name}
+ *   GET  bookmarks/dump                    -> {version, bookmarks:[{id, card_id, type, data, time}]}
+ *   GET  bookmarks/changelog?since=version -> {version, changelog:[{action, entity_id, card_id, type, data, updated_at}]}
+ *   POST bookmarks/add, bookmarks/remove {id, card_id, type, data, time}
+ *   POST bookmarks/clear {type:'group', group}
+ *   POST bookmarks/sync - multipart, файл bookmarks.json с локальными закладками
+ *   GET  timeline/dump                     -> {version, timelines:{hash:{hash, percent, time, duration, profile, updated}}}
+ *   GET  timeline/changelog?since=version  -> {version, timelines:{...}}
+ *
+ * WebSocket, адрес socket(), сообщения {method, data, device_id, name, account}:
+ *   устройство шлет start, check_token, bookmarks, timeline {params}
+ *   сервер рассылает устройствам аккаунта devices, bookmarks и timeline с data = params
+ *
+ * Время изменения (updated у профилей и прогресса, time и updated_at у закладок) ставит устройство в мс.
+ * При конфликте побеждает более новая запись, запись без времени считается решением сервера, см. utils/sync_merge.js
+ */
+
+let backends = {}
+
+/**
+ * Добавить сервер синхронизации
+ * @doc
+ * @name add
+ * @alias AccountBackend
+ * @param {string} name название
+ * @param {object} backend {title, api:()=>string, socket:()=>string, site:()=>string, ready:()=>boolean}
+ */
+function add(name, backend){
+    backends[name] = backend
+}
+
+/**
+ * Адрес своего сервера без слеша в конце
+ * @returns {string}
+ */
+function address(){
+    return (Storage.get('account_backend_url', '') + '').trim().replace(/\/+$/, '')
+}
+
+/**
+ * Название выбранного сервера
+ * @doc
+ * @name name
+ * @alias AccountBackend
+ * @returns {string}
+ */
+function name(){
+    let selected = Storage.get('account_backend', 'cub') + ''
+
+    return backends[selected] ? selected : 'cub'
+}
+
+function current(){
+    return backends[name()]
+}
+
+/**
+ * Выбран ли этот сервер
+ * @param {string} need название
+ * @returns {boolean}
+ */
+function is(need){
+    return name() == need
+}
+
+/**
+ * Сервер настроен и им можно пользоваться
+ * @returns {boolean}
+ */
+function ready(){
+    return current().ready ? current().ready() : true
+}
+
+/**
+ * Адрес API с косой чертой в конце
+ * @doc
+ * @name api
+ * @alias AccountBackend
+ * @returns {string}
+ */
+function api(){
+    return current().api()
+}
+
+/**
+ * Адрес WebSocket, пустая строка если сокет выбирает сам
+ * @returns {string}
+ */
+function socket(){
+    return current().socket ? current().socket() : ''
+}
+
+/**
+ * Сайт сервера для QR-кодов
+ * @returns {string}
+ */
+function site(){
+    return current().site()
+}
+
+add('cub', {
+    title: 'CUB',
+    api: ()=>Utils.protocol() + Manifest.cub_domain + '/api/',
+    site: ()=>'https://' + Manifest.cub_site
+})
+
+add('self', {
+    title: '#{account_backend_self}',
+    api: ()=>address() + '/api/',
+    socket: ()=>address().replace(/^http/, 'ws') + '/socket',
+    site: ()=>address(),
+    ready: ()=>Boolean(address())
+})
+
+export default {
+    add,
+    all: ()=>backends,
+    name,
+    is,
+    ready,
+    api,
+    socket,
+    site
+}
@@ -13,6 +13,7 @@ import Noty from '../../interaction/noty'
 import Timer from '../timer'
 import Lang from '../lang'
 import LoadingProgress from '../../interaction/loading_progress'
+import SyncMerge from '../../utils/sync_merge'
 
 let bookmarks     = [] // имеет вид [{id, cid, card_id, type, data, profile, time},...]
 let bookmarks_map = {} // имеет вид {type: {card_id: bookmark, ...}, ...}
@@ -87,7 +88,8 @@ function push(method, type, card){
             type: type,
             data: JSON.stringify(Utils.clearCard(Arrays.clone(card))),
             card_id: card.id,
-            id: find ? find.id : 0
+            id: find ? find.id : 0,
+            time: Date.now()
         }).then(()=>{
             clearTimeout(update_timer)
 
@@ -236,35 +238,12 @@ function update(call){
                         LoadingProgress.status('Bookmarks applying changelog')
 
                         result.changelog.forEach((change)=>{
-                            if(change.action == 'remove'){
-                                let find = bookmarks.find((book)=>book.id == change.entity_id)
-
-                                if(find) Arrays.remove(bookmarks, find)
-                            }
-                            else if(change.action == 'update'){
-                                let find = bookmarks.find((book)=>book.id == change.entity_id)
-
-                                if(find){
-                                    find.time = change.updated_at
-
-                                    Arrays.remove(bookmarks, find)
-                                    Arrays.insert(bookmarks, 0, find)
-                                }
-                            }
-                            else if(change.action == 'add'){
-                                if(change.data){
-                                    change.data = Utils.clearCard(Arrays.decodeJson(change.data, {}))
-
-                                    Arrays.insert(bookmarks, 0, change)
-                                }
-                            }
-                            else if(change.action == 'clear'){
-                                let filter = bookmarks.filter((book)=>book.type == change.entity_id)
-
-                                filter.forEach((book)=>Arrays.remove(bookmarks, book))
-                            }
+                            if(change.action == 'add' && change.data) change.data = Utils.clearCard(Arrays.decodeJson(change.data, {}))
                         })
 
+                        // Применяем по времени, изменения старше локальных закладок пропускаются
+                        bookmarks = SyncMerge.changelog(bookmarks, result.changelog)
+
                         // Сохраняем обновленные закладки в кэш
                         saveToCache(result.version)
 
@@ -11,6 +11,7 @@ import Modal from '../../interaction/modal'
 import Settings from '../../interaction/settings/settings'
 import Reguest from '../../utils/reguest'
 import Platform from '../platform'
+import Backend from './backend'
 
 function init(){
     Settings.listener.follow('open',(e)=>{
@@ -80,7 +81,7 @@ function login(callback){
 
         html.addClass('layer--' + (Platform.mouse() ? 'wheight' : 'height'))
 
-        Utils.qrcode('https://' +  Manifest.cub_site + '/add', code, ()=>{
+        Utils.qrcode(Backend.site() + '/add', code, ()=>{
             code.remove()
             img.removeClass('hide')
 
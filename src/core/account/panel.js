@@ -8,12 +8,45 @@ import Bookmarks from './bookmarks'
 import Profile from './profile'
 import Backup from './backup'
 import Utils from '../../utils/utils'
-import Manifest from '../manifest'
+import Params from '../../interaction/settings/params'
+import Socket from '../socket'
+import Backend from './backend'
 
 function init(){
     Settings.listener.follow('open',(e)=>{
         if(e.name == 'account') render(e.body)
     })
+
+    Storage.listener.follow('change',(e)=>{
+        if(e.name == 'account_backend' || (e.name == 'account_backend_url' && !Backend.is('cub'))) changeBackend()
+    })
+}
+
+/**
+ * Выйти из аккаунта на этом устройстве
+ * @returns {void}
+ */
+function logout(){
+    Storage.set('account','')
+    Storage.set('account_user','')
+    Storage.set('account_email','')
+
+    Settings.update()
+
+    Bookmarks.update()
+}
+
+/**
+ * Сменили сервер синхронизации, токен от прежнего сервера уже не подходит
+ * @returns {void}
+ */
+function changeBackend(){
+    console.log('Account', 'backend changed to', Backend.name(), Backend.api())
+
+    if(Permit.token) logout()
+    else Settings.update()
+
+    Socket.restart()
 }
 
 function render(body){
@@ -25,7 +58,17 @@ function render(body){
         body.find('[data-name="account_use"]').remove()
     }
 
-    Utils.qrcode('https://' + Manifest.cub_site, body.find('.ad-server__qr'))
+    let backends = {}
+
+    for(let name in Backend.all()) backends[name] = Backend.all()[name].title
+
+    Params.select('account_backend', backends, 'cub')
+
+    body.find('.settings--account-backend-url').toggleClass('hide', Backend.is('cub'))
+
+    if(!Backend.is('cub')) body.find('.settings--account-site').text(Backend.site())
+
+    Utils.qrcode(Backend.site(), body.find('.ad-server__qr'))
 
     
     body.find('.settings--account-signin').toggleClass('hide',signed)
@@ -36,15 +79,7 @@ function render(body){
         body.find('.settings--account-user-info .settings-param__value').text(account.email)
         body.find('.settings--account-user-profile .settings-param__value').text(account.profile.name)
 
-        body.find('.settings--account-user-out').on('hover:enter',()=>{
-            Storage.set('account','')
-            Storage.set('account_user','')
-            Storage.set('account_email','')
-
-            Settings.update()
-
-            Bookmarks.update()
-        })
+        body.find('.settings--account-user-out').on('hover:enter',logout)
 
         body.find('.settings--account-user-sync').on('hover:enter',(e)=>{
             account = Permit.account
@@ -1,4 +1,5 @@
 import Storage from '../storage/storage'
+import Backend from './backend'
 
 let permit = {}
 
@@ -22,9 +23,9 @@ Object.defineProperty(permit, 'token', {
     get: ()=> permit.account.token
 })
 
-// Пользователь залогинен и разрешено использование аккаунта
+// Пользователь залогинен, разрешено использование аккаунта и настроен сервер синхронизации
 Object.defineProperty(permit, 'access', { 
-    get: ()=> permit.token && window.lampa_settings.account_use
+    get: ()=> permit.token && window.lampa_settings.account_use && Backend.ready()
 })
 
 // Пользователь включил синхронизацию
@@ -37,6 +38,11 @@ Object.defineProperty(permit, 'sync', {
     get: ()=>  permit.use && window.lampa_settings.account_sync
 })
 
+// Ключ профиля для локальных настроек, которые не уходят на сервер: id профиля аккаунта или device
+Object.defineProperty(permit, 'local', { 
+    get: ()=> permit.access && permit.profile.id ? permit.profile.id + '' : 'device'
+})
+
 // Детский профиль
 Object.defineProperty(permit, 'child', { 
     get: ()=>  permit.access && permit.profile.child
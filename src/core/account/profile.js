@@ -16,6 +16,7 @@ import Lang from '../lang'
 import Advert from './modal'
 import Input from '../../interaction/settings/input'
 import Bell from '../../interaction/bell'
+import SyncMerge from '../../utils/sync_merge'
 
 let profile_icon
 
@@ -69,7 +70,7 @@ function check(call){
             if(account.profile.id){
                 let active = result.profiles.find(p=>p.id == account.profile.id)
 
-                if(active) account.profile = active
+                if(active) account.profile = SyncMerge.profile(account.profile, active)
             }
             else{
                 let main = result.profiles.find(p=>p.main)
@@ -7,6 +7,7 @@ import Arrays from '../../utils/arrays'
 import Socket from '../socket'
 import WebWorker from '../../utils/worker'
 import Tracker from '../tracker'
+import SyncMerge from '../../utils/sync_merge'
 
 let tracker = new Tracker('account_timeline_sync')
 
@@ -69,10 +70,18 @@ function update(){
                     }
 
                     let viewed = Storage.cache(name, 10000, {})
+                    let kept   = 0
 
                     for(let i in data.timelines){
                         let time = data.timelines[i]
 
+                        // Локальный прогресс выигрывает у дампа, например сервер его еще не получил
+                        if(SyncMerge.progress(viewed[i], time) !== time){
+                            kept++
+
+                            continue
+                        }
+
                         viewed[i] = time
 
                         Arrays.extend(viewed[i],{
@@ -102,7 +111,7 @@ function update(){
 
                     Timeline.read() // Нужно прочитать прогресс просмотра из localStorage
 
-                    console.log('Account', 'timeline dump update complete to version', data.version)
+                    console.log('Account', 'timeline dump update complete to version', data.version, 'kept local:', kept)
                 })
             }).catch(()=>{
                 console.error('Account', 'timeline dump error, not loaded')
@@ -13,6 +13,7 @@ import Template from '../../../interaction/template'
 import LineModule from '../../../interaction/items/line/module/module'
 import ContentRows from '../../content_rows'
 import Permit from '../../account/permit'
+import ContentRating from '../../content_rating'
 
 let network = new Reguest()
 let day     = 60 * 24
@@ -49,7 +50,9 @@ function get(method, params = {}, oncomplite, onerror, cache = false){
         json.url = method
         json.source = source
 
-        oncomplite(Utils.addSource(json, source))
+        ContentRating.results(json, ()=>{
+            oncomplite(Utils.addSource(json, source))
+        })
     }, onerror, false, {
         cache: cache
     })
@@ -59,7 +62,9 @@ function list(params = {}, oncomplite, onerror){
     let u = url(params.url, params)
 
     network.silent(u, (data)=>{
-        oncomplite(Utils.addSource(data, source))
+        ContentRating.results(data, ()=>{
+            oncomplite(Utils.addSource(data, source))
+        })
     }, onerror, false, {
         cache: {life: day * 2}
     })
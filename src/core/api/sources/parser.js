@@ -8,8 +8,14 @@ import Torrent from '../../../interaction/torrent'
 import Torserver from '../../../interaction/torserver'
 import Platform from '../../platform'
 import CardParser from '../../../interaction/card_parser/card_parser'
+import Arrays from '../../../utils/arrays'
+import Status from '../../../utils/status'
+import Params from '../../../interaction/settings/params'
+import SettingsApi from '../../../interaction/settings/api'
+import Endpoints from '../../parser_endpoints'
 
-let network = new Reguest()
+let network  = new Reguest()
+let indexers = {}
 
 function init(){
     Storage.set('parser_torrent_type', Storage.get('parser_torrent_type') || 'jackett')
@@ -95,30 +101,96 @@ function init(){
     addSource()
 }
 
-function parserLinks(type){
-    if(type == 'jackett'){
-        return [
-            {url: Storage.field('jackett_url'), key: Storage.field('jackett_key'), rank: 0},
-            {url: Storage.field('jackett_url_two'), key: Storage.field('jackett_key_two'), rank: 1}
-        ]
+/**
+ * Добавить индексатор торрентов
+ * Если указано endpoints: true, то ссылки берутся из общего списка эндпоинтов с проверкой доступности,
+ * а check позволяет задать свою ссылку для этой проверки
+ * @param {{name:string, title:string, rank?:number, params?:[object], endpoints?:boolean, check?:(endpoint:object, base:string)=>string, links?:()=>[{url:string, key?:string, rank?:number, timeout?:number}], search:(params:object, link:{url:string, key?:string, rank:number, timeout?:number}, oncomplite:function, onerror:function)=>void}} indexer
+ */
+function addIndexer(indexer){
+    if(!indexer || !indexer.name || typeof indexer.search !== 'function') return console.warn('Parser', 'indexer must have name and search function', indexer)
+
+    if(indexers[indexer.name]) removeIndexer(indexer.name)
+
+    indexers[indexer.name] = indexer
+
+    indexer.title = indexer.title || indexer.name
+
+    if(indexer.endpoints){
+        if(!indexer.links) indexer.links = Endpoints.links.bind(null, indexer.name)
+
+        if(typeof indexer.check == 'function') Endpoints.checker(indexer.name, indexer.check)
+
+        if(!indexer.builtin){
+            SettingsApi.addParam({
+                component: 'parser',
+                indexer: indexer.name,
+                param: {
+                    name: 'parser_endpoints_' + indexer.name,
+                    type: 'button'
+                },
+                field: {
+                    name: Lang.translate('settings_parser_endpoints') + ' - ' + indexer.title
+                },
+                onRender: (item)=>{
+                    item.attr('data-parent', 'type').attr('data-visible-value', indexer.name).addClass('hide')
+                }
+            })
+        }
     }
-    else if(type == 'prowlarr'){
-        return [
-            {url: Storage.field('prowlarr_url'), key: Storage.field('prowlarr_key'), rank: 0},
-            {url: Storage.field('prowlarr_url_two'), key: Storage.field('prowlarr_key_two'), rank: 1}
-        ]
+
+    if(Arrays.isArray(indexer.params)){
+        indexer.params.forEach(data=>{
+            let render = data.onRender
+
+            SettingsApi.addParam({
+                ...data,
+                component: 'parser',
+                indexer: indexer.name,
+                onRender: (item)=>{
+                    item.attr('data-parent', 'type').attr('data-visible-value', indexer.name).addClass('hide')
+
+                    if(typeof render == 'function') render(item)
+                }
+            })
+        })
     }
-    else return []
+
+    updateTypes()
+}
+
+/**
+ * Удалить индексатор
+ * @param {string} name
+ */
+function removeIndexer(name){
+    if(!indexers[name]) return
+
+    delete indexers[name]
+
+    SettingsApi.removeParam('parser', (data)=>data.indexer == name)
+
+    updateTypes()
+}
+
+/**
+ * Получить индексатор или все индексаторы
+ * @param {string} [name]
+ * @returns {object}
+ */
+function indexer(name){
+    return name ? indexers[name] : indexers
 }
 
-function selectParserLinks(type){
-    let use   = Storage.field('parser_use_link') || 'one'
-    let links = parserLinks(type)
+/**
+ * Обновить список типов парсера в настройках
+ */
+function updateTypes(){
+    let types = {}
 
-    if(use == 'one') return links[0] && links[0].url ? [links[0]] : []
-    if(use == 'two') return links[1] && links[1].url ? [links[1]] : []
+    for(let name in indexers) types[name] = indexers[name].title
 
-    return links.filter(l=>l && l.url)
+    Params.select('parser_torrent_type', types, 'jackett')
 }
 
 function resultKey(item){
@@ -159,120 +231,106 @@ function mergeResults(items){
     return Array.from(map.values())
 }
 
-function get(params = {}, oncomplite, onerror){
-    function complite(data){
-        oncomplite(data)
+/**
+ * Опросить все ссылки индексатора и объединить результаты
+ * @param {object} indexer - индексатор
+ * @param {[{url:string, key:string, rank:number}]} links - ссылки для опроса
+ * @param {object} params - параметры поиска
+ * @param {function} oncomplite
+ * @param {function} onerror
+ * @param {function} [onprogress] - вызывается после ответа каждой ссылки, пока опрос не завершен
+ */
+function fanout(indexer, links, params, oncomplite, onerror, onprogress){
+    let status  = new Status(links.length)
+    let sources = links.map(link=>{
+        return {
+            name: link.title || (link.url || '').replace(/^https?:\/\//, '').replace(/\/.*$/, '') || indexer.title,
+            status: 'pending',
+            count: 0,
+            error: ''
+        }
+    })
+
+    let first_error
+
+    let collect = ()=>{
+        let results = Arrays.getValues(status.data)
+
+        return mergeResults([].concat(...results.map(r=>r && r.Results ? r.Results : [])))
     }
 
-    function error(e){
-        onerror(e)
+    let progress = ()=>{
+        if(onprogress && !status.complited) onprogress({Results: collect(), sources})
     }
 
-    if(Storage.field('parser_torrent_type') == 'jackett'){
-        let links = selectParserLinks('jackett')
+    status.onComplite = (data)=>{
+        let results = Arrays.getValues(data)
 
-        if(links.length){
-            let calls = links.map(link=>{
-                return (done, fail)=>{
-                    let base = Utils.checkEmptyUrl(link.url)
+        if(results.length == 1 && links.length == 1) oncomplite(results[0])
+        else if(results.length) oncomplite({Results: collect()})
+        else onerror(first_error || '')
+    }
 
-                    let ignore = false//params.from_search && !base.match(/\d+\.\d+\.\d+/g)
+    progress()
 
-                    if(ignore) fail('')
-                    else jackett(params, base, link.key, link.rank, done, fail)
-                }
-            })
+    links.forEach((link, index)=>{
+        indexer.search(params, {...link, rank: (indexer.rank || 0) + (link.rank || 0)}, (json)=>{
+            normalize(json, indexer)
 
-            if(calls.length == 1) calls[0](complite, error)
-            else{
-                let results = []
-                let pending = calls.length
-                let success = false
-                let first_error
-
-                calls.forEach((call, index)=>{
-                    call((json)=>{
-                        results[index] = json
-                        success = true
-
-                        if(--pending == 0){
-                            let merged = mergeResults([].concat(...results.map(r=>r && r.Results ? r.Results : [])))
-                            complite({Results: merged})
-                        }
-                    },(e)=>{
-                        results[index] = null
-                        first_error = first_error || e
-
-                        if(--pending == 0){
-                            if(success){
-                                let merged = mergeResults([].concat(...results.map(r=>r && r.Results ? r.Results : [])))
-                                complite({Results: merged})
-                            }
-                            else error(first_error || '')
-                        }
-                    })
-                })
-            }
-        }
-        else{
-            error(Lang.translate('torrent_parser_set_link') + ': Jackett')
-        }
-    } 
-    else if(Storage.field('parser_torrent_type') == 'prowlarr'){
-        let links = selectParserLinks('prowlarr')
-
-        if(links.length){
-            let calls = links.map(link=>{
-                return (done, fail)=>{
-                    let base = Utils.checkEmptyUrl(link.url)
-                    prowlarr(params, base, link.key, link.rank, done, fail)
-                }
-            })
+            sources[index].status = 'done'
+            sources[index].count  = json && json.Results ? json.Results.length : 0
 
-            if(calls.length == 1) calls[0](complite, error)
-            else{
-                let results = []
-                let pending = calls.length
-                let success = false
-                let first_error
-
-                calls.forEach((call, index)=>{
-                    call((json)=>{
-                        results[index] = json
-                        success = true
-
-                        if(--pending == 0){
-                            let merged = mergeResults([].concat(...results.map(r=>r && r.Results ? r.Results : [])))
-                            complite({Results: merged})
-                        }
-                    },(e)=>{
-                        results[index] = null
-                        first_error = first_error || e
-
-                        if(--pending == 0){
-                            if(success){
-                                let merged = mergeResults([].concat(...results.map(r=>r && r.Results ? r.Results : [])))
-                                complite({Results: merged})
-                            }
-                            else error(first_error || '')
-                        }
-                    })
-                })
-            }
-        } 
-        else {
-            error(Lang.translate('torrent_parser_set_link') + ': Prowlarr')
-        }
-    } 
-    else if(Storage.field('parser_torrent_type') == 'torrserver'){
-        let torr_link = Storage.field(Storage.field('torrserver_use_link') == 'two' ? 'torrserver_url_two' : 'torrserver_url')
+            status.append(index, json)
 
-        if(torr_link){
-            torrserver(params, Utils.checkEmptyUrl(torr_link), complite, error)
-        } else {
-            error(Lang.translate('torrent_parser_set_link') + ': TorrServer')
-        }
-    }
+            progress()
+        },(e)=>{
+            first_error = first_error || e
+
+            sources[index].status = 'error'
+            sources[index].error  = e || ''
+
+            status.error()
+
+            progress()
+        })
+    })
+}
+
+/**
+ * Дополнить результаты индексатора недостающими полями
+ * @param {{Results:[object]}} json
+ * @param {object} indexer
+ */
+function normalize(json, indexer){
+    let checked_at = Date.now()
+
+    if(!json || !Arrays.isArray(json.Results)) return
+
+    json.Results.forEach(element=>{
+        if(!element.hash) element.hash = Utils.hash(element.Title || '')
+        if(typeof element.viewed == 'undefined') element.viewed = viewed(element.hash)
+        if(!element.checked_at) element.checked_at = checked_at
+        if(typeof element.source_rank !== 'number') element.source_rank = indexer.rank || 0
+        if(!element.indexer) element.indexer = indexer.name
+    })
+}
+
+/**
+ * Поиск торрентов выбранным индексатором
+ * @param {object} params - параметры поиска
+ * @param {function} oncomplite - все ссылки ответили
+ * @param {function} onerror - ни одна ссылка не ответила
+ * @param {function} [onprogress] - промежуточные результаты {Results, sources}, пока остальные ссылки еще в ожидании
+ */
+function get(params = {}, oncomplite, onerror, onprogress){
+    let indexer = indexers[Storage.field('parser_torrent_type')]
+
+    if(!indexer) return onerror(Lang.translate('torrent_parser_set_link'))
+
+    let links = typeof indexer.links == 'function' ? indexer.links().filter(l=>l) : [{url: '', rank: 0}]
+
+    if(links.length) fanout(indexer, links, params, oncomplite, onerror, onprogress)
+    else onerror(Lang.translate('torrent_parser_set_link') + ': ' + indexer.title)
 }
 
 function viewed(hash){
@@ -281,8 +339,8 @@ function viewed(hash){
     return view.indexOf(hash) > -1
 }
 
-function jackett(params = {}, base_url, api_key, source_rank, oncomplite, onerror){
-    network.timeout(1000 * Storage.field('parse_timeout'))
+function jackett(params = {}, base_url, api_key, source_rank, oncomplite, onerror, timeout){
+    network.timeout(1000 * (timeout || Storage.field('parse_timeout')))
 
     let u = base_url + '/api/v2.0/indexers/'+(Storage.field('jackett_interview') == 'healthy' ? 'status:healthy' : 'all')+'/results?apikey='+(api_key || '')+'&Query='+encodeURIComponent(params.search)
 
@@ -323,7 +381,7 @@ function jackett(params = {}, base_url, api_key, source_rank, oncomplite, onerro
 }
 
 // доки https://wiki.servarr.com/en/prowlarr/search#search-feed
-function prowlarr(params = {}, base_url, api_key, source_rank, oncomplite, onerror){
+function prowlarr(params = {}, base_url, api_key, source_rank, oncomplite, onerror, timeout){
     
     let q = []
 
@@ -344,7 +402,7 @@ function prowlarr(params = {}, base_url, api_key, source_rank, oncomplite, onerr
 
     let u = Utils.buildUrl(base_url, '/api/v1/search', q)
 
-    network.timeout(1000 * Storage.field('parse_timeout'));
+    network.timeout(1000 * (timeout || Storage.field('parse_timeout')));
     network.native(u,(json)=> {
         if(Array.isArray(json)) {
             let checked_at = Date.now()
@@ -421,9 +479,47 @@ function clear(){
     network.clear()
 }
 
+addIndexer({
+    name: 'jackett',
+    title: 'Jackett',
+    builtin: true,
+    endpoints: true,
+    search: (params, link, oncomplite, onerror)=>{
+        jackett(params, Utils.checkEmptyUrl(link.url), link.key, link.rank, oncomplite, onerror, link.timeout)
+    }
+})
+
+addIndexer({
+    name: 'prowlarr',
+    title: 'Prowlarr',
+    builtin: true,
+    endpoints: true,
+    search: (params, link, oncomplite, onerror)=>{
+        prowlarr(params, Utils.checkEmptyUrl(link.url), link.key, link.rank, oncomplite, onerror, link.timeout)
+    }
+})
+
+addIndexer({
+    name: 'torrserver',
+    title: 'TorrServer',
+    builtin: true,
+    links: ()=>{
+        let url = Storage.field(Storage.field('torrserver_use_link') == 'two' ? 'torrserver_url_two' : 'torrserver_url')
+
+        return url ? [{url, rank: 0}] : []
+    },
+    search: (params, link, oncomplite, onerror)=>{
+        torrserver(params, Utils.checkEmptyUrl(link.url), oncomplite, onerror)
+    }
+})
+
 export default {
     init,
     get,
     jackett,
-    clear
+    clear,
+    addIndexer,
+    removeIndexer,
+    indexer,
+    mergeResults
 }
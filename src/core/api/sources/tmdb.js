@@ -13,6 +13,7 @@ import Template from '../../../interaction/template'
 import LineModule from '../../../interaction/items/line/module/module'
 import Router from '../../router'
 import Permit from '../../account/permit'
+import ContentRating from '../../content_rating'
 
 
 let network   = new Reguest()
@@ -164,7 +165,9 @@ function get(method, params = {}, oncomplite, onerror, cache = false){
             } 
         }
 
-        oncomplite(Utils.addSource(json, source))
+        ContentRating.results(json, ()=>{
+            oncomplite(Utils.addSource(json, source))
+        })
     }, ()=>{
         // Если сезон не найден, то пробуем найти правильный сезон из 1го сезона
         if(s) seasonFix(parseInt(s[2]), method, params = {}, oncomplite, onerror, cache)
@@ -623,7 +626,9 @@ function list(params = {}, oncomplite, onerror){
     let u = url(params.url, params)
 
     network.silent(u, (data)=>{
-        oncomplite(Utils.addSource(data, source))
+        ContentRating.results(data, ()=>{
+            oncomplite(Utils.addSource(data, source))
+        })
     }, onerror, false, {
         cache: {life: day * 2}
     })
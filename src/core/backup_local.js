@@ -0,0 +1,302 @@
+import Storage from './storage/storage'
+import Platform from './platform'
+import Lang from './lang'
+import Params from '../interaction/settings/params'
+import Select from '../interaction/select'
+import Noty from '../interaction/noty'
+import Loading from '../interaction/loading'
+import Controller from './controller'
+import Request from '../utils/reguest'
+import Utils from '../utils/utils'
+import Schema from '../utils/backup_schema'
+
+let network = new Request()
+
+function init(){
+    Params.listener.follow('button', (e)=>{
+        if(e.name == 'backup_local_export') save()
+        if(e.name == 'backup_local_import') restore()
+    })
+}
+
+/**
+ * Текущие данные как в localStorage, без кода приложения
+ * @returns {object}
+ */
+function store(){
+    let result = {}
+
+    for(let i = 0; i < localStorage.length; i++){
+        let key = localStorage.key(i)
+
+        if(key !== 'app.js') result[key] = localStorage.getItem(key)
+    }
+
+    return result
+}
+
+function options(names){
+    return {
+        settings: Object.keys(Params.defaults),
+        sections: names
+    }
+}
+
+function url(){
+    return Storage.get('backup_local_url', '') + ''
+}
+
+function back(){
+    Controller.toggle('settings_component')
+}
+
+/**
+ * Выбор разделов галочками
+ * @param {string} title
+ * @param {[{name:string, subtitle:string}]} list
+ * @param {(names:[string])=>void} call
+ */
+function sections(title, list, call){
+    let items = list.map(s=>{
+        return {
+            title: Lang.translate('backup_local_section_' + s.name),
+            subtitle: s.subtitle || '',
+            checkbox: true,
+            checked: true,
+            section: s.name
+        }
+    })
+
+    items.push({
+        title: Lang.translate('backup_local_continue'),
+        next: true
+    })
+
+    Select.show({
+        title,
+        items,
+        onBack: back,
+        onSelect: (a)=>{
+            if(!a.next) return
+
+            let names = items.filter(i=>i.section && i.checked).map(i=>i.section)
+
+            if(names.length) call(names)
+            else{
+                Noty.show(Lang.translate('backup_local_empty'))
+
+                back()
+            }
+        }
+    })
+}
+
+/**
+ * Куда сохранить или откуда загрузить
+ * @param {string} title
+ * @param {(where:string)=>void} call - file или url
+ */
+function destination(title, call){
+    let items = []
+
+    if(!Platform.tv()){
+        items.push({
+            title: Lang.translate('backup_local_file'),
+            where: 'file'
+        })
+    }
+
+    items.push({
+        title: Lang.translate('backup_local_url'),
+        subtitle: url() || Lang.translate('backup_local_url_empty'),
+        ghost: !url(),
+        where: 'url'
+    })
+
+    Select.show({
+        title,
+        items,
+        onBack: back,
+        onSelect: (a)=>{
+            if(a.where == 'url' && !url()){
+                Noty.show(Lang.translate('backup_local_url_empty'))
+
+                return back()
+            }
+
+            call(a.where)
+        }
+    })
+}
+
+/**
+ * Сохранить копию в файл или на свой сервер
+ */
+function save(){
+    sections(Lang.translate('backup_local_export'), Schema.sections.map(name=>({name})), (names)=>{
+        let backup = JSON.stringify(Schema.create(store(), options(names)))
+
+        destination(Lang.translate('backup_local_export'), (where)=>{
+            if(where == 'file'){
+                let name = 'lampa-backup-' + new Date().toISOString().slice(0, 10) + '.json'
+
+                Noty.show(Lang.translate(Utils.saveFile(backup, name) ? 'backup_local_exported' : 'backup_local_export_error'))
+
+                back()
+            }
+            else{
+                Loading.start(()=>{
+                    network.clear()
+
+                    Loading.stop()
+                })
+
+                network.silent(url(), ()=>{
+                    Loading.stop()
+
+                    Noty.show(Lang.translate('backup_local_exported'))
+
+                    back()
+                }, (a, c)=>{
+                    Loading.stop()
+
+                    Noty.show(Lang.translate('backup_local_export_error') + ': ' + network.errorDecode(a, c))
+
+                    back()
+                }, backup, {
+                    dataType: 'text',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                })
+            }
+        })
+    })
+}
+
+/**
+ * Загрузить копию, показать что изменится и слить с текущими данными
+ */
+function restore(){
+    destination(Lang.translate('backup_local_import'), (where)=>{
+        if(where == 'file') pick(apply)
+        else{
+            Loading.start(()=>{
+                network.clear()
+
+                Loading.stop()
+            })
+
+            network.silent(url(), (text)=>{
+                Loading.stop()
+
+                apply(text)
+            }, (a, c)=>{
+                Loading.stop()
+
+                Noty.show(Lang.translate('backup_local_import_error') + ': ' + network.errorDecode(a, c))
+
+                back()
+            }, false, {
+                dataType: 'text'
+            })
+        }
+    })
+}
+
+/**
+ * Выбрать файл на устройстве
+ * @param {(text:string)=>void} call
+ */
+function pick(call){
+    let input = document.createElement('input')
+
+    input.type   = 'file'
+    input.accept = '.json,application/json'
+
+    input.addEventListener('change', ()=>{
+        let file = input.files && input.files[0]
+
+        if(!file) return back()
+
+        let reader = new FileReader()
+
+        reader.onload  = ()=>call(reader.result)
+        reader.onerror = ()=>{
+            Noty.show(Lang.translate('backup_local_import_error'))
+
+            back()
+        }
+
+        reader.readAsText(file)
+    })
+
+    input.click()
+
+    // если выбор отменят, то change не придет
+    back()
+}
+
+function apply(text){
+    let backup
+    let current = store()
+
+    try{
+        backup = Schema.read(text, options())
+    }
+    catch(e){
+        console.log('Backup', 'read error', e.message)
+
+        Noty.show(Lang.translate('backup_local_import_error') + ': ' + e.message)
+
+        return back()
+    }
+
+    let changes = Schema.preview(current, backup)
+    let list    = Object.keys(changes).map(name=>{
+        let info = changes[name]
+
+        return {
+            name,
+            subtitle: Lang.translate('backup_local_preview').replace('{added}', info.added).replace('{changed}', info.changed).replace('{same}', info.same)
+        }
+    })
+
+    if(!list.length){
+        Noty.show(Lang.translate('backup_local_empty'))
+
+        return back()
+    }
+
+    let title = Lang.translate('backup_local_import') + (backup.created ? ' - ' + new Date(backup.created).toLocaleString() : '')
+
+    sections(title, list, (names)=>{
+        let result = Schema.merge(current, backup, names)
+        let count  = 0
+
+        for(let key in result){
+            try{
+                localStorage.setItem(key, result[key])
+
+                count++
+            }
+            catch(e){
+                console.log('Backup', 'write error', key, e.message)
+            }
+        }
+
+        console.log('Backup', 'restored keys', count)
+
+        Noty.show(Lang.translate('backup_local_imported') + ' (' + count + ') - ' + Lang.translate('account_reload_after'))
+
+        setTimeout(()=>{
+            window.location.reload()
+        }, 5000)
+    })
+}
+
+export default {
+    init,
+    save,
+    restore
+}
@@ -19,6 +19,7 @@ import ai_facts from '../components/facts'
 import ai_recommendations from '../components/recommendations'
 import discuss from '../components/discuss'
 import recomend from '../components/recomend'
+import statistics from '../components/statistics'
 
 let component = {
     main,
@@ -41,7 +42,8 @@ let component = {
     ai_facts,
     ai_recommendations,
     discuss,
-    recomend
+    recomend,
+    statistics
 }
 
 /**
@@ -83,8 +85,17 @@ function get(name){
     return component[name]
 }
 
+/**
+ * Удалить компонент
+ * @param {string} name 
+ */
+function remove(name){
+    delete component[name]
+}
+
 export default {
     create,
     add,
-    get
+    get,
+    remove
 }
\ No newline at end of file
@@ -0,0 +1,233 @@
+import Storage from './storage/storage'
+import Permit from './account/permit'
+import Reguest from '../utils/reguest'
+import TMDBApi from './tmdb/tmdb'
+import AgeRating from '../utils/age_rating'
+
+let network = new Reguest()
+let failed  = {}
+
+/**
+ * Сколько рейтингов загружать одновременно
+ */
+const lookups = 5
+
+/**
+ * Через сколько мс снова спрашивать рейтинг, который не удалось загрузить
+ */
+const retry = 1000 * 60 * 10
+
+/**
+ * Настройки текущего профиля
+ * @returns {{max:string, unknown:string}} - max пустой если без ограничения, unknown: show или hide
+ */
+function settings(){
+    let saved = Storage.get('parental_control_rating','{}')[Permit.local] || {}
+    let max   = saved.max !== undefined ? saved.max + '' : (Permit.child && Permit.profile.age ? Permit.profile.age + '' : '')
+
+    return {max, unknown: saved.unknown || 'show'}
+}
+
+/**
+ * Изменить настройку текущего профиля
+ * @param {string} name - max или unknown
+ * @param {string} value
+ */
+function set(name, value){
+    let all = Storage.get('parental_control_rating','{}')
+    let key = Permit.local
+
+    if(!all[key]) all[key] = {}
+
+    all[key][name] = value
+
+    Storage.set('parental_control_rating', all)
+}
+
+/**
+ * Включена ли фильтрация, работает только вместе с родительским контролем
+ * @returns {boolean}
+ */
+function active(){
+    return Boolean((Storage.field('parental_control') || Permit.child) && settings().max !== '')
+}
+
+/**
+ * Страна, рейтинг которой проверяется первым
+ * @returns {string}
+ */
+function country(){
+    return AgeRating.region(Storage.field('language'))
+}
+
+function key(card){
+    return AgeRating.type(card) + '_' + card.id
+}
+
+/**
+ * Возраст карточки: из самой карточки или из сохраненных
+ * @param {object} card
+ * @returns {number|undefined} - -1 если у карточки нет рейтинга, undefined если рейтинг еще не проверяли
+ */
+function age(card){
+    let value = AgeRating.pick(card, country())
+
+    if(value !== undefined) return value
+
+    if(card.content_ratings || card.release_dates) return -1
+
+    return Storage.cache('content_rating', 5000, {})[key(card)]
+}
+
+/**
+ * Запомнить рейтинг полной карточки
+ * @param {object} card - с content_ratings или release_dates
+ */
+function remember(card){
+    if(!card || !card.id || !(card.content_ratings || card.release_dates || card.restrict)) return
+
+    save([{card, age: AgeRating.pick(card, country())}])
+}
+
+function save(list){
+    let all = Storage.cache('content_rating', 5000, {})
+
+    list.forEach(item=>{
+        all[key(item.card)] = item.age === undefined ? -1 : item.age
+    })
+
+    Storage.set('content_rating', all)
+}
+
+/**
+ * Можно ли показывать карточку
+ * @param {object} card
+ * @returns {boolean}
+ */
+function allowed(card){
+    if(!active() || !AgeRating.isCard(card)) return true
+
+    let current = settings()
+    let value   = age(card)
+
+    // рейтинг еще не загружен или загрузка не удалась, это не то же самое, что рейтинга нет
+    if(value === undefined) return false
+
+    return AgeRating.allowed(value, parseInt(current.max), current.unknown)
+}
+
+/**
+ * Отфильтровать карточки по уже известным рейтингам, карточки без проверенного рейтинга скрываются
+ * @param {[object]} items
+ * @returns {[object]}
+ */
+function filter(items){
+    return active() ? items.filter(allowed) : items
+}
+
+function arrays(json){
+    return ['results', 'cast', 'crew', 'parts'].filter(name=>Array.isArray(json[name]) && json[name].some(AgeRating.isCard))
+}
+
+/**
+ * Загрузить рейтинг карточки из TMDB
+ * @param {object} card
+ * @param {(age:number|undefined)=>void} success - undefined если у карточки нет рейтинга
+ * @param {function} error
+ */
+function lookup(card, success, error){
+    let type  = AgeRating.type(card)
+    let field = type == 'tv' ? 'content_ratings' : 'release_dates'
+
+    network.silent(TMDBApi.api(type + '/' + card.id + '/' + field + '?api_key=' + TMDBApi.key()), (data)=>{
+        let rating = {}
+
+        rating[field] = data
+
+        success(AgeRating.pick(rating, country()))
+    }, error, false, {
+        cache: {life: 60 * 24 * 30}
+    })
+}
+
+/**
+ * Загрузить неизвестные рейтинги и отфильтровать ответ источника.
+ * Рейтинги грузятся очередью по lookups штук, ответ отдается, когда проверены все карточки
+ * @param {object} json - ответ с results, cast, crew или parts
+ * @param {function} call - вызывается когда ответ отфильтрован
+ */
+function results(json, call){
+    if(!json || typeof json !== 'object' || !active()) return call()
+
+    remember(json)
+
+    let names   = arrays(json)
+    let unknown = []
+
+    names.forEach(name=>{
+        json[name].forEach(card=>{
+            if(!AgeRating.isCard(card) || age(card) !== undefined || unknown.find(c=>key(c) == key(card))) return
+
+            // недавно не загрузился, не спрашиваем снова на каждом экране
+            if(failed[key(card)] && Date.now() - failed[key(card)] < retry) return
+
+            unknown.push(card)
+        })
+    })
+
+    let done = ()=>{
+        names.forEach(name=>{
+            json[name] = filter(json[name])
+        })
+
+        call()
+    }
+
+    if(!unknown.length) return done()
+
+    let loaded = []
+    let wait   = unknown.length
+
+    let next = ()=>{
+        let card = unknown.shift()
+
+        if(!card) return
+
+        let finish = ()=>{
+            wait--
+
+            if(!wait){
+                save(loaded)
+
+                done()
+            }
+            else next()
+        }
+
+        lookup(card, (value)=>{
+            delete failed[key(card)]
+
+            loaded.push({card, age: value})
+
+            finish()
+        }, ()=>{
+            // ошибку сети не сохраняем, карточка скрыта до следующей попытки
+            failed[key(card)] = Date.now()
+
+            finish()
+        })
+    }
+
+    for(let i = 0; i < lookups; i++) next()
+}
+
+export default {
+    settings,
+    set,
+    active,
+    age,
+    remember,
+    allowed,
+    filter,
+    results
+}
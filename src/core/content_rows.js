@@ -2,6 +2,7 @@ import Arrays from '../utils/arrays'
 import Settings from '../interaction/settings/api'
 import Storage from '../core/storage/storage'
 import Lang from '../core/lang'
+import Custom from './content_rows_custom'
 
 let rows = []
 let component = 'content_rows'
@@ -21,11 +22,28 @@ function init(){
     Lampa.Settings.listener.follow('open', (e) => {
         if (e.name == 'main') settings()
     })
+
+    Custom.init()
 }
 
 function settings(){
     Settings.removeParams(component)
 
+    Settings.addParam({
+        component,
+        param: {
+            name: 'content_rows_custom',
+            type: 'button'
+        },
+        field: {
+            name: Lang.translate('content_rows_custom'),
+            description: Lang.translate('content_rows_custom_descr')
+        },
+        onChange: ()=>{
+            Custom.open()
+        }
+    })
+
     rows.filter(r => r.name).forEach(row=>{
         let name = component + '_' + (row.name || 'unknown')
 
@@ -0,0 +1,458 @@
+import Storage from './storage/storage'
+import Lang from './lang'
+import Controller from './controller'
+import Favorite from './favorite'
+import ContentRows from './content_rows'
+import TMDB from './api/sources/tmdb'
+import Select from '../interaction/select'
+import Input from '../interaction/settings/input'
+import Noty from '../interaction/noty'
+import Builder from '../interaction/content_filter/builder'
+import Reguest from '../utils/reguest'
+import Arrays from '../utils/arrays'
+import Utils from '../utils/utils'
+import CustomRows from '../utils/custom_rows'
+
+/**
+ * Подборки, которые пользователь собирает сам: фильтр, ключевое слово, коллекция,
+ * студия, персона, папка закладок или JSON-список. Хранятся в content_rows_custom
+ * и регистрируются через ContentRows как обычные строки
+ */
+
+let network    = new Reguest()
+let registered = []
+
+function init(){
+    register()
+
+    Storage.listener.follow('change', (e)=>{
+        if(e.name == 'content_rows_custom') register()
+    })
+}
+
+/**
+ * Список подборок
+ * @returns {[object]}
+ */
+function list(){
+    let rows = Storage.get('content_rows_custom','[]')
+
+    return (Array.isArray(rows) ? rows : []).map(CustomRows.normalize).filter(r=>r)
+}
+
+function store(rows){
+    Storage.set('content_rows_custom', rows)
+}
+
+/**
+ * Перерегистрировать строки, порядок в списке - порядок на экране
+ */
+function register(){
+    registered.forEach(row=>ContentRows.remove(row))
+
+    registered = list().map((row, index)=>{
+        return {
+            name: 'custom_' + row.id,
+            title: row.name,
+            index,
+            screen: row.screens,
+            call: ()=>(call)=>load(row, call)
+        }
+    })
+
+    registered.forEach(row=>ContentRows.add(row))
+}
+
+/**
+ * Загрузить карточки подборки
+ * @param {object} row
+ * @param {function} call
+ */
+function load(row, call){
+    let cache = row.life ? {life: row.life} : false
+
+    if(row.type == 'bookmarks'){
+        let cards = Favorite.get({type: row.source.folder})
+
+        if(row.media !== 'all') cards = Utils.filterCardsByType(cards, row.media == 'tv' ? 'tv' : 'movies')
+
+        return call({
+            title: row.name,
+            results: Arrays.clone(cards.slice(0, 20))
+        })
+    }
+
+    if(row.type == 'list'){
+        return network.silent(row.source.url, (json)=>{
+            hydrate(CustomRows.parseList(json), cache, (results)=>{
+                call({
+                    title: row.name,
+                    results
+                })
+            })
+        }, call, false, {
+            cache
+        })
+    }
+
+    TMDB.get(CustomRows.method(row), {}, (json)=>{
+        if(row.type == 'collection'){
+            json.results     = json.parts || []
+            json.total_pages = 1
+        }
+
+        json.title = row.name
+
+        call(json)
+    }, call, cache)
+}
+
+/**
+ * Догрузить карточки из TMDB, порядок как в списке
+ * @param {{cards:[object], ids:[{id:number, method:string}]}} parsed
+ * @param {object|boolean} cache
+ * @param {function} call
+ */
+function hydrate(parsed, cache, call){
+    let ids     = parsed.ids.slice(0, Math.max(0, 20 - parsed.cards.length))
+    let loaded  = []
+    let waiting = ids.length
+
+    let done = ()=>{
+        call(parsed.cards.concat(loaded.filter(c=>c)).slice(0, 20))
+    }
+
+    if(!waiting) return done()
+
+    ids.forEach((item, index)=>{
+        let finish = (card)=>{
+            if(card && card.id) loaded[index] = card
+
+            waiting--
+
+            if(!waiting) done()
+        }
+
+        TMDB.get(item.method + '/' + item.id, {}, finish, finish, cache)
+    })
+}
+
+function back(){
+    Controller.toggle('settings_component')
+}
+
+function typeTitle(type){
+    return Lang.translate('content_rows_custom_type_' + type)
+}
+
+function mediaTitle(media){
+    return media == 'all' ? Lang.translate('content_rows_custom_media_all') : Lang.translate(media == 'tv' ? 'menu_tv' : 'menu_movies')
+}
+
+function lifeTitle(life){
+    return Lang.translate('content_rows_custom_life_' + life)
+}
+
+/**
+ * Список подборок в настройках
+ * @param {string} [focus] - id подборки
+ */
+function open(focus){
+    let items = [{
+        title: Lang.translate('content_rows_custom_create'),
+        create: true
+    }]
+
+    list().forEach(row=>{
+        items.push({
+            title: row.name,
+            subtitle: typeTitle(row.type) + ' - ' + row.screens.map(s=>Lang.translate('content_rows_custom_screen_' + s)).join(', '),
+            selected: row.id == focus,
+            row
+        })
+    })
+
+    Select.show({
+        title: Lang.translate('content_rows_custom'),
+        items,
+        onBack: back,
+        onSelect: (a)=>{
+            if(a.create) create()
+            else actions(a.row)
+        }
+    })
+}
+
+/**
+ * Изменить подборку и сохранить
+ * @param {string} id
+ * @param {(row:object)=>void} change
+ */
+function update(id, change){
+    let rows = list()
+    let row  = rows.find(r=>r.id == id)
+
+    if(row) change(row)
+
+    store(rows)
+}
+
+/**
+ * Действия с подборкой
+ * @param {object} row
+ */
+function actions(row){
+    let items = [
+        {title: Lang.translate('content_rows_custom_rename'), subtitle: row.name, rename: true},
+        {title: Lang.translate('content_rows_custom_up'), move: -1},
+        {title: Lang.translate('content_rows_custom_down'), move: 1},
+        {title: Lang.translate('content_rows_custom_screens'), subtitle: row.screens.map(s=>Lang.translate('content_rows_custom_screen_' + s)).join(', '), screens: true}
+    ]
+
+    if(row.type !== 'bookmarks') items.push({title: Lang.translate('content_rows_custom_life'), subtitle: lifeTitle(row.life), life: true})
+
+    items.push({title: Lang.translate('content_rows_custom_remove'), remove: true})
+
+    Select.show({
+        title: row.name,
+        items,
+        onBack: ()=>open(row.id),
+        onSelect: (a)=>{
+            if(a.rename){
+                Input.edit({
+                    title: Lang.translate('content_rows_custom_name'),
+                    value: row.name,
+                    free: true,
+                    nosave: true
+                },(value)=>{
+                    if(value) update(row.id, r=>r.name = value.trim().slice(0, 60))
+
+                    open(row.id)
+                })
+            }
+            else if(a.move){
+                store(CustomRows.move(list(), row.id, a.move))
+
+                open(row.id)
+            }
+            else if(a.screens) screens(row)
+            else if(a.life) life(row)
+            else if(a.remove){
+                store(list().filter(r=>r.id !== row.id))
+
+                open()
+            }
+        }
+    })
+}
+
+/**
+ * Где показывать подборку
+ * @param {object} row
+ */
+function screens(row){
+    let selected = row.screens.slice(0)
+
+    Select.show({
+        title: Lang.translate('content_rows_custom_screens'),
+        items: CustomRows.screens.map(screen=>{
+            return {
+                title: Lang.translate('content_rows_custom_screen_' + screen),
+                checkbox: true,
+                checked: selected.indexOf(screen) >= 0,
+                screen
+            }
+        }),
+        onCheck: (a)=>{
+            if(a.checked) selected.push(a.screen)
+            else Arrays.remove(selected, a.screen)
+        },
+        onBack: ()=>{
+            update(row.id, r=>r.screens = selected)
+
+            open(row.id)
+        }
+    })
+}
+
+/**
+ * Время кэша подборки
+ * @param {object} row
+ */
+function life(row){
+    Select.show({
+        title: Lang.translate('content_rows_custom_life'),
+        items: CustomRows.lifes.map(value=>{
+            return {
+                title: lifeTitle(value),
+                selected: value == row.life,
+                value
+            }
+        }),
+        onBack: ()=>actions(row),
+        onSelect: (a)=>{
+            update(row.id, r=>r.life = a.value)
+
+            open(row.id)
+        }
+    })
+}
+
+/**
+ * Новая подборка: сначала источник, потом название
+ */
+function create(){
+    Select.show({
+        title: Lang.translate('content_rows_custom_create'),
+        items: CustomRows.types.map(type=>({title: typeTitle(type), type})),
+        onBack: ()=>open(),
+        onSelect: (a)=>{
+            let ready = (source, name, media)=>finish({type: a.type, source, media}, name)
+
+            if(a.type == 'discover') discover(ready)
+            else if(a.type == 'bookmarks') bookmarks(ready)
+            else if(a.type == 'list') url(ready)
+            else lookup(a.type, ready)
+        }
+    })
+}
+
+/**
+ * Назвать и сохранить подборку
+ * @param {object} row
+ * @param {string} name - название по умолчанию
+ */
+function finish(row, name){
+    Input.edit({
+        title: Lang.translate('content_rows_custom_name'),
+        value: name || '',
+        free: true,
+        nosave: true
+    },(value)=>{
+        let ready = CustomRows.normalize(Object.assign(row, {
+            id: 'row_' + Date.now(),
+            name: value || name,
+            screens: ['main'],
+            life: 1440
+        }))
+
+        if(!ready){
+            Noty.show(Lang.translate('content_rows_custom_invalid'))
+
+            return open()
+        }
+
+        store(list().concat([ready]))
+
+        Noty.show(Lang.translate('content_rows_custom_saved'))
+
+        open(ready.id)
+    })
+}
+
+/**
+ * Фильм или сериал
+ * @param {[string]} values
+ * @param {(media:string)=>void} call
+ */
+function media(values, call){
+    Select.show({
+        title: Lang.translate('title_type'),
+        items: values.map(value=>({title: mediaTitle(value), value})),
+        onBack: ()=>create(),
+        onSelect: (a)=>call(a.value)
+    })
+}
+
+function discover(ready){
+    let saved = Builder.saved()
+
+    if(!saved.length){
+        Noty.show(Lang.translate('content_rows_custom_no_filters'))
+
+        return create()
+    }
+
+    Select.show({
+        title: typeTitle('discover'),
+        items: saved.map(s=>({title: s.name, use: s})),
+        onBack: ()=>create(),
+        onSelect: (a)=>{
+            ready(Arrays.clone(a.use.filter), a.use.name, a.use.filter.type == 'tv' ? 'tv' : 'movie')
+        }
+    })
+}
+
+function bookmarks(ready){
+    Select.show({
+        title: typeTitle('bookmarks'),
+        items: CustomRows.folders.map(folder=>({title: Lang.translate('title_' + folder), folder})),
+        onBack: ()=>create(),
+        onSelect: (a)=>{
+            media(['all', 'movie', 'tv'], (value)=>{
+                ready({folder: a.folder}, Lang.translate('title_' + a.folder), value)
+            })
+        }
+    })
+}
+
+function url(ready){
+    Input.edit({
+        title: Lang.translate('content_rows_custom_url'),
+        value: '',
+        free: true,
+        nosave: true
+    },(value)=>{
+        if(!value) return create()
+
+        ready({url: value.trim()}, Utils.shortText(value.trim().replace(/^https?:\/\//, ''), 30), 'movie')
+    })
+}
+
+/**
+ * Найти ключевое слово, коллекцию, студию или персону в TMDB
+ * @param {string} type
+ * @param {function} ready
+ */
+function lookup(type, ready){
+    Input.edit({
+        title: Lang.translate('content_rows_custom_search') + ': ' + typeTitle(type),
+        value: '',
+        free: true,
+        nosave: true
+    },(query)=>{
+        if(!query) return create()
+
+        TMDB.get('search/' + type, {query: encodeURIComponent(query)}, (json)=>{
+            let found = (json.results || []).slice(0, 20)
+
+            if(!found.length){
+                Noty.show(Lang.translate('search_nofound'))
+
+                return create()
+            }
+
+            Select.show({
+                title: query,
+                items: found.map(f=>({title: f.name, subtitle: f.known_for_department || f.origin_country || '', found: f})),
+                onBack: ()=>create(),
+                onSelect: (a)=>{
+                    let source = {id: a.found.id, name: a.found.name}
+
+                    if(type == 'keyword' || type == 'company') media(['movie', 'tv'], (value)=>ready(source, a.found.name, value))
+                    else ready(source, a.found.name, 'movie')
+                }
+            })
+        }, ()=>{
+            Noty.show(Lang.translate('search_nofound'))
+
+            create()
+        })
+    })
+}
+
+export default {
+    init,
+    open,
+    list
+}
@@ -2,6 +2,8 @@ import Subscribe from '../utils/subscribe'
 import Controller from './controller'
 import Orsay from './orsay'
 import Sound from './sound'
+import Storage from './storage/storage'
+import Keymap from '../utils/keymap'
 
 let philipse = {
 	play: typeof VK_PLAY !== 'undefined' ? VK_PLAY : typeof KEYCODE_MEDIA_PLAY !== 'undefined' ? KEYCODE_MEDIA_PLAY : -1,
@@ -16,6 +18,10 @@ let time     = 0
 let lastdown = 0
 let timer
 let longpress
+let keymap   = {}
+let learning = null
+let swallow  = false
+let swallow_timer
 
 
 function toggle(new_status){
@@ -36,7 +42,7 @@ function isEnter(keycode){
 	return keycode == 13 || keycode == 29443 || keycode == 117 || keycode == 65385
 }
 
-function keyCode(e){
+function rawCode(e){
 	var keycode
 	 
 	if(window.event) { 
@@ -48,7 +54,47 @@ function keyCode(e){
 	return keycode
 }
 
+/**
+ * Код кнопки с учетом выученных кнопок пульта
+ */
+function keyCode(e){
+	return Keymap.translate(keymap, rawCode(e))
+}
+
+/**
+ * Дождаться нажатия любой кнопки и отдать ее код, кнопка не обрабатывается приложением
+ * @param {(code:number)=>void} call
+ */
+function learn(call){
+	learning = call
+}
+
+function learnCancel(){
+	learning = null
+}
+
 function keydownTrigger(e){
+	if(learning){
+		let call = learning
+
+		learning = null
+		swallow  = true
+
+		//Не все пульты присылают keyup, поэтому ждем его недолго
+		clearTimeout(swallow_timer)
+
+		swallow_timer = setTimeout(()=>{
+			swallow = false
+		},1000)
+
+		e.preventDefault()
+
+		return call(rawCode(e))
+	}
+
+	//Кнопка, которую только что выучили, еще зажата
+	if(swallow) return e.preventDefault()
+
 	let keycode = keyCode(e)
 
 	if(time > Date.now() - 100) return
@@ -63,6 +109,12 @@ function keydownTrigger(e){
 
 	if(!enabled) return; //отключить все
 
+	//Выученные кнопки без стандартного кода
+	let learned = Keymap.action(keymap, rawCode(e))
+
+	if(learned == 'subtitles') Controller.trigger('subtitles')
+	if(learned == 'audio') Controller.trigger('audio')
+
 	//4 - Samsung orsay
 	if (keycode == 37 || keycode == 4) {
 		Sound.play('hover')
@@ -197,7 +249,15 @@ function keydownTrigger(e){
 }
 
 function init(){
+	keymap = Keymap.normalize(Storage.get('keypad_map','{}'))
+
+	Storage.listener.follow('change', (e)=>{
+		if(e.name == 'keypad_map') keymap = Keymap.normalize(e.value)
+	})
+
 	window.addEventListener("keydown", function (e) {
+		if(learning || swallow) return
+
 		lastdown = keyCode(e)
 
 		if(!timer){
@@ -220,6 +280,14 @@ function init(){
 
 		timer = null
 
+		if(swallow){
+			swallow = false
+
+			clearTimeout(swallow_timer)
+
+			return
+		}
+
 		listener.send('keyup',{code: keyCode(e), enabled, event: e})
 
 		if(!longpress){
@@ -241,5 +309,7 @@ export default {
     listener,
 	init,
     enable,
-    disable
+    disable,
+	learn,
+	learnCancel
 }
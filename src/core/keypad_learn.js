@@ -0,0 +1,114 @@
+import Storage from './storage/storage'
+import Lang from './lang'
+import Controller from './controller'
+import Keypad from './keypad'
+import Select from '../interaction/select'
+import Modal from '../interaction/modal'
+import Noty from '../interaction/noty'
+import Params from '../interaction/settings/params'
+import Keymap from '../utils/keymap'
+
+/**
+ * Обучение кнопкам пульта. Карта хранится на устройстве в keypad_map
+ * и попадает в локальную резервную копию
+ */
+
+let waiting
+
+function init(){
+    Params.listener.follow('button', (e)=>{
+        if(e.name == 'keypad_learn') open()
+    })
+}
+
+function map(){
+    return Keymap.normalize(Storage.get('keypad_map', '{}'))
+}
+
+function back(){
+    Controller.toggle('settings_component')
+}
+
+/**
+ * Список действий
+ * @param {string} [focus] - действие, на котором оставить фокус
+ */
+function open(focus){
+    let current = map()
+
+    let items = Object.keys(Keymap.actions).map(action=>{
+        return {
+            title: Lang.translate('keypad_action_' + action),
+            subtitle: current[action] ? Lang.translate('keypad_learn_code') + ': ' + current[action] : Lang.translate('keypad_learn_default'),
+            selected: action == focus,
+            action
+        }
+    })
+
+    items.push({
+        title: Lang.translate('keypad_learn_reset'),
+        subtitle: Lang.translate('keypad_learn_reset_descr'),
+        reset: true
+    })
+
+    Select.show({
+        title: Lang.translate('keypad_learn'),
+        items,
+        onBack: back,
+        onSelect: (a)=>{
+            if(a.reset){
+                Storage.set('keypad_map', {})
+
+                open()
+            }
+            else learn(a.action)
+        }
+    })
+}
+
+/**
+ * Ждем нажатия кнопки для действия
+ * @param {string} action
+ */
+function learn(action){
+    let name = Lang.translate('keypad_action_' + action)
+
+    let done = ()=>{
+        clearTimeout(waiting)
+
+        Keypad.learnCancel()
+
+        Modal.close()
+
+        open(action)
+    }
+
+    Modal.open({
+        title: Lang.translate('keypad_learn'),
+        html: $('<div class="about"><div>' + Lang.translate('keypad_learn_press') + ': <b>' + name + '</b></div></div>'),
+        size: 'small',
+        onBack: done
+    })
+
+    Keypad.learn((code)=>{
+        Storage.set('keypad_map', Keymap.bind(map(), action, code))
+
+        Noty.show(name + ' - ' + Lang.translate('keypad_learn_code') + ' ' + code)
+
+        done()
+    })
+
+    // если пульт ничего не прислал, возвращаем обычное управление
+    waiting = setTimeout(()=>{
+        Keypad.learnCancel()
+
+        Noty.show(Lang.translate('keypad_learn_timeout'))
+
+        done()
+    }, 10000)
+}
+
+export default {
+    init,
+    open
+}
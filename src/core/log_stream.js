@@ -0,0 +1,181 @@
+import Storage from './storage/storage'
+import Platform from './platform'
+import Manifest from './manifest'
+
+/**
+ * Отправка строк консоли на локальный сборщик логов разработчика.
+ * Адрес в настройке console_remote:
+ * ws://host:port - по WebSocket, каждая строка отдельным сообщением {type: 'log', ...}
+ * http://host:port/path - POST пачками {device, platform, version, logs: [...]}
+ */
+
+let queue   = []
+let max     = 500
+let socket
+let address = ''
+let opened  = false
+let reconnect
+let flush
+let sending = false
+
+function init(){
+    Storage.listener.follow('change', (e)=>{
+        if(e.name == 'console_remote') connect()
+    })
+
+    connect()
+}
+
+function device(){
+    return {
+        device: Storage.get('lampa_uid', ''),
+        platform: Platform.get(),
+        version: Manifest.app_version
+    }
+}
+
+function close(){
+    clearTimeout(reconnect)
+    clearTimeout(flush)
+
+    flush  = null
+    opened = false
+
+    if(socket){
+        socket.onclose = null
+
+        try{
+            socket.close()
+        }
+        catch(e){}
+
+        socket = null
+    }
+}
+
+/**
+ * Подключиться к адресу из настроек или отключиться, если адрес пустой
+ */
+function connect(){
+    close()
+
+    address = (Storage.get('console_remote', '') + '').trim()
+    queue   = []
+
+    if(!address) return
+
+    if(/^wss?:\/\//.test(address)) open()
+    else if(!/^https?:\/\//.test(address)) address = ''
+}
+
+function open(){
+    try{
+        socket = new WebSocket(address)
+    }
+    catch(e){
+        return retry()
+    }
+
+    socket.onopen = ()=>{
+        opened = true
+
+        socket.send(JSON.stringify(Object.assign({type: 'hello'}, device())))
+
+        while(queue.length && opened) write(queue.shift())
+    }
+
+    socket.onclose = ()=>{
+        opened = false
+        socket = null
+
+        retry()
+    }
+}
+
+function retry(){
+    clearTimeout(reconnect)
+
+    reconnect = setTimeout(()=>{
+        if(address && !socket) open()
+    }, 5000)
+}
+
+function write(record){
+    try{
+        socket.send(JSON.stringify(Object.assign({type: 'log'}, device(), record)))
+    }
+    catch(e){
+        queue.unshift(record)
+    }
+}
+
+function post(){
+    flush = null
+
+    if(sending || !queue.length) return
+
+    let logs   = queue.splice(0, 100)
+    let target = address
+
+    sending = true
+
+    // без Reguest, чтобы его ошибки не попадали обратно в консоль и не отправлялись по кругу
+    let xhr = new XMLHttpRequest()
+
+    let done = (ok)=>{
+        sending = false
+
+        if(!ok && address == target) queue = logs.concat(queue).slice(0, max)
+
+        if(queue.length) schedule(ok ? 500 : 5000)
+    }
+
+    try{
+        xhr.open('POST', address, true)
+        xhr.setRequestHeader('Content-Type', 'text/plain')
+        xhr.timeout = 10000
+        xhr.onload = ()=>done(xhr.status >= 200 && xhr.status < 300)
+        xhr.onerror = ()=>done(false)
+        xhr.ontimeout = ()=>done(false)
+        xhr.send(JSON.stringify(Object.assign({logs}, device())))
+    }
+    catch(e){
+        done(false)
+    }
+}
+
+function schedule(delay){
+    clearTimeout(flush)
+
+    flush = setTimeout(post, delay)
+}
+
+/**
+ * Отправить строку консоли
+ * @param {{time:number, level:string, name:string, text:string}} record
+ */
+function send(record){
+    if(!address) return
+
+    if(opened) return write(record)
+
+    queue.push(record)
+
+    if(queue.length > max) queue.shift()
+
+    if(/^https?:\/\//.test(address) && !sending && !flush) schedule(2000)
+}
+
+/**
+ * Включена ли отправка
+ * @returns {boolean}
+ */
+function enabled(){
+    return Boolean(address)
+}
+
+export default {
+    init,
+    send,
+    enabled
+}
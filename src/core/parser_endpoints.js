@@ -0,0 +1,434 @@
+import Storage from './storage/storage'
+import Request from '../utils/reguest'
+import Subscribe from '../utils/subscribe'
+import Utils from '../utils/utils'
+import Timer from './timer'
+import Lang from './lang'
+import Select from '../interaction/select'
+import Input from '../interaction/settings/input'
+import Params from '../interaction/settings/params'
+import Settings from '../interaction/settings/settings'
+import Controller from './controller'
+
+let network  = new Request()
+let listener = Subscribe()
+let health   = {}
+let checkers = {}
+
+/**
+ * Проверки доступности для встроенных индексаторов
+ */
+checkers.jackett = (endpoint, base)=>{
+    return base + '/api/v2.0/indexers/all/results/torznab/api?t=caps&apikey=' + encodeURIComponent(endpoint.key || '')
+}
+
+checkers.prowlarr = (endpoint, base)=>{
+    return base + '/api/v1/health?apikey=' + encodeURIComponent(endpoint.key || '')
+}
+
+function init(){
+    migrate()
+
+    Timer.add(1000 * 60 * 5, ()=>{
+        task()
+    }, true)
+
+    // первая проверка после старта, чтобы не мешать загрузке
+    setTimeout(task, 1000 * 10)
+
+    Params.listener.follow('button', (e)=>{
+        if(e.name.indexOf('parser_endpoints_') == 0) edit(e.name.slice('parser_endpoints_'.length))
+    })
+
+    Settings.listener.follow('open', (e)=>{
+        if(e.name == 'parser') refresh()
+    })
+
+    listener.follow('status', refresh)
+}
+
+/**
+ * Перенести старые поля jackett_url / prowlarr_url в общий список
+ */
+function migrate(){
+    if(Storage.get('parser_endpoints', '') !== '') return
+
+    let use   = Storage.get('parser_use_link', 'one')
+    let items = []
+
+    ;['jackett', 'prowlarr'].forEach(type=>{
+        [['_url', '_key'], ['_url_two', '_key_two']].forEach((fields, index)=>{
+            let url = Storage.get(type + fields[0], '')
+
+            if(url){
+                items.push(create({
+                    type,
+                    url,
+                    key: window.localStorage.getItem(type + fields[1]) || '',
+                    priority: index,
+                    enabled: use == 'both' || (use == 'one' && index == 0) || (use == 'two' && index == 1)
+                }))
+            }
+        })
+    })
+
+    save(items)
+}
+
+/**
+ * Создать эндпоинт со значениями по умолчанию
+ * @param {object} data
+ * @returns {{id:string, type:string, url:string, key:string, timeout:number, priority:number, enabled:boolean}}
+ */
+function create(data = {}){
+    return {
+        id: Utils.uid(12),
+        type: data.type || 'jackett',
+        url: data.url || '',
+        key: data.key || '',
+        timeout: data.timeout || 0,
+        priority: typeof data.priority == 'number' ? data.priority : 0,
+        enabled: typeof data.enabled == 'boolean' ? data.enabled : true
+    }
+}
+
+/**
+ * Все эндпоинты или только указанного типа
+ * @param {string} [type]
+ * @returns {[object]}
+ */
+function list(type){
+    let all = Storage.get('parser_endpoints', '[]')
+
+    if(!Array.isArray(all)) all = []
+
+    return type ? all.filter(e=>e.type == type) : all
+}
+
+function save(all){
+    Storage.set('parser_endpoints', all)
+}
+
+/**
+ * Добавить эндпоинт
+ * @param {object} data
+ * @returns {object}
+ */
+function add(data){
+    let all      = list()
+    let endpoint = create({
+        ...data,
+        priority: typeof data.priority == 'number' ? data.priority : list(data.type).length
+    })
+
+    all.push(endpoint)
+
+    save(all)
+
+    check(endpoint)
+
+    return endpoint
+}
+
+/**
+ * Обновить поля эндпоинта
+ * @param {string} id
+ * @param {object} data
+ */
+function update(id, data){
+    let all      = list()
+    let endpoint = all.find(e=>e.id == id)
+
+    if(!endpoint) return
+
+    for(let name in data) endpoint[name] = data[name]
+
+    save(all)
+
+    if(typeof data.url !== 'undefined' || typeof data.key !== 'undefined' || data.enabled) check(endpoint)
+}
+
+/**
+ * Удалить эндпоинт
+ * @param {string} id
+ */
+function remove(id){
+    save(list().filter(e=>e.id !== id))
+
+    delete health[id]
+}
+
+/**
+ * Ссылки для парсера, мертвые пропускаются
+ * @param {string} type
+ * @returns {[{id:string, url:string, key:string, rank:number, timeout:number}]}
+ */
+function links(type){
+    let enabled = list(type).filter(e=>e.enabled && e.url)
+    let alive   = enabled.filter(e=>status(e.id) !== 'error')
+
+    // если все мертвые, то все равно пробуем, может уже ожили
+    return (alive.length ? alive : enabled).sort((a,b)=>a.priority - b.priority).map(e=>{
+        return {
+            id: e.id,
+            url: e.url,
+            key: e.key,
+            rank: e.priority,
+            timeout: e.timeout
+        }
+    })
+}
+
+/**
+ * Статус эндпоинта
+ * @param {string} id
+ * @returns {string} - wait, active, error или пустая строка если еще не проверялся
+ */
+function status(id){
+    return health[id] ? health[id].status : ''
+}
+
+/**
+ * Добавить проверку доступности для своего типа индексатора
+ * @param {string} type
+ * @param {(endpoint:object, base:string)=>string} call - возвращает ссылку для проверки
+ */
+function checker(type, call){
+    checkers[type] = call
+}
+
+/**
+ * Проверить доступность эндпоинта
+ * @param {object} endpoint
+ * @param {function} [call]
+ */
+function check(endpoint, call){
+    let base = Utils.checkEmptyUrl(endpoint.url).replace(/\/+$/, '')
+    let url  = checkers[endpoint.type] ? checkers[endpoint.type](endpoint, base) : base
+
+    let done = (result, error)=>{
+        health[endpoint.id] = {
+            status: result ? 'active' : 'error',
+            time: Date.now(),
+            error: error || ''
+        }
+
+        if(!result) console.warn('ParserEndpoints', endpoint.type, endpoint.url, 'is offline', error || '')
+
+        listener.send('status', {endpoint, status: health[endpoint.id].status})
+
+        if(call) call(result)
+    }
+
+    health[endpoint.id] = {status: 'wait', time: Date.now(), error: ''}
+
+    listener.send('status', {endpoint, status: 'wait'})
+
+    network.native(url, ()=>{
+        done(true)
+    }, (a, c)=>{
+        // для своих типов без проверки считаем живым любой ответ сервера
+        if(!checkers[endpoint.type] && a && a.status > 0) done(true)
+        else done(false, network.errorDecode(a, c))
+    }, false, {
+        dataType: 'text',
+        timeout: 1000 * (endpoint.timeout || Storage.field('parse_timeout'))
+    })
+}
+
+/**
+ * Фоновая проверка всех включенных эндпоинтов
+ */
+function task(){
+    if(!Storage.field('parser_use')) return
+
+    list().filter(e=>e.enabled && e.url).forEach(endpoint=>{
+        check(endpoint)
+    })
+}
+
+/**
+ * Вывести в настройках сколько эндпоинтов живые
+ * @param {object} item - элемент настройки
+ */
+function summary(item){
+    let type    = (item.data('name') + '').slice('parser_endpoints_'.length)
+    let enabled = list(type).filter(e=>e.enabled && e.url)
+    let alive   = enabled.filter(e=>status(e.id) == 'active')
+
+    item.find('.settings-param__value').text(enabled.length ? alive.length + ' / ' + enabled.length : Lang.translate('settings_parser_endpoints_empty'))
+}
+
+function statusText(endpoint){
+    if(!endpoint.enabled) return Lang.translate('settings_parser_endpoint_disabled')
+
+    let state = health[endpoint.id]
+
+    if(!state) return ''
+    if(state.status == 'wait') return Lang.translate('settings_parser_endpoint_wait')
+    if(state.status == 'active') return Lang.translate('settings_parser_endpoint_online')
+
+    return Lang.translate('settings_parser_endpoint_offline') + (state.error ? ' - ' + state.error : '')
+}
+
+/**
+ * Обновить сводку на открытой странице настроек
+ */
+function refresh(){
+    $('[data-name^="parser_endpoints_"]').each(function(){
+        summary($(this))
+    })
+}
+
+function back(){
+    refresh()
+
+    Controller.toggle('settings_component')
+}
+
+/**
+ * Редактор списка эндпоинтов
+ * @param {string} type
+ */
+function edit(type){
+    let items = list(type).sort((a,b)=>a.priority - b.priority).map(endpoint=>{
+        return {
+            title: endpoint.url,
+            subtitle: [
+                Lang.translate('settings_parser_endpoint_priority') + ': ' + endpoint.priority,
+                Lang.translate('settings_parser_endpoint_timeout') + ': ' + (endpoint.timeout || Storage.field('parse_timeout')) + 's',
+                statusText(endpoint)
+            ].filter(a=>a).join(' - '),
+            ghost: !endpoint.enabled,
+            endpoint
+        }
+    })
+
+    items.push({
+        title: Lang.translate('settings_parser_endpoint_add'),
+        add: true
+    })
+
+    Select.show({
+        title: Lang.translate('settings_parser_endpoints'),
+        items,
+        onSelect: (a)=>{
+            if(a.add){
+                input(Lang.translate('settings_parser_jackett_link'), '', (url)=>{
+                    if(url) add({type, url})
+
+                    edit(type)
+                })
+            }
+            else editEndpoint(a.endpoint)
+        },
+        onBack: back
+    })
+}
+
+/**
+ * Редактор одного эндпоинта
+ * @param {object} endpoint
+ */
+function editEndpoint(endpoint){
+    let reopen = ()=>{
+        let fresh = list().find(e=>e.id == endpoint.id)
+
+        if(fresh) editEndpoint(fresh)
+        else edit(endpoint.type)
+    }
+
+    Select.show({
+        title: endpoint.url,
+        items: [
+            {
+                title: Lang.translate('settings_parser_jackett_link'),
+                subtitle: endpoint.url,
+                field: 'url'
+            },
+            {
+                title: Lang.translate('settings_parser_jackett_key'),
+                subtitle: endpoint.key ? endpoint.key.slice(0, 4) + '...' : '',
+                field: 'key'
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_timeout'),
+                subtitle: endpoint.timeout ? endpoint.timeout + 's' : Lang.translate('settings_parser_timeout_title') + ' (' + Storage.field('parse_timeout') + 's)',
+                field: 'timeout',
+                number: true
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_priority'),
+                subtitle: endpoint.priority + '',
+                field: 'priority',
+                number: true
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_enabled'),
+                checkbox: true,
+                checked: endpoint.enabled
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_check'),
+                subtitle: statusText(endpoint),
+                check: true
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_remove'),
+                remove: true
+            }
+        ],
+        onCheck: (a)=>{
+            update(endpoint.id, {enabled: a.checked})
+        },
+        onSelect: (a)=>{
+            if(a.remove){
+                remove(endpoint.id)
+
+                edit(endpoint.type)
+            }
+            else if(a.check){
+                check(endpoint, reopen)
+            }
+            else if(a.field){
+                input(a.title, endpoint[a.field] + '', (value)=>{
+                    let data = {}
+
+                    data[a.field] = a.number ? Math.max(0, parseInt(value) || 0) : value
+
+                    if(a.field !== 'url' || value) update(endpoint.id, data)
+
+                    reopen()
+                })
+            }
+        },
+        onBack: ()=>{
+            edit(endpoint.type)
+        }
+    })
+}
+
+function input(title, value, call){
+    Input.edit({
+        title,
+        value,
+        free: true,
+        nosave: true,
+        nomic: true
+    }, call)
+}
+
+export default {
+    init,
+    listener,
+    list,
+    add,
+    update,
+    remove,
+    links,
+    status,
+    check,
+    checker,
+    task,
+    edit
+}
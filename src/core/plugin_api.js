@@ -0,0 +1,298 @@
+import Component from './component'
+import Template from '../interaction/template'
+import SettingsApi from '../interaction/settings/api'
+import ContentRows from './content_rows'
+import Storage from './storage/storage'
+import Console from '../interaction/console'
+
+/**
+ * Жизненный цикл плагина. Плагин регистрируется так:
+ *
+ * Lampa.PluginApi.register({
+ *     id: 'my_plugin',
+ *     start: (plugin)=>{
+ *         plugin.component('my_plugin', MyComponent)
+ *         plugin.template('my_plugin_item', '<div>...</div>')
+ *         plugin.addParam({component: 'interface', param: {...}, field: {...}})
+ *         plugin.row({name: 'my_row', title: '...', screen: 'main', call: ()=>{}})
+ *         plugin.follow(Lampa.Listener, 'full', onFull)
+ *         plugin.onStop(()=>{ ... })
+ *     },
+ *     stop: (plugin)=>{}
+ * })
+ *
+ * Адрес плагина берется из document.currentScript, он есть только пока скрипт выполняется.
+ * Если register вызывается позже, например из Lampa.Listener.follow('app', ...), адрес нужно
+ * запомнить в начале скрипта и передать явно, иначе плагин не будет зарегистрирован:
+ *
+ * let url = document.currentScript ? document.currentScript.src || document.currentScript.getAttribute('data-url') : ''
+ *
+ * Lampa.Listener.follow('app', (e)=>{
+ *     if(e.type == 'ready') Lampa.PluginApi.register({id: 'my_plugin', url, start: ...})
+ * })
+ *
+ * Все, что зарегистрировано через plugin, снимается при выключении без перезагрузки
+ */
+
+let plugins = []
+
+/**
+ * Адрес без протокола и параметров, по нему ищем плагин и его ошибки
+ * @param {string} url
+ * @returns {string}
+ */
+function source(url){
+    return (url || '').split('?')[0].replace(/^[a-z]+:\/\//i, '')
+}
+
+function context(record){
+    let disposers = []
+
+    let dispose = (fn)=>{
+        disposers.push(fn)
+    }
+
+    return {
+        id: record.id,
+        url: record.url,
+
+        component: (name, comp)=>{
+            Component.add(name, comp)
+
+            dispose(()=>Component.remove(name))
+        },
+
+        template: (name, html)=>{
+            Template.add(name, html)
+
+            dispose(()=>Template.remove(name))
+        },
+
+        addComponent: (data)=>{
+            SettingsApi.addComponent(data)
+
+            dispose(()=>SettingsApi.removeComponent(data.component))
+        },
+
+        addParam: (data)=>{
+            SettingsApi.addParam(data)
+
+            if(record.params.indexOf(data.param.name) == -1) record.params.push(data.param.name)
+
+            dispose(()=>SettingsApi.removeParam(data.component, data.param.name))
+        },
+
+        row: (row)=>{
+            ContentRows.add(row)
+
+            dispose(()=>ContentRows.remove(row))
+        },
+
+        follow: (listener, type, fn)=>{
+            listener.follow(type, fn)
+
+            dispose(()=>type.split(',').forEach(name=>listener.remove(name, fn)))
+        },
+
+        onStop: dispose,
+
+        dispose: ()=>{
+            disposers.reverse().forEach(fn=>{
+                try{
+                    fn()
+                }
+                catch(e){
+                    console.error('Plugin', record.id, 'dispose error:', e.message, e.stack)
+                }
+            })
+
+            disposers = []
+        }
+    }
+}
+
+/**
+ * Адрес скрипта, который сейчас выполняется
+ * @returns {string}
+ */
+function current(){
+    let script = document.currentScript
+
+    if(!script) return ''
+
+    return script.src || script.getAttribute('data-url') || ''
+}
+
+/**
+ * Зарегистрировать плагин, запуск сразу или после готовности приложения
+ * @param {{id:string, url?:string, start:(plugin:object)=>void, stop?:(plugin:object)=>void}} params - url обязателен, если register вызван не во время выполнения скрипта
+ * @returns {object|undefined} - запись плагина
+ */
+function register(params){
+    if(!params || typeof params.start !== 'function') return console.warn('Plugin', 'register: start hook is required', params)
+
+    let url = source(params.url || current())
+
+    // без адреса плагин не найти в расширениях, его нельзя выключить и не видно его ошибок
+    if(!url) return console.warn('Plugin', params.id || '', 'register: url is required when called outside of the plugin script')
+    let old = plugins.find(p=>(url && p.url == url) || (params.id && p.id == params.id))
+
+    if(old){
+        stop(old)
+
+        plugins.splice(plugins.indexOf(old), 1)
+    }
+
+    let record = {
+        id: params.id || url,
+        url,
+        hooks: params,
+        params: [],
+        running: false,
+        error: null
+    }
+
+    record.context = context(record)
+
+    plugins.push(record)
+
+    if(window.appready) start(record)
+    else{
+        Lampa.Listener.follow('app', function ready(e){
+            if(e.type !== 'ready') return
+
+            Lampa.Listener.remove('app', ready)
+
+            if(plugins.indexOf(record) >= 0) start(record)
+        })
+    }
+
+    return record
+}
+
+/**
+ * Найти плагин по адресу или записи
+ * @param {string|object} url
+ * @returns {object|undefined}
+ */
+function find(url){
+    if(typeof url == 'object') return plugins.indexOf(url) >= 0 ? url : undefined
+
+    let src = source(url)
+
+    return plugins.find(p=>p.url && p.url == src)
+}
+
+/**
+ * Запустить плагин, ошибка не мешает остальным
+ * @param {string|object} url
+ * @returns {boolean}
+ */
+function start(url){
+    let record = find(url)
+
+    if(!record || record.running) return false
+
+    record.error = null
+
+    try{
+        record.hooks.start(record.context)
+
+        record.running = true
+
+        console.log('Plugin', record.id, 'started')
+    }
+    catch(e){
+        record.error = {
+            message: e.message || e + '',
+            stack: e.stack || ''
+        }
+
+        console.error('Plugin', record.id, '(' + record.url + ')', 'start error:', record.error.message, record.error.stack)
+
+        // снимаем то, что плагин успел зарегистрировать
+        record.context.dispose()
+    }
+
+    return record.running
+}
+
+/**
+ * Остановить плагин и снять все его регистрации
+ * @param {string|object} url
+ * @returns {boolean}
+ */
+function stop(url){
+    let record = find(url)
+
+    if(!record || !record.running) return false
+
+    try{
+        if(typeof record.hooks.stop == 'function') record.hooks.stop(record.context)
+    }
+    catch(e){
+        console.error('Plugin', record.id, '(' + record.url + ')', 'stop error:', e.message, e.stack)
+    }
+
+    record.context.dispose()
+    record.running = false
+
+    console.log('Plugin', record.id, 'stopped')
+
+    return true
+}
+
+/**
+ * Ошибки плагина: ошибка запуска и ошибки из консоли, где упоминается адрес плагина
+ * @param {string} url
+ * @returns {[{message:string, stack:string, time:number}]}
+ */
+function errors(url){
+    let record = find(url)
+    let src    = source(url)
+    let result = []
+
+    if(record && record.error) result.push({message: record.error.message, stack: record.error.stack, time: 0})
+
+    if(src){
+        Console.errors(src).forEach(r=>{
+            if(!(record && record.error && r.text.indexOf(record.error.message) >= 0)) result.push({message: r.name, stack: r.text, time: r.time})
+        })
+    }
+
+    return result
+}
+
+/**
+ * Значения настроек, которые добавил плагин
+ * @param {string} url
+ * @returns {object|null}
+ */
+function settings(url){
+    let record = find(url)
+
+    if(!record || !record.params.length) return null
+
+    let values = {}
+
+    record.params.forEach(name=>{
+        values[name] = Storage.get(name, '')
+    })
+
+    return {
+        plugin: record.id,
+        url: record.url,
+        settings: values
+    }
+}
+
+export default {
+    source,
+    register,
+    find,
+    start,
+    stop,
+    errors,
+    settings,
+    all: ()=>plugins
+}
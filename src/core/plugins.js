@@ -12,6 +12,9 @@ import Cache from '../utils/cache'
 import Manifest from './manifest'
 import Status from '../utils/status'
 import ParentalControl from '../interaction/parental_control'
+import Sha256 from '../utils/sha256'
+import PluginManifest from '../utils/plugin_manifest'
+import PluginOrder from '../utils/plugin_order'
 
 let _created = []
 let _loaded  = []
@@ -19,6 +22,7 @@ let _network = new Request()
 let _blacklist = []
 let _awaits = []
 let _noload = []
+let _report = []
 
 /**
  * Запуск
@@ -37,6 +41,15 @@ function get(){
     return _loaded.map(a=>a)
 }
 
+/**
+ * Установленный плагин по адресу
+ * @param {string} url
+ * @returns {object|undefined}
+ */
+function find(url){
+    return _loaded.find(a=>typeof a == 'object' && a.url == url)
+}
+
 function modify(){
     let list = Storage.get('plugins','[]')
 
@@ -68,6 +81,8 @@ function add(plug){
 
     Storage.set('plugins', _loaded)
 
+    if(plug.dependencies) store(plug.url, plug.dependencies)
+
     push(plug)
 }
 
@@ -81,16 +96,114 @@ function push(plug){
 
         console.log('Plugins','push:', plug)
 
-        Utils.putScriptAsync([addPluginParams(plug.url)],false,()=>{
+        if(plug.integrity){
+            return verify(plug, addPluginParams(plug.url, plug), ()=>{
+                Noty.show(Lang.translate('plugins_add_success'))
+            },()=>{})
+        }
+
+        Utils.putScriptAsync([addPluginParams(plug.url, plug)],false,()=>{
             Noty.show(Lang.translate('plugins_check_fail'),{time: 8000})
         },()=>{
-            updatePluginDB(plug.url, addPluginParams(plug.url))
+            updatePluginDB(plug.url, addPluginParams(plug.url, plug))
 
             Noty.show(Lang.translate('plugins_add_success'))
         },false)
     }
 }
 
+/**
+ * Совпадает ли код с закрепленным хэшем, если нет - запоминаем новый хэш и предупреждаем
+ * @param {object} plug
+ * @param {string} code
+ * @returns {boolean}
+ */
+function checksum(plug, code){
+    let hash = Sha256.integrity(code)
+
+    if(hash == plug.integrity) return true
+
+    console.warn('Plugins','integrity mismatch:', plug.url, 'expected:', plug.integrity, 'got:', hash)
+
+    if(plug.changed !== hash){
+        plug.changed = hash
+
+        save()
+    }
+
+    Noty.show(Lang.translate('plugins_integrity_changed') + ': ' + (plug.name || plug.url), {time: 8000})
+
+    return false
+}
+
+/**
+ * Загрузить закрепленный плагин, код запускается только если хэш совпал
+ * @param {object} plug
+ * @param {string} url - адрес с параметрами
+ * @param {function} success
+ * @param {function} fail
+ */
+function verify(plug, url, success, fail){
+    let run = (code)=>{
+        inject(code, plug.url)
+
+        console.log('Plugins','include verified:', plug.url)
+
+        success()
+    }
+
+    _network.native(url,(code)=>{
+        if(!checksum(plug, code)) return fail()
+
+        remember(plug.url, code)
+
+        Cache.rewriteData('plugins', plug.url, code).catch(()=>{})
+
+        run(code)
+    },()=>{
+        // нет сети, берем копию из кэша, но тоже проверяем
+        Cache.getData('plugins', plug.url).then(code=>{
+            if(code && checksum(plug, code)) run(code)
+            else fail()
+        }).catch(fail)
+    },false,{
+        dataType: 'text'
+    })
+}
+
+/**
+ * Закрепить текущую версию плагина по хэшу
+ * @param {object} plug
+ * @param {function} [success]
+ * @param {function} [fail]
+ */
+function pin(plug, success, fail){
+    _network.native(addPluginParams(plug.url, plug),(code)=>{
+        plug.integrity = Sha256.integrity(code)
+
+        delete plug.changed
+
+        save()
+
+        if(success) success(plug.integrity)
+    },()=>{
+        if(fail) fail()
+    },false,{
+        dataType: 'text'
+    })
+}
+
+/**
+ * Снять закрепление
+ * @param {object} plug
+ */
+function unpin(plug){
+    delete plug.integrity
+    delete plug.changed
+
+    save()
+}
+
 function save(){
     console.log('Plugins','save:', _loaded)
 
@@ -102,6 +215,8 @@ function updatePluginDB(name, url){
         let cu = Utils.addUrlComponent(url, 'cache=true')
 
         _network.native(cu,(str)=>{
+            remember(name, str)
+
             Cache.rewriteData('plugins', name, str).then(()=>{
                 console.log('Plugins','update plugin cache:', name)
             }).catch((e)=>{
@@ -113,21 +228,31 @@ function updatePluginDB(name, url){
     //}
 }
 
+/**
+ * Вставить код плагина, адрес нужен, чтобы плагин узнал себя через document.currentScript
+ * @param {string} code
+ * @param {string} url
+ */
+function inject(code, url){
+    let s = document.createElement('script')
+        s.type = 'text/javascript'
+        s.setAttribute('data-url', url || '')
+    
+    try {
+        s.appendChild(document.createTextNode(code))
+        document.body.appendChild(s)
+    } 
+    catch (e) {
+        s.text = code
+        document.body.appendChild(s)
+    }
+}
+
 function createPluginDB(name){
     //if(Account.hasPremium()){
         Cache.getData('plugins',name).then(code=>{
             if(code){
-                let s = document.createElement('script')
-                    s.type = 'text/javascript'
-                
-                try {
-                    s.appendChild(document.createTextNode(code))
-                    document.body.appendChild(s)
-                } 
-                catch (e) {
-                    s.text = code
-                    document.body.appendChild(s)
-                }
+                inject(code, name)
 
                 console.log('Plugins','add plugin from cache:', name)
             }
@@ -138,8 +263,16 @@ function createPluginDB(name){
     //}
 }
 
-function addPluginParams(url){
+/**
+ * Адрес плагина с параметрами. Плагинам с сохраненными разрешениями
+ * подставляются только разрешенные ключи хранилища и почта, если разрешен аккаунт
+ * @param {string} url
+ * @param {object} [plug]
+ * @returns {string}
+ */
+function addPluginParams(url, plug){
     let encode = url
+    let permissions = plug ? plug.permissions : null
 
     encode = encode.replace('cub.watch', Manifest.cub_domain)
 
@@ -147,10 +280,10 @@ function addPluginParams(url){
         
     if(!/[0-9]{1,3}[.][0-9]{1,3}[.][0-9]{1,3}[.][0-9]{1,3}/.test(encode)){
         encode = encode.replace(/\{storage_(\w+|\d+|_|-)\}/g,(match,key)=>{
-            return encodeURIComponent(Base64.encode(localStorage.getItem(key) || ''))
+            return PluginManifest.storage(permissions, key) ? encodeURIComponent(Base64.encode(localStorage.getItem(key) || '')) : ''
         })
 
-        if(Account.Permit.access) encode = Utils.addUrlComponent(encode, 'email='+encodeURIComponent(Base64.encode(Account.Permit.account.email)))
+        if(Account.Permit.access && (!permissions || PluginManifest.account(permissions))) encode = Utils.addUrlComponent(encode, 'email='+encodeURIComponent(Base64.encode(Account.Permit.account.email)))
 
         encode = Utils.addUrlComponent(encode, 'logged='+encodeURIComponent(Account.Permit.access ? 'true' : 'false'))
         encode = Utils.addUrlComponent(encode, 'reset='+Math.random())
@@ -192,22 +325,26 @@ function loadBlackList(call){
 }
 
 /**
- * Загрузка всех плагинов
+ * Загрузка всех плагинов. Плагины с зависимостями грузятся уровнями:
+ * следующий уровень только после того, как загрузился предыдущий
  */
 function load(call){
     let errors   = []
     let original = {}
-    let include  = []
+    let loaded   = []
+    let deps     = Storage.get('plugins_deps','{}')
 
-    _awaits.forEach(url=>{
-        let encode = addPluginParams(url)
+    let items = _awaits.map(url=>{
+        let info = deps[url] || {}
 
-        include.push(encode)
-
-        original[encode] = url
+        return {id: url, provides: info.provides || [], requires: info.requires || []}
     })
 
-    Utils.putScriptAsync(include,()=>{
+    let order = PluginOrder.plan(items)
+
+    _report = order.skipped.slice()
+
+    let finish = ()=>{
         call()
 
         if(errors.length){
@@ -215,23 +352,131 @@ function load(call){
                 Noty.show(Lang.translate('plugins_no_loaded') + ' ('+errors.join(', ')+')',{time: 6000})
             },2000)
         }
-    },(u)=>{
-        if(u.indexOf('modification.js') == -1){
-            console.warn('Extensions','error:', original[u])
 
-            errors.push(original[u])
+        if(_report.length){
+            console.warn('Plugins','skipped by dependencies:', _report)
+
+            setTimeout(()=>{
+                Noty.show(Lang.translate('plugins_deps_skipped') + ': ' + _report.length,{time: 6000})
+            },errors.length ? 8000 : 2000)
+        }
+    }
+
+    let level = ()=>{
+        let ids = order.levels.shift()
+
+        if(!ids) return finish()
+
+        let include = []
+        let pinned  = []
+
+        ids.forEach(url=>{
+            let item = items.find(a=>a.id == url)
+            let need = PluginOrder.unmet(items, item, loaded)
 
-            _noload.push(original[u])
+            // тот, кто дает зависимость, не загрузился
+            if(need){
+                return _report.push({
+                    id: url,
+                    reason: 'failed',
+                    dependency: need.name,
+                    range: need.range,
+                    by: PluginOrder.suitable(items, item, need).map(a=>a.id).join(', ')
+                })
+            }
+
+            let plug   = find(url)
+            let encode = addPluginParams(url, plug)
+
+            if(plug && plug.integrity) return pinned.push({plug, encode})
+
+            include.push(encode)
+
+            original[encode] = url
+        })
+
+        // сначала закрепленные плагины, их код проверяется перед запуском
+        let next = ()=>{
+            let item = pinned.shift()
 
-            createPluginDB(original[u], u)
+            if(!item) return include.length ? all() : level()
+
+            verify(item.plug, item.encode, ()=>{
+                _created.push(item.plug.url)
+
+                loaded.push(item.plug.url)
+
+                next()
+            },()=>{
+                errors.push(item.plug.url)
+
+                _noload.push(item.plug.url)
+
+                next()
+            })
         }
-    },(u)=>{
-        console.log('Extensions','include:', original[u])
 
-        _created.push(original[u])
+        let all = ()=>Utils.putScriptAsync(include,level,(u)=>{
+            if(u.indexOf('modification.js') == -1){
+                console.warn('Extensions','error:', original[u])
 
-        updatePluginDB(original[u], u)
-    },false)
+                errors.push(original[u])
+
+                _noload.push(original[u])
+
+                createPluginDB(original[u], u)
+            }
+        },(u)=>{
+            console.log('Extensions','include:', original[u])
+
+            _created.push(original[u])
+
+            loaded.push(original[u])
+
+            updatePluginDB(original[u], u)
+        },false)
+
+        next()
+    }
+
+    level()
+}
+
+/**
+ * Запомнить зависимости плагина из его кода, чтобы при следующем запуске загрузить в нужном порядке
+ * @param {string} url
+ * @param {string} code
+ */
+function remember(url, code){
+    store(url, PluginManifest.dependencies(code))
+}
+
+/**
+ * Сохранить зависимости плагина
+ * @param {string} url
+ * @param {{provides:[object], requires:[object]}} info
+ */
+function store(url, info){
+    let deps = Storage.get('plugins_deps','{}')
+    let have = deps[url]
+
+    if(!info.provides.length && !info.requires.length){
+        if(!have) return
+
+        delete deps[url]
+    }
+    else if(JSON.stringify(have) == JSON.stringify(info)) return
+    else deps[url] = info
+
+    Storage.set('plugins_deps', deps)
+}
+
+/**
+ * Плагины, пропущенные при загрузке из-за зависимостей
+ * @returns {[{id:string, reason:string, dependency:string, range:string, by:string, found:[string]}]}
+ */
+function report(){
+    return _report.map(a=>a)
 }
 
 function task(call){
@@ -290,10 +535,15 @@ export default {
     remove,
     loaded: ()=>_created,
     errors: ()=>_noload,
+    report,
+    params: addPluginParams,
     add,
     get,
+    find,
     save,
     push,
+    pin,
+    unpin,
     task,
     awaits
 }
@@ -7,6 +7,7 @@ import Subscribe from '../utils/subscribe'
 import Player from '../interaction/player'
 import Timeline from '../interaction/timeline'
 import Account from './account/account'
+import Backend from './account/backend'
 import Modal from '../interaction/modal'
 import Lang from './lang'
 import Manifest from './manifest'
@@ -41,6 +42,9 @@ function connect(){
     let socket_url = ws + mirror + pt
 
     if(window.lampa_settings.socket_url) socket_url = window.lampa_settings.socket_url
+
+    // Свой сервер синхронизации важнее, его выбрал пользователь
+    if(Backend.socket()) socket_url = Backend.socket()
     
     clearInterval(ping)
 
@@ -0,0 +1,140 @@
+import Storage from './storage/storage'
+import Favorite from './favorite'
+import Account from './account/account'
+import Lang from './lang'
+import TMDB from './api/sources/tmdb'
+import Timeline from '../interaction/timeline'
+import Utils from '../utils/utils'
+import WatchStats from '../utils/watch_stats'
+
+/**
+ * Запуск, запоминаем актеров и режиссеров открытых карточек, чтобы потом считать статистику без сети
+ * @returns {void}
+ */
+function init(){
+    Lampa.Listener.follow('full', (e)=>{
+        if(e.type == 'start' && e.data.movie && e.data.persons) remember(e.data.movie, e.data.persons)
+    })
+}
+
+function key(card){
+    return (card.original_name ? 'tv_' : 'movie_') + card.id
+}
+
+/**
+ * Сохранить людей карточки
+ * @param {object} card
+ * @param {{cast:[object], crew:[object]}} persons
+ * @returns {void}
+ */
+function remember(card, persons){
+    let list = (persons.crew || []).filter(p=>p.job == 'Director').concat((persons.cast || []).slice(0, 5))
+    let uniq = []
+
+    list.forEach(person=>{
+        if(person.id && !uniq.find(p=>p.id == person.id)) uniq.push({id: person.id, name: person.name})
+    })
+
+    let all = Storage.cache('statistics_people', 1000, {})
+
+    all[key(card)] = uniq
+
+    Storage.set('statistics_people', all)
+}
+
+/**
+ * Профили, для которых есть прогресс просмотра на этом устройстве
+ * @returns {[{file:string, title:string}]}
+ */
+function profiles(){
+    let account = Account.Permit.account
+    let current = Timeline.filename()
+    let files   = [current]
+
+    for(let i = 0; i < localStorage.length; i++){
+        let name = localStorage.key(i)
+
+        if(/^file_view(_\d+)?$/.test(name) && files.indexOf(name) == -1) files.push(name)
+    }
+
+    return files.map(file=>{
+        let id    = file.split('_')[2]
+        let title = Lang.translate('statistics_profile_device')
+
+        if(id) title = account.profile && account.profile.id == id ? account.profile.name : Lang.translate('statistics_profile') + ' ' + id
+
+        return {file, title, current: file == current}
+    })
+}
+
+/**
+ * Карточки, которые есть на устройстве: история и все закладки
+ * @returns {[object]}
+ */
+function cards(){
+    let all = Favorite.get({type: 'history'}).concat(Account.Permit.sync ? Account.Bookmarks.all() : Favorite.full().card)
+    let ids = {}
+
+    return all.filter(card=>{
+        if(!card || !card.id || ids[key(card)]) return false
+
+        ids[key(card)] = true
+
+        return true
+    })
+}
+
+function genre(id){
+    return TMDB.getGenresNameFromIds('movie', [id])[0] || TMDB.getGenresNameFromIds('tv', [id])[0] || ''
+}
+
+/**
+ * Посчитать статистику
+ * @param {string} [file] - файл прогресса из profiles(), по умолчанию текущий профиль
+ * @returns {{time:object, genres:[object], people:[object], series:[object]}}
+ */
+function collect(file){
+    let viewed  = Storage.get(file || Timeline.filename(), '{}')
+    let last    = Storage.cache('online_watched_last', 5000, {})
+    let watched = []
+    let series  = []
+
+    cards().forEach(card=>{
+        let title = card.original_name || card.original_title
+
+        if(card.original_name || card.number_of_seasons){
+            let hash    = (s, e)=>Utils.hash([s, s > 10 ? ':' : '', e, title].join(''))
+            let started = WatchStats.series(card, viewed, hash, 1)
+
+            if(!started.watched) return
+
+            let result = WatchStats.series(card, viewed, hash)
+
+            result.card = card
+            result.last = last[Utils.hash(title)] || {}
+
+            series.push(result)
+            watched.push(card)
+        }
+        else{
+            let road = viewed[Utils.hash(title)]
+
+            if(road && road.percent) watched.push(card)
+        }
+    })
+
+    series.sort((a, b)=>b.percent - a.percent || b.watched - a.watched)
+
+    return {
+        time: WatchStats.time(viewed),
+        genres: WatchStats.genres(watched).map(g=>Object.assign(g, {name: genre(g.id)})).filter(g=>g.name),
+        people: WatchStats.people(watched, Storage.cache('statistics_people', 1000, {}), key),
+        series
+    }
+}
+
+export default {
+    init,
+    profiles,
+    collect
+}
@@ -1,5 +1,7 @@
 import Storage from './storage/storage'
 import Utils from '../utils/utils'
+import ThemePackage from '../utils/theme_package'
+import Background from '../interaction/background'
 
 class Theme{
     constructor(){
@@ -8,6 +10,12 @@ class Theme{
 
     init(){
         if(this.get()) this.set(this.get())
+
+        this.local(this.active())
+
+        Storage.listener.follow('change', (e)=>{
+            if(e.name == 'theme_local_active' || e.name == 'theme_local') this.local(this.active())
+        })
     }
 
     toggle(url){
@@ -36,6 +44,118 @@ class Theme{
 
         $('body').append(css)
     }
+
+    /**
+     * Локальные темы, хранятся на устройстве и не требуют аккаунта CUB
+     * @returns {[object]}
+     */
+    list(){
+        let list = Storage.get('theme_local','[]')
+
+        return (Array.isArray(list) ? list : []).map(ThemePackage.normalize).filter(t=>t.id)
+    }
+
+    /**
+     * Выбранная локальная тема
+     * @returns {object|undefined}
+     */
+    active(){
+        let id = Storage.get('theme_local_active','')
+
+        return id ? this.list().find(t=>t.id == id) : undefined
+    }
+
+    /**
+     * Применить локальную тему, без темы возвращаем оформление по умолчанию
+     * @param {object} [theme]
+     */
+    local(theme){
+        $('#local-theme').remove()
+
+        if(theme){
+            let style = $('<style id="local-theme"></style>')
+
+            style.text(ThemePackage.css(theme))
+
+            $('body').append(style)
+
+            Background.use(theme.background.type, theme.background)
+        }
+        else Background.use('')
+    }
+
+    /**
+     * Показать тему без сохранения
+     * @param {object} theme
+     */
+    preview(theme){
+        this.local(ThemePackage.normalize(theme))
+    }
+
+    /**
+     * Вернуть выбранную тему после предпросмотра
+     */
+    restore(){
+        this.local(this.active())
+    }
+
+    /**
+     * Сохранить тему, новая тема получает id
+     * @param {object} theme
+     * @returns {object} - сохраненная тема
+     */
+    save(theme){
+        let list  = this.list()
+        let ready = ThemePackage.normalize(theme)
+
+        if(!ready.id) ready.id = 'theme_' + Date.now()
+
+        let old = list.find(t=>t.id == ready.id)
+
+        if(old) list[list.indexOf(old)] = ready
+        else list.push(ready)
+
+        Storage.set('theme_local', list)
+
+        return ready
+    }
+
+    /**
+     * Удалить тему
+     * @param {string} id
+     */
+    remove(id){
+        if(Storage.get('theme_local_active','') == id) Storage.set('theme_local_active','')
+
+        Storage.set('theme_local', this.list().filter(t=>t.id !== id))
+    }
+
+    /**
+     * Выбрать тему, пустой id - оформление по умолчанию
+     * @param {string} id
+     */
+    select(id){
+        Storage.set('theme_local_active', id || '')
+    }
+
+    /**
+     * Импорт темы из файла, тема с таким же id заменяется
+     * @param {string} text
+     * @returns {object}
+     * @throws {Error}
+     */
+    import(text){
+        return this.save(ThemePackage.unpack(text))
+    }
+
+    /**
+     * Экспорт темы в файл
+     * @param {object} theme
+     * @returns {boolean}
+     */
+    export(theme){
+        return Utils.saveFile(ThemePackage.pack(theme), 'lampa_theme_' + theme.id + '.json')
+    }
 }
 
-export default new Theme()
\ No newline at end of file
+export default new Theme()
@@ -0,0 +1,347 @@
+import Lang from './lang'
+import Controller from './controller'
+import Theme from './theme'
+import Select from '../interaction/select'
+import Noty from '../interaction/noty'
+import Input from '../interaction/settings/input'
+import Params from '../interaction/settings/params'
+import Background from '../interaction/background'
+import ThemePackage from '../utils/theme_package'
+import Utils from '../utils/utils'
+
+/**
+ * Редактор локальных тем с предпросмотром: значение применяется,
+ * пока на нем стоит фокус, и сохраняется только по кнопке
+ */
+
+const colors      = ['#ffffff', '#f5c518', '#ff6262', '#4caf50', '#2196f3', '#9c27b0', '#ff9800']
+const backgrounds = ['#1d1f20', '#000000', '#101820', '#1b1b2f', '#2b2b2b', '#0f2027']
+const builtin     = ['default', 'color', 'image']
+
+const fields = [
+    {group: 'variables',  name: 'accent',      values: colors, custom: true, color: true},
+    {group: 'variables',  name: 'background',  values: backgrounds, custom: true, color: true},
+    {group: 'variables',  name: 'card_radius', values: [0, 0.3, 0.6, 1, 1.5, 2]},
+    {group: 'variables',  name: 'focus_ring',  values: colors, custom: true, color: true},
+    {group: 'variables',  name: 'font',        values: ThemePackage.fonts, custom: true},
+    {group: 'background', name: 'type',        values: ()=>['default'].concat(Background.types())},
+    {group: 'background', name: 'color',       values: backgrounds, custom: true, color: true},
+    {group: 'background', name: 'blur',        values: [0, 5, 10, 20]},
+    {group: 'background', name: 'image',       values: [], custom: true}
+]
+
+function init(){
+    Params.listener.follow('button', (e)=>{
+        if(e.name == 'theme_editor') open()
+    })
+}
+
+function back(){
+    Controller.toggle('settings_component')
+}
+
+function copy(theme){
+    return JSON.parse(JSON.stringify(theme))
+}
+
+function fieldTitle(field){
+    return Lang.translate('theme_editor_' + (field.group == 'background' ? 'bg_' : '') + field.name)
+}
+
+/**
+ * Значение поля для показа
+ * @param {object} field
+ * @param {any} value
+ * @returns {string}
+ */
+function display(field, value){
+    if(field.name == 'type') return builtin.indexOf(value) >= 0 ? Lang.translate('theme_editor_bg_type_' + value) : value
+    if(field.name == 'card_radius') return value + 'em'
+    if(field.name == 'blur') return value ? value + 'px' : Lang.translate('theme_editor_off')
+    if(field.name == 'image') return value ? Utils.shortText(value, 40) : Lang.translate('theme_editor_off')
+
+    return value + ''
+}
+
+/**
+ * Тема с новым значением поля
+ */
+function change(draft, field, value){
+    let result = copy(draft)
+
+    result[field.group][field.name] = value
+
+    return ThemePackage.normalize(result)
+}
+
+/**
+ * Список тем
+ * @param {string} [focus] - id темы
+ */
+function open(focus){
+    let active = Theme.active()
+    let items  = [{
+        title: Lang.translate('theme_editor_default'),
+        subtitle: active ? '' : Lang.translate('theme_editor_active'),
+        selected: !focus && !active,
+        theme: ''
+    }]
+
+    Theme.list().forEach(theme=>{
+        items.push({
+            title: theme.name || theme.id,
+            subtitle: active && active.id == theme.id ? Lang.translate('theme_editor_active') : '',
+            selected: focus == theme.id,
+            theme: theme.id
+        })
+    })
+
+    items.push({
+        title: Lang.translate('more'),
+        separator: true
+    })
+
+    items.push({
+        title: Lang.translate('theme_editor_create'),
+        create: true
+    })
+
+    items.push({
+        title: Lang.translate('theme_editor_import'),
+        subtitle: Lang.translate('theme_editor_import_descr'),
+        import: true
+    })
+
+    Select.show({
+        title: Lang.translate('theme_editor'),
+        items,
+        onBack: back,
+        onSelect: (a)=>{
+            if(a.create){
+                let draft = ThemePackage.defaults()
+
+                draft.name = Lang.translate('theme_editor_new')
+
+                edit(draft)
+            }
+            else if(a.import) pick()
+            else if(a.theme) actions(Theme.list().find(t=>t.id == a.theme))
+            else{
+                Theme.select('')
+
+                open()
+            }
+        }
+    })
+}
+
+/**
+ * Действия с темой
+ * @param {object} theme
+ */
+function actions(theme){
+    if(!theme) return open()
+
+    Select.show({
+        title: theme.name,
+        items: [
+            {title: Lang.translate('theme_editor_apply'), apply: true},
+            {title: Lang.translate('theme_editor_edit'), edit: true},
+            {title: Lang.translate('theme_editor_export'), export: true},
+            {title: Lang.translate('theme_editor_remove'), remove: true}
+        ],
+        onBack: ()=>open(theme.id),
+        onSelect: (a)=>{
+            if(a.apply){
+                Theme.select(theme.id)
+
+                open(theme.id)
+            }
+            else if(a.edit) edit(copy(theme))
+            else if(a.export){
+                if(Theme.export(theme)) Noty.show(Lang.translate('console_export_done') + ': lampa_theme_' + theme.id + '.json')
+                else Noty.show(Lang.translate('console_export_error'))
+
+                open(theme.id)
+            }
+            else if(a.remove){
+                Theme.remove(theme.id)
+
+                open()
+            }
+        }
+    })
+}
+
+/**
+ * Редактирование темы, все изменения сразу видны
+ * @param {object} draft
+ * @param {string} [focus] - поле, на котором оставить фокус
+ */
+function edit(draft, focus){
+    Theme.preview(draft)
+
+    let items = [{
+        title: Lang.translate('theme_editor_name'),
+        subtitle: draft.name,
+        selected: focus == 'name',
+        rename: true
+    }]
+
+    fields.forEach(field=>{
+        if(field.group == 'background' && field.name == 'type'){
+            items.push({
+                title: Lang.translate('settings_interface_background'),
+                separator: true
+            })
+        }
+
+        items.push({
+            title: fieldTitle(field),
+            subtitle: display(field, draft[field.group][field.name]),
+            selected: focus == field.group + field.name,
+            field
+        })
+    })
+
+    items.push({
+        title: Lang.translate('theme_editor_save'),
+        save: true
+    })
+
+    Select.show({
+        title: draft.name,
+        items,
+        onBack: ()=>{
+            Theme.restore()
+
+            open(draft.id)
+        },
+        onSelect: (a)=>{
+            if(a.rename){
+                Input.edit({
+                    title: Lang.translate('theme_editor_name'),
+                    value: draft.name,
+                    free: true,
+                    nosave: true
+                },(value)=>{
+                    if(value) draft.name = value.trim().slice(0, 60)
+
+                    edit(draft, 'name')
+                })
+            }
+            else if(a.field) choose(draft, a.field)
+            else if(a.save){
+                let theme = Theme.save(draft)
+
+                Theme.select(theme.id)
+
+                Noty.show(Lang.translate('theme_editor_saved'))
+
+                open(theme.id)
+            }
+        }
+    })
+}
+
+/**
+ * Выбор значения поля, при наведении тема сразу меняется
+ * @param {object} draft
+ * @param {object} field
+ */
+function choose(draft, field){
+    let current = draft[field.group][field.name]
+    let values  = typeof field.values == 'function' ? field.values() : field.values
+    let done    = (theme)=>edit(theme, field.group + field.name)
+
+    let items = values.map(value=>{
+        return {
+            title: display(field, value),
+            selected: value === current,
+            value
+        }
+    })
+
+    if(field.custom){
+        items.push({
+            title: Lang.translate('theme_editor_custom'),
+            subtitle: field.color ? '#rrggbb, rgb(r, g, b)' : '',
+            custom: true
+        })
+    }
+
+    Select.show({
+        title: fieldTitle(field),
+        items,
+        onFocus: (a)=>{
+            Theme.preview(a.custom ? draft : change(draft, field, a.value))
+        },
+        onBack: ()=>done(draft),
+        onSelect: (a)=>{
+            if(a.custom){
+                Input.edit({
+                    title: fieldTitle(field),
+                    value: current + '',
+                    free: true,
+                    nosave: true
+                },(value)=>{
+                    let need   = field.color ? ThemePackage.color(value) : (value + '').trim()
+                    let result = change(draft, field, need)
+
+                    if(need && result[field.group][field.name] + '' == need) done(result)
+                    else{
+                        Noty.show(Lang.translate('theme_editor_invalid'))
+
+                        done(draft)
+                    }
+                })
+            }
+            else done(change(draft, field, a.value))
+        }
+    })
+}
+
+/**
+ * Выбрать файл темы на устройстве
+ */
+function pick(){
+    let input = document.createElement('input')
+
+    input.type   = 'file'
+    input.accept = '.json,application/json'
+
+    input.addEventListener('change', ()=>{
+        let file = input.files && input.files[0]
+
+        if(!file) return
+
+        let reader = new FileReader()
+
+        reader.onload = ()=>{
+            try{
+                let theme = Theme.import(reader.result)
+
+                Noty.show(Lang.translate('theme_editor_imported') + ': ' + theme.name)
+
+                open(theme.id)
+            }
+            catch(e){
+                console.log('Theme', 'import error', e.message)
+
+                Noty.show(Lang.translate('theme_editor_import_error') + ': ' + e.message)
+            }
+        }
+
+        reader.readAsText(file)
+    })
+
+    input.click()
+
+    // если выбор отменят, то change не придет
+    back()
+}
+
+export default {
+    init,
+    open
+}
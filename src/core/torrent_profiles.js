@@ -0,0 +1,359 @@
+import Storage from './storage/storage'
+import Utils from '../utils/utils'
+import Arrays from '../utils/arrays'
+import Lang from './lang'
+import Controller from './controller'
+import Select from '../interaction/select'
+import Input from '../interaction/settings/input'
+import Params from '../interaction/settings/params'
+import Settings from '../interaction/settings/settings'
+import ReleaseParser from '../utils/release_parser'
+import TorrentScore from '../utils/torrent_score'
+import filter_langs from '../components/torrents/lang'
+
+let voice_titles = {
+    dub: 'torrent_parser_voice_dubbing',
+    mvo: 'torrent_parser_voice_polyphonic',
+    dvo: 'torrent_parser_voice_two',
+    avo: 'torrent_parser_voice_amateur'
+}
+
+function init(){
+    Params.listener.follow('button', (e)=>{
+        if(e.name == 'torrent_profiles') edit()
+    })
+
+    Settings.listener.follow('open', (e)=>{
+        if(e.name == 'parser') refresh()
+    })
+}
+
+/**
+ * Все профили
+ * @returns {[object]}
+ */
+function list(){
+    let all = Storage.get('torrent_profiles', '[]')
+
+    return Array.isArray(all) ? all : []
+}
+
+function save(all){
+    Storage.set('torrent_profiles', all)
+}
+
+/**
+ * Добавить профиль
+ * @param {object} data
+ * @returns {object}
+ */
+function add(data){
+    let all     = list()
+    let profile = TorrentScore.profile(data)
+
+    profile.id = Utils.uid(12)
+
+    all.push(profile)
+
+    save(all)
+
+    return profile
+}
+
+/**
+ * Обновить поля профиля
+ * @param {string} id
+ * @param {object} data
+ */
+function update(id, data){
+    let all     = list()
+    let profile = all.find(p=>p.id == id)
+
+    if(!profile) return
+
+    for(let name in data) profile[name] = data[name]
+
+    save(all)
+}
+
+/**
+ * Удалить профиль
+ * @param {string} id
+ */
+function remove(id){
+    save(list().filter(p=>p.id !== id))
+
+    if(Storage.get('torrent_profile', '') == id) Storage.set('torrent_profile', '')
+}
+
+/**
+ * Выбранный профиль
+ * @returns {object|undefined}
+ */
+function active(){
+    let id = Storage.get('torrent_profile', '')
+
+    return id ? list().find(p=>p.id == id) : undefined
+}
+
+/**
+ * Сделать профиль выбранным
+ * @param {string} id - пустая строка, чтобы отключить
+ */
+function activate(id){
+    Storage.set('torrent_profile', id || '')
+}
+
+/**
+ * Лучшая раздача по выбранному профилю
+ * @param {[object]} results
+ * @returns {object|null}
+ */
+function best(results){
+    let profile = active()
+
+    return profile ? TorrentScore.best(profile, results) : null
+}
+
+function refresh(){
+    let profile = active()
+
+    $('[data-name="torrent_profiles"] .settings-param__value').text(profile ? profile.name : Lang.translate('torrent_parser_no_choice'))
+}
+
+function back(){
+    refresh()
+
+    Controller.toggle('settings_component')
+}
+
+function describe(profile){
+    let line = []
+
+    if(profile.quality.length) line.push(profile.quality.join(', '))
+    if(profile.source.length) line.push(profile.source.join(', '))
+    if(profile.hdr == 1) line.push('HDR')
+    if(profile.dv == 1) line.push('Dolby Vision')
+    if(profile.voice_types.length) line.push(profile.voice_types.map(v=>Lang.translate(voice_titles[v])).join(', '))
+    if(profile.min_seeders) line.push(Lang.translate('torrent_profile_min_seeders') + ' ' + profile.min_seeders)
+    if(profile.max_size) line.push('< ' + profile.max_size + ' GB')
+
+    return line.join(' - ')
+}
+
+/**
+ * Список профилей
+ */
+function edit(){
+    let current = Storage.get('torrent_profile', '')
+    let items   = list().map(profile=>{
+        return {
+            title: profile.name,
+            subtitle: describe(profile),
+            selected: profile.id == current,
+            profile
+        }
+    })
+
+    items.push({
+        title: Lang.translate('torrent_profile_add'),
+        add: true
+    })
+
+    Select.show({
+        title: Lang.translate('torrent_profiles'),
+        items,
+        onSelect: (a)=>{
+            if(a.add){
+                input(Lang.translate('torrent_profile_name'), '', (name)=>{
+                    if(name) editProfile(add({name}))
+                    else edit()
+                })
+            }
+            else editProfile(a.profile)
+        },
+        onBack: back
+    })
+}
+
+/**
+ * Редактор профиля
+ * @param {object} profile
+ */
+function editProfile(profile){
+    let reopen = ()=>{
+        let fresh = list().find(p=>p.id == profile.id)
+
+        if(fresh) editProfile(fresh)
+        else edit()
+    }
+
+    let choice = [Lang.translate('torrent_parser_no_choice'), Lang.translate('torrent_parser_yes'), Lang.translate('torrent_parser_no')]
+
+    Select.show({
+        title: profile.name,
+        items: [
+            {
+                title: Lang.translate('torrent_profile_use'),
+                checkbox: true,
+                checked: Storage.get('torrent_profile', '') == profile.id,
+                use: true
+            },
+            {
+                title: Lang.translate('torrent_profile_autostart'),
+                subtitle: Lang.translate('torrent_profile_autostart_descr'),
+                checkbox: true,
+                checked: profile.autostart,
+                field: 'autostart'
+            },
+            {
+                title: Lang.translate('torrent_profile_strict'),
+                subtitle: Lang.translate('torrent_profile_strict_descr'),
+                checkbox: true,
+                checked: profile.strict,
+                field: 'strict'
+            },
+            {
+                title: Lang.translate('torrent_profile_name'),
+                subtitle: profile.name,
+                input: 'name'
+            },
+            {
+                title: Lang.translate('torrent_parser_quality'),
+                subtitle: profile.quality.join(', ') || Lang.translate('torrent_parser_any_one'),
+                multiple: 'quality',
+                values: ReleaseParser.qualities.map(q=>[q, q])
+            },
+            {
+                title: Lang.translate('torrent_profile_source'),
+                subtitle: profile.source.join(', ') || Lang.translate('torrent_parser_any_two'),
+                multiple: 'source',
+                values: ReleaseParser.sources.map(s=>[s, s])
+            },
+            {
+                title: 'HDR',
+                subtitle: choice[profile.hdr],
+                single: 'hdr'
+            },
+            {
+                title: 'Dolby Vision',
+                subtitle: choice[profile.dv],
+                single: 'dv'
+            },
+            {
+                title: Lang.translate('torrent_parser_voice'),
+                subtitle: profile.voice_types.map(v=>Lang.translate(voice_titles[v])).concat(profile.voices).join(', ') || Lang.translate('torrent_parser_any_two'),
+                multiple: 'voice_types',
+                values: ReleaseParser.voice_types.map(v=>[v, Lang.translate(voice_titles[v])])
+            },
+            {
+                title: Lang.translate('torrent_profile_voices'),
+                subtitle: profile.voices.join(', ') || Lang.translate('torrent_parser_any_two'),
+                input: 'voices'
+            },
+            {
+                title: Lang.translate('title_language_short'),
+                subtitle: profile.languages.join(', ') || Lang.translate('torrent_parser_any_two'),
+                multiple: 'languages',
+                values: filter_langs.map(l=>[l.code.split('|')[0], Lang.translate(l.title)])
+            },
+            {
+                title: Lang.translate('torrent_profile_min_seeders'),
+                subtitle: profile.min_seeders + '',
+                input: 'min_seeders',
+                number: true
+            },
+            {
+                title: Lang.translate('torrent_profile_max_size'),
+                subtitle: profile.max_size ? profile.max_size + ' GB' : Lang.translate('torrent_parser_no_choice'),
+                input: 'max_size',
+                number: true
+            },
+            {
+                title: Lang.translate('settings_parser_endpoint_remove'),
+                remove: true
+            }
+        ],
+        onCheck: (a)=>{
+            if(a.use) activate(a.checked ? profile.id : '')
+            else update(profile.id, {[a.field]: a.checked})
+        },
+        onSelect: (a)=>{
+            if(a.remove){
+                remove(profile.id)
+
+                edit()
+            }
+            else if(a.input){
+                let value = a.input == 'voices' ? profile.voices.join(', ') : profile[a.input] + ''
+
+                input(a.title, value, (result)=>{
+                    let data = {}
+
+                    if(a.number) data[a.input] = Math.max(0, parseFloat(result) || 0)
+                    else if(a.input == 'voices') data.voices = result.split(',').map(v=>v.trim()).filter(v=>v)
+                    else data[a.input] = result || profile[a.input]
+
+                    update(profile.id, data)
+
+                    reopen()
+                })
+            }
+            else if(a.single){
+                Select.show({
+                    title: a.title,
+                    items: choice.map((title, index)=>{
+                        return {title, index, selected: profile[a.single] == index}
+                    }),
+                    onSelect: (b)=>{
+                        update(profile.id, {[a.single]: b.index})
+
+                        reopen()
+                    },
+                    onBack: reopen
+                })
+            }
+            else if(a.multiple){
+                let values = Arrays.clone(profile[a.multiple])
+
+                Select.show({
+                    title: a.title,
+                    items: a.values.map(v=>{
+                        return {title: v[1], value: v[0], checkbox: true, checked: values.indexOf(v[0]) >= 0}
+                    }),
+                    onCheck: (b)=>{
+                        if(b.checked) values.push(b.value)
+                        else Arrays.remove(values, b.value)
+
+                        // порядок как в списке, раньше - важнее
+                        update(profile.id, {[a.multiple]: a.values.map(v=>v[0]).filter(v=>values.indexOf(v) >= 0)})
+                    },
+                    onBack: reopen
+                })
+            }
+        },
+        onBack: edit
+    })
+}
+
+function input(title, value, call){
+    Input.edit({
+        title,
+        value,
+        free: true,
+        nosave: true,
+        nomic: true
+    }, call)
+}
+
+export default {
+    init,
+    list,
+    add,
+    update,
+    remove,
+    active,
+    activate,
+    best,
+    edit
+}
@@ -43,6 +43,31 @@ let immed_time  = Date.now()
 let theme_color = '#000000'
 let timer_change
 
+/**
+ * Поведение фона от темы: static - постеры не грузим,
+ * draw - сами рисуем фон, source - своя картинка вместо постера
+ */
+let behaviours = {
+    color: {
+        static: true,
+        draw: (item, params)=>{
+            item.ctx.globalAlpha = 1
+            item.ctx.globalCompositeOperation = 'source-over'
+            item.ctx.fillStyle = params.color || '#000000'
+            item.ctx.fillRect(0, 0, window.screen_width, window.screen_height)
+        }
+    },
+    image: {
+        source: (url, params)=>params.image || url
+    }
+}
+
+let behaviour = {
+    type: '',
+    handler: null,
+    params: {}
+}
+
 
 /**
  * Запуск
@@ -107,6 +132,16 @@ function bg(){
  * @param {boolean} noimage
  */
 function draw(data, item, noimage){
+    if(behaviour.handler && behaviour.handler.draw){
+        if(!item) item = bg()
+
+        item.ctx.clearRect(0, 0, window.screen_width, window.screen_height)
+
+        behaviour.handler.draw(item, behaviour.params, data)
+
+        return show(item)
+    }
+
     if(noimage) return
 
     // Для мобильных устройств делаем полный сброс canvas
@@ -188,6 +223,21 @@ function draw(data, item, noimage){
     })
 }
 
+/**
+ * Показать готовый фон без обработки под постер
+ * @param {object} item - фон
+ */
+function show(item){
+    if(Platform.screen('mobile')){
+        html.find('canvas').eq(view == 'one' ? 1 : 0).removeClass('visible')
+
+        item.canvas.addClass('visible')
+    }
+    else{
+        fadeTo(item)
+    }
+}
+
 /**
  * Плавный переход с двойным прогревом обоих canvas
  */
@@ -279,7 +329,7 @@ function resize(){
 
     html[0].toggleClass('hide', !Storage.field('background'))
 
-    if(loaded[src]) draw(loaded[src], background[view])
+    if(loaded[src] || (behaviour.handler && behaviour.handler.static)) draw(loaded[src], background[view])
 }
 
 /**
@@ -343,6 +393,8 @@ function load(){
  * @param {string} url
  */
 function change(url = ''){
+    url = source(url)
+
     if(url == src || Storage.field('light_version') || !Storage.field('background')) return
 
     bokeh.d = true
@@ -362,6 +414,8 @@ function change(url = ''){
  * @param {string} url
  */
 function immediately(url = ''){
+    url = source(url)
+
     if(Storage.field('light_version') || immed_time + 1000 > Date.now() || !Storage.field('background')) return
 
     if(url) src = url
@@ -376,6 +430,64 @@ function immediately(url = ''){
     else draw(false, false, true)
 }
 
+/**
+ * Адрес картинки с учетом поведения темы
+ * @param {string} url
+ * @returns {string}
+ */
+function source(url){
+    if(!behaviour.handler) return url
+    if(behaviour.handler.static) return src
+    if(behaviour.handler.source) return behaviour.handler.source(url, behaviour.params)
+
+    return url
+}
+
+/**
+ * Зарегистрировать поведение фона, которое может выбрать тема
+ * @param {string} type
+ * @param {{static?:boolean, draw?:(item:object, params:object, data:object)=>void, source?:(url:string, params:object)=>string, apply?:(html:object, params:object)=>void, reset?:(html:object)=>void}} handler
+ */
+function register(type, handler){
+    behaviours[type] = handler
+}
+
+/**
+ * Включить поведение фона, пустой или неизвестный тип возвращает обычный фон
+ * @param {string} type
+ * @param {{color?:string, blur?:number, image?:string}} [params]
+ */
+function use(type, params = {}){
+    if(behaviour.handler && behaviour.handler.reset) behaviour.handler.reset(html)
+
+    let handler = behaviours[type] || null
+
+    behaviour = {
+        type: handler ? type : '',
+        handler,
+        params
+    }
+
+    html[0].style.filter = params.blur ? 'blur(' + params.blur + 'px)' : ''
+
+    if(handler && handler.apply) handler.apply(html, params)
+
+    if(handler && handler.static) draw(null, bg())
+    else if(handler && handler.source){
+        src = handler.source(src, params)
+
+        if(src) load()
+    }
+}
+
+/**
+ * Зарегистрированные поведения фона
+ * @returns {[string]}
+ */
+function types(){
+    return Object.keys(behaviours)
+}
+
 function theme(color){
     if(color == 'black')      color = '#000000'
     else if(color == 'reset') color = '#1d1f20'
@@ -401,5 +513,8 @@ export default {
     update: resize,
     init,
     immediately,
-    theme
+    theme,
+    register,
+    use,
+    types
 }
\ No newline at end of file
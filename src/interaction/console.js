@@ -11,22 +11,25 @@ import Lang from '../core/lang'
 import Socket from '../core/socket'
 import Storage from '../core/storage/storage'
 import Timer from '../core/timer'
+import Select from './select'
+import Input from './settings/input'
+import LogBuffer from '../utils/log_buffer'
+import LogStream from '../core/log_stream'
 
 let items = {
     App: [],
     Errors: [],
     Warnings: []
 }
-let original = {
-    App: [],
-    Errors: [],
-    Warnings: []
-}
 let times = 0
 let html
 let scroll_tabs
 let scroll_body
 let last_tab
+let search = {
+    level: 'all',
+    text: ''
+}
 
 let console_orig = {
     log: console.log,
@@ -78,6 +81,8 @@ function init(){
         back: back
     })
 
+    LogStream.init()
+
     follow()
 }
 
@@ -97,8 +102,8 @@ function show(name){
     scroll_body.reset()
 
     if(items[name]){
-        items[name].forEach(element => {
-            let item = $(element)
+        LogBuffer.filter(items[name], search).forEach(record => {
+            let item = $('<div class="console__line console__line--'+record.level+' selector"><span class="console__time">'+Utils.parseTime(record.time).time+'</span> - <span>'+record.message+'</span></div>')
     
             item.on('hover:focus',(e)=>{
                 scroll_body.update($(e.target))
@@ -160,6 +165,71 @@ function tab(name, lines){
     if(last_tab == name) show(name)
 }
 
+/**
+ * Кнопки фильтра и выгрузки перед вкладками
+ */
+function tools(){
+    let level = $('<div class="console__tab console__tab--tool selector">'+Lang.translate('console_level')+': <span>'+Lang.translate('console_level_' + search.level)+'</span></div>')
+    let find  = $('<div class="console__tab console__tab--tool selector">'+Lang.translate('console_search')+(search.text ? ': <span>'+escapeHtml(Utils.shortText(search.text, 15))+'</span>' : '')+'</div>')
+    let save  = $('<div class="console__tab console__tab--tool selector">'+Lang.translate('console_export')+'</div>')
+
+    let redraw = ()=>{
+        back()
+
+        Controller.toggle('console')
+    }
+
+    level.on('hover:enter',()=>{
+        Select.show({
+            title: Lang.translate('console_level'),
+            items: ['all'].concat(LogBuffer.levels.slice(1)).map(name=>{
+                return {
+                    title: Lang.translate('console_level_' + name),
+                    selected: search.level == name,
+                    level: name
+                }
+            }),
+            onSelect: (a)=>{
+                search.level = a.level
+
+                redraw()
+            },
+            onBack: ()=>{
+                Controller.toggle('console-tabs')
+            }
+        })
+    })
+
+    find.on('hover:enter',()=>{
+        Input.edit({
+            title: Lang.translate('console_search'),
+            value: search.text,
+            free: true,
+            nosave: true
+        },(value)=>{
+            search.text = value
+
+            redraw()
+        })
+    })
+
+    save.on('hover:enter',()=>{
+        let list = LogBuffer.filter(items[last_tab] || [], search)
+        let name = 'lampa_console_' + (last_tab + '').replace(/[^a-zA-Z0-9_-]/g, '') + '.log'
+
+        if(list.length && Utils.saveFile(LogBuffer.format(list), name)) Noty.show(Lang.translate('console_export_done') + ': ' + name)
+        else Noty.show(Lang.translate('console_export_error'))
+    })
+
+    level.add(find).add(save).on('hover:focus',(e)=>{
+        scroll_tabs.update($(e.target))
+    })
+
+    scroll_tabs.append(level)
+    scroll_tabs.append(find)
+    scroll_tabs.append(save)
+}
+
 function build(){
     html   = Template.get('console')
 
@@ -172,6 +242,8 @@ function build(){
         horizontal: true
     })
 
+    tools()
+
     for(let i in items) tab(i, items[i])
 
     html.find('.console__tabs').append(HeadBackward(Lang.translate('menu_console'))).append(scroll_tabs.render())
@@ -182,35 +254,64 @@ function build(){
     $('body').append(html)
 }
 
-function add(name, message, message_original){
-    if(!items[name]){
-        items[name] = []
-        original[name] = []
-    } 
+/**
+ * Размер буфера строк для одной вкладки
+ * @returns {number}
+ */
+function size(){
+    return parseInt(Storage.field('console_buffer')) || 200
+}
 
-    let where_items = items[name]
-    let where_original = original[name]
-    let time  = Utils.parseTime(Date.now()).time
+/**
+ * Добавить строку во вкладку
+ * @param {string} name - вкладка
+ * @param {{time:number, level:string, name:string, text:string, message:string, original:any}} record
+ */
+function add(name, record){
+    if(!items[name]) items[name] = []
 
-    try{
-        Arrays.insert(where_items, 0, '<div class="console__line selector"><span class="console__time">'+time+'</span> - <span>'+message+'</span></div>')
-        Arrays.insert(where_original, 0, {time: Date.now(), message: message_original})
+    LogBuffer.push(items[name], record, size())
 
+    try{
         if(Storage.get('terminal_access','') && Socket.terminalAccess()){
             Socket.send('terminal_console', {
                 name: name,
-                time: Date.now(),
-                message: message_original
+                time: record.time,
+                message: record.original
             })
         }
     }
-    catch(e){
-        Arrays.insert(where_items, 0, '<div class="console__line selector"><span class="console__time">'+time+'</span> - <span>Failed to print line</span></div>')
-        Arrays.insert(where_original, 0, {time: Date.now(), message: 'Failed to print line'})
+    catch(e){}
+}
+
+/**
+ * Новая строка консоли, попадает во вкладки и уходит на сборщик логов
+ * @param {[string]} tabs
+ * @param {string} level - log, warn или error
+ * @param {string} name
+ * @param {string} message - html для вкладки
+ * @param {any} original - для выгрузки в export()
+ * @param {string} text - простой текст для поиска и сборщика
+ */
+function line(tabs, level, name, message, original, text){
+    let record = {
+        time: Date.now(),
+        level,
+        name,
+        text,
+        message,
+        original
     }
 
-    if(where_items.length > 50) where_items.pop()
-    if(where_original.length > 200) where_original.pop()
+    tabs.forEach(tab=>add(tab, record))
+
+    LogStream.send({
+        time: record.time,
+        stamp: LogBuffer.stamp(record.time),
+        level,
+        name,
+        text
+    })
 }
 
 function escapeHtml(text) {
@@ -222,7 +323,7 @@ function escapeHtml(text) {
         .replace(/'/g, "&#039;");
   }
 
-function decode(arr){
+function decode(arr, plain){
     if(Arrays.isObject(arr) || Arrays.isArray(arr)){
         try{
             arr = JSON.stringify(arr)
@@ -232,7 +333,7 @@ function decode(arr){
         }
     }
     else if(typeof arr === 'string' || typeof arr === 'number'  || typeof arr === 'boolean'){
-        arr = escapeHtml(arr + '')
+        arr = plain ? arr + '' : escapeHtml(arr + '')
     }
     else{
         let a = []
@@ -253,6 +354,7 @@ function follow(){
             let msgs = [];
             let mcon = [];
             let orgn = [];
+            let text = [];
 
             while(arguments.length) {
                 let arr = [].shift.call(arguments)
@@ -260,6 +362,7 @@ function follow(){
                 msgs.push(Utils.shortText(decode(arr), 600))
                 mcon.push(arr)
                 orgn.push(decode(arr))
+                text.push(decode(arr, true))
             }
 
             let name = msgs[0]
@@ -279,11 +382,13 @@ function follow(){
                 }
             }
 
-            if(prefix == 'ERROR' || prefix == 'WARNING'){
-                add(prefix == 'ERROR' ? 'Errors' : 'Warnings', msgs.join(' '), orgn)
-            }
+            let tabs  = [name]
+            let level = prefix == 'ERROR' ? 'error' : prefix == 'WARNING' ? 'warn' : 'log'
 
-            add(name, msgs.join(' '), orgn)
+            if(level == 'error') tabs.unshift('Errors')
+            if(level == 'warn') tabs.unshift('Warnings')
+
+            line(tabs, level, name, msgs.join(' '), orgn, Utils.shortText(text.join(' '), 2000))
 
             func.apply(console,mcon)
         }
@@ -326,13 +431,31 @@ function follow(){
             })
         }
 
-		add('Errors', noty, noty.replace(/<br>/g, '\n'))
+        line(['Errors'], 'error', 'Errors', noty, noty.replace(/<br>/g, '\n'), noty.replace(/<br>/g, '\n'))
 
         if(!(stack.indexOf('resetTopStyle') >= 0 || stack.indexOf('Blocked a frame') >= 0 || stack.indexOf('global code@http') >= 0)) Noty.show(noty, {time: 8000})
 	})
 }
 
+/**
+ * Записи вкладки Errors, в которых встречается текст
+ * @param {string} text
+ * @returns {[{time:number, level:string, name:string, text:string, message:string, original:any}]}
+ */
+function errors(text){
+    return (items.Errors || []).filter(record=>(record.text || '').indexOf(text) >= 0)
+}
+
 export default {
     init,
-    export: ()=>original
+    errors,
+    export: ()=>{
+        let original = {}
+
+        for(let name in items){
+            original[name] = items[name].map(record=>({time: record.time, message: record.original}))
+        }
+
+        return original
+    }
 }
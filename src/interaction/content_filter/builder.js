@@ -0,0 +1,550 @@
+import Select from '../select'
+import Controller from '../../core/controller'
+import Activity from '../activity/activity'
+import Lang from '../../core/lang'
+import Storage from '../../core/storage/storage'
+import Input from '../settings/input'
+import Noty from '../noty'
+import Arrays from '../../utils/arrays'
+import Utils from '../../utils/utils'
+import DiscoverQuery from '../../utils/discover_query'
+import TMDB from '../../core/api/sources/tmdb'
+import Menu from '../menu/menu'
+import data from './data'
+
+/**
+ * Расширенный фильтр поверх TMDB discover.
+ * Фильтры можно сохранить под именем и закрепить в главном меню
+ */
+
+let filter  = DiscoverQuery.empty()
+let current = null
+let pinned  = {}
+let back    = null
+
+let presets = {
+    runtime: [[0, 0], [0, 90], [90, 120], [120, 150], [150, 0]],
+    votes: [0, 50, 100, 500, 1000, 5000],
+    rating: [0, 5, 6, 7, 8],
+    certification: ['', 'G', 'PG', 'PG-13', 'R', 'NC-17'],
+    sort: ['popularity.desc', 'vote_average.desc', 'vote_count.desc', 'date.desc']
+}
+
+/**
+ * Добавить закрепленные фильтры в главное меню, вызывается после создания меню
+ */
+function init(){
+    saved().filter(s=>s.pinned).forEach(pin)
+}
+
+/**
+ * Сохраненные фильтры
+ * @returns {[{id:string, name:string, filter:object, pinned:boolean}]}
+ */
+function saved(){
+    return Storage.get('content_filter_saved','[]')
+}
+
+function store(list){
+    Storage.set('content_filter_saved', list)
+}
+
+/**
+ * Открыть конструктор
+ * @param {object} [use] - сохраненный фильтр из saved()
+ * @param {function} [onBack] - куда вернуться
+ */
+function show(use, onBack){
+    current = use ? use.id : null
+    filter  = Object.assign(DiscoverQuery.empty(), use ? Arrays.clone(use.filter) : {})
+    back    = onBack || null
+
+    main()
+}
+
+function title(name){
+    return Lang.translate(name)
+}
+
+function any(value, text){
+    return value ? text : title('filter_any')
+}
+
+function runtimeTitle(range){
+    if(!range[0] && !range[1]) return title('filter_any')
+
+    return (range[0] ? title('filter_rating_from') + ' ' + range[0] + ' ' : '') + (range[1] ? title('filter_rating_to') + ' ' + range[1] + ' ' : '') + title('time_m')
+}
+
+function sortTitle(sort){
+    let name = sort.split('.')[0]
+
+    return title('filter_builder_sort_' + (name.indexOf('date') >= 0 ? 'date' : name))
+}
+
+function genresList(){
+    return data['genres_' + (filter.type == 'tv' ? 'tv' : 'movie')].items
+}
+
+function genresTitle(){
+    let names = (ids)=>ids.map(id=>genresList().find(g=>g.id == id)).filter(g=>g).map(g=>title(g.title))
+    let text  = names(filter.genres.with).join(filter.genres.mode == 'or' ? ' | ' : ' + ')
+    let not   = names(filter.genres.without).map(n=>'-' + n).join(', ')
+
+    return [text, not].filter(a=>a).join(', ') || title('filter_any')
+}
+
+function namesTitle(list, mode){
+    return list.length ? list.map(a=>a.name).join(mode == 'or' ? ' | ' : ' + ') : title('filter_any')
+}
+
+function item(name, subtitle, action){
+    return {title: title('filter_builder_' + name), subtitle, action}
+}
+
+/**
+ * Главное меню конструктора
+ */
+function main(){
+    let use   = saved().find(s=>s.id == current)
+    let movie = filter.type !== 'tv'
+    let items = [{
+        title: title('search_start'),
+        action: 'search'
+    }]
+
+    items.push({
+        title: title('title_type'),
+        subtitle: title(movie ? 'menu_movies' : 'menu_tv'),
+        action: 'type'
+    })
+
+    items.push(item('genres', genresTitle(), 'genres'))
+    items.push(item('runtime', runtimeTitle([filter.runtime.from, filter.runtime.to]), 'runtime'))
+    items.push(item('votes', any(filter.votes, title('filter_rating_from') + ' ' + filter.votes), 'votes'))
+    items.push(item('rating', any(filter.rating, title('filter_rating_from') + ' ' + filter.rating), 'rating'))
+
+    if(movie) items.push(item('certification', any(filter.certification.lte, filter.certification.lte), 'certification'))
+
+    items.push(item('providers', filter.providers.ids.length ? filter.providers.region + ': ' + filter.providers.ids.length : title('filter_any'), 'providers'))
+
+    if(movie) items.push(item('people', namesTitle(filter.people, 'and'), 'people'))
+
+    items.push(item('keywords', namesTitle(filter.keywords, filter.keywords_mode), 'keywords'))
+
+    let lang = data.language.items.find(l=>l.code.split('|')[0] == filter.language)
+
+    items.push(item('language', lang ? title(lang.title) : any(filter.language, filter.language), 'language'))
+    items.push(item('dates', any(filter.dates.from || filter.dates.to, (filter.dates.from || '...') + ' - ' + (filter.dates.to || '...')), 'dates'))
+    items.push(item('sort', sortTitle(filter.sort), 'sort'))
+
+    items.push({
+        title: title('filter_builder_saved'),
+        separator: true
+    })
+
+    items.push(item('save', use ? use.name : '', 'save'))
+
+    if(use){
+        items.push(item(use.pinned ? 'unpin' : 'pin', '', 'pin'))
+        items.push(item('remove', '', 'remove'))
+    }
+
+    items.push(item('reset', '', 'reset'))
+
+    Select.show({
+        title: use ? use.name : title('filter_builder'),
+        items,
+        onBack: ()=>{
+            if(back) back()
+            else Controller.toggle('content')
+        },
+        onSelect: (a)=>{
+            if(a.action == 'search') run(filter, use ? use.name : title('title_filter'))
+            else if(a.action == 'type'){
+                filter.type = movie ? 'tv' : 'movie'
+                filter.genres.with = []
+                filter.genres.without = []
+                filter.providers.ids = []
+                filter.sort = 'popularity.desc'
+
+                main()
+            }
+            else if(a.action == 'reset'){
+                filter = DiscoverQuery.empty()
+
+                main()
+            }
+            else actions[a.action]()
+        }
+    })
+}
+
+/**
+ * Выбор из списка значений
+ * @param {string} name - ключ заголовка
+ * @param {[any]} values
+ * @param {any} value - текущее значение
+ * @param {(value:any)=>string} text - подпись значения
+ * @param {(value:any)=>void} call
+ */
+function choose(name, values, value, text, call){
+    Select.show({
+        title: title('filter_builder_' + name),
+        items: values.map(v=>({title: text(v), selected: JSON.stringify(v) == JSON.stringify(value), value: v})),
+        onBack: main,
+        onSelect: (a)=>{
+            call(a.value)
+
+            main()
+        }
+    })
+}
+
+/**
+ * Поиск людей или ключевых слов в TMDB
+ * @param {string} name - people или keywords
+ * @param {string} method - search/person или search/keyword
+ */
+function lookup(name, method){
+    let list  = filter[name]
+    let items = list.map(a=>({title: a.name, subtitle: title('filter_builder_remove_item'), remove: a}))
+
+    items.unshift({title: title('filter_builder_add'), add: true})
+
+    if(name == 'keywords'){
+        items.unshift({
+            title: title('filter_builder_mode'),
+            subtitle: title('filter_builder_mode_' + filter.keywords_mode),
+            mode: true
+        })
+    }
+
+    Select.show({
+        title: title('filter_builder_' + name),
+        items,
+        onBack: main,
+        onSelect: (a)=>{
+            if(a.mode){
+                filter.keywords_mode = filter.keywords_mode == 'or' ? 'and' : 'or'
+
+                lookup(name, method)
+            }
+            else if(a.remove){
+                Arrays.remove(list, a.remove)
+
+                lookup(name, method)
+            }
+            else{
+                Input.edit({
+                    title: title('filter_builder_' + name),
+                    value: '',
+                    free: true,
+                    nosave: true
+                },(query)=>{
+                    if(!query) return lookup(name, method)
+
+                    TMDB.get(method, {query: encodeURIComponent(query)}, (json)=>{
+                        let found = (json.results || []).slice(0, 20)
+
+                        if(!found.length){
+                            Noty.show(title('search_nofound'))
+
+                            return lookup(name, method)
+                        }
+
+                        Select.show({
+                            title: query,
+                            items: found.map(f=>({title: f.name, subtitle: f.known_for_department || '', found: f})),
+                            onBack: ()=>lookup(name, method),
+                            onSelect: (b)=>{
+                                if(!list.find(a=>a.id == b.found.id)) list.push({id: b.found.id, name: b.found.name})
+
+                                lookup(name, method)
+                            }
+                        })
+                    }, ()=>{
+                        Noty.show(title('search_nofound'))
+
+                        lookup(name, method)
+                    })
+                })
+            }
+        }
+    })
+}
+
+let actions = {
+    genres: ()=>{
+        let states = {with: '+', without: '-'}
+        let state  = (id)=>filter.genres.with.indexOf(id) >= 0 ? 'with' : filter.genres.without.indexOf(id) >= 0 ? 'without' : ''
+
+        let items = [{
+            title: title('filter_builder_mode'),
+            subtitle: title('filter_builder_mode_' + filter.genres.mode),
+            mode: true
+        }].concat(genresList().map(g=>({
+            title: title(g.title),
+            subtitle: state(g.id) ? states[state(g.id)] + ' ' + title('filter_builder_genre_' + state(g.id)) : '',
+            id: g.id
+        })))
+
+        Select.show({
+            title: title('filter_builder_genres'),
+            items,
+            onBack: main,
+            onSelect: (a)=>{
+                if(a.mode) filter.genres.mode = filter.genres.mode == 'or' ? 'and' : 'or'
+                else DiscoverQuery.toggleGenre(filter.genres, a.id)
+
+                actions.genres()
+            }
+        })
+    },
+    runtime: ()=>{
+        choose('runtime', presets.runtime, [filter.runtime.from, filter.runtime.to], runtimeTitle, (v)=>{
+            filter.runtime = {from: v[0], to: v[1]}
+        })
+    },
+    votes: ()=>{
+        choose('votes', presets.votes, filter.votes, (v)=>any(v, title('filter_rating_from') + ' ' + v), (v)=>{
+            filter.votes = v
+        })
+    },
+    rating: ()=>{
+        choose('rating', presets.rating, filter.rating, (v)=>any(v, title('filter_rating_from') + ' ' + v), (v)=>{
+            filter.rating = v
+        })
+    },
+    certification: ()=>{
+        choose('certification', presets.certification, filter.certification.lte, (v)=>any(v, title('filter_rating_to') + ' ' + v), (v)=>{
+            filter.certification = {country: 'US', lte: v}
+        })
+    },
+    sort: ()=>{
+        let type = filter.type == 'tv' ? 'first_air_date' : 'primary_release_date'
+
+        choose('sort', presets.sort.map(s=>s.replace('date', type)), filter.sort, sortTitle, (v)=>{
+            filter.sort = v
+        })
+    },
+    language: ()=>{
+        let codes = [''].concat(data.language.items.filter(l=>l.title).map(l=>l.code.split('|')[0]))
+
+        choose('language', codes, filter.language, (code)=>{
+            let lang = data.language.items.find(l=>l.code.split('|')[0] == code)
+
+            return code ? title(lang.title) : title('filter_any')
+        }, (v)=>{
+            filter.language = v
+        })
+    },
+    dates: ()=>{
+        let edit = (name, call)=>{
+            Input.edit({
+                title: title('filter_builder_dates_' + name),
+                value: filter.dates[name] || '',
+                free: true,
+                nosave: true,
+                layout: 'nums'
+            },(value)=>{
+                if(value && !/^\d{4}(-\d{2}-\d{2})?$/.test(value)) Noty.show(title('filter_builder_dates_error'))
+                else filter.dates[name] = value
+
+                call()
+            })
+        }
+
+        Select.show({
+            title: title('filter_builder_dates'),
+            items: ['from', 'to'].map(name=>({title: title('filter_builder_dates_' + name), subtitle: filter.dates[name] || title('filter_any'), name})),
+            onBack: main,
+            onSelect: (a)=>{
+                edit(a.name, actions.dates)
+            }
+        })
+    },
+    providers: ()=>{
+        let region = filter.providers.region
+
+        if(!region){
+            return Input.edit({
+                title: title('filter_builder_region'),
+                value: (Storage.field('language') == 'en' ? 'US' : Storage.field('language')).toUpperCase(),
+                free: true,
+                nosave: true
+            },(value)=>{
+                if(/^[a-zA-Z]{2}$/.test(value)){
+                    filter.providers.region = value.toUpperCase()
+
+                    actions.providers()
+                }
+                else main()
+            })
+        }
+
+        TMDB.get('watch/providers/' + (filter.type == 'tv' ? 'tv' : 'movie'), {filter: {watch_region: region}}, (json)=>{
+            let items = [{
+                title: title('filter_builder_region'),
+                subtitle: region,
+                region: true
+            }].concat((json.results || []).slice(0, 40).map(p=>({
+                title: p.provider_name,
+                checkbox: true,
+                checked: filter.providers.ids.indexOf(p.provider_id) >= 0,
+                id: p.provider_id
+            })))
+
+            Select.show({
+                title: title('filter_builder_providers'),
+                items,
+                onBack: main,
+                onCheck: (a)=>{
+                    Arrays.remove(filter.providers.ids, a.id)
+
+                    if(a.checked) filter.providers.ids.push(a.id)
+                },
+                onSelect: ()=>{
+                    filter.providers = {region: '', ids: []}
+
+                    actions.providers()
+                }
+            })
+        }, ()=>{
+            Noty.show(title('filter_builder_providers_error'))
+
+            main()
+        })
+    },
+    people: ()=>{
+        lookup('people', 'search/person')
+    },
+    keywords: ()=>{
+        lookup('keywords', 'search/keyword')
+    },
+    save: ()=>{
+        let use = saved().find(s=>s.id == current)
+
+        Input.edit({
+            title: title('filter_builder_name'),
+            value: use ? use.name : '',
+            free: true,
+            nosave: true
+        },(name)=>{
+            if(!name) return main()
+
+            let list  = saved()
+            let found = list.find(s=>s.id == current)
+
+            if(found){
+                found.name   = name
+                found.filter = Arrays.clone(filter)
+            }
+            else{
+                current = Utils.uid(10)
+
+                list.push({id: current, name, filter: Arrays.clone(filter), pinned: false})
+            }
+
+            store(list)
+
+            if(found && found.pinned){
+                unpin(found)
+                pin(found)
+            }
+
+            Noty.show(title('filter_builder_saved_done'))
+
+            main()
+        })
+    },
+    pin: ()=>{
+        let list = saved()
+        let use  = list.find(s=>s.id == current)
+
+        use.pinned = !use.pinned
+
+        store(list)
+
+        if(use.pinned) pin(use)
+        else unpin(use)
+
+        main()
+    },
+    remove: ()=>{
+        let list = saved()
+        let use  = list.find(s=>s.id == current)
+
+        unpin(use)
+
+        store(list.filter(s=>s.id !== current))
+
+        current = null
+
+        main()
+    }
+}
+
+/**
+ * Открыть результаты фильтра
+ * @param {object} use - фильтр
+ * @param {string} name - заголовок
+ */
+function run(use, name){
+    Controller.toggle('content')
+
+    let activity = {
+        url: DiscoverQuery.build(use),
+        title: name,
+        component: 'category_full',
+        source: 'tmdb',
+        card_type: true,
+        page: 1
+    }
+
+    let object = Activity.active()
+
+    if(object.component == 'category_full' && object.url.indexOf('discover') == 0) Activity.replace(activity, true)
+    else Activity.push(activity)
+}
+
+/**
+ * Закрепить фильтр в главном меню
+ * @param {object} use - сохраненный фильтр
+ */
+function pin(use){
+    let button = Menu.addButton('<svg><use xlink:href="#sprite-filter"></use></svg>', use.name, ()=>{
+        let found = saved().find(s=>s.id == use.id)
+
+        if(found) run(found.filter, found.name)
+    })
+
+    // редактор меню покажет кнопку удаления
+    button.data('remove', ()=>{
+        let list  = saved()
+        let found = list.find(s=>s.id == use.id)
+
+        if(found) found.pinned = false
+
+        store(list)
+
+        delete pinned[use.id]
+    })
+
+    pinned[use.id] = button
+}
+
+function unpin(use){
+    if(pinned[use.id]){
+        pinned[use.id].remove()
+
+        delete pinned[use.id]
+    }
+}
+
+export default {
+    init,
+    show,
+    saved,
+    run
+}
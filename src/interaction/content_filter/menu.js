@@ -5,6 +5,7 @@ import Lang from '../../core/lang'
 import Storage from '../../core/storage/storage'
 import Permit from '../../core/account/permit'
 import data from './data'
+import Builder from './builder'
 
 /**
  * Главное меню фильтрации
@@ -22,6 +23,20 @@ function main(){
 
     if(Storage.field('source') == 'cub') items.push(data.pgrating,data.sort,data.quality)
 
+    items.push({
+        title: 'filter_builder',
+        subtitle: 'filter_builder_descr',
+        builder: true
+    })
+
+    Builder.saved().forEach(use=>{
+        items.push({
+            title: use.name,
+            subtitle: 'filter_builder_saved',
+            saved: use
+        })
+    })
+
     items.forEach(itm=>{
         itm.title = Lang.translate(itm.title)
 
@@ -42,6 +57,8 @@ function main(){
         },
         onSelect: (a)=>{
             if(a.search) search()
+            else if(a.builder) Builder.show(null, main)
+            else if(a.saved) Builder.show(a.saved, main)
             else submenu(a)
         }
     })
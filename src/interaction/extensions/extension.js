@@ -9,6 +9,8 @@ import Select from '../select'
 import Input from '../settings/input'
 import Utils from './utils'
 import UtilsOther from '../../utils/utils'
+import PluginManifest from '../../utils/plugin_manifest'
+import PluginApi from '../../core/plugin_api'
 
 class Extension extends Item {
     constructor(data, params){
@@ -27,6 +29,8 @@ class Extension extends Item {
 
         if(Plugins.loaded().indexOf(this.data.url || this.data.link) >= 0) this.html.querySelector('.extensions__item-included').classList.remove('hide')
 
+        this.flags()
+
         this.html.addEventListener('hover:enter',this.menu.bind(this))
     }
 
@@ -51,6 +55,23 @@ class Extension extends Item {
             status: true
         })
 
+        let url = this.data.url || this.data.link
+
+        if(PluginApi.errors(url).length){
+            menu.push({
+                title: Lang.translate('plugins_errors'),
+                subtitle: Lang.translate('plugins_errors_descr'),
+                errors: true
+            })
+        }
+
+        if(PluginApi.settings(url)){
+            menu.push({
+                title: Lang.translate('plugins_settings_export'),
+                export: true
+            })
+        }
+
         if(this.params.cub || this.params.noedit){
             if(this.params.type == 'extensions'){
                 menu.push({
@@ -78,6 +99,26 @@ class Extension extends Item {
                 change: 'url'
             })
 
+            menu.push({
+                title: Lang.translate('plugins_permissions'),
+                permissions: true
+            })
+
+            if(this.data.changed){
+                menu.push({
+                    title: Lang.translate('plugins_integrity_accept'),
+                    subtitle: Lang.translate('plugins_integrity_accept_descr'),
+                    pin: true
+                })
+            }
+
+            menu.push({
+                title: Lang.translate(this.data.integrity ? 'plugins_integrity_unpin' : 'plugins_integrity_pin'),
+                subtitle: Lang.translate('plugins_integrity_descr'),
+                pin: !this.data.integrity,
+                unpin: Boolean(this.data.integrity)
+            })
+
             menu.push({
                 title: Lang.translate('extensions_remove'),
                 remove: true
@@ -97,10 +138,19 @@ class Extension extends Item {
 
                     this.update()
 
+                    // плагины с хуками start/stop включаются и выключаются без перезагрузки
                     if(this.data.status == 1){
                         back()
 
-                        Plugins.push(this.data)
+                        if(PluginApi.find(url)) PluginApi.start(url)
+                        else Plugins.push(this.data)
+
+                        this.flags()
+                    }
+                    else if(PluginApi.stop(url)){
+                        back()
+
+                        Noty.show(Lang.translate('plugins_stopped'))
                     }
                     else{
                         Utils.showReload(back)
@@ -146,26 +196,89 @@ class Extension extends Item {
                     else{
                         back()
 
-                        Plugins.add({url:this.data.link, status: 1, name: this.data.name, author: this.data.author})
+                        Utils.approve(this.data.link, (extra)=>{
+                            Plugins.add(Object.assign({url:this.data.link, status: 1, name: this.data.name, author: this.data.author}, extra))
 
-                        this.html.querySelector('.extensions__item-included').classList.remove('hide')
+                            this.html.querySelector('.extensions__item-included').classList.remove('hide')
+                        }, back)
                     }
                 }
+                else if(a.errors){
+                    Utils.showErrors(this.data, PluginApi.errors(url), back)
+                }
+                else if(a.export){
+                    Utils.exportSettings(PluginApi.settings(url))
+
+                    back()
+                }
                 else if(a.instruction){
                     Utils.showInfo(this.data, back)
                 }
+                else if(a.permissions){
+                    Utils.showPermissions(this.data, back)
+                }
+                else if(a.pin){
+                    back()
+
+                    Plugins.pin(this.data, ()=>{
+                        Noty.show(Lang.translate('plugins_integrity_pinned'))
+
+                        this.flags()
+                    }, ()=>{
+                        Noty.show(Lang.translate('plugins_check_fail'))
+                    })
+                }
+                else if(a.unpin){
+                    Plugins.unpin(this.data)
+
+                    this.flags()
+
+                    back()
+                }
                 else if(a.remove){
                     Plugins.remove(this.data)
 
                     this.html.style.opacity = 0.5
                     this.removed = true
 
-                    Utils.showReload(back)
+                    if(PluginApi.stop(url)){
+                        back()
+
+                        Noty.show(Lang.translate('plugins_stopped'))
+                    }
+                    else Utils.showReload(back)
                 }
             }
         })
     }
 
+    /**
+     * Метки доступа к аккаунту и измененного кода
+     */
+    flags(){
+        let account = this.html.querySelector('.extensions__item-account')
+        let changed = this.html.querySelector('.extensions__item-changed')
+        let url     = this.data.url || this.data.link
+        let skip    = Plugins.report().find(r=>r.id == url)
+
+        if(account) account.classList.toggle('hide', !PluginManifest.account(this.data.permissions || PluginManifest.request('', url)))
+        if(changed) changed.classList.toggle('hide', !this.data.changed)
+
+        let error  = this.html.querySelector('.extensions__item-error')
+        let errors = PluginApi.errors(url)
+
+        if(skip){
+            if(error) error.classList.remove('hide')
+
+            this.html.querySelector('.extensions__item-descr').innerText = Utils.dependencyText(skip)
+        }
+        else if(errors.length){
+            if(error) error.classList.remove('hide')
+
+            this.html.querySelector('.extensions__item-descr').innerText = Lang.translate('plugins_errors') + ': ' + errors[0].message
+        }
+    }
+
     check(){
         let check = this.html.querySelector('.extensions__item-check')
         let code = this.html.querySelector('.extensions__item-code')
@@ -14,6 +14,7 @@ import HeadBackward from '../head/backward'
 import Reguest from '../../utils/reguest'
 import Noty from '../noty'
 import CUB from '../../core/api/sources/cub'
+import Utils from './utils'
 
 class Main{
     constructor(params){
@@ -58,19 +59,23 @@ class Main{
                     return 
                 }
 
-                let data   = {url:url, status: 1}
-                let plugin = new Extension(data, {type: 'installs', autocheck: true})
-                    plugin.create()
+                Utils.approve(url, (extra)=>{
+                    let data   = Object.assign({url:url, status: 1}, extra)
+                    let plugin = new Extension(data, {type: 'installs', autocheck: true})
+                        plugin.create()
 
-                Plugins.add(data)
+                    Plugins.add(data)
 
-                $(add.render()).after(plugin.render())
+                    $(add.render()).after(plugin.render())
 
-                line.last = add.render()
+                    line.last = add.render()
 
-                Layer.visible(line.render())
+                    Layer.visible(line.render())
 
-                line.toggle()
+                    line.toggle()
+                }, ()=>{
+                    line.toggle()
+                })
             }
             else{
                 line.toggle()
@@ -80,6 +85,34 @@ class Main{
         line.scroll.body(true).appendChild(add.render())
     }
 
+    /**
+     * Плагины, пропущенные при загрузке из-за зависимостей
+     */
+    report(){
+        let list = Plugins.report()
+        let line = this.items[0]
+
+        if(!list.length || !line) return
+
+        let html = document.createElement('div')
+            html.classList.add('extensions__block-add')
+            html.classList.add('extensions__block-report')
+            html.classList.add('selector')
+            html.innerText = Lang.translate('plugins_deps_report') + ' (' + list.length + ')'
+
+        html.addEventListener('hover:enter',()=>{
+            Utils.showDependencies(list, (id)=>{
+                let plug = Plugins.find(id)
+
+                return plug && plug.name ? plug.name : id
+            }, ()=>{
+                line.toggle()
+            })
+        })
+
+        line.scroll.body(true).appendChild(html)
+    }
+
     loadCustomStore(){
         this.appendLoader()
 
@@ -108,7 +141,10 @@ class Main{
                     })
                 })
 
-                if(this.params.with_installed) this.add()
+                if(this.params.with_installed){
+                    this.add()
+                    this.report()
+                }
 
                 this.items.slice(0,3).forEach(i=>i.display())
 
@@ -179,6 +215,7 @@ class Main{
             }
 
             this.add()
+            this.report()
 
             this.items.slice(0,3).forEach(i=>i.display())
 
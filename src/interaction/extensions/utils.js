@@ -2,6 +2,13 @@ import Template from '../template'
 import Modal from '../modal'
 import Utils from '../../utils/utils'
 import Lang from '../../core/lang'
+import Controller from '../../core/controller'
+import Loading from '../loading'
+import Noty from '../noty'
+import Reguest from '../../utils/reguest'
+import Sha256 from '../../utils/sha256'
+import PluginManifest from '../../utils/plugin_manifest'
+import Plugins from '../../core/plugins'
 
 function showReload(cancel){
     Modal.open({
@@ -62,7 +69,281 @@ function showInfo(plug, back){
     })
 }
 
+/**
+ * Список разрешений плагина
+ * @param {object} permissions
+ * @returns {object} - jQuery
+ */
+function permissionsHtml(permissions){
+    let html = $('<div class="extensions-permissions"></div>')
+
+    let add = (name, value, danger)=>{
+        let line = $(`<div class="extensions-permissions__item">
+            <div class="extensions-permissions__name"></div>
+            <div class="extensions-permissions__value"></div>
+        </div>`)
+
+        line.find('.extensions-permissions__name').text(Lang.translate('plugins_permission_' + name))
+        line.find('.extensions-permissions__value').text(value)
+
+        if(danger) line.addClass('extensions-permissions__item--danger')
+
+        html.append(line)
+    }
+
+    if(!permissions.declared) html.append($('<div class="extensions-permissions__empty"></div>').text(Lang.translate('plugins_permissions_undeclared')))
+
+    if(permissions.network.length) add('network', permissions.network.join(', '))
+    if(permissions.storage.length) add('storage', permissions.storage.join(', '))
+    if(permissions.player) add('player', Lang.translate('plugins_permission_player_descr'))
+    if(PluginManifest.account(permissions)) add('account', Lang.translate('plugins_permission_account_descr'), true)
+
+    return html
+}
+
+/**
+ * Показать разрешения установленного плагина
+ * @param {object} plug
+ * @param {function} back
+ */
+function showPermissions(plug, back){
+    let html = $('<div></div>')
+
+    if(plug.permissions) html.append(permissionsHtml(plug.permissions))
+    else html.append($('<div class="about"></div>').text(Lang.translate('plugins_permissions_legacy')))
+
+    if(plug.integrity) html.append($('<div class="extensions-permissions__hash"></div>').text(Lang.translate('plugins_integrity_pinned') + ': ' + plug.integrity))
+
+    Modal.open({
+        title: plug.name || Lang.translate('plugins_permissions'),
+        html,
+        size: 'medium',
+        onBack: ()=>{
+            Modal.close()
+
+            back()
+        }
+    })
+}
+
+/**
+ * Перед установкой загружаем код плагина, показываем запрошенные разрешения и ждем согласия.
+ * Можно сразу закрепить текущую версию по хэшу. Зависимости разбираем тут же,
+ * чтобы уже первая загрузка шла в нужном порядке
+ * @param {string} url
+ * @param {(extra:{permissions:object, dependencies:object, integrity:string|undefined})=>void} call
+ * @param {function} cancel
+ */
+function approve(url, call, cancel){
+    let network    = new Reguest()
+    let controller = Controller.enabled().name
+
+    let close = ()=>{
+        Modal.close()
+
+        Controller.toggle(controller)
+    }
+
+    // хэш считаем от того же адреса с параметрами, который потом проверяет Plugins
+    let pinned = (permissions, done)=>{
+        Loading.start(()=>{
+            network.clear()
+
+            Loading.stop()
+
+            cancel()
+        })
+
+        network.native(Plugins.params(url, {url, permissions}),(code)=>{
+            Loading.stop()
+
+            done(Sha256.integrity(code))
+        },()=>{
+            Loading.stop()
+
+            Noty.show(Lang.translate('plugins_check_fail'))
+
+            cancel()
+        },false,{
+            dataType: 'text'
+        })
+    }
+
+    let show = (code)=>{
+        let permissions  = PluginManifest.request(code || '', url)
+        let dependencies = PluginManifest.dependencies(code || '')
+        let buttons      = [{
+            name: Lang.translate('settings_plugins_install'),
+            onSelect: ()=>{
+                close()
+
+                call({permissions, dependencies})
+            }
+        }]
+
+        if(code){
+            buttons.push({
+                name: Lang.translate('plugins_install_pinned'),
+                onSelect: ()=>{
+                    close()
+
+                    pinned(permissions, (integrity)=>{
+                        call({permissions, dependencies, integrity})
+                    })
+                }
+            })
+        }
+
+        buttons.push({
+            name: Lang.translate('cancel'),
+            onSelect: ()=>{
+                close()
+
+                cancel()
+            }
+        })
+
+        let html = $('<div></div>')
+
+        if(!code) html.append($('<div class="about"></div>').text(Lang.translate('plugins_permissions_unknown')))
+
+        html.append(permissionsHtml(permissions))
+
+        Modal.open({
+            title: Lang.translate('plugins_permissions'),
+            html,
+            size: 'medium',
+            buttons_position: 'outside',
+            buttons,
+            onBack: ()=>{
+                close()
+
+                cancel()
+            }
+        })
+    }
+
+    Loading.start(()=>{
+        network.clear()
+
+        Loading.stop()
+
+        cancel()
+    })
+
+    network.timeout(10000)
+    network.native(Utils.fixMirrorLink(Utils.rewriteIfHTTPS(url)),(code)=>{
+        Loading.stop()
+
+        show(code)
+    },()=>{
+        Loading.stop()
+
+        show('')
+    },false,{
+        dataType: 'text'
+    })
+}
+
+/**
+ * Почему плагин пропущен при загрузке
+ * @param {{reason:string, dependency:string, range:string, by:string, found:[string]}} skip
+ * @returns {string}
+ */
+function dependencyText(skip){
+    let need = skip.dependency + (skip.range ? ' ' + skip.range : '')
+    let text = Lang.translate('plugins_deps_' + (skip.reason == 'skipped' ? 'skipped_by' : skip.reason)) + ': ' + need
+
+    if(skip.reason == 'version' && skip.found) text += ' (' + Lang.translate('plugins_deps_found') + ' ' + skip.found.join(', ') + ')'
+    if((skip.reason == 'failed' || skip.reason == 'skipped') && skip.by) text += ' (' + skip.by + ')'
+
+    return text
+}
+
+/**
+ * Отчет о плагинах, пропущенных из-за зависимостей
+ * @param {[object]} list - Plugins.report()
+ * @param {(id:string)=>string} name - имя плагина по адресу
+ * @param {function} back
+ */
+function showDependencies(list, name, back){
+    let html = $('<div class="extensions-permissions"></div>')
+
+    list.forEach(skip=>{
+        let line = $(`<div class="extensions-permissions__item extensions-permissions__item--danger">
+            <div class="extensions-permissions__name"></div>
+            <div class="extensions-permissions__value"></div>
+        </div>`)
+
+        line.find('.extensions-permissions__name').text(name(skip.id))
+        line.find('.extensions-permissions__value').text(dependencyText(skip))
+
+        html.append(line)
+    })
+
+    Modal.open({
+        title: Lang.translate('plugins_deps_report'),
+        html,
+        size: 'medium',
+        onBack: ()=>{
+            Modal.close()
+
+            back()
+        }
+    })
+}
+
+/**
+ * Ошибки запуска и работы плагина со стеком из консоли
+ * @param {object} plug
+ * @param {[{message:string, stack:string, time:number}]} list - PluginApi.errors()
+ * @param {function} back
+ */
+function showErrors(plug, list, back){
+    let html = $('<div class="extensions-permissions"></div>')
+
+    list.forEach(error=>{
+        let line = $(`<div class="extensions-permissions__item extensions-permissions__item--danger">
+            <div class="extensions-permissions__name"></div>
+            <div class="extensions-permissions__value extensions-permissions__stack"></div>
+        </div>`)
+
+        line.find('.extensions-permissions__name').text(error.message)
+        line.find('.extensions-permissions__value').text(error.stack || '')
+
+        html.append(line)
+    })
+
+    Modal.open({
+        title: plug.name || Lang.translate('plugins_errors'),
+        html,
+        size: 'medium',
+        onBack: ()=>{
+            Modal.close()
+
+            back()
+        }
+    })
+}
+
+/**
+ * Выгрузить в файл настройки, которые добавил плагин
+ * @param {{plugin:string, url:string, settings:object}} data - PluginApi.settings()
+ */
+function exportSettings(data){
+    let name = 'lampa_plugin_' + (data.plugin + '').replace(/[^a-zA-Z0-9_-]/g, '_') + '.json'
+
+    if(Utils.saveFile(JSON.stringify(data, null, 2), name)) Noty.show(Lang.translate('console_export_done') + ': ' + name)
+    else Noty.show(Lang.translate('console_export_error'))
+}
+
 export default {
     showReload,
-    showInfo
+    showInfo,
+    showPermissions,
+    approve,
+    dependencyText,
+    showDependencies,
+    showErrors,
+    exportSettings
 }
\ No newline at end of file
@@ -23,6 +23,41 @@ function init(){
         }
     })
 
+    Settings.addParam({
+        component: 'more',
+        param: {
+            name: 'console_buffer',
+            type: 'select',
+            values: {
+                50: '50',
+                100: '100',
+                200: '200',
+                500: '500',
+                1000: '1000'
+            },
+            default: 200
+        },
+        field: {
+            name: Lang.translate('console_buffer'),
+            description: Lang.translate('console_buffer_descr')
+        }
+    })
+
+    Settings.addParam({
+        component: 'more',
+        param: {
+            name: 'console_remote',
+            type: 'input',
+            values: '',
+            placeholder: 'ws://192.168.1.10:9333',
+            default: ''
+        },
+        field: {
+            name: Lang.translate('console_remote'),
+            description: Lang.translate('console_remote_descr')
+        }
+    })
+
     Settings.addParam({
         component: 'more',
         param: {
@@ -31,6 +31,11 @@ function start(){
                     <path d="M2 2L11 11L20 2" stroke="currentColor" stroke-width="4" stroke-linecap="round"/>
                 </svg>
             </div>
+            <div class="menu-edit-list__remove remove selector">
+                <svg width="22" height="22" viewBox="0 0 22 22" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M3 3L19 19M19 3L3 19" stroke="currentColor" stroke-width="4" stroke-linecap="round"/>
+                </svg>
+            </div>
             <div class="menu-edit-list__toggle toggle selector">
                 <svg width="26" height="26" viewBox="0 0 26 26" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <rect x="1.89111" y="1.78369" width="21.793" height="21.793" rx="3.5" stroke="currentColor" stroke-width="3"/>
@@ -59,6 +64,22 @@ function start(){
             }
         })
 
+        // Кнопки, которые можно удалить из меню, например закрепленные фильтры
+        if(typeof item_orig.data('remove') == 'function'){
+            item_sort.find('.remove').on('hover:enter', ()=>{
+                item_orig.data('remove')()
+
+                item_orig.remove()
+
+                let next = item_sort.next().length ? item_sort.next() : item_sort.prev()
+
+                item_sort.remove()
+
+                Modal.toggle(next.find('.selector')[0])
+            })
+        }
+        else item_sort.find('.remove').remove()
+
         item_sort.find('.toggle').on('hover:enter', ()=>{
             item_orig.toggleClass('hidden')
             item_sort.find('.dot').attr('opacity', item_orig.hasClass('hidden') ? 0 : 1)
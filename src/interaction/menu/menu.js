@@ -14,6 +14,7 @@ import ParentalControl from '../parental_control'
 import Editor from './editor'
 import Utils from '../../utils/utils'
 import Router from '../../core/router'
+import Builder from '../content_filter/builder'
 
 let html
 let last
@@ -39,6 +40,7 @@ let menu_items = [
     {action: 'history', title: 'menu_history', sprite: 'history'},
     {action: 'subscribes', title: 'title_subscribes', sprite: 'subscribes'},
     {action: 'timetable', title: 'menu_timeline', sprite: 'calendar'},
+    {action: 'statistics', title: 'menu_statistics', sprite: 'statistics'},
     {action: 'mytorrents', title: 'menu_torrents', sprite: 'torrent'},
 ]
 
@@ -67,6 +69,9 @@ function init(){
         addButton(`<svg><use xlink:href="#sprite-${item.sprite}"></use></svg>`, Lang.translate(item.title)).attr('data-action', item.action)
     })
     
+    // Закрепленные фильтры
+    Builder.init()
+
     // Отправка события для плагинов
     Lampa.Listener.send('menu',{type:'start', body: html})
 
@@ -296,6 +301,12 @@ function ready(){
             })
         }
 
+        if(prepared(action,['statistics'])){
+            Router.call('statistics', {
+                title: Lang.translate('title_statistics')
+            })
+        }
+
         if(prepared(action,['feed'])){
             Router.call('feed', {
                 title: Lang.translate('menu_feed')
@@ -10,11 +10,23 @@ import Platform from '../core/platform'
 import Arrays from '../utils/arrays'
 import HeadBackward from './head/backward'
 import Permit from '../core/account/permit'
+import Select from './select'
+import ScreenTime from '../utils/screen_time'
+import ContentRating from '../core/content_rating'
 
 let already_requested   = false
 let last_time_requested = 0
 
 let personal_codes = {}
+let watched_pending = 0
+
+let screen_budgets = [0, 30, 60, 90, 120, 180, 240]
+let screen_extends = [15, 30, 60]
+
+let rating_values = {
+    max: ['', '0', '6', '12', '16'],
+    unknown: ['show', 'hide']
+}
 
 function init(){
     Params.trigger('parental_control', false)
@@ -47,6 +59,43 @@ function init(){
                 <div class="settings-param-title"><span>#{settings_parental_control_where}</span></div>
                 <div class="parental-control-personal-list"></div>
             </div>
+            <div class="parental-control-rating">
+                <div class="settings-param-title"><span>#{settings_parental_control_rating}</span></div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-rating="max">
+                    <div class="settings-param__name">#{settings_parental_control_rating_max}</div>
+                    <div class="settings-param__value"></div>
+                    <div class="settings-param__descr">#{settings_parental_control_rating_max_descr}</div>
+                </div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-rating="unknown">
+                    <div class="settings-param__name">#{settings_parental_control_rating_unknown}</div>
+                    <div class="settings-param__value"></div>
+                </div>
+            </div>
+            <div class="parental-control-limits">
+                <div class="settings-param-title"><span>#{settings_parental_control_limits}</span></div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-limit="budget_weekdays">
+                    <div class="settings-param__name">#{settings_parental_control_budget_weekdays}</div>
+                    <div class="settings-param__value"></div>
+                </div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-limit="budget_weekend">
+                    <div class="settings-param__name">#{settings_parental_control_budget_weekend}</div>
+                    <div class="settings-param__value"></div>
+                </div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-limit="window_weekdays">
+                    <div class="settings-param__name">#{settings_parental_control_window_weekdays}</div>
+                    <div class="settings-param__value"></div>
+                    <div class="settings-param__descr">#{settings_parental_control_window_descr}</div>
+                </div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-limit="window_weekend">
+                    <div class="settings-param__name">#{settings_parental_control_window_weekend}</div>
+                    <div class="settings-param__value"></div>
+                    <div class="settings-param__descr">#{settings_parental_control_window_descr}</div>
+                </div>
+                <div class="settings-param selector" data-type="button" data-static="true" data-limit="today">
+                    <div class="settings-param__name">#{settings_parental_control_today}</div>
+                    <div class="settings-param__value"></div>
+                </div>
+            </div>
         </div>
     </div>`)
 
@@ -160,8 +209,114 @@ function init(){
                 }
             })
 
+            let drawLimits = ()=>{
+                let rules = limits()
+
+                e.body.find('[data-limit]').each(function(){
+                    let name  = $(this).data('limit')
+                    let value = $(this).find('.settings-param__value')
+
+                    if(name == 'today') value.text(Math.round(usage().used / 60) + ' ' + Lang.translate('time_m'))
+                    else if(name.indexOf('budget') == 0) value.text(budgetTitle(rules[name]))
+                    else value.text(rules[name] || Lang.translate('settings_parental_control_window_all'))
+                })
+            }
+
+            e.body.find('[data-limit]').on('hover:enter',function(){
+                let name = $(this).data('limit')
+
+                active = Controller.enabled().name
+
+                if(name == 'today') return
+
+                query(()=>{
+                    let rules = limits()
+
+                    if(name.indexOf('budget') == 0){
+                        Select.show({
+                            title: Lang.translate('settings_parental_control_' + name),
+                            items: screen_budgets.map(minutes=>({title: budgetTitle(minutes), selected: (parseInt(rules[name]) || 0) == minutes, minutes})),
+                            onSelect: (a)=>{
+                                setLimit(name, a.minutes)
+
+                                drawLimits()
+
+                                Controller.toggle(active)
+                            },
+                            onBack: ()=>{
+                                Controller.toggle(active)
+                            }
+                        })
+                    }
+                    else{
+                        Input.edit({
+                            title: Lang.translate('settings_parental_control_' + name),
+                            value: rules[name] || '',
+                            free: true,
+                            nosave: true
+                        },(value)=>{
+                            value = value.trim()
+
+                            if(ScreenTime.windows(value)) setLimit(name, value)
+                            else Noty.show(Lang.translate('settings_parental_control_window_error'))
+
+                            drawLimits()
+
+                            Controller.toggle(active)
+                        })
+                    }
+                }, ()=>{
+                    Controller.toggle(active)
+                })
+            })
+
+            let ratingTitle = (name, value)=>{
+                if(name == 'max') return value === '' ? Lang.translate('settings_parental_control_budget_none') : value + '+'
+
+                return Lang.translate('settings_parental_control_rating_unknown_' + value)
+            }
+
+            let drawRating = ()=>{
+                let rating = ContentRating.settings()
+
+                e.body.find('[data-rating]').each(function(){
+                    let name = $(this).data('rating')
+
+                    $(this).find('.settings-param__value').text(ratingTitle(name, rating[name]))
+                })
+            }
+
+            e.body.find('[data-rating]').on('hover:enter',function(){
+                let name = $(this).data('rating')
+
+                active = Controller.enabled().name
+
+                query(()=>{
+                    let rating = ContentRating.settings()
+
+                    Select.show({
+                        title: Lang.translate('settings_parental_control_rating_' + name),
+                        items: rating_values[name].map(value=>({title: ratingTitle(name, value), selected: rating[name] === value, value})),
+                        onSelect: (a)=>{
+                            ContentRating.set(name, a.value)
+
+                            drawRating()
+
+                            Controller.toggle(active)
+                        },
+                        onBack: ()=>{
+                            Controller.toggle(active)
+                        }
+                    })
+                }, ()=>{
+                    Controller.toggle(active)
+                })
+            })
+
             updateStatus()
             drawPersonalList()
+            drawRating()
+            drawLimits()
         }
     })
 
@@ -567,6 +722,131 @@ function add(name, data){
     personal_codes[name] = data
 }
 
+function budgetTitle(minutes){
+    minutes = parseInt(minutes) || 0
+
+    return minutes ? (minutes >= 60 ? Math.floor(minutes / 60) + ' ' + Lang.translate('time_h') + ' ' : '') + (minutes % 60 ? minutes % 60 + ' ' + Lang.translate('time_m') : '') : Lang.translate('settings_parental_control_budget_none')
+}
+
+/**
+ * Ключ профиля, для которого действуют ограничения времени
+ * @returns {string}
+ */
+function limitsProfile(){
+    return Permit.local
+}
+
+/**
+ * Ограничения времени для текущего профиля
+ * @returns {{budget_weekdays:number, budget_weekend:number, window_weekdays:string, window_weekend:string}}
+ */
+function limits(){
+    return Storage.get('parental_control_limits','{}')[limitsProfile()] || {}
+}
+
+function setLimit(name, value){
+    let all     = Storage.get('parental_control_limits','{}')
+    let profile = limitsProfile()
+
+    if(!all[profile]) all[profile] = {}
+
+    all[profile][name] = value
+
+    Storage.set('parental_control_limits', all)
+}
+
+function usageLog(){
+    return Storage.get('parental_control_usage','{}')[limitsProfile()] || {}
+}
+
+function saveUsage(log){
+    let all = Storage.get('parental_control_usage','{}')
+
+    all[limitsProfile()] = log
+
+    Storage.set('parental_control_usage', all)
+}
+
+/**
+ * Использование за сегодня
+ * @returns {{used:number, extra:number, until:number}}
+ */
+function usage(){
+    return Object.assign({used: 0, extra: 0, until: 0}, usageLog()[ScreenTime.dayKey(Date.now())])
+}
+
+/**
+ * Записать время просмотра, в хранилище сбрасывается раз в 10 секунд
+ * @param {number} seconds - сколько секунд посмотрели
+ * @param {boolean} [flush] - записать сразу
+ */
+function watched(seconds, flush){
+    if(!enabled()) return watched_pending = 0
+
+    watched_pending += seconds
+
+    if(watched_pending >= 10 || (flush && watched_pending)){
+        saveUsage(ScreenTime.add(usageLog(), watched_pending, Date.now()))
+
+        watched_pending = 0
+    }
+}
+
+/**
+ * Сколько еще можно смотреть
+ * @returns {{allowed:boolean, reason:string, left:number}} - left в секундах, Infinity если ограничений нет
+ */
+function screen(){
+    if(!enabled()) return {allowed: true, reason: '', left: Infinity}
+
+    return ScreenTime.check(limits(), ScreenTime.add(usageLog(), watched_pending, Date.now()), Date.now())
+}
+
+/**
+ * Продлить время просмотра по PIN-коду
+ * @param {function} call - если время добавлено
+ * @param {function} [error] - если отказались
+ */
+function extend(call, error){
+    let active = Controller.enabled().name
+    let status = screen()
+
+    Noty.show(Lang.translate('parental_control_time_' + status.reason))
+
+    request(()=>{
+        Select.show({
+            title: Lang.translate('parental_control_time_extend'),
+            items: screen_extends.map(minutes=>({title: '+' + budgetTitle(minutes), minutes})),
+            onSelect: (a)=>{
+                saveUsage(ScreenTime.extend(usageLog(), a.minutes * 60, Date.now()))
+
+                Controller.toggle(active)
+
+                call()
+            },
+            onBack: ()=>{
+                Controller.toggle(active)
+
+                if(error) error()
+            }
+        })
+    }, ()=>{
+        Controller.toggle(active)
+
+        if(error) error()
+    })
+}
+
+/**
+ * Проверить время перед просмотром, если закончилось, то запросить продление
+ * @param {function} call - можно смотреть
+ * @param {function} [error] - нельзя
+ */
+function allowed(call, error){
+    if(screen().allowed) call()
+    else extend(call, error)
+}
+
 /**
  * Проверить, установлен ли контроль
  * @returns bollean
@@ -589,5 +869,9 @@ export default {
     personal,
     enabled,
     install,
-    add
+    add,
+    screen,
+    watched,
+    extend,
+    allowed
 }
\ No newline at end of file
@@ -22,6 +22,7 @@ import ParentalControl from './parental_control'
 import Preroll from './advert/preroll'
 import Footer from './player/footer'
 import Segments from './player/segments'
+import SubsSync from './player/subs_sync'
 import VLC from '../core/vlc.js'
 
 let html
@@ -46,6 +47,12 @@ let viewing = {
     current: 0
 }
 
+let screen_time = {
+    html: $('<div class="player-screen-time hide"></div>'),
+    checked: 0,
+    wait: false
+}
+
 /**
  * Подписываемся на события
  */
@@ -62,6 +69,7 @@ function init(){
     html.append(Panel.render())
     html.append(Info.render())
     html.append(Footer.render())
+    html.append(screen_time.html)
 
     let timer_hide_cursor
 
@@ -111,7 +119,13 @@ function init(){
 
         viewing.current = e.current
 
-        if(viewing.difference > 0 && viewing.difference < 3) viewing.time += viewing.difference
+        if(viewing.difference > 0 && viewing.difference < 3){
+            viewing.time += viewing.difference
+
+            ParentalControl.watched(viewing.difference)
+
+            screenTime()
+        }
     })
 
     /** Буферизация видео */
@@ -425,6 +439,40 @@ function init(){
     })
 }
 
+/**
+ * Обратный отсчет экранного времени из родительского контроля,
+ * когда время вышло ставим на паузу и просим PIN-код для продления
+ */
+function screenTime(){
+    if(Date.now() - screen_time.checked < 1000 || screen_time.wait) return
+
+    screen_time.checked = Date.now()
+
+    let status = ParentalControl.screen()
+
+    screen_time.html.toggleClass('hide', status.left > 60 * 5)
+
+    if(status.left <= 60 * 5) screen_time.html.text(Lang.translate('parental_control_time_left') + ' ' + Utils.secondsToTime(status.left, true))
+
+    if(!status.allowed){
+        screen_time.wait = true
+
+        Video.pause()
+
+        ParentalControl.extend(()=>{
+            screen_time.wait = false
+
+            Video.play()
+
+            toggle()
+        }, ()=>{
+            screen_time.wait = false
+
+            backward()
+        })
+    }
+}
+
 /**
  * Главный контроллер
  */
@@ -467,6 +515,12 @@ function toggle(){
         rewindBack: () => {
             if(!TV.playning()) Video.rewind(false)
         },
+        subtitles: () => {
+            Panel.openSubs()
+        },
+        audio: () => {
+            Panel.openTracks()
+        },
         stop: backward,
         back: backward
     })
@@ -510,6 +564,8 @@ function backward(){
 function destroy(){
     saveTimeView()
 
+    ParentalControl.watched(0, true)
+
     if(work.viewed) work.viewed(viewing.time)
 
     clearTimeout(timer_ask)
@@ -529,6 +585,11 @@ function destroy(){
     viewing.difference = 0
     viewing.current    = 0
 
+    screen_time.checked = 0
+    screen_time.wait    = false
+
+    screen_time.html.addClass('hide')
+
     html.removeClass('player--ios')
     html.removeClass('iptv')
     html.removeClass('player--panel-visible')
@@ -933,10 +994,14 @@ function play(data){
 
                 listener.send('start',data)
 
-                Storage.set('player_subs_shift_time', '0')
+                let hash = data.timeline ? data.timeline.hash : Utils.hash(data.url)
+
+                SubsSync.context(hash)
 
                 if(work.timeline) work.timeline.continued = false
 
+                Segments.context(data.card || Lampa.Activity.active().movie, hash)
+
                 Segments.set(data.segments)
 
                 Playlist.url(data.url)
@@ -984,9 +1049,17 @@ function play(data){
         })
     }
 
-    start(data, data.torrent_hash ? 'torrent' : '', lauch)
+    let forced = launch_player
 
     launch_player = ''
+
+    ParentalControl.allowed(()=>{
+        launch_player = forced
+
+        start(data, data.torrent_hash ? 'torrent' : '', lauch)
+
+        launch_player = ''
+    })
 }
 
 function iptv(data){
@@ -1024,7 +1097,9 @@ function iptv(data){
             else lauch()
         }
 
-        start(data, 'iptv', ads)
+        ParentalControl.allowed(()=>{
+            start(data, 'iptv', ads)
+        })
     })
 }
 
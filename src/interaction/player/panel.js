@@ -14,6 +14,9 @@ import TV from './iptv'
 import Footer from './footer'
 import Playlist from './playlist'
 import Segments from './segments'
+import SubsSync from './subs_sync'
+import Input from '../settings/input'
+import Noty from '../noty'
 
 let html
 let listener = Subscribe()
@@ -35,6 +38,8 @@ let qualitys  = false
 let translates = {}
 let last_settings_action
 let last_panel_focus
+let segment_mark = {}
+let secondary    = false
 
 function init(){
     html = Template.get('player_panel')
@@ -459,6 +464,8 @@ function init(){
     })
 
     Video.listener.follow('loadeddata', drawSegments)
+
+    Segments.listener.follow('set', drawSegments)
 }
 
 function drawSegments(){
@@ -733,80 +740,275 @@ function selectSubs(){
             name: 'subtitles_backdrop'
         },
         {
-            title: Lang.translate('settings_rest_time'),
-            name: 'player_subs_shift_time'
+            title: Lang.translate('player_subs_sync'),
+            subtitle: syncText(),
+            name: 'subs_sync'
         }
     ]
 
+    if(subs.find(s=>s.url)){
+        items.push({
+            title: Lang.translate('player_subs_secondary'),
+            subtitle: secondary ? secondaryText() : Lang.translate('player_subs_secondary_descr'),
+            name: 'subs_secondary'
+        })
+    }
+
     Select.show({
         title: Lang.translate('settings_player_subs'),
         items: items,
         nohide: true,
         onBack: settings,
         onSelect: (a)=>{
-            let subitems = []
-
-            if(a.name == 'subtitles_size'){
-                subitems = [
-                    {
-                        title: Lang.translate('settings_param_subtitles_size_small'),
-                        value: 'small'
-                    },
-                    {
-                        title: Lang.translate('settings_param_subtitles_size_normal'),
-                        value: 'normal'
-                    },{
-                        title: Lang.translate('settings_param_subtitles_size_bigger'),
-                        value: 'large'
-                    }
-                ]
-            }
+            if(a.name == 'subs_sync') return selectSubsSync()
+            if(a.name == 'subs_secondary') return selectSubsSecondary()
 
-            if(a.name == 'subtitles_stroke' || a.name == 'subtitles_backdrop'){
-                subitems = [
-                    {
-                        title: Lang.translate('settings_param_yes'),
-                        value: 'true'
-                    },
-                    {
-                        title: Lang.translate('settings_param_no'),
-                        value: 'false'
-                    }
-                ]
-            }
+            selectSubsParam(a, selectSubs)
+        }
+    })
+}
 
-            if(a.name == 'player_subs_shift_time'){
-                subitems = [-120, -90, -60, -30, -10, -5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5, 10, 30, 60, 90, 120]
+/**
+ * Выбор значения для параметра субтитров
+ * @param {{title:string, name:string}} a - пункт меню, name это ключ настройки
+ * @param {function} back - куда вернуться
+ */
+function selectSubsParam(a, back){
+    let subitems = []
 
-                subitems = subitems.map(i=>{
-                    return {
-                        title: (i > 0 ? '+' : '') + i + ' sec.',
-                        value: i,
-                        selected: Storage.get('player_subs_shift_time', '0') == i
-                    }
-                })
+    if(/_size$/.test(a.name)){
+        subitems = [
+            {
+                title: Lang.translate('settings_param_subtitles_size_small'),
+                value: 'small'
+            },
+            {
+                title: Lang.translate('settings_param_subtitles_size_normal'),
+                value: 'normal'
+            },{
+                title: Lang.translate('settings_param_subtitles_size_bigger'),
+                value: 'large'
             }
-            else{
-                subitems.forEach((i)=>{
-                    i.selected = (Storage.field(a.name) + '') == i.value
-                })
+        ]
+    }
+    else{
+        subitems = [
+            {
+                title: Lang.translate('settings_param_yes'),
+                value: 'true'
+            },
+            {
+                title: Lang.translate('settings_param_no'),
+                value: 'false'
             }
+        ]
+    }
 
-            Select.show({
-                title: a.title,
-                items: subitems,
-                nohide: true,
-                onBack: selectSubs,
-                onSelect: (b)=>{
-                    Storage.set(a.name, b.value)
+    subitems.forEach((i)=>{
+        i.selected = (Storage.field(a.name) + '') == i.value
+    })
 
-                    Video.applySubsSettings()
+    Select.show({
+        title: a.title,
+        items: subitems,
+        nohide: true,
+        onBack: back,
+        onSelect: (b)=>{
+            Storage.set(a.name, b.value)
 
-                    selectSubs()
-                }
-            })
+            Video.applySubsSettings()
 
-            
+            back()
+        }
+    })
+}
+
+function secondaryText(){
+    let offset = SubsSync.secondary()
+
+    return (secondary.title || secondary.label || Lang.translate('player_unknown')) + (offset ? ' / ' + (offset > 0 ? '+' : '') + (offset / 1000).toFixed(1) + ' ' + Lang.translate('time_s') : '')
+}
+
+/**
+ * Вторая дорожка субтитров, например оригинал сверху и перевод снизу
+ * @param {number|string} [last_action] - пункт, на котором оставить фокус
+ */
+function selectSubsSecondary(last_action){
+    let offset = SubsSync.secondary()
+    let items  = [
+        {
+            title: Lang.translate('player_subs_secondary_track'),
+            subtitle: secondary ? secondary.title || secondary.label || Lang.translate('player_unknown') : Lang.translate('player_subs_secondary_off'),
+            action: 'track'
+        },
+        {
+            title: Lang.translate('settings_player_subs_size'),
+            subtitle: Lang.translate('settings_player_subs_size_descr'),
+            name: 'subtitles_secondary_size'
+        },
+        {
+            title: Lang.translate('settings_player_subs_stroke_use'),
+            subtitle: Lang.translate('settings_player_subs_stroke_use_descr'),
+            name: 'subtitles_secondary_stroke'
+        },
+        {
+            title: Lang.translate('settings_player_subs_backdrop_use'),
+            subtitle: Lang.translate('settings_player_subs_backdrop_use_descr'),
+            name: 'subtitles_secondary_backdrop'
+        },
+        {
+            title: Lang.translate('player_subs_sync_offset'),
+            subtitle: (offset > 0 ? '+' : '') + (offset / 1000).toFixed(1) + ' ' + Lang.translate('time_s'),
+            separator: true
+        },
+        {
+            title: '+0.1 ' + Lang.translate('time_s'),
+            step: 100
+        },
+        {
+            title: '-0.1 ' + Lang.translate('time_s'),
+            step: -100
+        },
+        {
+            title: '+1 ' + Lang.translate('time_s'),
+            step: 1000
+        },
+        {
+            title: '-1 ' + Lang.translate('time_s'),
+            step: -1000
+        },
+        {
+            title: Lang.translate('player_subs_sync_reset'),
+            action: 'reset',
+            ghost: !offset
+        }
+    ]
+
+    items.forEach(item=>{
+        if(last_action && (item.step || item.action) == last_action) item.selected = true
+    })
+
+    Select.show({
+        title: Lang.translate('player_subs_secondary'),
+        items: items,
+        nohide: true,
+        onBack: selectSubs,
+        onSelect: (a)=>{
+            if(a.name) return selectSubsParam(a, ()=>selectSubsSecondary())
+            if(a.action == 'track') return selectSubsSecondaryTrack()
+
+            if(a.step) SubsSync.secondary(a.step)
+            else if(a.action == 'reset') SubsSync.secondary(0)
+
+            selectSubsSecondary(a.step || a.action)
+        }
+    })
+}
+
+function selectSubsSecondaryTrack(){
+    let items = [
+        {
+            title: Lang.translate('player_subs_secondary_off'),
+            selected: !secondary
+        }
+    ]
+
+    subs.filter(s=>s.url).forEach(sub=>{
+        items.push({
+            title: sub.title || sub.label || Lang.translate('player_unknown'),
+            subtitle: sub.selected ? Lang.translate('player_subs_secondary_main') : '',
+            selected: secondary == sub,
+            sub
+        })
+    })
+
+    Select.show({
+        title: Lang.translate('player_subs_secondary_track'),
+        items: items,
+        nohide: true,
+        onBack: ()=>selectSubsSecondary('track'),
+        onSelect: (a)=>{
+            secondary = a.sub || false
+
+            Video.secondarySubs(secondary)
+
+            selectSubsSecondary('track')
+        }
+    })
+}
+
+function syncText(){
+    let sync = SubsSync.get()
+    let text = (sync.offset > 0 ? '+' : '') + (sync.offset / 1000).toFixed(1) + ' ' + Lang.translate('time_s')
+
+    if(sync.ratio !== 1) text += ' x' + sync.ratio.toFixed(4)
+
+    return text
+}
+
+function selectSubsSync(last_action){
+    let marked = SubsSync.pending()
+    let items  = [
+        {
+            title: Lang.translate('player_subs_sync_offset'),
+            subtitle: syncText(),
+            separator: true
+        },
+        {
+            title: '+0.1 ' + Lang.translate('time_s'),
+            step: 100
+        },
+        {
+            title: '-0.1 ' + Lang.translate('time_s'),
+            step: -100
+        },
+        {
+            title: '+1 ' + Lang.translate('time_s'),
+            step: 1000
+        },
+        {
+            title: '-1 ' + Lang.translate('time_s'),
+            step: -1000
+        },
+        {
+            title: Lang.translate('player_subs_sync_points'),
+            separator: true
+        },
+        {
+            title: Lang.translate('player_subs_sync_mark'),
+            subtitle: marked ? Utils.shortText(marked.text.replace(/<[^>]*>?/gm, ''), 60) : Lang.translate('player_subs_sync_mark_descr'),
+            action: 'mark'
+        },
+        {
+            title: Lang.translate('player_subs_sync_target'),
+            subtitle: Lang.translate('player_subs_sync_target_descr') + (SubsSync.count() ? ' (' + SubsSync.count() + ')' : ''),
+            action: 'target',
+            ghost: !marked
+        },
+        {
+            title: Lang.translate('player_subs_sync_reset'),
+            action: 'reset'
+        }
+    ]
+
+    items.forEach(item=>{
+        if(last_action && (item.step || item.action) == last_action) item.selected = true
+    })
+
+    Select.show({
+        title: Lang.translate('player_subs_sync'),
+        items: items,
+        nohide: true,
+        onBack: selectSubs,
+        onSelect: (a)=>{
+            if(a.step) SubsSync.shift(a.step)
+            else if(a.action == 'mark'){
+                if(!SubsSync.mark()) Noty.show(Lang.translate('player_subs_sync_noline'))
+            }
+            else if(a.action == 'target') SubsSync.target(Math.round((Video.video().currentTime || 0) * 1000))
+            else if(a.action == 'reset') SubsSync.reset()
+
+            selectSubsSync(a.step || a.action)
         }
     })
 }
@@ -825,39 +1027,167 @@ function selectSegments(){
         },
     ]
 
+    if(Segments.editable()){
+        let offset = Segments.offset()
+
+        items.push({
+            title: Lang.translate('player_segments_user_title'),
+            separator: true
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_mark_start'),
+            subtitle: typeof segment_mark.start == 'number' ? Utils.secondsToTime(segment_mark.start) : Lang.translate('player_segments_mark_descr'),
+            mark: 'start'
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_mark_end'),
+            subtitle: typeof segment_mark.end == 'number' ? Utils.secondsToTime(segment_mark.end) : Lang.translate('player_segments_mark_descr'),
+            mark: 'end'
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_save'),
+            subtitle: Lang.translate('player_segments_save_descr'),
+            save: true,
+            ghost: !(segment_mark.end > segment_mark.start)
+        })
+
+        Segments.user().forEach(seg=>{
+            items.push({
+                title: Utils.secondsToTime(seg.start) + ' - ' + Utils.secondsToTime(seg.end),
+                subtitle: Lang.translate('player_segments_remove'),
+                segment: seg
+            })
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_offset'),
+            subtitle: (offset > 0 ? '+' : '') + offset + ' ' + Lang.translate('time_s'),
+            offset: true
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_export'),
+            subtitle: Lang.translate('player_segments_export_descr'),
+            export: true
+        })
+
+        items.push({
+            title: Lang.translate('player_segments_import'),
+            subtitle: Lang.translate('player_segments_import_descr'),
+            import: true
+        })
+    }
+
     Select.show({
         title: Lang.translate('player_segments_title'),
         items: items,
         nohide: true,
         onBack: settings,
         onSelect: (a)=>{
-            Select.show({
-                title: a.title,
-                items: [
-                    {
-                        title: Lang.translate('player_segments_value_auto'),
-                        value: 'auto',
-                        selected: Storage.get('player_segments_'+a.name, 'auto') == 'auto'
-                    },
-                    {
-                        title: Lang.translate('player_segments_value_user'),
-                        value: 'user',
-                        selected: Storage.get('player_segments_'+a.name, 'auto') == 'user'
-                    },
-                    {
-                        title: Lang.translate('player_segments_value_none'),
-                        value: 'none',
-                        selected: Storage.get('player_segments_'+a.name, 'auto') == 'none'
+            if(a.mark){
+                segment_mark[a.mark] = Video.video().currentTime || 0
+
+                selectSegments()
+            }
+            else if(a.save){
+                Segments.add(segment_mark.start, segment_mark.end)
+
+                segment_mark = {}
+
+                selectSegments()
+            }
+            else if(a.segment){
+                Segments.remove(a.segment.index)
+
+                selectSegments()
+            }
+            else if(a.offset) selectSegmentsOffset()
+            else if(a.export){
+                Utils.copyTextToClipboard(Segments.toJSON(), ()=>{
+                    Noty.show(Lang.translate('player_segments_exported'))
+                }, ()=>{
+                    Noty.show(Lang.translate('player_segments_export_error'))
+                })
+
+                selectSegments()
+            }
+            else if(a.import){
+                Input.edit({
+                    title: a.title,
+                    value: '',
+                    free: true,
+                    nosave: true,
+                    nomic: true
+                }, (json)=>{
+                    if(json){
+                        try{
+                            Noty.show(Lang.translate('player_segments_imported') + ': ' + Segments.fromJSON(json))
+                        }
+                        catch(e){
+                            Noty.show(Lang.translate('player_segments_import_error'))
+                        }
                     }
-                ],
-                nohide: true,
-                onBack: selectSegments,
-                onSelect: (b)=>{
-                    Storage.set('player_segments_'+a.name, b.value)
 
                     selectSegments()
-                }
-            })
+                })
+            }
+            else selectSegmentsMode(a)
+        }
+    })
+}
+
+function selectSegmentsMode(a){
+    Select.show({
+        title: a.title,
+        items: [
+            {
+                title: Lang.translate('player_segments_value_auto'),
+                value: 'auto',
+                selected: Storage.get('player_segments_'+a.name, 'auto') == 'auto'
+            },
+            {
+                title: Lang.translate('player_segments_value_user'),
+                value: 'user',
+                selected: Storage.get('player_segments_'+a.name, 'auto') == 'user'
+            },
+            {
+                title: Lang.translate('player_segments_value_none'),
+                value: 'none',
+                selected: Storage.get('player_segments_'+a.name, 'auto') == 'none'
+            }
+        ],
+        nohide: true,
+        onBack: selectSegments,
+        onSelect: (b)=>{
+            Storage.set('player_segments_'+a.name, b.value)
+
+            selectSegments()
+        }
+    })
+}
+
+function selectSegmentsOffset(){
+    let offset = Segments.offset()
+    let steps  = [-60, -30, -15, -10, -5, -2, -1, 0, 1, 2, 5, 10, 15, 30, 60]
+
+    Select.show({
+        title: Lang.translate('player_segments_offset'),
+        items: steps.map(value=>{
+            return {
+                title: (value > 0 ? '+' : '') + value + ' ' + Lang.translate('time_s'),
+                value,
+                selected: value == offset
+            }
+        }),
+        nohide: true,
+        onBack: selectSegments,
+        onSelect: (b)=>{
+            Segments.offset(b.value)
+
+            selectSegments()
         }
     })
 }
@@ -1358,6 +1688,8 @@ function visibleStatus(){
 function setSubs(su){
     subs = su
 
+    if(secondary && subs.indexOf(secondary) == -1) secondary = false
+
     elems.subs.toggleClass('hide',false)
 }
 
@@ -1445,6 +1777,7 @@ function destroy(){
     condition = {}
     tracks    = []
     subs      = []
+    secondary = false
     qualitys  = false
     flows     = false
     translates = {}
@@ -1472,6 +1805,8 @@ function destroy(){
     html.toggleClass('panel--norewind',false)
 
     elems.segments.empty()
+
+    segment_mark = {}
 }
 
 /**
@@ -1505,5 +1840,7 @@ export default {
     visibleStatus,
     showParams,
     hideRewind,
-    setFlows
+    setFlows,
+    openTracks: ()=>elems.tracks.trigger('hover:enter'),
+    openSubs: ()=>elems.subs.trigger('hover:enter')
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import Arrays from '../../utils/arrays'
 import Subscribe from '../../utils/subscribe'
+import Storage from '../../core/storage/storage'
 
 let listener = Subscribe()
 let segments = {
@@ -7,6 +8,16 @@ let segments = {
     skip: []
 }
 
+let external = {
+    ad: [],
+    skip: []
+}
+
+let current = {
+    series: '',
+    episode: ''
+}
+
 function update(time){
     let skip = get(time)
 
@@ -20,12 +31,40 @@ function update(time){
 function set(new_segments){
     if(Arrays.isObject(new_segments)){
         for(let i in new_segments){
-            segments[i] = Arrays.isArray(new_segments[i]) ? Arrays.clone(new_segments[i]) : []
+            external[i] = Arrays.isArray(new_segments[i]) ? Arrays.clone(new_segments[i]) : []
         }
     }
     else{
-        segments.ad   = []
-        segments.skip = []
+        external.ad   = []
+        external.skip = []
+    }
+
+    compose()
+}
+
+/**
+ * Собрать сегменты из внешнего источника и пользовательские для текущей серии
+ */
+function compose(){
+    segments = {}
+
+    for(let i in external) segments[i] = Arrays.clone(external[i])
+
+    if(!segments.skip) segments.skip = []
+
+    let saved = series()
+
+    if(saved){
+        let shift = offset()
+
+        saved.segments.forEach((seg, index)=>{
+            segments.skip.push({
+                start: Math.max(0, seg.start + shift),
+                end: Math.max(0, seg.end + shift),
+                user: true,
+                index
+            })
+        })
     }
 
     listener.send('set', segments)
@@ -50,10 +89,181 @@ function all(){
     return segments
 }
 
+/**
+ * Указать что сейчас смотрим, пользовательские сегменты привязаны к сериалу
+ * @param {object} card - карточка TMDB
+ * @param {string} episode - хеш серии, обычно timeline.hash
+ */
+function context(card, episode){
+    current.series  = card && card.id ? card.id + ':' + (card.original_name ? 'tv' : 'movie') : ''
+    current.episode = episode ? episode + '' : ''
+}
+
+/**
+ * Можно ли сохранять сегменты для текущего видео
+ * @returns {boolean}
+ */
+function editable(){
+    return Boolean(current.series)
+}
+
+function storage(){
+    return Storage.cache('player_segments_user', 300, {})
+}
+
+/**
+ * Сохраненные сегменты текущего сериала
+ * @returns {{segments:[{start:number, end:number}], offsets:object}|undefined}
+ */
+function series(){
+    return current.series ? storage()[current.series] : undefined
+}
+
+/**
+ * Смещение для текущей серии в секундах
+ * @param {number} [value] - если указано, то сохранить
+ * @returns {number}
+ */
+function offset(value){
+    let saved = series()
+
+    if(typeof value == 'number'){
+        if(!current.series || !current.episode) return 0
+
+        let all = storage()
+
+        if(!all[current.series]) all[current.series] = {segments: [], offsets: {}}
+
+        if(value) all[current.series].offsets[current.episode] = value
+        else delete all[current.series].offsets[current.episode]
+
+        Storage.set('player_segments_user', all)
+
+        compose()
+
+        return value
+    }
+
+    return saved && current.episode ? saved.offsets[current.episode] || 0 : 0
+}
+
+/**
+ * Добавить свой сегмент для всех серий сериала
+ * @param {number} start - время в текущей серии
+ * @param {number} end
+ */
+function add(start, end){
+    if(!current.series || end <= start) return
+
+    let all   = storage()
+    let shift = offset()
+
+    if(!all[current.series]) all[current.series] = {segments: [], offsets: {}}
+
+    // храним без смещения серии, чтобы оно не переносилось на остальные
+    all[current.series].segments.push({
+        start: Math.round((start - shift) * 10) / 10,
+        end: Math.round((end - shift) * 10) / 10
+    })
+
+    all[current.series].segments.sort((a,b)=>a.start - b.start)
+
+    Storage.set('player_segments_user', all)
+
+    compose()
+}
+
+/**
+ * Удалить свой сегмент
+ * @param {number} index
+ */
+function remove(index){
+    let all = storage()
+
+    if(!all[current.series]) return
+
+    all[current.series].segments.splice(index, 1)
+
+    Storage.set('player_segments_user', all)
+
+    compose()
+}
+
+/**
+ * Свои сегменты текущего сериала, уже со смещением серии
+ * @returns {[{start:number, end:number, user:boolean, index:number}]}
+ */
+function user(){
+    return segments.skip ? segments.skip.filter(seg=>seg.user) : []
+}
+
+/**
+ * Выгрузить все свои сегменты
+ * @returns {string} JSON
+ */
+function toJSON(){
+    return JSON.stringify({
+        type: 'lampa_segments',
+        version: 1,
+        series: storage()
+    })
+}
+
+/**
+ * Загрузить сегменты из JSON, существующие сериалы дополняются
+ * @param {string} json
+ * @returns {number} - сколько сериалов загружено
+ */
+function fromJSON(json){
+    let data = typeof json == 'string' ? JSON.parse(json) : json
+
+    if(!data || data.type !== 'lampa_segments' || !Arrays.isObject(data.series)) throw new Error('Wrong segments format')
+
+    let all   = storage()
+    let count = 0
+
+    for(let id in data.series){
+        let from = data.series[id]
+
+        if(!from || !Arrays.isArray(from.segments)) continue
+
+        if(!all[id]) all[id] = {segments: [], offsets: {}}
+
+        from.segments.forEach(seg=>{
+            let start = parseFloat(seg.start)
+            let end   = parseFloat(seg.end)
+
+            if(isNaN(start) || isNaN(end) || end <= start) return
+
+            if(!all[id].segments.find(s=>s.start == start && s.end == end)) all[id].segments.push({start, end})
+        })
+
+        all[id].segments.sort((a,b)=>a.start - b.start)
+
+        if(Arrays.isObject(from.offsets)) Arrays.extend(all[id].offsets, from.offsets)
+
+        count++
+    }
+
+    Storage.set('player_segments_user', all)
+
+    compose()
+
+    return count
+}
+
 export default {
     listener,
     update,
     set,
     get,
-    all
-}
\ No newline at end of file
+    all,
+    context,
+    editable,
+    offset,
+    add,
+    remove,
+    user,
+    toJSON,
+    fromJSON
+}
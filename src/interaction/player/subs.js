@@ -1,7 +1,7 @@
 import Subscribe from '../../utils/subscribe'
 import Reguest from '../../utils/reguest'
 import substr from '../../utils/subsrt/subsrt'
-import Storage from '../../core/storage/storage'
+import SubsSync from './subs_sync'
 
 /**
  * Поучить время
@@ -108,12 +108,24 @@ function parseVTT(data,ms){
 
 /**
  * Класс
+ * @param {object} [params]
+ * @param {boolean} [params.secondary] - вторая дорожка, сдвигается отдельно от основной
  */
-function CustomSubs(){
+function CustomSubs(params = {}){
     let parsed
+    let original
     let network  = new Reguest()
 
     this.listener = Subscribe()
+
+    /**
+     * Применить синхронизацию к репликам
+     */
+    let resync = ()=>{
+        if(original) parsed = substr.resync(original, params.secondary ? {offset: SubsSync.secondary(), ratio: 1} : SubsSync.get())
+    }
+
+    SubsSync.listener.follow('change', resync)
 	
     /**
      * Загрузить
@@ -122,7 +134,16 @@ function CustomSubs(){
 	this.load = function(url){
         network.silent(url,(data)=>{
             if(data){
-                parsed = parse(data,true)
+                original = parse(data,true).map(sub=>{
+                    return {
+                        start: sub.startTime,
+                        end: sub.endTime,
+                        origin: sub.startTime,
+                        text: sub.text
+                    }
+                })
+
+                resync()
             }
         },false,false,{
             dataType: 'text'
@@ -136,17 +157,17 @@ function CustomSubs(){
 	this.update = function(time_sec){
 		let time_ms = time_sec * 1000
 
-        time_ms -= parseInt(Storage.get('player_subs_shift_time','0')) * 1000
-
 		if(parsed){
 			let text = ''
 
 			for (let i = 0; i < parsed.length; i++) {
 				let sub = parsed[i]
 
-				if(time_ms > sub.startTime &&  time_ms < sub.endTime){
+				if(time_ms > sub.start &&  time_ms < sub.end){
 					text = sub.text.replace("\n",'<br>')
 
+                    if(!params.secondary) SubsSync.shown(sub)
+
 					break
 				}
 			}
@@ -159,6 +180,8 @@ function CustomSubs(){
      * Уничтожить
      */
     this.destroy = function(){
+        SubsSync.listener.remove('change', resync)
+
         network.clear()
 
         network = null
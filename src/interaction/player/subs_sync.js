@@ -0,0 +1,169 @@
+import Subscribe from '../../utils/subscribe'
+import Storage from '../../core/storage/storage'
+
+let listener = Subscribe()
+let current  = ''
+let sync     = {offset: 0, ratio: 1}
+let points   = []
+let line     = null
+let marked   = null
+let second   = 0
+
+/**
+ * Загрузить синхронизацию для видео
+ * @param {string} hash - хеш фильма или серии, тот же что у timeline
+ */
+function context(hash){
+    current = hash ? hash + '' : ''
+    sync    = saved(hash)
+    second  = current ? (Storage.cache('player_subs_sync', 3000, {})[current] || {}).secondary || 0 : 0
+    points  = []
+    line    = null
+    marked  = null
+
+    listener.send('change', get())
+}
+
+/**
+ * Сохраненная синхронизация любого видео
+ * @param {string} hash
+ * @returns {{offset:number, ratio:number}}
+ */
+function saved(hash){
+    let data = Storage.cache('player_subs_sync', 3000, {})[hash]
+
+    return data ? {offset: data.offset || 0, ratio: data.ratio || 1} : {offset: 0, ratio: 1}
+}
+
+/**
+ * Текущая синхронизация
+ * @returns {{offset:number, ratio:number}} - offset в миллисекундах, время реплики = время * ratio + offset
+ */
+function get(){
+    return {offset: sync.offset, ratio: sync.ratio}
+}
+
+function save(){
+    let all = Storage.cache('player_subs_sync', 3000, {})
+
+    if(current){
+        if(sync.offset || sync.ratio !== 1 || second) all[current] = {offset: sync.offset, ratio: sync.ratio, secondary: second}
+        else delete all[current]
+
+        Storage.set('player_subs_sync', all)
+    }
+
+    listener.send('change', get())
+}
+
+/**
+ * Сдвинуть субтитры
+ * @param {number} step - миллисекунды, можно отрицательные
+ */
+function shift(step){
+    sync.offset = Math.round(sync.offset + step)
+
+    save()
+}
+
+/**
+ * Сбросить синхронизацию
+ */
+function reset(){
+    sync   = {offset: 0, ratio: 1}
+    points = []
+    marked = null
+
+    save()
+}
+
+/**
+ * Запомнить реплику, которая сейчас на экране, вызывается из CustomSubs
+ * @param {{origin:number, text:string}} caption - origin время начала реплики в файле
+ */
+function shown(caption){
+    line = caption
+}
+
+/**
+ * Отметить реплику, которую нужно переместить
+ * @returns {object|null} - отмеченная реплика
+ */
+function mark(){
+    marked = line
+
+    return marked
+}
+
+/**
+ * Отмеченная реплика
+ * @returns {object|null}
+ */
+function pending(){
+    return marked
+}
+
+/**
+ * Реплика должна звучать сейчас. Первая точка дает сдвиг, вторая растягивает
+ * @param {number} time - текущее время видео в миллисекундах
+ */
+function target(time){
+    if(!marked) return
+
+    points.push({caption: marked.origin, video: time})
+
+    marked = null
+
+    let last = points.slice(-2)
+
+    if(last.length == 2 && Math.abs(last[1].caption - last[0].caption) > 10000){
+        let ratio = (last[1].video - last[0].video) / (last[1].caption - last[0].caption)
+
+        // защита от случайных точек, реальная разница fps не больше 25%
+        if(ratio > 0.8 && ratio < 1.25) sync.ratio = Math.round(ratio * 100000) / 100000
+    }
+
+    let point = last[last.length - 1]
+
+    sync.offset = Math.round(point.video - point.caption * sync.ratio)
+
+    save()
+}
+
+/**
+ * Сдвиг второй дорожки субтитров, у нее своя синхронизация без растяжения
+ * @param {number} [step] - миллисекунды, если указано, то сдвинуть
+ * @returns {number} - сдвиг в миллисекундах
+ */
+function secondary(step){
+    if(typeof step == 'number'){
+        second = step ? Math.round(second + step) : 0
+
+        save()
+    }
+
+    return second
+}
+
+/**
+ * Количество отмеченных точек
+ * @returns {number}
+ */
+function count(){
+    return points.length
+}
+
+export default {
+    listener,
+    context,
+    saved,
+    get,
+    shift,
+    reset,
+    shown,
+    mark,
+    pending,
+    target,
+    secondary,
+    count
+}
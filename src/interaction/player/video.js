@@ -24,6 +24,7 @@ let html
 let display
 let paused
 let subtitles
+let subtitles_secondary
 let backworkIcon
 let forwardIcon
 
@@ -33,6 +34,7 @@ let rewind_position = 0
 let rewind_force    = 0
 let last_mutation   = 0
 let customsubs
+let secondarysubs
 let video
 let wait
 let neeed_sacle
@@ -56,7 +58,9 @@ function init(){
     html      = Template.get('player_video')
     display   = html.find('.player-video__display')
     paused    = html.find('.player-video__paused')
-    subtitles = html.find('.player-video__subtitles')
+    subtitles = html.find('.player-video__subtitles--primary')
+
+    subtitles_secondary = html.find('.player-video__subtitles--secondary')
 
     backworkIcon = html.find('.player-video__backwork-icon')
     forwardIcon  = html.find('.player-video__forward-icon')
@@ -292,6 +296,8 @@ function bind(){
 
         if(customsubs) customsubs.update(video.currentTime)
 
+        if(secondarysubs) secondarysubs.update(video.currentTime)
+
         Segments.update(video.currentTime)
     })
 
@@ -309,6 +315,9 @@ function bind(){
             }
         }
 
+        // вторая дорожка уходит вниз, чтобы не наложиться на основную
+        subtitles_secondary.toggleClass('on-bottom', subtitles.hasClass('on-top'))
+
         e.text = e.text.trim()
 
         $('> div',subtitles).html(e.text ? e.text : '&nbsp;').css({
@@ -738,6 +747,8 @@ function customSubs(subs){
 
     if(customsubs) customsubs.destroy()
 
+    secondarySubs(false)
+
     video.customSubs = Arrays.clone(subs)
 
     console.log('Player','custom subs', subs)
@@ -774,6 +785,35 @@ function customSubs(subs){
     video.customSubs.length > 0 && listener.send('subs', {subs: video.customSubs})
 }
 
+/**
+ * Вторая дорожка субтитров, показывается сверху одновременно с основной
+ * @param {{url:string}|boolean} sub - дорожка из customSubs или false чтобы выключить
+ */
+function secondarySubs(sub){
+    if(secondarysubs){
+        secondarysubs.destroy()
+        secondarysubs = false
+    }
+
+    $('> div',subtitles_secondary).empty()
+
+    subtitles_secondary.toggleClass('hide', !(sub && sub.url))
+
+    if(!(sub && sub.url)) return
+
+    console.log('Player','secondary subs', sub.url)
+
+    secondarysubs = new CustomSubs({secondary: true})
+
+    secondarysubs.listener.follow('subtitle',(e)=>{
+        $('> div',subtitles_secondary).html(e.text ? e.text : '&nbsp;').css({
+            display: e.text ? 'inline-block' : 'none'
+        })
+    })
+
+    secondarysubs.load(sub.url)
+}
+
 /**
  * Включить или выключить субтитры
  * @param {boolean} status 
@@ -784,24 +824,34 @@ function subsview(status){
 
 /**
  * Применяет к блоку субтитров пользовательские настройки
+ * @param {object} elem - блок субтитров
+ * @param {string} prefix - subtitles или subtitles_secondary
  */
-function applySubsSettings() {
-    const hasStroke   = Storage.field('subtitles_stroke'),
-          hasBackdrop = Storage.field('subtitles_backdrop'),
-          size        = Storage.field('subtitles_size');
+function applySubsStyle(elem, prefix){
+    const hasStroke   = Storage.field(prefix + '_stroke'),
+          hasBackdrop = Storage.field(prefix + '_backdrop'),
+          size        = Storage.field(prefix + '_size');
 
-    subtitles.removeClass('has--stroke has--backdrop size--normal size--large size--small');
-    subtitles.addClass('size--' + size);
+    elem.removeClass('has--stroke has--backdrop size--normal size--large size--small');
+    elem.addClass('size--' + size);
 
     if (hasStroke) {
-        subtitles.addClass('has--stroke');
+        elem.addClass('has--stroke');
     }
 
     if (hasBackdrop) {
-        subtitles.addClass('has--backdrop');
+        elem.addClass('has--backdrop');
     }
 }
 
+/**
+ * Применяет к основным и второй дорожке субтитров пользовательские настройки
+ */
+function applySubsSettings() {
+    applySubsStyle(subtitles, 'subtitles')
+    applySubsStyle(subtitles_secondary, 'subtitles_secondary')
+}
+
 /**
  * Создать контейнер для видео
  */
@@ -1388,6 +1438,8 @@ function destroy(savemeta){
             customsubs.destroy()
             customsubs = false
         }
+
+        secondarySubs(false)
     }
     else{
         Lampa.PlayerInfo.set('bitrate','')
@@ -1432,6 +1484,7 @@ export default {
     speed,
     subsview,
     customSubs,
+    secondarySubs,
     to,
     video: ()=> { return video },
     saveParams,
@@ -11,6 +11,7 @@ import Layer from '../../core/layer'
 import HeadBackward from '../head/backward'
 import Head from '../head/head'
 import Subscribe from '../../utils/subscribe'
+import Saved from './saved'
 
 
 
@@ -26,6 +27,8 @@ let html = Template.elem('div', {class: 'main-search'}),
     listener = Subscribe()
 
 function init(){
+    Saved.init()
+
     Head.addIcon(Template.string('icon_search'), open).addClass('open--search')
 }
 
@@ -163,6 +166,8 @@ function createKeyboard(){
 
             sources.search('')
         }
+
+        history.suggest(input)
     })
 
     keyboard.listener.follow('down',()=>{
@@ -4,6 +4,9 @@ import Controller from '../../core/controller'
 import Storage from '../../core/storage/storage'
 import Arrays from '../../utils/arrays'
 import Lang from '../../core/lang'
+import Select from '../select'
+import Saved from './saved'
+import Suggest from './suggest'
 
 function History(){
     let scroll,
@@ -29,15 +32,57 @@ function History(){
 
         keys = Storage.get('search_history','[]')
 
-        keys.map(v=>v).reverse().slice(0,15).forEach(key => {
+        Suggest.load()
+
+        this.draw()
+    }
+
+    /**
+     * Нарисовать сохраненные поиски и историю
+     */
+    this.draw = function(){
+        let saved = Saved.all()
+
+        this.clear()
+
+        saved.forEach(key => {
+            this.append(key, 'saved')
+        })
+
+        keys.filter(key=>saved.indexOf(key) == -1).reverse().slice(0,15).forEach(key => {
             this.append(key)
         })
 
-        if(!keys.length) scroll.append($('<div class="selector search-history-empty">'+Lang.translate('search_empty')+'</div>'))
+        if(!keys.length && !saved.length) scroll.append($('<div class="selector search-history-empty">'+Lang.translate('search_empty')+'</div>'))
+    }
+
+    /**
+     * Показать подсказки для введенного текста, если текста нет, то историю
+     * @param {string} query
+     */
+    this.suggest = function(query){
+        let list = query ? Suggest.get(query) : []
+
+        if(!list.length) return this.draw()
+
+        this.clear()
+
+        list.forEach(item=>{
+            this.append(item.title, item.type)
+        })
+    }
+
+    this.clear = function(){
+        scroll.clear()
+        scroll.reset()
+
+        last = false
     }
 
-    this.append = function(value){
-        let key = $('<div class="search-history-key selector"><div><span>'+value+'</span></div></div>')
+    this.append = function(value, type = 'history'){
+        let key = $('<div class="search-history-key search-history-key--'+type+' selector"><div><span></span></div></div>')
+
+        key.find('span').text(value)
 
         key.on('hover:enter',()=>{
             this.listener.send('enter', {value: value})
@@ -46,27 +91,56 @@ function History(){
 
             scroll.update($(e.target), true)
         }).on('hover:long',()=>{
-            let selc = scroll.render().find('.selector')
+            let items = [{
+                title: Lang.translate(Saved.is(value) ? 'search_saved_remove' : 'search_saved_add'),
+                saved: true
+            }]
+
+            if(keys.indexOf(value) >= 0){
+                items.push({
+                    title: Lang.translate('search_history_remove'),
+                    remove: true
+                })
+            }
 
-            Arrays.remove(keys,value)
+            Select.show({
+                title: value,
+                items,
+                onSelect: (a)=>{
+                    if(a.saved){
+                        if(Saved.is(value)) Saved.remove(value)
+                        else Saved.add(value)
+
+                        key.toggleClass('search-history-key--saved', Saved.is(value))
+                    }
+                    else this.remove(key, value)
+
+                    this.toggle()
+                },
+                onBack: this.toggle.bind(this)
+            })
+        })
 
-            Storage.set('search_history',keys)
+        scroll.append(key)
+    }
 
-            Storage.remove('search_history',value)
+    this.remove = function(key, value){
+        let selc = scroll.render().find('.selector')
 
-            let index = selc.index(key)
+        Arrays.remove(keys,value)
 
-            if(index > 0) last = selc.eq(index - 1)[0]
-            else if(selc[index + 1]) last = selc.eq(index + 1)[0]
+        Storage.set('search_history',keys)
 
-            key.remove()
+        Storage.remove('search_history',value)
 
-            if(selc.length - 1 <= 0) last = false
+        let index = selc.index(key)
 
-            Controller.collectionFocus(last, scroll.render())
-        })
+        if(index > 0) last = selc.eq(index - 1)[0]
+        else if(selc[index + 1]) last = selc.eq(index + 1)[0]
 
-        scroll.append(key)
+        key.remove()
+
+        if(selc.length - 1 <= 0) last = false
     }
 
     this.add = function(value){
@@ -112,7 +186,7 @@ function History(){
     }
 
     this.any = function(){
-        return keys.length
+        return scroll.render().find('.search-history-key').length
     }
 
     this.render = function(){
@@ -124,6 +198,8 @@ function History(){
 
         this.listener.destroy()
 
+        Suggest.clear()
+
         keys = null
         last = null
     }
@@ -8,6 +8,7 @@ import Cache from '../../utils/cache'
 import Router from '../../core/router'
 import Utils from '../../utils/utils'
 import Template from '../template'
+import ContentRating from '../../core/content_rating'
 
 function Results(source){
     let timer,
@@ -35,6 +36,8 @@ function Results(source){
 
             source.onRecall && source.onRecall(data, last_query)
 
+            this.rating(data)
+
             data.forEach(this.build.bind(this))
 
             this.listener.send('finded',{count: this.count(data), data})
@@ -73,6 +76,8 @@ function Results(source){
 
                     this.dmca(data)
 
+                    this.rating(data)
+
                     let count = this.count(data)
 
                     if(count > 0){
@@ -120,6 +125,15 @@ function Results(source){
         }
     }
 
+    /**
+     * Скрыть карточки выше возрастного ограничения профиля, для источников из плагинов тоже
+     */
+    this.rating = function(result){
+        result.forEach((data)=>{
+            data.results = ContentRating.filter(data.results)
+        })
+    }
+
     this.build = function(data){
         data.noimage = true
 
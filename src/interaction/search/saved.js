@@ -0,0 +1,86 @@
+import Storage from '../../core/storage/storage'
+import Arrays from '../../utils/arrays'
+import Lang from '../../core/lang'
+import Api from '../../core/api/api'
+import ContentRows from '../../core/content_rows'
+
+/**
+ * Сохраненные поиски, можно повторить из строки поиска
+ * или смотреть результаты строкой на главной
+ */
+
+function init(){
+    ContentRows.add({
+        name: 'search_saved',
+        title: Lang.translate('search_saved'),
+        index: 2,
+        screen: ['main'],
+        call: ()=>{
+            return all().slice(0, 5).map(query=>{
+                return function(call){
+                    Api.search({query: encodeURIComponent(query)}, (result)=>{
+                        let results = [].concat(result.movie ? result.movie.results : [], result.tv ? result.tv.results : [])
+
+                        results.sort((a, b)=>(b.popularity || 0) - (a.popularity || 0))
+
+                        call({
+                            title: Lang.translate('search_saved') + ' - ' + query,
+                            results: results.slice(0, 20)
+                        })
+                    })
+                }
+            })
+        }
+    })
+}
+
+/**
+ * Все сохраненные запросы, последние в начале
+ * @returns {[string]}
+ */
+function all(){
+    return Storage.get('search_saved','[]').slice().reverse()
+}
+
+/**
+ * Сохранен ли запрос
+ * @param {string} query
+ * @returns {boolean}
+ */
+function is(query){
+    return Storage.get('search_saved','[]').indexOf(query) >= 0
+}
+
+/**
+ * Сохранить запрос
+ * @param {string} query
+ */
+function add(query){
+    let list = Storage.get('search_saved','[]')
+
+    Arrays.remove(list, query)
+
+    list.push(query)
+
+    Storage.set('search_saved', list)
+}
+
+/**
+ * Удалить запрос
+ * @param {string} query
+ */
+function remove(query){
+    let list = Storage.get('search_saved','[]')
+
+    Arrays.remove(list, query)
+
+    Storage.set('search_saved', list)
+}
+
+export default {
+    init,
+    all,
+    is,
+    add,
+    remove
+}
@@ -0,0 +1,67 @@
+import Storage from '../../core/storage/storage'
+import Favorite from '../../core/favorite'
+import Account from '../../core/account/account'
+import Cache from '../../utils/cache'
+import SearchSuggest from '../../utils/search_suggest'
+import Saved from './saved'
+
+let cached = []
+
+/**
+ * Загрузить названия из закешированных результатов поиска, вызывается при открытии поиска
+ */
+function load(){
+    Cache.getPrefix('other', 'search_').then((rows)=>{
+        cached = []
+
+        rows.forEach(row=>{
+            if(!Array.isArray(row.value)) return
+
+            row.value.forEach(data=>{
+                (data.results || []).forEach(card=>{
+                    let title = card.title || card.name
+
+                    if(title) cached.push({title, type: 'cached', weight: card.popularity || 0})
+                })
+            })
+        })
+    }).catch(()=>{})
+}
+
+function cards(){
+    let list = Favorite.get({type: 'history'}).concat(Account.Permit.sync ? Account.Bookmarks.all() : Favorite.full().card)
+    let result = []
+
+    list.forEach((card, i)=>{
+        if(!card) return
+
+        let weight = list.length - i
+
+        if(card.title || card.name) result.push({title: card.title || card.name, type: 'card', weight})
+        if(card.original_title || card.original_name) result.push({title: card.original_title || card.original_name, type: 'card', weight})
+    })
+
+    return result
+}
+
+/**
+ * Подсказки для введенного текста
+ * @param {string} query
+ * @returns {[{title:string, type:string}]}
+ */
+function get(query){
+    let history = Storage.get('search_history','[]').map((title, i)=>({title, type: 'history', weight: i}))
+    let saved   = Saved.all().map(title=>({title, type: 'saved'}))
+
+    return SearchSuggest.match(query, saved.concat(history, cards(), cached))
+}
+
+function clear(){
+    cached = []
+}
+
+export default {
+    load,
+    get,
+    clear
+}
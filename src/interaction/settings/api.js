@@ -61,6 +61,19 @@ function removeParams(component){
     delete params[component]
 }
 
+/**
+ * Удалить отдельные параметры компонента
+ * @param {string} component
+ * @param {string|function} filter - название параметра или функция отбора
+ */
+function removeParam(component, filter){
+    if(!params[component]) return
+
+    params[component] = params[component].filter(data=>{
+        return typeof filter == 'function' ? !filter(data) : data.param.name !== filter
+    })
+}
+
 /**
  * Получить все компоненты
  * @returns {{name:{component:string, icon:string, name:string}}}
@@ -88,5 +101,6 @@ export default {
     getComponent,
     
     removeComponent,
-    removeParams
+    removeParams,
+    removeParam
 }
\ No newline at end of file
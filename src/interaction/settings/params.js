@@ -500,12 +500,6 @@ select('parser_torrent_type',{
     'torrserver': 'TorrServer'
 },'jackett')
 
-select('parser_use_link',{
-    'one': '#{settings_param_link_use_one}',
-    'two': '#{settings_param_link_use_two}',
-    'both': '#{settings_param_link_use_both}'
-},'one')
-
 select('jackett_interview',{
     'all': '#{settings_param_jackett_interview_all}',
     'healthy': '#{settings_param_jackett_interview_healthy}',
@@ -550,6 +544,12 @@ select('subtitles_size',{
     'large': '#{settings_param_subtitles_size_bigger}',
 },'normal')
 
+select('subtitles_secondary_size',{
+    'small': '#{settings_param_subtitles_size_small}',
+    'normal': '#{settings_param_subtitles_size_normal}',
+    'large': '#{settings_param_subtitles_size_bigger}',
+},'small')
+
 select('screensaver_time',{
     '1': '1',
     '2': '2',
@@ -689,6 +689,11 @@ Manifest.cub_mirrors.forEach((mirror)=>{
 
 select('cub_domain', mirrors_select, Manifest.cub_domain)
 
+select('account_backend',{
+    'cub': 'CUB',
+    'self': '#{account_backend_self}',
+},'cub')
+
 /**
  * Добовляем триггеры
  */
@@ -705,6 +710,8 @@ trigger('playlist_next',true)
 trigger('internal_torrclient', true)
 trigger('subtitles_stroke', true)
 trigger('subtitles_backdrop', false)
+trigger('subtitles_secondary_stroke', true)
+trigger('subtitles_secondary_backdrop', false)
 trigger('screensaver', true)
 trigger('proxy_tmdb', true)
 trigger('proxy_tmdb_auto', true)
@@ -733,14 +740,6 @@ trigger('vlc_fullscreen', true)
 /**
  * Добовляем поля
  */
-select('jackett_url','','')
-select('jackett_key','','')
-select('jackett_url_two','','')
-select('jackett_key_two','','')
-select('prowlarr_url','','');
-select('prowlarr_key','','');
-select('prowlarr_url_two','','');
-select('prowlarr_key_two','','');
 select('torrserver_url','','')
 select('torrserver_url_two','','')
 select('torrserver_login','','')
@@ -750,6 +749,8 @@ select('cloud_token','','')
 select('account_email','','')
 select('account_password','','')
 select('device_name','','Lampa')
+select('backup_local_url','','')
+select('account_backend_url','','')
 select('player_nw_path','','C:/Program Files/VideoLAN/VLC/vlc.exe')
 select('tmdb_proxy_api','','')
 select('tmdb_proxy_image','','')
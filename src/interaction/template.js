@@ -484,6 +484,16 @@ function add(name, html){
     templates[name] = html
 }
 
+/**
+ * Удалить шаблон
+ * @param {string} name - имя шаблона
+ * @returns {void}
+ */
+function remove(name){
+    delete created[name]
+    delete templates[name]
+}
+
 /**
  * Получить все шаблоны
  * @returns {object} - объект со всеми шаблонами
@@ -505,6 +515,7 @@ export default {
     get,
     js,
     add,
+    remove,
     all,
     string,
     prefix,
@@ -5,15 +5,25 @@ import Utils from '../utils/utils'
 import Account from '../core/account/account'
 import Subscribe from '../utils/subscribe'
 import Activity from './activity/activity'
+import SyncMerge from '../utils/sync_merge'
 
 let listener = Subscribe(), 
-    viewed
+    viewed,
+    device
 
 /**
  * Инициализация
  * @returns {void}
  */
 function init(){
+    device = Storage.get('timeline_device', '') + ''
+
+    if(!device){
+        device = Utils.uid()
+
+        Storage.set('timeline_device', device)
+    }
+
     read()
 }
 
@@ -52,6 +62,8 @@ function filename(){
  * @param {number} [params.duration] - общая длительность файла в секундах
  * @param {number} [params.profile] - ID профиля
  * @param {boolean} [params.received] - флаг, что данные получены с сервера
+ * @param {number} [params.updated] - время изменения в мс
+ * @param {string} [params.device] - устройство, на котором изменили
  * @returns {void}
  */
 function update(params){
@@ -59,6 +71,11 @@ function update(params){
 
     let road = viewed[params.hash]
 
+    // Пришедший прогресс применяем только если он выигрывает у своего, свой применяем всегда
+    if(params.received && SyncMerge.progress(road, params) === road) return
+
+    if(typeof road == 'object') remember(params.hash, road, params)
+
     if(typeof road == 'undefined' || typeof road == 'number'){
         road = {
             duration: 0,
@@ -76,6 +93,9 @@ function update(params){
     if(typeof params.duration !== 'undefined') road.duration = params.duration
     if(typeof params.profile !== 'undefined')  road.profile  = params.profile
 
+    road.updated = params.updated || Date.now()
+    road.device  = params.device || device
+
     Storage.set(filename(), viewed)
 
     let layers = [].concat(Activity.renderLayers())
@@ -106,7 +126,82 @@ function update(params){
         data:{ hash: params.hash, road }
     })
 
-    if(!params.received && Account.hasPremium()) Socket.send('timeline',{params})
+    if(!params.received && (Account.hasPremium() || !Account.Backend.is('cub'))) Socket.send('timeline',{params: Object.assign({}, params, {updated: road.updated, device: road.device})})
+}
+
+function historyName(){
+    return filename() + '_history'
+}
+
+/**
+ * Запомнить прогресс перед тем как его уменьшат, чтобы случайный сброс можно было отменить
+ * @param {string} hash - хеш файла
+ * @param {object} road - текущий прогресс
+ * @param {object} params - новый прогресс
+ * @returns {void}
+ */
+function remember(hash, road, params){
+    if(!road.percent || params.percent > road.percent - 5) return
+
+    let all  = Storage.cache(historyName(), 500, {})
+    let list = all[hash] || []
+
+    list.unshift({
+        percent: road.percent,
+        time: road.time,
+        duration: road.duration,
+        updated: road.updated || 0,
+        device: road.device || ''
+    })
+
+    all[hash] = list.slice(0, 5)
+
+    Storage.set(historyName(), all)
+}
+
+/**
+ * Предыдущие значения прогресса, до того как его уменьшили
+ * @param {string} hash - хеш файла
+ * @return {array} - [{percent, time, duration, updated, device}, ...] сначала последние
+ */
+function history(hash){
+    return (Storage.cache(historyName(), 500, {})[hash] || []).slice()
+}
+
+/**
+ * Вернуть прогресс, который был до последнего уменьшения
+ * @param {string} hash - хеш файла
+ * @return {boolean} - было ли что вернуть
+ */
+function undo(hash){
+    let all  = Storage.cache(historyName(), 500, {})
+    let list = all[hash] || []
+    let last = list.shift()
+
+    if(!last) return false
+
+    if(list.length) all[hash] = list
+    else delete all[hash]
+
+    Storage.set(historyName(), all)
+
+    update({
+        hash,
+        percent: last.percent,
+        time: last.time,
+        duration: last.duration
+    })
+
+    return true
+}
+
+/**
+ * Устройство, на котором изменили прогресс
+ * @param {object} road - прогресс из view или history
+ * @return {boolean} - это устройство
+ */
+function local(road){
+    return !road.device || road.device == device
 }
 
 /**
@@ -237,5 +332,8 @@ export default {
     format,
     watched,
     watchedEpisode,
-    filename
+    filename,
+    history,
+    undo,
+    local
 }
@@ -463,6 +463,16 @@ function list(items, params){
                 }
             ]
 
+            let previous = Timeline.history(view.hash)[0]
+
+            if(previous){
+                menu.splice(1, 0, {
+                    title: Lang.translate('time_undo'),
+                    subtitle: previous.percent + '%' + (previous.updated ? ' - ' + Utils.parseTime(previous.updated).briefly : '') + (Timeline.local(previous) ? '' : ' - ' + Lang.translate('time_undo_other')),
+                    timeundo: true
+                })
+            }
+
             if(Platform.is('webos')){
                 menu.push({
                     title: Lang.translate('player_lauch') + ' - WebOS',
@@ -507,6 +517,16 @@ function list(items, params){
                         Timeline.update(view)
                     }
 
+                    if(a.timeundo && Timeline.undo(view.hash)){
+                        let road = Timeline.view(view.hash)
+
+                        view.percent  = road.percent
+                        view.time     = road.time
+                        view.duration = road.duration
+
+                        element.timeline = view
+                    }
+
                     if(a.timefull){
                         view.percent  = 100
                         view.time     = view.duration
@@ -640,5 +660,7 @@ export default {
     start,
     open,
     opened,
-    back
+    back,
+    autostart,
+    stopAutostart
 }
@@ -1286,4 +1286,302 @@ export default {
     filter_keyword_spy: 'Spy',
     filter_keyword_disaster: 'Catastrophe', 
     filter_keyword_christmas: 'Christmas',
+
+    settings_parser_endpoints: 'Servers',
+    settings_parser_endpoints_descr: 'List of servers with priority and timeout, unavailable ones are skipped automatically',
+    settings_parser_endpoints_empty: 'Not specified',
+    settings_parser_endpoint_add: 'Add server',
+    settings_parser_endpoint_timeout: 'Timeout',
+    settings_parser_endpoint_priority: 'Priority',
+    settings_parser_endpoint_enabled: 'Enabled',
+    settings_parser_endpoint_disabled: 'Disabled',
+    settings_parser_endpoint_check: 'Check availability',
+    settings_parser_endpoint_remove: 'Remove',
+    settings_parser_endpoint_wait: 'Checking...',
+    settings_parser_endpoint_online: 'Online',
+    settings_parser_endpoint_offline: 'Offline',
+
+    torrent_parser_source_error: 'no response',
+
+    torrent_profiles: 'Quality profiles',
+    torrent_profiles_descr: 'Automatically pick a release using your rules',
+    torrent_profile_add: 'Add profile',
+    torrent_profile_name: 'Name',
+    torrent_profile_use: 'Use',
+    torrent_profile_autostart: 'Autostart',
+    torrent_profile_autostart_descr: 'Start the best release in 10 seconds',
+    torrent_profile_strict: 'Strict',
+    torrent_profile_strict_descr: 'Releases without a full match are skipped',
+    torrent_profile_source: 'Source',
+    torrent_profile_voices: 'Voice studios',
+    torrent_profile_min_seeders: 'Minimum seeders',
+    torrent_profile_max_size: 'Maximum size, GB',
+    torrent_profile_picked: 'Picked by profile',
+
+    player_segments_user_title: 'My segments',
+    player_segments_mark_start: 'Mark start',
+    player_segments_mark_end: 'Mark end',
+    player_segments_mark_descr: 'Current video position',
+    player_segments_save: 'Save segment',
+    player_segments_save_descr: 'Will be skipped in every episode',
+    player_segments_remove: 'Remove segment',
+    player_segments_offset: 'Offset for this episode',
+    player_segments_export: 'Export',
+    player_segments_export_descr: 'Copy all segments to the clipboard as JSON',
+    player_segments_exported: 'Segments copied to the clipboard',
+    player_segments_export_error: 'Failed to copy segments',
+    player_segments_import: 'Import',
+    player_segments_import_descr: 'Paste segments in JSON format',
+    player_segments_imported: 'Series loaded',
+    player_segments_import_error: 'Wrong segments format',
+
+    player_subs_sync: 'Synchronization',
+    player_subs_sync_offset: 'Offset',
+    player_subs_sync_points: 'Sync by lines',
+    player_subs_sync_mark: 'Mark line',
+    player_subs_sync_mark_descr: 'Last shown line',
+    player_subs_sync_target: 'Line should be now',
+    player_subs_sync_target_descr: 'Mark it when the line is spoken, a second point fixes stretching',
+    player_subs_sync_reset: 'Reset synchronization',
+    player_subs_sync_noline: 'No line has been shown',
+    player_subs_secondary: 'Second subtitles',
+    player_subs_secondary_descr: 'Show one more track at the top of the screen',
+    player_subs_secondary_track: 'Track',
+    player_subs_secondary_off: 'Off',
+    player_subs_secondary_main: 'Main track',
+    backup_local: 'Backup',
+    backup_local_export: 'Save backup',
+    backup_local_export_descr: 'Bookmarks, history, plugins, settings and playlists to a file or your own server',
+    backup_local_import: 'Restore from backup',
+    backup_local_import_descr: 'Backup data is added to the current data, you will see what changes before restoring',
+    backup_local_url: 'Backup address',
+    backup_local_url_descr: 'Your own server to send the backup to with a POST request and to load it from',
+    backup_local_url_placeholder: 'For example: http://192.168.1.10:8080/lampa-backup.json',
+    backup_local_url_empty: 'Backup address is not set',
+    backup_local_file: 'File',
+    backup_local_continue: 'Continue',
+    backup_local_empty: 'Nothing selected',
+    backup_local_preview: 'New: {added}, will change: {changed}, unchanged: {same}',
+    backup_local_exported: 'Backup saved',
+    backup_local_export_error: 'Failed to save backup',
+    backup_local_imported: 'Backup restored',
+    backup_local_import_error: 'Failed to read backup',
+    backup_local_section_bookmarks: 'Bookmarks',
+    backup_local_section_timelines: 'Watch history',
+    backup_local_section_plugins: 'Plugins',
+    backup_local_section_settings: 'Settings',
+    backup_local_section_parental: 'Parental control',
+    backup_local_section_iptv: 'IPTV playlists',
+    account_backend: 'Sync server',
+    account_backend_descr: 'Profiles, bookmarks and watch progress can be kept on your own server instead of CUB',
+    account_backend_self: 'Own server',
+    account_backend_url: 'Own server address',
+    account_backend_url_placeholder: 'For example: http://192.168.1.10:8090',
+    time_undo: 'Restore timecode',
+    time_undo_other: 'from another device',
+    menu_statistics: 'Statistics',
+    title_statistics: 'Watch statistics',
+    statistics_profile: 'Profile',
+    statistics_profile_device: 'This device',
+    statistics_total: 'Total watched',
+    statistics_finished: 'Finished',
+    statistics_streak_longest: 'Longest streak, days',
+    statistics_streak_current: 'Current streak, days',
+    statistics_weeks: 'By week',
+    statistics_months: 'By month',
+    statistics_genres: 'Genres',
+    statistics_people: 'Actors and directors',
+    statistics_series: 'Series',
+    statistics_empty: 'Nothing to count yet, watch something',
+    settings_parental_control_limits: 'Time limits',
+    settings_parental_control_budget_weekdays: 'Limit on weekdays',
+    settings_parental_control_budget_weekend: 'Limit on weekends',
+    settings_parental_control_budget_none: 'No limit',
+    settings_parental_control_window_weekdays: 'Allowed time on weekdays',
+    settings_parental_control_window_weekend: 'Allowed time on weekends',
+    settings_parental_control_window_descr: 'For example 17:00-20:00, several intervals separated by commas',
+    settings_parental_control_window_all: 'All day',
+    settings_parental_control_window_error: 'Invalid time format',
+    settings_parental_control_today: 'Watched today',
+    parental_control_time_left: 'Left',
+    parental_control_time_budget: 'Viewing time for today is over',
+    parental_control_time_window: 'Viewing is not allowed right now',
+    parental_control_time_extend: 'Extend time',
+    settings_parental_control_rating: 'Age rating',
+    settings_parental_control_rating_max: 'Maximum rating',
+    settings_parental_control_rating_max_descr: 'Movies and series rated higher will be hidden from collections, search and filmographies',
+    settings_parental_control_rating_unknown: 'Without rating',
+    settings_parental_control_rating_unknown_show: 'Show',
+    settings_parental_control_rating_unknown_hide: 'Hide',
+    search_saved: 'Saved search',
+    search_saved_add: 'Save search',
+    search_saved_remove: 'Remove from saved',
+    search_history_remove: 'Remove from history',
+    filter_builder: 'Advanced filter',
+    filter_builder_descr: 'Genres, people, keywords, services',
+    filter_builder_genres: 'Genres',
+    filter_builder_runtime: 'Runtime',
+    filter_builder_votes: 'Vote count',
+    filter_builder_rating: 'Rating',
+    filter_builder_certification: 'Certification',
+    filter_builder_providers: 'Streaming services',
+    filter_builder_people: 'Cast and crew',
+    filter_builder_keywords: 'Keywords',
+    filter_builder_language: 'Original language',
+    filter_builder_dates: 'Release dates',
+    filter_builder_dates_from: 'From date',
+    filter_builder_dates_to: 'To date',
+    filter_builder_dates_error: 'Enter a year or a date as YYYY-MM-DD',
+    filter_builder_sort: 'Sort',
+    filter_builder_sort_popularity: 'By popularity',
+    filter_builder_sort_vote_average: 'By rating',
+    filter_builder_sort_vote_count: 'By vote count',
+    filter_builder_sort_date: 'By release date',
+    filter_builder_mode: 'Matching',
+    filter_builder_mode_and: 'All selected',
+    filter_builder_mode_or: 'Any selected',
+    filter_builder_genre_with: 'include',
+    filter_builder_genre_without: 'exclude',
+    filter_builder_add: 'Add',
+    filter_builder_remove_item: 'Press to remove',
+    filter_builder_region: 'Region',
+    filter_builder_providers_error: 'Failed to load the list of services',
+    filter_builder_saved: 'Saved filter',
+    filter_builder_save: 'Save filter',
+    filter_builder_name: 'Filter name',
+    filter_builder_saved_done: 'Filter saved',
+    filter_builder_pin: 'Pin to menu',
+    filter_builder_unpin: 'Unpin from menu',
+    filter_builder_remove: 'Delete filter',
+    filter_builder_reset: 'Reset',
+    console_level: 'Level',
+    console_level_all: 'All',
+    console_level_warn: 'Warnings and errors',
+    console_level_error: 'Errors only',
+    console_search: 'Search',
+    console_export: 'Save to file',
+    console_export_done: 'File saved',
+    console_export_error: 'Failed to save the file',
+    console_buffer: 'Console buffer size',
+    console_buffer_descr: 'How many lines to keep in each console tab',
+    console_remote: 'Log collector',
+    console_remote_descr: 'Local server address ws:// or http:// that receives console lines with the device ID and time',
+    keypad_learn: 'Remote buttons',
+    keypad_learn_descr: 'Assign remote buttons if the standard ones do not work',
+    keypad_learn_press: 'Press a button on the remote for',
+    keypad_learn_code: 'Code',
+    keypad_learn_default: 'Standard button',
+    keypad_learn_timeout: 'No button was pressed',
+    keypad_learn_reset: 'Reset assignments',
+    keypad_learn_reset_descr: 'Restore standard buttons for all actions',
+    keypad_action_up: 'Up',
+    keypad_action_down: 'Down',
+    keypad_action_left: 'Left',
+    keypad_action_right: 'Right',
+    keypad_action_enter: 'OK',
+    keypad_action_back: 'Back',
+    keypad_action_channel_up: 'Channel up',
+    keypad_action_channel_down: 'Channel down',
+    keypad_action_playpause: 'Play / pause',
+    keypad_action_rewind_back: 'Rewind',
+    keypad_action_rewind_forward: 'Fast forward',
+    keypad_action_subtitles: 'Subtitles',
+    keypad_action_audio: 'Audio track',
+    keypad_action_info: 'Info',
+    backup_local_section_keypad: 'Remote buttons',
+    plugins_permissions: 'Plugin permissions',
+    plugins_permission_network: 'Network hosts',
+    plugins_permission_storage: 'App data',
+    plugins_permission_player: 'Player',
+    plugins_permission_player_descr: 'Watches playback and can control the player',
+    plugins_permission_account: 'Account',
+    plugins_permission_account_descr: 'Receives the email and data of your CUB account',
+    plugins_permissions_undeclared: 'The plugin does not declare permissions',
+    plugins_permissions_unknown: 'Failed to load the plugin code, permissions are unknown',
+    plugins_permissions_legacy: 'The plugin was installed before permissions existed and works without restrictions',
+    plugins_install_pinned: 'Install and pin version',
+    plugins_integrity_pin: 'Pin version',
+    plugins_integrity_unpin: 'Unpin version',
+    plugins_integrity_descr: 'A pinned plugin will not run if its code changes',
+    plugins_integrity_pinned: 'Version pinned',
+    plugins_integrity_changed: 'Plugin code has changed, the plugin was not started',
+    plugins_integrity_changed_short: 'Changed',
+    plugins_integrity_accept: 'Accept new version',
+    plugins_integrity_accept_descr: 'Pin the current plugin code',
+    plugins_deps_report: 'Skipped due to dependencies',
+    plugins_deps_skipped: 'Plugins skipped due to dependencies',
+    plugins_deps_missing: 'Missing dependency',
+    plugins_deps_version: 'Version mismatch',
+    plugins_deps_found: 'installed',
+    plugins_deps_failed: 'Dependency failed to load',
+    plugins_deps_skipped_by: 'Dependency was skipped',
+    plugins_deps_cycle: 'Circular dependency',
+    plugins_errors: 'Plugin errors',
+    plugins_errors_descr: 'Start and runtime errors with the stack from the console',
+    plugins_settings_export: 'Export plugin settings',
+    plugins_stopped: 'Plugin disabled without reload',
+    theme_editor: 'Local themes',
+    theme_editor_descr: 'Colours, card rounding, font and background with live preview, import and export without an account',
+    theme_editor_default: 'Default look',
+    theme_editor_active: 'Selected',
+    theme_editor_create: 'Create theme',
+    theme_editor_new: 'New theme',
+    theme_editor_import: 'Import from file',
+    theme_editor_import_descr: 'Theme file in JSON format',
+    theme_editor_imported: 'Theme added',
+    theme_editor_import_error: 'Failed to read the theme',
+    theme_editor_apply: 'Apply',
+    theme_editor_edit: 'Edit',
+    theme_editor_export: 'Export to file',
+    theme_editor_remove: 'Remove',
+    theme_editor_name: 'Name',
+    theme_editor_save: 'Save and apply',
+    theme_editor_saved: 'Theme saved',
+    theme_editor_custom: 'Custom value',
+    theme_editor_invalid: 'Invalid value',
+    theme_editor_off: 'None',
+    theme_editor_accent: 'Accent',
+    theme_editor_background: 'Background colour',
+    theme_editor_card_radius: 'Card rounding',
+    theme_editor_focus_ring: 'Focus ring',
+    theme_editor_font: 'Font',
+    theme_editor_bg_type: 'Background behaviour',
+    theme_editor_bg_type_default: 'Poster',
+    theme_editor_bg_type_color: 'Solid colour',
+    theme_editor_bg_type_image: 'Image',
+    theme_editor_bg_color: 'Colour',
+    theme_editor_bg_blur: 'Blur',
+    theme_editor_bg_image: 'Image address',
+    backup_local_section_themes: 'Local themes',
+    content_rows_custom: 'My rows',
+    content_rows_custom_descr: 'Rows on the main and category screens from a filter, TMDB, bookmarks or a JSON list',
+    content_rows_custom_create: 'Create row',
+    content_rows_custom_name: 'Row name',
+    content_rows_custom_saved: 'Row saved',
+    content_rows_custom_invalid: 'Failed to create the row',
+    content_rows_custom_type_discover: 'Saved filter',
+    content_rows_custom_type_keyword: 'TMDB keyword',
+    content_rows_custom_type_collection: 'TMDB collection',
+    content_rows_custom_type_company: 'TMDB company',
+    content_rows_custom_type_person: 'TMDB person',
+    content_rows_custom_type_bookmarks: 'Bookmark folder',
+    content_rows_custom_type_list: 'JSON list from URL',
+    content_rows_custom_search: 'Search',
+    content_rows_custom_url: 'JSON list URL',
+    content_rows_custom_no_filters: 'No saved filters',
+    content_rows_custom_media_all: 'All',
+    content_rows_custom_rename: 'Rename',
+    content_rows_custom_up: 'Move up',
+    content_rows_custom_down: 'Move down',
+    content_rows_custom_screens: 'Where to show',
+    content_rows_custom_screen_main: 'Main',
+    content_rows_custom_screen_category: 'Categories',
+    content_rows_custom_life: 'Cache lifetime',
+    content_rows_custom_life_0: 'No cache',
+    content_rows_custom_life_60: '1 hour',
+    content_rows_custom_life_360: '6 hours',
+    content_rows_custom_life_1440: '1 day',
+    content_rows_custom_life_4320: '3 days',
+    content_rows_custom_life_10080: '7 days',
+    content_rows_custom_remove: 'Remove',
 }
@@ -1295,4 +1295,302 @@ export default {
 
     remote_helper_long: 'Удерживайте кнопку (ОК) для вызова меню',
     no_watch_history: 'Нет истории просмотра',
+
+    settings_parser_endpoints: 'Серверы',
+    settings_parser_endpoints_descr: 'Список серверов с приоритетом и таймаутом, недоступные пропускаются автоматически',
+    settings_parser_endpoints_empty: 'Не указаны',
+    settings_parser_endpoint_add: 'Добавить сервер',
+    settings_parser_endpoint_timeout: 'Таймаут',
+    settings_parser_endpoint_priority: 'Приоритет',
+    settings_parser_endpoint_enabled: 'Включен',
+    settings_parser_endpoint_disabled: 'Отключен',
+    settings_parser_endpoint_check: 'Проверить доступность',
+    settings_parser_endpoint_remove: 'Удалить',
+    settings_parser_endpoint_wait: 'Проверка...',
+    settings_parser_endpoint_online: 'Доступен',
+    settings_parser_endpoint_offline: 'Недоступен',
+
+    torrent_parser_source_error: 'не отвечает',
+
+    torrent_profiles: 'Профили качества',
+    torrent_profiles_descr: 'Автоматический выбор раздачи по заданным правилам',
+    torrent_profile_add: 'Добавить профиль',
+    torrent_profile_name: 'Название',
+    torrent_profile_use: 'Использовать',
+    torrent_profile_autostart: 'Автозапуск',
+    torrent_profile_autostart_descr: 'Запускать лучшую раздачу через 10 секунд',
+    torrent_profile_strict: 'Строгий',
+    torrent_profile_strict_descr: 'Раздачи без полного совпадения пропускаются',
+    torrent_profile_source: 'Источник',
+    torrent_profile_voices: 'Студии озвучки',
+    torrent_profile_min_seeders: 'Минимум раздающих',
+    torrent_profile_max_size: 'Максимальный размер, GB',
+    torrent_profile_picked: 'Выбрано по профилю',
+
+    player_segments_user_title: 'Свои сегменты',
+    player_segments_mark_start: 'Отметить начало',
+    player_segments_mark_end: 'Отметить конец',
+    player_segments_mark_descr: 'Текущая позиция видео',
+    player_segments_save: 'Сохранить сегмент',
+    player_segments_save_descr: 'Будет пропускаться во всех сериях',
+    player_segments_remove: 'Удалить сегмент',
+    player_segments_offset: 'Смещение для этой серии',
+    player_segments_export: 'Экспорт',
+    player_segments_export_descr: 'Скопировать все сегменты в буфер обмена в формате JSON',
+    player_segments_exported: 'Сегменты скопированы в буфер обмена',
+    player_segments_export_error: 'Не удалось скопировать сегменты',
+    player_segments_import: 'Импорт',
+    player_segments_import_descr: 'Вставить сегменты в формате JSON',
+    player_segments_imported: 'Загружено сериалов',
+    player_segments_import_error: 'Неверный формат сегментов',
+
+    player_subs_sync: 'Синхронизация',
+    player_subs_sync_offset: 'Смещение',
+    player_subs_sync_points: 'Синхронизация по репликам',
+    player_subs_sync_mark: 'Отметить реплику',
+    player_subs_sync_mark_descr: 'Последняя показанная реплика',
+    player_subs_sync_target: 'Реплика должна быть сейчас',
+    player_subs_sync_target_descr: 'Отметьте в момент, когда ее произносят, вторая точка исправит растяжение',
+    player_subs_sync_reset: 'Сбросить синхронизацию',
+    player_subs_sync_noline: 'Нет показанной реплики',
+    player_subs_secondary: 'Вторые субтитры',
+    player_subs_secondary_descr: 'Показать еще одну дорожку сверху экрана',
+    player_subs_secondary_track: 'Дорожка',
+    player_subs_secondary_off: 'Выключено',
+    player_subs_secondary_main: 'Основная дорожка',
+    backup_local: 'Резервная копия',
+    backup_local_export: 'Сохранить копию',
+    backup_local_export_descr: 'Закладки, история, плагины, настройки и плейлисты в файл или на свой сервер',
+    backup_local_import: 'Восстановить из копии',
+    backup_local_import_descr: 'Данные из копии добавляются к текущим, перед восстановлением покажем что изменится',
+    backup_local_url: 'Адрес для копии',
+    backup_local_url_descr: 'Свой сервер, куда отправлять копию POST запросом и откуда ее загружать',
+    backup_local_url_placeholder: 'Например: http://192.168.1.10:8080/lampa-backup.json',
+    backup_local_url_empty: 'Адрес для копии не указан',
+    backup_local_file: 'Файл',
+    backup_local_continue: 'Продолжить',
+    backup_local_empty: 'Ничего не выбрано',
+    backup_local_preview: 'Новых: {added}, изменится: {changed}, без изменений: {same}',
+    backup_local_exported: 'Копия сохранена',
+    backup_local_export_error: 'Не удалось сохранить копию',
+    backup_local_imported: 'Копия восстановлена',
+    backup_local_import_error: 'Не удалось прочитать копию',
+    backup_local_section_bookmarks: 'Закладки',
+    backup_local_section_timelines: 'История просмотра',
+    backup_local_section_plugins: 'Плагины',
+    backup_local_section_settings: 'Настройки',
+    backup_local_section_parental: 'Родительский контроль',
+    backup_local_section_iptv: 'IPTV плейлисты',
+    account_backend: 'Сервер синхронизации',
+    account_backend_descr: 'Профили, закладки и прогресс просмотра можно хранить на своем сервере вместо CUB',
+    account_backend_self: 'Свой сервер',
+    account_backend_url: 'Адрес своего сервера',
+    account_backend_url_placeholder: 'Например: http://192.168.1.10:8090',
+    time_undo: 'Вернуть тайм-код',
+    time_undo_other: 'с другого устройства',
+    menu_statistics: 'Статистика',
+    title_statistics: 'Статистика просмотров',
+    statistics_profile: 'Профиль',
+    statistics_profile_device: 'Это устройство',
+    statistics_total: 'Всего просмотрено',
+    statistics_finished: 'Досмотрено',
+    statistics_streak_longest: 'Дней подряд, рекорд',
+    statistics_streak_current: 'Дней подряд сейчас',
+    statistics_weeks: 'По неделям',
+    statistics_months: 'По месяцам',
+    statistics_genres: 'Жанры',
+    statistics_people: 'Актеры и режиссеры',
+    statistics_series: 'Сериалы',
+    statistics_empty: 'Пока нечего считать, посмотрите что-нибудь',
+    settings_parental_control_limits: 'Ограничение времени',
+    settings_parental_control_budget_weekdays: 'Лимит в будни',
+    settings_parental_control_budget_weekend: 'Лимит в выходные',
+    settings_parental_control_budget_none: 'Без ограничений',
+    settings_parental_control_window_weekdays: 'Разрешенное время в будни',
+    settings_parental_control_window_weekend: 'Разрешенное время в выходные',
+    settings_parental_control_window_descr: 'Например 17:00-20:00, несколько интервалов через запятую',
+    settings_parental_control_window_all: 'Весь день',
+    settings_parental_control_window_error: 'Неверный формат времени',
+    settings_parental_control_today: 'Просмотрено сегодня',
+    parental_control_time_left: 'Осталось',
+    parental_control_time_budget: 'Время просмотра на сегодня закончилось',
+    parental_control_time_window: 'Сейчас просмотр не разрешен',
+    parental_control_time_extend: 'Продлить время',
+    settings_parental_control_rating: 'Возрастной рейтинг',
+    settings_parental_control_rating_max: 'Максимальный рейтинг',
+    settings_parental_control_rating_max_descr: 'Фильмы и сериалы с рейтингом выше будут скрыты из подборок, поиска и фильмографий',
+    settings_parental_control_rating_unknown: 'Без рейтинга',
+    settings_parental_control_rating_unknown_show: 'Показывать',
+    settings_parental_control_rating_unknown_hide: 'Скрывать',
+    search_saved: 'Сохраненный поиск',
+    search_saved_add: 'Сохранить поиск',
+    search_saved_remove: 'Удалить из сохраненных',
+    search_history_remove: 'Удалить из истории',
+    filter_builder: 'Расширенный фильтр',
+    filter_builder_descr: 'Жанры, люди, ключевые слова, сервисы',
+    filter_builder_genres: 'Жанры',
+    filter_builder_runtime: 'Длительность',
+    filter_builder_votes: 'Количество голосов',
+    filter_builder_rating: 'Оценка',
+    filter_builder_certification: 'Возрастной рейтинг',
+    filter_builder_providers: 'Онлайн-кинотеатры',
+    filter_builder_people: 'Актеры и создатели',
+    filter_builder_keywords: 'Ключевые слова',
+    filter_builder_language: 'Язык оригинала',
+    filter_builder_dates: 'Даты выхода',
+    filter_builder_dates_from: 'С даты',
+    filter_builder_dates_to: 'По дату',
+    filter_builder_dates_error: 'Укажите год или дату в формате ГГГГ-ММ-ДД',
+    filter_builder_sort: 'Сортировка',
+    filter_builder_sort_popularity: 'По популярности',
+    filter_builder_sort_vote_average: 'По оценке',
+    filter_builder_sort_vote_count: 'По количеству голосов',
+    filter_builder_sort_date: 'По дате выхода',
+    filter_builder_mode: 'Совпадение',
+    filter_builder_mode_and: 'Все выбранные',
+    filter_builder_mode_or: 'Любой из выбранных',
+    filter_builder_genre_with: 'включить',
+    filter_builder_genre_without: 'исключить',
+    filter_builder_add: 'Добавить',
+    filter_builder_remove_item: 'Нажмите, чтобы убрать',
+    filter_builder_region: 'Регион',
+    filter_builder_providers_error: 'Не удалось загрузить список сервисов',
+    filter_builder_saved: 'Сохраненный фильтр',
+    filter_builder_save: 'Сохранить фильтр',
+    filter_builder_name: 'Название фильтра',
+    filter_builder_saved_done: 'Фильтр сохранен',
+    filter_builder_pin: 'Закрепить в меню',
+    filter_builder_unpin: 'Открепить от меню',
+    filter_builder_remove: 'Удалить фильтр',
+    filter_builder_reset: 'Сбросить',
+    console_level: 'Уровень',
+    console_level_all: 'Все',
+    console_level_warn: 'Предупреждения и ошибки',
+    console_level_error: 'Только ошибки',
+    console_search: 'Поиск',
+    console_export: 'Сохранить в файл',
+    console_export_done: 'Файл сохранен',
+    console_export_error: 'Не удалось сохранить файл',
+    console_buffer: 'Размер буфера консоли',
+    console_buffer_descr: 'Сколько строк хранить в каждой вкладке консоли',
+    console_remote: 'Сборщик логов',
+    console_remote_descr: 'Адрес локального сервера ws:// или http://, на который отправляются строки консоли с ID устройства и временем',
+    keypad_learn: 'Кнопки пульта',
+    keypad_learn_descr: 'Назначить кнопки пульта, если стандартные не работают',
+    keypad_learn_press: 'Нажмите кнопку на пульте для действия',
+    keypad_learn_code: 'Код',
+    keypad_learn_default: 'Стандартная кнопка',
+    keypad_learn_timeout: 'Кнопка не нажата',
+    keypad_learn_reset: 'Сбросить назначения',
+    keypad_learn_reset_descr: 'Вернуть стандартные кнопки для всех действий',
+    keypad_action_up: 'Вверх',
+    keypad_action_down: 'Вниз',
+    keypad_action_left: 'Влево',
+    keypad_action_right: 'Вправо',
+    keypad_action_enter: 'ОК',
+    keypad_action_back: 'Назад',
+    keypad_action_channel_up: 'Канал вверх',
+    keypad_action_channel_down: 'Канал вниз',
+    keypad_action_playpause: 'Пауза / воспроизведение',
+    keypad_action_rewind_back: 'Перемотка назад',
+    keypad_action_rewind_forward: 'Перемотка вперед',
+    keypad_action_subtitles: 'Субтитры',
+    keypad_action_audio: 'Аудиодорожка',
+    keypad_action_info: 'Информация',
+    backup_local_section_keypad: 'Кнопки пульта',
+    plugins_permissions: 'Разрешения плагина',
+    plugins_permission_network: 'Сетевые адреса',
+    plugins_permission_storage: 'Данные приложения',
+    plugins_permission_player: 'Плеер',
+    plugins_permission_player_descr: 'Следит за воспроизведением и может управлять плеером',
+    plugins_permission_account: 'Аккаунт',
+    plugins_permission_account_descr: 'Получает почту и данные вашего аккаунта CUB',
+    plugins_permissions_undeclared: 'Плагин не объявил разрешения',
+    plugins_permissions_unknown: 'Не удалось загрузить код плагина, разрешения неизвестны',
+    plugins_permissions_legacy: 'Плагин установлен до появления разрешений и работает без ограничений',
+    plugins_install_pinned: 'Установить и закрепить версию',
+    plugins_integrity_pin: 'Закрепить версию',
+    plugins_integrity_unpin: 'Открепить версию',
+    plugins_integrity_descr: 'Закрепленный плагин не запустится, если его код изменится',
+    plugins_integrity_pinned: 'Версия закреплена',
+    plugins_integrity_changed: 'Код плагина изменился, плагин не запущен',
+    plugins_integrity_changed_short: 'Изменен',
+    plugins_integrity_accept: 'Принять новую версию',
+    plugins_integrity_accept_descr: 'Закрепить текущий код плагина',
+    plugins_deps_report: 'Пропущены из-за зависимостей',
+    plugins_deps_skipped: 'Плагины пропущены из-за зависимостей',
+    plugins_deps_missing: 'Нет зависимости',
+    plugins_deps_version: 'Не подходит версия',
+    plugins_deps_found: 'установлена',
+    plugins_deps_failed: 'Не загрузилась зависимость',
+    plugins_deps_skipped_by: 'Пропущена зависимость',
+    plugins_deps_cycle: 'Зависимости по кругу',
+    plugins_errors: 'Ошибки плагина',
+    plugins_errors_descr: 'Ошибки запуска и работы со стеком из консоли',
+    plugins_settings_export: 'Экспорт настроек плагина',
+    plugins_stopped: 'Плагин выключен без перезагрузки',
+    theme_editor: 'Локальные темы',
+    theme_editor_descr: 'Цвета, скругление карточек, шрифт и фон с предпросмотром, импорт и экспорт без аккаунта',
+    theme_editor_default: 'Оформление по умолчанию',
+    theme_editor_active: 'Выбрана',
+    theme_editor_create: 'Создать тему',
+    theme_editor_new: 'Новая тема',
+    theme_editor_import: 'Импорт из файла',
+    theme_editor_import_descr: 'Файл темы в формате JSON',
+    theme_editor_imported: 'Тема добавлена',
+    theme_editor_import_error: 'Не удалось прочитать тему',
+    theme_editor_apply: 'Применить',
+    theme_editor_edit: 'Изменить',
+    theme_editor_export: 'Экспорт в файл',
+    theme_editor_remove: 'Удалить',
+    theme_editor_name: 'Название',
+    theme_editor_save: 'Сохранить и применить',
+    theme_editor_saved: 'Тема сохранена',
+    theme_editor_custom: 'Свое значение',
+    theme_editor_invalid: 'Неверное значение',
+    theme_editor_off: 'Нет',
+    theme_editor_accent: 'Акцент',
+    theme_editor_background: 'Цвет фона',
+    theme_editor_card_radius: 'Скругление карточек',
+    theme_editor_focus_ring: 'Рамка фокуса',
+    theme_editor_font: 'Шрифт',
+    theme_editor_bg_type: 'Поведение фона',
+    theme_editor_bg_type_default: 'Постер',
+    theme_editor_bg_type_color: 'Сплошной цвет',
+    theme_editor_bg_type_image: 'Картинка',
+    theme_editor_bg_color: 'Цвет',
+    theme_editor_bg_blur: 'Размытие',
+    theme_editor_bg_image: 'Адрес картинки',
+    backup_local_section_themes: 'Локальные темы',
+    content_rows_custom: 'Свои подборки',
+    content_rows_custom_descr: 'Строки на главной и в категориях из фильтра, TMDB, закладок или JSON-списка',
+    content_rows_custom_create: 'Создать подборку',
+    content_rows_custom_name: 'Название подборки',
+    content_rows_custom_saved: 'Подборка сохранена',
+    content_rows_custom_invalid: 'Не удалось создать подборку',
+    content_rows_custom_type_discover: 'Сохраненный фильтр',
+    content_rows_custom_type_keyword: 'Ключевое слово TMDB',
+    content_rows_custom_type_collection: 'Коллекция TMDB',
+    content_rows_custom_type_company: 'Студия TMDB',
+    content_rows_custom_type_person: 'Персона TMDB',
+    content_rows_custom_type_bookmarks: 'Папка закладок',
+    content_rows_custom_type_list: 'JSON-список по адресу',
+    content_rows_custom_search: 'Поиск',
+    content_rows_custom_url: 'Адрес JSON-списка',
+    content_rows_custom_no_filters: 'Нет сохраненных фильтров',
+    content_rows_custom_media_all: 'Все',
+    content_rows_custom_rename: 'Переименовать',
+    content_rows_custom_up: 'Выше',
+    content_rows_custom_down: 'Ниже',
+    content_rows_custom_screens: 'Где показывать',
+    content_rows_custom_screen_main: 'Главная',
+    content_rows_custom_screen_category: 'Категории',
+    content_rows_custom_life: 'Время кэша',
+    content_rows_custom_life_0: 'Без кэша',
+    content_rows_custom_life_60: '1 час',
+    content_rows_custom_life_360: '6 часов',
+    content_rows_custom_life_1440: '1 день',
+    content_rows_custom_life_4320: '3 дня',
+    content_rows_custom_life_10080: '7 дней',
+    content_rows_custom_remove: 'Удалить',
 }
@@ -1261,4 +1261,302 @@ export default {
     filter_keyword_spy: 'Шпигун', 
     filter_keyword_disaster: 'Катастрофа', 
     filter_keyword_christmas: 'Різдво',
+
+    settings_parser_endpoints: 'Сервери',
+    settings_parser_endpoints_descr: 'Список серверів з пріоритетом і таймаутом, недоступні пропускаються автоматично',
+    settings_parser_endpoints_empty: 'Не вказані',
+    settings_parser_endpoint_add: 'Додати сервер',
+    settings_parser_endpoint_timeout: 'Таймаут',
+    settings_parser_endpoint_priority: 'Пріоритет',
+    settings_parser_endpoint_enabled: 'Увімкнено',
+    settings_parser_endpoint_disabled: 'Вимкнено',
+    settings_parser_endpoint_check: 'Перевірити доступність',
+    settings_parser_endpoint_remove: 'Видалити',
+    settings_parser_endpoint_wait: 'Перевірка...',
+    settings_parser_endpoint_online: 'Доступний',
+    settings_parser_endpoint_offline: 'Недоступний',
+
+    torrent_parser_source_error: 'не відповідає',
+
+    torrent_profiles: 'Профілі якості',
+    torrent_profiles_descr: 'Автоматичний вибір роздачі за заданими правилами',
+    torrent_profile_add: 'Додати профіль',
+    torrent_profile_name: 'Назва',
+    torrent_profile_use: 'Використовувати',
+    torrent_profile_autostart: 'Автозапуск',
+    torrent_profile_autostart_descr: 'Запускати найкращу роздачу через 10 секунд',
+    torrent_profile_strict: 'Суворий',
+    torrent_profile_strict_descr: 'Роздачі без повного збігу пропускаються',
+    torrent_profile_source: 'Джерело',
+    torrent_profile_voices: 'Студії озвучення',
+    torrent_profile_min_seeders: 'Мінімум роздаючих',
+    torrent_profile_max_size: 'Максимальний розмір, GB',
+    torrent_profile_picked: 'Вибрано за профілем',
+
+    player_segments_user_title: 'Свої сегменти',
+    player_segments_mark_start: 'Позначити початок',
+    player_segments_mark_end: 'Позначити кінець',
+    player_segments_mark_descr: 'Поточна позиція відео',
+    player_segments_save: 'Зберегти сегмент',
+    player_segments_save_descr: 'Пропускатиметься в усіх серіях',
+    player_segments_remove: 'Видалити сегмент',
+    player_segments_offset: 'Зміщення для цієї серії',
+    player_segments_export: 'Експорт',
+    player_segments_export_descr: 'Скопіювати всі сегменти в буфер обміну у форматі JSON',
+    player_segments_exported: 'Сегменти скопійовано в буфер обміну',
+    player_segments_export_error: 'Не вдалося скопіювати сегменти',
+    player_segments_import: 'Імпорт',
+    player_segments_import_descr: 'Вставити сегменти у форматі JSON',
+    player_segments_imported: 'Завантажено серіалів',
+    player_segments_import_error: 'Невірний формат сегментів',
+
+    player_subs_sync: 'Синхронізація',
+    player_subs_sync_offset: 'Зміщення',
+    player_subs_sync_points: 'Синхронізація за репліками',
+    player_subs_sync_mark: 'Позначити репліку',
+    player_subs_sync_mark_descr: 'Остання показана репліка',
+    player_subs_sync_target: 'Репліка має бути зараз',
+    player_subs_sync_target_descr: 'Позначте в момент, коли її вимовляють, друга точка виправить розтягнення',
+    player_subs_sync_reset: 'Скинути синхронізацію',
+    player_subs_sync_noline: 'Немає показаної репліки',
+    player_subs_secondary: 'Другі субтитри',
+    player_subs_secondary_descr: 'Показати ще одну доріжку зверху екрана',
+    player_subs_secondary_track: 'Доріжка',
+    player_subs_secondary_off: 'Вимкнено',
+    player_subs_secondary_main: 'Основна доріжка',
+    backup_local: 'Резервна копія',
+    backup_local_export: 'Зберегти копію',
+    backup_local_export_descr: 'Закладки, історія, плагіни, налаштування та плейлисти у файл або на свій сервер',
+    backup_local_import: 'Відновити з копії',
+    backup_local_import_descr: 'Дані з копії додаються до поточних, перед відновленням покажемо що зміниться',
+    backup_local_url: 'Адреса для копії',
+    backup_local_url_descr: 'Свій сервер, куди надсилати копію POST запитом і звідки її завантажувати',
+    backup_local_url_placeholder: 'Наприклад: http://192.168.1.10:8080/lampa-backup.json',
+    backup_local_url_empty: 'Адресу для копії не вказано',
+    backup_local_file: 'Файл',
+    backup_local_continue: 'Продовжити',
+    backup_local_empty: 'Нічого не вибрано',
+    backup_local_preview: 'Нових: {added}, зміниться: {changed}, без змін: {same}',
+    backup_local_exported: 'Копію збережено',
+    backup_local_export_error: 'Не вдалося зберегти копію',
+    backup_local_imported: 'Копію відновлено',
+    backup_local_import_error: 'Не вдалося прочитати копію',
+    backup_local_section_bookmarks: 'Закладки',
+    backup_local_section_timelines: 'Історія перегляду',
+    backup_local_section_plugins: 'Плагіни',
+    backup_local_section_settings: 'Налаштування',
+    backup_local_section_parental: 'Батьківський контроль',
+    backup_local_section_iptv: 'IPTV плейлисти',
+    account_backend: 'Сервер синхронізації',
+    account_backend_descr: 'Профілі, закладки та прогрес перегляду можна зберігати на своєму сервері замість CUB',
+    account_backend_self: 'Свій сервер',
+    account_backend_url: 'Адреса свого сервера',
+    account_backend_url_placeholder: 'Наприклад: http://192.168.1.10:8090',
+    time_undo: 'Повернути тайм-код',
+    time_undo_other: 'з іншого пристрою',
+    menu_statistics: 'Статистика',
+    title_statistics: 'Статистика переглядів',
+    statistics_profile: 'Профіль',
+    statistics_profile_device: 'Цей пристрій',
+    statistics_total: 'Всього переглянуто',
+    statistics_finished: 'Додивлено',
+    statistics_streak_longest: 'Днів поспіль, рекорд',
+    statistics_streak_current: 'Днів поспіль зараз',
+    statistics_weeks: 'По тижнях',
+    statistics_months: 'По місяцях',
+    statistics_genres: 'Жанри',
+    statistics_people: 'Актори та режисери',
+    statistics_series: 'Серіали',
+    statistics_empty: 'Поки нічого рахувати, подивіться щось',
+    settings_parental_control_limits: 'Обмеження часу',
+    settings_parental_control_budget_weekdays: 'Ліміт у будні',
+    settings_parental_control_budget_weekend: 'Ліміт у вихідні',
+    settings_parental_control_budget_none: 'Без обмежень',
+    settings_parental_control_window_weekdays: 'Дозволений час у будні',
+    settings_parental_control_window_weekend: 'Дозволений час у вихідні',
+    settings_parental_control_window_descr: 'Наприклад 17:00-20:00, кілька інтервалів через кому',
+    settings_parental_control_window_all: 'Весь день',
+    settings_parental_control_window_error: 'Невірний формат часу',
+    settings_parental_control_today: 'Переглянуто сьогодні',
+    parental_control_time_left: 'Залишилось',
+    parental_control_time_budget: 'Час перегляду на сьогодні закінчився',
+    parental_control_time_window: 'Зараз перегляд не дозволено',
+    parental_control_time_extend: 'Продовжити час',
+    settings_parental_control_rating: 'Віковий рейтинг',
+    settings_parental_control_rating_max: 'Максимальний рейтинг',
+    settings_parental_control_rating_max_descr: 'Фільми та серіали з вищим рейтингом будуть приховані з добірок, пошуку та фільмографій',
+    settings_parental_control_rating_unknown: 'Без рейтингу',
+    settings_parental_control_rating_unknown_show: 'Показувати',
+    settings_parental_control_rating_unknown_hide: 'Приховувати',
+    search_saved: 'Збережений пошук',
+    search_saved_add: 'Зберегти пошук',
+    search_saved_remove: 'Видалити зі збережених',
+    search_history_remove: 'Видалити з історії',
+    filter_builder: 'Розширений фільтр',
+    filter_builder_descr: 'Жанри, люди, ключові слова, сервіси',
+    filter_builder_genres: 'Жанри',
+    filter_builder_runtime: 'Тривалість',
+    filter_builder_votes: 'Кількість голосів',
+    filter_builder_rating: 'Оцінка',
+    filter_builder_certification: 'Віковий рейтинг',
+    filter_builder_providers: 'Онлайн-кінотеатри',
+    filter_builder_people: 'Актори та творці',
+    filter_builder_keywords: 'Ключові слова',
+    filter_builder_language: 'Мова оригіналу',
+    filter_builder_dates: 'Дати виходу',
+    filter_builder_dates_from: 'З дати',
+    filter_builder_dates_to: 'По дату',
+    filter_builder_dates_error: 'Вкажіть рік або дату у форматі РРРР-ММ-ДД',
+    filter_builder_sort: 'Сортування',
+    filter_builder_sort_popularity: 'За популярністю',
+    filter_builder_sort_vote_average: 'За оцінкою',
+    filter_builder_sort_vote_count: 'За кількістю голосів',
+    filter_builder_sort_date: 'За датою виходу',
+    filter_builder_mode: 'Збіг',
+    filter_builder_mode_and: 'Усі вибрані',
+    filter_builder_mode_or: 'Будь-який з вибраних',
+    filter_builder_genre_with: 'включити',
+    filter_builder_genre_without: 'виключити',
+    filter_builder_add: 'Додати',
+    filter_builder_remove_item: 'Натисніть, щоб прибрати',
+    filter_builder_region: 'Регіон',
+    filter_builder_providers_error: 'Не вдалося завантажити список сервісів',
+    filter_builder_saved: 'Збережений фільтр',
+    filter_builder_save: 'Зберегти фільтр',
+    filter_builder_name: 'Назва фільтра',
+    filter_builder_saved_done: 'Фільтр збережено',
+    filter_builder_pin: 'Закріпити в меню',
+    filter_builder_unpin: 'Відкріпити від меню',
+    filter_builder_remove: 'Видалити фільтр',
+    filter_builder_reset: 'Скинути',
+    console_level: 'Рівень',
+    console_level_all: 'Усі',
+    console_level_warn: 'Попередження та помилки',
+    console_level_error: 'Лише помилки',
+    console_search: 'Пошук',
+    console_export: 'Зберегти у файл',
+    console_export_done: 'Файл збережено',
+    console_export_error: 'Не вдалося зберегти файл',
+    console_buffer: 'Розмір буфера консолі',
+    console_buffer_descr: 'Скільки рядків зберігати в кожній вкладці консолі',
+    console_remote: 'Збирач логів',
+    console_remote_descr: 'Адреса локального сервера ws:// або http://, на який надсилаються рядки консолі з ID пристрою та часом',
+    keypad_learn: 'Кнопки пульта',
+    keypad_learn_descr: 'Призначити кнопки пульта, якщо стандартні не працюють',
+    keypad_learn_press: 'Натисніть кнопку на пульті для дії',
+    keypad_learn_code: 'Код',
+    keypad_learn_default: 'Стандартна кнопка',
+    keypad_learn_timeout: 'Кнопку не натиснуто',
+    keypad_learn_reset: 'Скинути призначення',
+    keypad_learn_reset_descr: 'Повернути стандартні кнопки для всіх дій',
+    keypad_action_up: 'Вгору',
+    keypad_action_down: 'Вниз',
+    keypad_action_left: 'Ліворуч',
+    keypad_action_right: 'Праворуч',
+    keypad_action_enter: 'ОК',
+    keypad_action_back: 'Назад',
+    keypad_action_channel_up: 'Канал вгору',
+    keypad_action_channel_down: 'Канал вниз',
+    keypad_action_playpause: 'Пауза / відтворення',
+    keypad_action_rewind_back: 'Перемотка назад',
+    keypad_action_rewind_forward: 'Перемотка вперед',
+    keypad_action_subtitles: 'Субтитри',
+    keypad_action_audio: 'Аудіодоріжка',
+    keypad_action_info: 'Інформація',
+    backup_local_section_keypad: 'Кнопки пульта',
+    plugins_permissions: 'Дозволи плагіна',
+    plugins_permission_network: 'Мережеві адреси',
+    plugins_permission_storage: 'Дані застосунку',
+    plugins_permission_player: 'Плеєр',
+    plugins_permission_player_descr: 'Стежить за відтворенням і може керувати плеєром',
+    plugins_permission_account: 'Акаунт',
+    plugins_permission_account_descr: 'Отримує пошту та дані вашого акаунта CUB',
+    plugins_permissions_undeclared: 'Плагін не оголосив дозволи',
+    plugins_permissions_unknown: 'Не вдалося завантажити код плагіна, дозволи невідомі',
+    plugins_permissions_legacy: 'Плагін встановлено до появи дозволів, і він працює без обмежень',
+    plugins_install_pinned: 'Встановити та закріпити версію',
+    plugins_integrity_pin: 'Закріпити версію',
+    plugins_integrity_unpin: 'Відкріпити версію',
+    plugins_integrity_descr: 'Закріплений плагін не запуститься, якщо його код зміниться',
+    plugins_integrity_pinned: 'Версію закріплено',
+    plugins_integrity_changed: 'Код плагіна змінився, плагін не запущено',
+    plugins_integrity_changed_short: 'Змінено',
+    plugins_integrity_accept: 'Прийняти нову версію',
+    plugins_integrity_accept_descr: 'Закріпити поточний код плагіна',
+    plugins_deps_report: 'Пропущено через залежності',
+    plugins_deps_skipped: 'Плагіни пропущено через залежності',
+    plugins_deps_missing: 'Немає залежності',
+    plugins_deps_version: 'Не підходить версія',
+    plugins_deps_found: 'встановлено',
+    plugins_deps_failed: 'Не завантажилась залежність',
+    plugins_deps_skipped_by: 'Пропущено залежність',
+    plugins_deps_cycle: 'Циклічна залежність',
+    plugins_errors: 'Помилки плагіна',
+    plugins_errors_descr: 'Помилки запуску та роботи зі стеком з консолі',
+    plugins_settings_export: 'Експорт налаштувань плагіна',
+    plugins_stopped: 'Плагін вимкнено без перезавантаження',
+    theme_editor: 'Локальні теми',
+    theme_editor_descr: 'Кольори, заокруглення карток, шрифт і фон з попереднім переглядом, імпорт та експорт без акаунта',
+    theme_editor_default: 'Оформлення за замовчуванням',
+    theme_editor_active: 'Вибрана',
+    theme_editor_create: 'Створити тему',
+    theme_editor_new: 'Нова тема',
+    theme_editor_import: 'Імпорт з файлу',
+    theme_editor_import_descr: 'Файл теми у форматі JSON',
+    theme_editor_imported: 'Тему додано',
+    theme_editor_import_error: 'Не вдалося прочитати тему',
+    theme_editor_apply: 'Застосувати',
+    theme_editor_edit: 'Змінити',
+    theme_editor_export: 'Експорт у файл',
+    theme_editor_remove: 'Видалити',
+    theme_editor_name: 'Назва',
+    theme_editor_save: 'Зберегти та застосувати',
+    theme_editor_saved: 'Тему збережено',
+    theme_editor_custom: 'Своє значення',
+    theme_editor_invalid: 'Невірне значення',
+    theme_editor_off: 'Немає',
+    theme_editor_accent: 'Акцент',
+    theme_editor_background: 'Колір фону',
+    theme_editor_card_radius: 'Заокруглення карток',
+    theme_editor_focus_ring: 'Рамка фокусу',
+    theme_editor_font: 'Шрифт',
+    theme_editor_bg_type: 'Поведінка фону',
+    theme_editor_bg_type_default: 'Постер',
+    theme_editor_bg_type_color: 'Суцільний колір',
+    theme_editor_bg_type_image: 'Картинка',
+    theme_editor_bg_color: 'Колір',
+    theme_editor_bg_blur: 'Розмиття',
+    theme_editor_bg_image: 'Адреса картинки',
+    backup_local_section_themes: 'Локальні теми',
+    content_rows_custom: 'Свої добірки',
+    content_rows_custom_descr: 'Рядки на головній та в категоріях з фільтра, TMDB, закладок або JSON-списку',
+    content_rows_custom_create: 'Створити добірку',
+    content_rows_custom_name: 'Назва добірки',
+    content_rows_custom_saved: 'Добірку збережено',
+    content_rows_custom_invalid: 'Не вдалося створити добірку',
+    content_rows_custom_type_discover: 'Збережений фільтр',
+    content_rows_custom_type_keyword: 'Ключове слово TMDB',
+    content_rows_custom_type_collection: 'Колекція TMDB',
+    content_rows_custom_type_company: 'Студія TMDB',
+    content_rows_custom_type_person: 'Персона TMDB',
+    content_rows_custom_type_bookmarks: 'Папка закладок',
+    content_rows_custom_type_list: 'JSON-список за адресою',
+    content_rows_custom_search: 'Пошук',
+    content_rows_custom_url: 'Адреса JSON-списку',
+    content_rows_custom_no_filters: 'Немає збережених фільтрів',
+    content_rows_custom_media_all: 'Усі',
+    content_rows_custom_rename: 'Перейменувати',
+    content_rows_custom_up: 'Вище',
+    content_rows_custom_down: 'Нижче',
+    content_rows_custom_screens: 'Де показувати',
+    content_rows_custom_screen_main: 'Головна',
+    content_rows_custom_screen_category: 'Категорії',
+    content_rows_custom_life: 'Час кешу',
+    content_rows_custom_life_0: 'Без кешу',
+    content_rows_custom_life_60: '1 година',
+    content_rows_custom_life_360: '6 годин',
+    content_rows_custom_life_1440: '1 день',
+    content_rows_custom_life_4320: '3 дні',
+    content_rows_custom_life_10080: '7 днів',
+    content_rows_custom_remove: 'Видалити',
 }
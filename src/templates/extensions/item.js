@@ -4,6 +4,8 @@ let html = `<div class="extensions__item selector layer--visible layer--render">
     <div class="extensions__item-descr"></div>
     <div class="extensions__item-footer">
         <div class="extensions__item-error hide"></div>
+        <div class="extensions__item-changed hide">#{plugins_integrity_changed_short}</div>
+        <div class="extensions__item-account hide">#{plugins_permission_account}</div>
         <div class="extensions__item-included hide"></div>
         <div class="extensions__item-check hide"></div>
         <div class="extensions__item-proto hide">
@@ -232,6 +232,11 @@ let html = `
     <symbol id="sprite-youtube" viewBox="0 0 39 29" fill="none" xmlns="http://www.w3.org/2000/svg">
         <path d="M38.116 6.23235C38.116 6.23235 37.7406 3.40012 36.5868 2.15365C35.1225 0.519763 33.4814 0.510138 32.7294 0.417495C27.3417 -1.43427e-07 19.2589 0 19.2589 0H19.2409C19.2409 0 11.1593 -1.43427e-07 5.77274 0.417495C5.01956 0.508935 3.38087 0.51856 1.91542 2.15365C0.761597 3.40012 0.38501 6.23235 0.38501 6.23235C0.38501 6.23235 0 9.55546 0 12.8786V15.9935C0 19.3191 0.38501 22.641 0.38501 22.641C0.38501 22.641 0.760394 25.472 1.91422 26.7161C3.37966 28.35 5.30231 28.3006 6.15895 28.4715C9.23903 28.7867 19.2505 28.8842 19.2505 28.8842C19.2505 28.8842 27.3405 28.8697 32.7294 28.457C33.4814 28.3608 35.1225 28.3512 36.5868 26.7161C37.7394 25.472 38.116 22.641 38.116 22.641C38.116 22.641 38.501 19.3179 38.501 15.9935V12.8786C38.501 9.55546 38.116 6.23235 38.116 6.23235ZM14.4427 21.6628V7.22014L26.4778 14.4415L14.4427 21.6628Z" fill="currentColor"/>
     </symbol>
+    <symbol id="sprite-statistics" viewBox="0 0 39 39" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <rect x="1.5" y="21" width="8" height="16.5" rx="2" stroke="currentColor" stroke-width="3"/>
+        <rect x="15.5" y="1.5" width="8" height="36" rx="2" stroke="currentColor" stroke-width="3"/>
+        <rect x="29.5" y="11" width="8" height="26.5" rx="2" stroke="currentColor" stroke-width="3"/>
+    </symbol>
 </svg>
 `
 
@@ -13,7 +13,10 @@ let html = `<div class="player-video">
     <div class="player-video__forward-icon">
         <span></span><i class="right-triangle triangle">▶▶▶</i>
     </div>
-    <div class="player-video__subtitles hide">
+    <div class="player-video__subtitles player-video__subtitles--secondary hide">
+        <div class="player-video__subtitles-text"></div>
+    </div>
+    <div class="player-video__subtitles player-video__subtitles--primary hide">
         <div class="player-video__subtitles-text"></div>
     </div>
 </div>`
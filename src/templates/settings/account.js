@@ -1,7 +1,7 @@
 let html = `<div>
     <div class="ad-server" style="background: transparent">
         <div class="ad-server__text" style="padding: 0">
-            <div style="margin-bottom: 1em; color: #d8c39a">https://{site}</div>
+            <div class="settings--account-site" style="margin-bottom: 1em; color: #d8c39a">https://{site}</div>
             #{settings_cub_sync_descr}
         </div>
         <div class="ad-server__qr">
@@ -20,6 +20,17 @@ let html = `<div>
         <div class="settings-param__value"></div>
     </div>
 
+    <div class="settings-param selector" data-type="select" data-name="account_backend">
+        <div class="settings-param__name">#{account_backend}</div>
+        <div class="settings-param__value"></div>
+        <div class="settings-param__descr">#{account_backend_descr}</div>
+    </div>
+
+    <div class="settings-param selector settings--account-backend-url" data-type="input" data-name="account_backend_url" placeholder="#{account_backend_url_placeholder}">
+        <div class="settings-param__name">#{account_backend_url}</div>
+        <div class="settings-param__value"></div>
+    </div>
+
     <div class="settings-param selector settings--account-user settings--account-user-info hide" data-static="true">
         <div class="settings-param__name">#{settings_cub_logged_in_as}</div>
         <div class="settings-param__value"></div>
@@ -19,6 +19,11 @@ let html = `<div>
         <div class="settings-param__value"></div>
     </div>
 
+    <div class="settings-param selector" data-type="button" data-static="true" data-name="theme_editor">
+        <div class="settings-param__name">#{theme_editor}</div>
+        <div class="settings-param__descr">#{theme_editor_descr}</div>
+    </div>
+
     <div class="settings-param-title"><span>#{settings_interface_background}</span></div>
 
     <div class="settings-param selector" data-type="toggle" data-name="background">
@@ -64,6 +64,11 @@ let html = `<div>
         <div class="settings-param__value"></div>
     </div>
 
+    <div class="settings-param selector" data-type="button" data-static="true" data-name="keypad_learn">
+        <div class="settings-param__name">#{keypad_learn}</div>
+        <div class="settings-param__descr">#{keypad_learn_descr}</div>
+    </div>
+
 
     <div class="settings-param selector" data-type="toggle" data-name="card_quality">
         <div class="settings-param__name">#{settings_rest_card_quality}</div>
@@ -81,6 +86,24 @@ let html = `<div>
         <div class="settings-param__name">#{settings_rest_device}</div>
         <div class="settings-param__value"></div>
     </div>
+
+    <div class="settings-param-title"><span>#{backup_local}</span></div>
+
+    <div class="settings-param selector" data-type="button" data-static="true" data-name="backup_local_export">
+        <div class="settings-param__name">#{backup_local_export}</div>
+        <div class="settings-param__descr">#{backup_local_export_descr}</div>
+    </div>
+
+    <div class="settings-param selector" data-type="button" data-static="true" data-name="backup_local_import">
+        <div class="settings-param__name">#{backup_local_import}</div>
+        <div class="settings-param__descr">#{backup_local_import_descr}</div>
+    </div>
+
+    <div class="settings-param selector" data-type="input" data-name="backup_local_url" placeholder="#{backup_local_url_placeholder}">
+        <div class="settings-param__name">#{backup_local_url}</div>
+        <div class="settings-param__value"></div>
+        <div class="settings-param__descr">#{backup_local_url_descr}</div>
+    </div>
 </div>`
 
 export default html
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Возрастной рейтинг карточки из данных TMDB.
+ * Понимает MPAA (G, PG-13, R…), ТВ-рейтинги США (TV-Y, TV-MA…),
+ * РКРФ (0+, 6+, 12+, 16+, 18+) и числовые рейтинги других стран (FSK 12, 16)
+ */
+
+const systems = {
+    'G': 3,
+    'PG': 6,
+    'PG-13': 13,
+    'R': 17,
+    'NC-17': 18,
+    'TV-Y': 0,
+    'TV-Y7': 7,
+    'TV-Y7-FV': 7,
+    'TV-G': 3,
+    'TV-PG': 6,
+    'TV-14': 14,
+    'TV-MA': 17
+}
+
+/**
+ * Возраст из сертификата
+ * @param {string|number} certification
+ * @returns {number|undefined} - undefined если рейтинг неизвестен
+ */
+function age(certification){
+    let value = (certification === undefined || certification === null ? '' : certification + '').trim().toUpperCase()
+
+    if(systems[value] !== undefined) return systems[value]
+
+    let match = value.match(/^(?:FSK\s*)?(\d{1,2})\s*\+?$/)
+
+    return match ? parseInt(match[1]) : undefined
+}
+
+/**
+ * Страна рейтинга для языка интерфейса. Код языка не совпадает с кодом страны:
+ * uk - это Украина (UA), а не Великобритания, en и be вообще не страны
+ */
+const regions = {
+    ru: 'RU',
+    en: 'US',
+    uk: 'UA',
+    be: 'BY',
+    bg: 'BG',
+    cs: 'CZ',
+    he: 'IL',
+    pt: 'PT',
+    ro: 'RO',
+    zh: 'CN'
+}
+
+/**
+ * Страна для языка интерфейса
+ * @param {string} language - код языка
+ * @returns {string} - ISO 3166-1, US если язык неизвестен
+ */
+function region(language){
+    return regions[(language || '') + ''] || 'US'
+}
+
+function find(results, country, get){
+    let countries = [country, 'US', 'RU']
+    let list      = (results || []).slice().sort((a, b)=>{
+        let ia = countries.indexOf(a.iso_3166_1)
+        let ib = countries.indexOf(b.iso_3166_1)
+
+        return (ia < 0 ? countries.length : ia) - (ib < 0 ? countries.length : ib)
+    })
+
+    for(let i = 0; i < list.length; i++){
+        let found = get(list[i])
+
+        if(found !== undefined) return found
+    }
+}
+
+/**
+ * Возраст карточки из content_ratings, release_dates или restrict
+ * @param {object} card
+ * @param {string} [country] - ISO 3166-1 страны, которая проверяется первой
+ * @returns {number|undefined}
+ */
+function pick(card, country = 'US'){
+    if(card.restrict) return age(card.restrict)
+
+    country = country.toUpperCase()
+
+    if(card.content_ratings){
+        let found = find(card.content_ratings.results, country, (item)=>age(item.rating))
+
+        if(found !== undefined) return found
+    }
+
+    if(card.release_dates){
+        return find(card.release_dates.results, country, (item)=>{
+            let dates = (item.release_dates || []).map(date=>age(date.certification)).filter(a=>a !== undefined)
+
+            return dates.length ? Math.min.apply(null, dates) : undefined
+        })
+    }
+}
+
+/**
+ * Похоже ли на карточку фильма или сериала, а не на человека или сезон
+ * @param {object} item
+ * @returns {boolean}
+ */
+function isCard(item){
+    if(!item || typeof item !== 'object' || !item.id) return false
+
+    if(item.media_type) return item.media_type == 'movie' || item.media_type == 'tv'
+
+    if(item.gender !== undefined || item.known_for_department || item.episode_number) return false
+
+    return Boolean(item.original_title || item.original_name || item.first_air_date || item.release_date)
+}
+
+/**
+ * Тип карточки для запроса рейтинга
+ * @param {object} card
+ * @returns {string} - movie или tv
+ */
+function type(card){
+    if(card.media_type == 'tv' || card.media_type == 'movie') return card.media_type
+
+    return card.original_name || card.first_air_date || card.number_of_seasons ? 'tv' : 'movie'
+}
+
+/**
+ * Можно ли показывать карточку
+ * @param {number|undefined} value - возраст карточки
+ * @param {number} max - максимальный разрешенный возраст
+ * @param {string} unknown - что делать если рейтинга нет: show или hide
+ * @returns {boolean}
+ */
+function allowed(value, max, unknown = 'show'){
+    if(value === undefined || value === null || value < 0) return unknown !== 'hide'
+
+    return value <= max
+}
+
+export default {
+    age,
+    region,
+    pick,
+    isCard,
+    type,
+    allowed
+}
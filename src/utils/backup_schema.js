@@ -0,0 +1,282 @@
+/**
+ * Формат локальной резервной копии: разделы, версии и слияние с текущими данными.
+ * Работает с обычным объектом ключ - строка, как в localStorage, чтобы не зависеть от Storage
+ */
+
+const version = 2
+
+/**
+ * Разделы копии. test проверяет ключ localStorage, merge - как объединять значения
+ * union - добавить недостающее, свое не трогаем; replace - значение из копии важнее
+ */
+const sections = [
+    {
+        name: 'bookmarks',
+        merge: 'union',
+        test: (key)=>key == 'favorite'
+    },
+    {
+        name: 'timelines',
+        merge: 'union',
+        test: (key)=>/^file_view(_\d+)?$/.test(key)
+    },
+    {
+        name: 'plugins',
+        merge: 'union',
+        test: (key)=>key == 'plugins' || key == 'plugins_blacklist'
+    },
+    {
+        name: 'parental',
+        merge: 'replace',
+        test: (key)=>/^parental_control/.test(key)
+    },
+    {
+        name: 'keypad',
+        merge: 'replace',
+        test: (key)=>key == 'keypad_map'
+    },
+    {
+        name: 'themes',
+        merge: 'replace',
+        test: (key)=>key == 'theme_local' || key == 'theme_local_active'
+    },
+    {
+        name: 'iptv',
+        merge: 'union',
+        test: (key)=>/^iptv_/.test(key)
+    },
+    {
+        name: 'settings',
+        merge: 'replace',
+        test: (key, settings)=>settings.indexOf(key) >= 0
+    }
+]
+
+/**
+ * Переходы между версиями, ключ - версия из которой переводим
+ */
+const migrations = {
+    // первая версия это выгрузка CUB, весь localStorage без разделов
+    1: (data, options)=>{
+        return {
+            type: 'lampa_backup',
+            version: 2,
+            created: 0,
+            sections: split(data, options)
+        }
+    }
+}
+
+/**
+ * Добавить переход, например если плагин поменял формат своих ключей.
+ * Если переход с этой версии уже есть, то call получит его результат и может его дополнить
+ * @param {number} from - версия, которую нужно обновить
+ * @param {function} call - (data, options) => данные следующей версии
+ */
+function migration(from, call){
+    let prev = migrations[from]
+
+    migrations[from] = prev ? (data, options)=>call(prev(data, options), options) : call
+}
+
+/**
+ * Раздел, к которому относится ключ
+ * @param {string} key
+ * @param {{settings:[string]}} [options] - settings это ключи параметров из настроек
+ * @returns {string} - имя раздела или пустая строка
+ */
+function section(key, options = {}){
+    let settings = options.settings || []
+    let find = sections.find(s=>s.test(key, settings))
+
+    return find ? find.name : ''
+}
+
+/**
+ * Разложить данные по разделам
+ * @param {object} store - ключ - строка, как localStorage
+ * @param {{settings:[string], sections:[string]}} [options] - sections это нужные разделы, по умолчанию все
+ * @returns {object} - {раздел: {ключ: строка}}
+ */
+function split(store, options = {}){
+    let result = {}
+
+    for(let key in store){
+        let name = section(key, options)
+
+        if(!name || (options.sections && options.sections.indexOf(name) == -1)) continue
+
+        if(!result[name]) result[name] = {}
+
+        result[name][key] = typeof store[key] == 'string' ? store[key] : JSON.stringify(store[key])
+    }
+
+    return result
+}
+
+/**
+ * Собрать копию
+ * @param {object} store
+ * @param {{settings:[string], sections:[string]}} [options]
+ * @returns {{type:string, version:number, created:number, sections:object}}
+ */
+function create(store, options = {}){
+    return {
+        type: 'lampa_backup',
+        version,
+        created: Date.now(),
+        sections: split(store, options)
+    }
+}
+
+/**
+ * Прочитать копию любой версии и привести к текущей
+ * @param {string|object} json
+ * @param {{settings:[string]}} [options]
+ * @returns {{type:string, version:number, created:number, sections:object}}
+ */
+function read(json, options = {}){
+    let data = typeof json == 'string' ? JSON.parse(json) : json
+
+    if(!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Wrong backup format')
+
+    let from = data.type == 'lampa_backup' ? parseInt(data.version) || 1 : 1
+
+    if(from > version) throw new Error('Backup version ' + from + ' is newer than supported ' + version)
+
+    while(from < version){
+        if(!migrations[from]) throw new Error('No migration from version ' + from)
+
+        data = migrations[from](data, options)
+        from = data.version
+    }
+
+    if(!data.sections || typeof data.sections !== 'object') throw new Error('Wrong backup format')
+
+    return data
+}
+
+function parse(raw){
+    try{
+        return JSON.parse(raw)
+    }
+    catch(e){
+        return raw
+    }
+}
+
+function isObject(value){
+    return value !== null && typeof value == 'object' && !Array.isArray(value)
+}
+
+function identity(item){
+    if(isObject(item)) return item.id !== undefined ? 'id:' + item.id : item.url !== undefined ? 'url:' + item.url : JSON.stringify(item)
+
+    return JSON.stringify(item)
+}
+
+/**
+ * Объединить два значения без потери своего
+ * Массивы объединяются без повторов, в объектах добавляются недостающие ключи
+ */
+function union(local, backup, depth = 0){
+    if(Array.isArray(local) && Array.isArray(backup)){
+        let have = local.map(identity)
+
+        return local.concat(backup.filter(item=>have.indexOf(identity(item)) == -1))
+    }
+
+    if(isObject(local) && isObject(backup)){
+        let result = Object.assign({}, local)
+
+        for(let key in backup){
+            if(!(key in result)) result[key] = backup[key]
+            else if(depth < 1) result[key] = union(result[key], backup[key], depth + 1)
+        }
+
+        return result
+    }
+
+    return local
+}
+
+/**
+ * Новое значение ключа после слияния
+ * @param {string} mode - union или replace
+ * @param {string} [local] - текущая строка
+ * @param {string} backup - строка из копии
+ * @returns {string}
+ */
+function mergeValue(mode, local, backup){
+    if(local === undefined || local === null || mode == 'replace') return backup
+
+    let result = union(parse(local), parse(backup))
+
+    return typeof result == 'string' ? result : JSON.stringify(result)
+}
+
+/**
+ * Что изменится при восстановлении
+ * @param {object} store - текущие данные
+ * @param {object} backup - результат read()
+ * @returns {object} - {раздел: {added:number, changed:number, same:number}}
+ */
+function preview(store, backup){
+    let result = {}
+
+    for(let name in backup.sections){
+        let info = sections.find(s=>s.name == name)
+
+        if(!info) continue
+
+        result[name] = {added: 0, changed: 0, same: 0}
+
+        for(let key in backup.sections[name]){
+            let local = store[key]
+            let value = mergeValue(info.merge, local, backup.sections[name][key])
+
+            if(local === undefined || local === null) result[name].added++
+            else if(value !== local) result[name].changed++
+            else result[name].same++
+        }
+    }
+
+    return result
+}
+
+/**
+ * Слить копию с текущими данными
+ * @param {object} store - текущие данные
+ * @param {object} backup - результат read()
+ * @param {[string]} [names] - какие разделы восстанавливать, по умолчанию все
+ * @returns {object} - ключ - новая строка, только то что поменялось
+ */
+function merge(store, backup, names){
+    let result = {}
+
+    for(let name in backup.sections){
+        let info = sections.find(s=>s.name == name)
+
+        if(!info || (names && names.indexOf(name) == -1)) continue
+
+        for(let key in backup.sections[name]){
+            let value = mergeValue(info.merge, store[key], backup.sections[name][key])
+
+            if(value !== store[key]) result[key] = value
+        }
+    }
+
+    return result
+}
+
+export default {
+    version,
+    sections: sections.map(s=>s.name),
+    migration,
+    section,
+    split,
+    create,
+    read,
+    preview,
+    merge
+}
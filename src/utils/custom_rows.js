@@ -0,0 +1,130 @@
+import DiscoverQuery from './discover_query'
+
+/**
+ * Свои подборки пользователя на главной и в категориях.
+ * Подборка: {id, name, type, media, source, screens, life}
+ * type: discover - сохраненный фильтр (source - снимок фильтра),
+ * keyword, collection, company, person - объект TMDB (source - {id, name}),
+ * bookmarks - папка закладок (source - {folder}), list - JSON-список по адресу (source - {url})
+ */
+
+const types   = ['discover', 'keyword', 'collection', 'company', 'person', 'bookmarks', 'list']
+const screens = ['main', 'category']
+const folders = ['book', 'like', 'wath', 'viewed', 'scheduled', 'thrown', 'look', 'continued']
+
+/**
+ * Время кэша в минутах, 0 - без кэша
+ */
+const lifes = [0, 60, 360, 1440, 4320, 10080]
+
+/**
+ * Привести подборку к полному виду
+ * @param {object} row
+ * @returns {object|null} - null если подборка неполная
+ */
+function normalize(row){
+    if(!row || typeof row !== 'object' || types.indexOf(row.type) == -1) return null
+
+    let source = row.source && typeof row.source == 'object' ? row.source : {}
+    let result = {
+        id: ((row.id || '') + '').replace(/[^\w-]/g, ''),
+        name: ((row.name || '') + '').trim().slice(0, 60),
+        type: row.type,
+        media: row.media == 'tv' ? 'tv' : row.media == 'all' ? 'all' : 'movie',
+        source: source,
+        screens: (Array.isArray(row.screens) ? row.screens : ['main']).filter(s=>screens.indexOf(s) >= 0),
+        life: lifes.indexOf(parseInt(row.life)) >= 0 ? parseInt(row.life) : 1440
+    }
+
+    if(!result.id || !result.name) return null
+
+    if(row.type == 'bookmarks' && folders.indexOf(source.folder) == -1) return null
+    if(row.type == 'list' && !/^https?:\/\//.test(source.url || '')) return null
+    if(['keyword', 'collection', 'company', 'person'].indexOf(row.type) >= 0 && !(parseInt(source.id) > 0)) return null
+
+    return result
+}
+
+/**
+ * Запрос TMDB для подборки
+ * @param {object} row
+ * @returns {string} - пусто, если подборка не из TMDB
+ */
+function method(row){
+    let media = row.media == 'tv' ? 'tv' : 'movie'
+    let id    = parseInt(row.source.id)
+
+    if(row.type == 'discover') return DiscoverQuery.build(row.source)
+    if(row.type == 'collection') return 'collection/' + id
+    if(row.type == 'keyword') return 'discover/' + media + '?with_keywords=' + id + '&sort_by=popularity.desc'
+    if(row.type == 'company') return 'discover/' + media + '?with_companies=' + id + '&sort_by=popularity.desc'
+
+    // в сериалах TMDB не ищет по людям
+    if(row.type == 'person') return 'discover/movie?with_people=' + id + '&sort_by=popularity.desc'
+
+    return ''
+}
+
+/**
+ * Сдвинуть подборку в списке
+ * @param {[object]} list
+ * @param {string} id
+ * @param {number} dir - -1 выше, 1 ниже
+ * @returns {[object]} - новый список
+ */
+function move(list, id, dir){
+    let result = list.slice(0)
+    let index  = result.map(r=>r.id).indexOf(id)
+    let next   = index + dir
+
+    if(index == -1 || next < 0 || next >= result.length) return result
+
+    let item = result[index]
+
+    result[index] = result[next]
+    result[next]  = item
+
+    return result
+}
+
+/**
+ * Разобрать JSON-список: массив или {items|results: [...]}.
+ * Элементы в формате Trakt {type, movie|show: {title, ids: {tmdb}}} или карточки TMDB
+ * @param {any} data
+ * @returns {{cards:[object], ids:[{id:number, method:string}]}} - готовые карточки и то, что нужно загрузить из TMDB
+ */
+function parseList(data){
+    let list   = Array.isArray(data) ? data : data && (data.items || data.results) || []
+    let result = {cards: [], ids: []}
+
+    if(!Array.isArray(list)) return result
+
+    list.forEach(item=>{
+        if(!item || typeof item !== 'object') return
+
+        let trakt = item.movie || item.show
+
+        if(trakt && trakt.ids && parseInt(trakt.ids.tmdb) > 0){
+            result.ids.push({id: parseInt(trakt.ids.tmdb), method: item.show ? 'tv' : 'movie'})
+        }
+        else if(parseInt(item.id) > 0 && (item.title || item.name) && (item.poster_path || item.backdrop_path)){
+            result.cards.push(item)
+        }
+        else if(parseInt(item.tmdb) > 0){
+            result.ids.push({id: parseInt(item.tmdb), method: item.type == 'tv' || item.type == 'show' ? 'tv' : 'movie'})
+        }
+    })
+
+    return result
+}
+
+export default {
+    types,
+    screens,
+    folders,
+    lifes,
+    normalize,
+    method,
+    move,
+    parseList
+}
@@ -130,6 +130,44 @@ export default class IndexedDB {
         })
     }
 
+    /**
+     * Получение записей, ключ которых начинается с префикса. Читает только нужный диапазон ключей,
+     * остальные записи таблицы в память не загружаются
+     * @param {string} store_name - Название таблицы
+     * @param {string} prefix - Начало ключа
+     * @returns {Promise<[{key:string, value:any, time:number}]>}
+     */
+    getPrefix(store_name, prefix) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                return this.log('Database not open',store_name,prefix),reject('Database not open')
+            }
+
+            const KeyRange    = window.IDBKeyRange || window.webkitIDBKeyRange
+            const transaction = this.db.transaction([store_name], 'readonly')
+            const objectStore = transaction.objectStore(store_name)
+            const cursor      = objectStore.openCursor(KeyRange.bound(prefix, prefix + '\uffff'))
+            const result      = []
+
+            cursor.onerror = (event) => {
+                this.log(cursor.error || 'An error occurred while retrieving data',store_name,prefix)
+
+                reject(cursor.error || 'An error occurred while retrieving data')
+            }
+
+            cursor.onsuccess = (event) => {
+                const current = event.target.result
+
+                if (current) {
+                    result.push(current.value)
+
+                    current.continue()
+                }
+                else resolve(result)
+            }
+        })
+    }
+
     /**
      * Получение данных из таблицы без ошибки
      * @param {string} store_name - Название таблицы
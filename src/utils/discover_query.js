@@ -0,0 +1,131 @@
+/**
+ * Запрос TMDB discover из расширенного фильтра.
+ * Фильтр: {
+ *   type: movie|tv,
+ *   genres: {with:[id], without:[id], mode: and|or},
+ *   runtime: {from, to} - минуты,
+ *   votes, rating - минимальное количество голосов и оценка,
+ *   certification: {country, lte} - только для фильмов,
+ *   providers: {region, ids:[id]},
+ *   people: [{id, name}], keywords: [{id, name}], keywords_mode: and|or,
+ *   language, dates: {from, to} - YYYY или YYYY-MM-DD,
+ *   sort
+ * }
+ */
+
+/**
+ * Пустой фильтр
+ * @returns {object}
+ */
+function empty(){
+    return {
+        type: 'movie',
+        genres: {with: [], without: [], mode: 'and'},
+        runtime: {from: 0, to: 0},
+        votes: 0,
+        rating: 0,
+        certification: {country: 'US', lte: ''},
+        providers: {region: '', ids: []},
+        people: [],
+        keywords: [],
+        keywords_mode: 'or',
+        language: '',
+        dates: {from: '', to: ''},
+        sort: 'popularity.desc'
+    }
+}
+
+function date(value, end){
+    value = (value || '') + ''
+
+    if(/^\d{4}$/.test(value)) return value + (end ? '-12-31' : '-01-01')
+    if(/^\d{4}-\d{2}-\d{2}$/.test(value)) return value
+
+    return ''
+}
+
+/**
+ * Собрать запрос
+ * @param {object} filter
+ * @returns {string} - discover/movie?...
+ */
+function build(filter){
+    let use   = Object.assign(empty(), filter)
+    let movie = use.type !== 'tv'
+    let query = []
+
+    let add = (name, value)=>{
+        if(value !== '' && value !== undefined && value !== null && value !== 0) query.push(name + '=' + encodeURIComponent(value))
+    }
+
+    let list = (items, mode)=>items.join(mode == 'or' ? '|' : ',')
+
+    add('sort_by', use.sort)
+
+    add('with_genres', list(use.genres.with || [], use.genres.mode))
+    add('without_genres', list(use.genres.without || [], 'and'))
+
+    add('with_runtime.gte', parseInt(use.runtime.from) || 0)
+    add('with_runtime.lte', parseInt(use.runtime.to) || 0)
+
+    add('vote_count.gte', parseInt(use.votes) || 0)
+    add('vote_average.gte', parseFloat(use.rating) || 0)
+
+    if(movie && use.certification.lte){
+        add('certification_country', use.certification.country || 'US')
+        add('certification.lte', use.certification.lte)
+    }
+
+    if(use.providers.region && use.providers.ids.length){
+        add('watch_region', use.providers.region)
+        add('with_watch_providers', list(use.providers.ids, 'or'))
+    }
+
+    // в сериалах TMDB не ищет по людям
+    if(movie) add('with_people', list(use.people.map(p=>p.id), 'and'))
+
+    add('with_keywords', list(use.keywords.map(k=>k.id), use.keywords_mode))
+
+    add('with_original_language', use.language)
+
+    let field = movie ? 'primary_release_date' : 'first_air_date'
+
+    add(field + '.gte', date(use.dates.from))
+    add(field + '.lte', date(use.dates.to, true))
+
+    return 'discover/' + (movie ? 'movie' : 'tv') + '?' + query.join('&')
+}
+
+/**
+ * Переключить жанр по кругу: не выбран, включить, исключить
+ * @param {{with:[number], without:[number]}} genres
+ * @param {number} id
+ * @returns {string} - новое состояние: none, with или without
+ */
+function toggleGenre(genres, id){
+    let inx_with    = genres.with.indexOf(id)
+    let inx_without = genres.without.indexOf(id)
+
+    if(inx_with >= 0){
+        genres.with.splice(inx_with, 1)
+        genres.without.push(id)
+
+        return 'without'
+    }
+
+    if(inx_without >= 0){
+        genres.without.splice(inx_without, 1)
+
+        return 'none'
+    }
+
+    genres.with.push(id)
+
+    return 'with'
+}
+
+export default {
+    empty,
+    build,
+    toggleGenre
+}
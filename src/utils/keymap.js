@@ -0,0 +1,97 @@
+/**
+ * Переназначение кнопок пульта.
+ * Карта {действие: код кнопки}, один код может быть только у одного действия
+ */
+
+/**
+ * Действия и стандартные коды, в которые переводятся выученные кнопки.
+ * 0 - у действия нет стандартной кнопки, вызывается напрямую
+ */
+const actions = {
+    up: 38,
+    down: 40,
+    left: 37,
+    right: 39,
+    enter: 13,
+    back: 27,
+    channel_up: 33,
+    channel_down: 34,
+    playpause: 179,
+    rewind_back: 412,
+    rewind_forward: 417,
+    subtitles: 0,
+    audio: 0,
+    info: 457
+}
+
+/**
+ * Оставить только известные действия с числовыми кодами
+ * @param {object} map
+ * @returns {object}
+ */
+function normalize(map){
+    let result = {}
+
+    if(!map || typeof map !== 'object') return result
+
+    for(let action in map){
+        let code = parseInt(map[action])
+
+        if(actions.hasOwnProperty(action) && code > 0) result[action] = code
+    }
+
+    return result
+}
+
+/**
+ * Привязать код к действию, у других действий этот код снимается
+ * @param {object} map
+ * @param {string} action
+ * @param {number} code
+ * @returns {object} - новая карта
+ */
+function bind(map, action, code){
+    let result = normalize(map)
+
+    for(let name in result){
+        if(result[name] == code) delete result[name]
+    }
+
+    if(actions.hasOwnProperty(action)) result[action] = code
+
+    return result
+}
+
+/**
+ * Действие, к которому привязан код
+ * @param {object} map
+ * @param {number} code
+ * @returns {string} - пустая строка, если не привязан
+ */
+function action(map, code){
+    for(let name in map){
+        if(map[name] == code) return name
+    }
+
+    return ''
+}
+
+/**
+ * Перевести код с пульта в стандартный
+ * @param {object} map
+ * @param {number} code
+ * @returns {number}
+ */
+function translate(map, code){
+    let name = action(map, code)
+
+    return name ? actions[name] : code
+}
+
+export default {
+    actions,
+    normalize,
+    bind,
+    action,
+    translate
+}
@@ -0,0 +1,73 @@
+/**
+ * Кольцевой буфер строк консоли, фильтрация и выгрузка в текст.
+ * Запись: {time, level: log|warn|error, name, text}
+ */
+
+let levels = ['log', 'warn', 'error']
+
+/**
+ * Добавить запись в начало буфера, лишнее с конца отбрасывается
+ * @param {[object]} list
+ * @param {object} record
+ * @param {number} size - размер буфера
+ * @returns {[object]} - тот же массив
+ */
+function push(list, record, size){
+    list.unshift(record)
+
+    if(list.length > size) list.splice(size, list.length - size)
+
+    return list
+}
+
+/**
+ * Отфильтровать записи по уровню и тексту
+ * @param {[object]} list
+ * @param {{level:string, text:string}} params - level: all или минимальный уровень
+ * @returns {[object]}
+ */
+function filter(list, params = {}){
+    let min  = levels.indexOf(params.level)
+    let text = (params.text || '').toLowerCase().trim()
+
+    return list.filter(record=>{
+        if(min > 0 && levels.indexOf(record.level) < min) return false
+        if(text && (record.text || '').toLowerCase().indexOf(text) == -1) return false
+
+        return true
+    })
+}
+
+function pad(num, size = 2){
+    return ('000' + num).slice(-size)
+}
+
+/**
+ * Время записи в виде YYYY-MM-DD HH:MM:SS.mmm по локальному времени
+ * @param {number} time
+ * @returns {string}
+ */
+function stamp(time){
+    let d = new Date(time)
+
+    return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + ' ' + pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds()) + '.' + pad(d.getMilliseconds(), 3)
+}
+
+/**
+ * Текст для сохранения в файл, старые записи сверху
+ * @param {[object]} list
+ * @returns {string}
+ */
+function format(list){
+    return list.slice().sort((a, b)=>a.time - b.time).map(record=>{
+        return stamp(record.time) + ' [' + record.level.toUpperCase() + '] ' + (record.name ? record.name + ': ' : '') + record.text
+    }).join('\n')
+}
+
+export default {
+    levels,
+    push,
+    filter,
+    stamp,
+    format
+}
@@ -0,0 +1,142 @@
+/**
+ * Разрешения плагина, объявляются в начале кода плагина комментариями:
+ * // @permission network api.example.com cdn.example.com
+ * // @permission storage online_view torrents_view
+ * // @permission player
+ * // @permission account
+ *
+ * Там же зависимости:
+ * // @provides tmdb_proxy 1.2.0
+ * // @requires tmdb_proxy >=1.0 <2
+ */
+
+const types = ['network', 'storage', 'player', 'account']
+
+/**
+ * Пустой набор разрешений
+ * @returns {{network:[string], storage:[string], player:boolean, account:boolean, declared:boolean}}
+ */
+function empty(){
+    return {
+        network: [],
+        storage: [],
+        player: false,
+        account: false,
+        declared: false
+    }
+}
+
+function unique(list){
+    return list.filter((item, index)=>item && list.indexOf(item) === index)
+}
+
+/**
+ * Разобрать объявленные разрешения, смотрим только начало файла
+ * @param {string} code - код плагина
+ * @returns {object}
+ */
+function parse(code){
+    let result = empty()
+    let head   = (code || '').slice(0, 8192)
+    let regex  = /@permission[ \t]+(\w+)([^\n\r*]*)/g
+    let match
+
+    while((match = regex.exec(head))){
+        let type   = match[1].toLowerCase()
+        let values = match[2].trim().split(/[\s,]+/).filter(v=>v)
+
+        if(types.indexOf(type) == -1) continue
+
+        result.declared = true
+
+        if(type == 'network' || type == 'storage') result[type] = unique(result[type].concat(values))
+        else result[type] = true
+    }
+
+    return result
+}
+
+/**
+ * Разобрать объявленные зависимости
+ * @param {string} code - код плагина
+ * @returns {{provides:[{name:string, version:string}], requires:[{name:string, range:string}]}}
+ */
+function dependencies(code){
+    let result = {provides: [], requires: []}
+    let head   = (code || '').slice(0, 8192)
+    let regex  = /@(provides|requires)[ \t]+([\w.-]+)([^\n\r*]*)/g
+    let match
+
+    while((match = regex.exec(head))){
+        let value = match[3].trim()
+
+        if(match[1] == 'provides') result.provides.push({name: match[2], version: value.split(/\s+/)[0] || '0.0.0'})
+        else result.requires.push({name: match[2], range: value})
+    }
+
+    return result
+}
+
+/**
+ * Ключи хранилища, которые подставляются в адрес плагина через {storage_key}
+ * @param {string} url
+ * @returns {[string]}
+ */
+function placeholders(url){
+    let keys  = []
+    let regex = /\{storage_([\w-]+)\}/g
+    let match
+
+    while((match = regex.exec(url || ''))) keys.push(match[1])
+
+    return unique(keys)
+}
+
+/**
+ * Все разрешения, которые запрашивает плагин: из кода и из адреса
+ * @param {string} code
+ * @param {string} url
+ * @returns {object}
+ */
+function request(code, url){
+    let result = parse(code)
+
+    result.storage = unique(result.storage.concat(placeholders(url)))
+
+    return result
+}
+
+/**
+ * Есть ли доступ к данным аккаунта
+ * @param {object} permissions
+ * @returns {boolean}
+ */
+function account(permissions){
+    if(!permissions) return false
+
+    return Boolean(permissions.account || (permissions.storage || []).find(key=>/^account/.test(key)))
+}
+
+/**
+ * Можно ли отдать плагину ключ хранилища.
+ * Плагины без сохраненных разрешений установлены раньше и работают как прежде
+ * @param {object} [permissions]
+ * @param {string} key
+ * @returns {boolean}
+ */
+function storage(permissions, key){
+    if(!permissions) return true
+
+    return (permissions.storage || []).indexOf(key) >= 0
+}
+
+export default {
+    types,
+    empty,
+    parse,
+    dependencies,
+    placeholders,
+    request,
+    account,
+    storage
+}
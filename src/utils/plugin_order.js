@@ -0,0 +1,187 @@
+/**
+ * Порядок загрузки плагинов по зависимостям.
+ * Плагин: {id, provides: [{name, version}], requires: [{name, range}]}
+ * range: пусто или *, 1.2.3, =1.2.3, >=1.2, >1.2, <=2, <2, ^1.2, ~1.2.3, несколько условий через пробел
+ */
+
+function parse(version){
+    let parts = (version + '').replace(/^v/, '').split('.').map(n=>parseInt(n) || 0)
+
+    while(parts.length < 3) parts.push(0)
+
+    return parts.slice(0, 3)
+}
+
+/**
+ * Сравнить версии
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - меньше нуля, ноль или больше нуля
+ */
+function compare(a, b){
+    let x = parse(a)
+    let y = parse(b)
+
+    for(let i = 0; i < 3; i++){
+        if(x[i] !== y[i]) return x[i] - y[i]
+    }
+
+    return 0
+}
+
+/**
+ * Подходит ли версия под условие
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+function satisfies(version, range){
+    let rules = (range || '').trim().split(/\s+/).filter(r=>r && r !== '*')
+
+    return rules.every(rule=>{
+        let match = rule.match(/^(>=|<=|>|<|=|\^|~)?(.+)$/)
+        let op    = match[1] || '='
+        let need  = match[2]
+        let diff  = compare(version, need)
+        let have  = parse(version)
+        let base  = parse(need)
+
+        if(op == '>=') return diff >= 0
+        if(op == '<=') return diff <= 0
+        if(op == '>') return diff > 0
+        if(op == '<') return diff < 0
+        if(op == '^') return diff >= 0 && have[0] == base[0]
+        if(op == '~') return diff >= 0 && have[0] == base[0] && have[1] == base[1]
+
+        return diff == 0
+    })
+}
+
+function providers(items, name, except){
+    let result = []
+
+    items.forEach(item=>{
+        let provides = item === except ? [] : item.provides || []
+
+        provides.forEach(p=>{
+            if(p.name == name) result.push({item, version: p.version || '0.0.0'})
+        })
+    })
+
+    return result
+}
+
+/**
+ * Плагины, которые подходят под требование
+ * @param {[object]} items
+ * @param {object} item - кто требует
+ * @param {{name:string, range:string}} need
+ * @returns {[object]}
+ */
+function suitable(items, item, need){
+    return providers(items, need.name, item).filter(p=>satisfies(p.version, need.range)).map(p=>p.item)
+}
+
+/**
+ * Построить план загрузки
+ * @param {[object]} items
+ * @returns {{levels:[[string]], skipped:[{id:string, reason:string, dependency:string, range:string, found:[string], by:string}]}}
+ * reason: missing - никто не дает зависимость, version - нет подходящей версии,
+ * skipped - пропущен плагин, который дает зависимость, cycle - зависимости по кругу
+ */
+function plan(items){
+    let skipped = []
+    let removed = []
+
+    let skip = (item, reason, need, extra = {})=>{
+        removed.push(item)
+
+        skipped.push(Object.assign({id: item.id, reason, dependency: need ? need.name : '', range: need ? need.range || '' : ''}, extra))
+    }
+
+    items.forEach(item=>{
+        let requires = item.requires || []
+
+        for(let i = 0; i < requires.length; i++){
+            let need = requires[i]
+            let all  = providers(items, need.name, item)
+
+            if(!all.length){
+                skip(item, 'missing', need)
+
+                break
+            }
+
+            if(!suitable(items, item, need).length){
+                skip(item, 'version', need, {found: all.map(p=>p.version)})
+
+                break
+            }
+        }
+    })
+
+    // пропускаем тех, чьи зависимости пропущены
+    let changed = true
+
+    while(changed){
+        changed = false
+
+        items.forEach(item=>{
+            if(removed.indexOf(item) >= 0) return
+
+            let need = (item.requires || []).find(need=>!suitable(items, item, need).find(p=>removed.indexOf(p) == -1))
+
+            if(need){
+                let by = suitable(items, item, need)[0]
+
+                skip(item, 'skipped', need, {by: by ? by.id : ''})
+
+                changed = true
+            }
+        })
+    }
+
+    let left   = items.filter(item=>removed.indexOf(item) == -1)
+    let levels = []
+    let placed = []
+
+    while(left.length){
+        let level = left.filter(item=>{
+            return (item.requires || []).every(need=>{
+                return suitable(items, item, need).filter(p=>removed.indexOf(p) == -1).every(p=>placed.indexOf(p) >= 0)
+            })
+        })
+
+        if(!level.length){
+            left.forEach(item=>skip(item, 'cycle', (item.requires || [])[0]))
+
+            break
+        }
+
+        levels.push(level.map(item=>item.id))
+
+        placed = placed.concat(level)
+        left   = left.filter(item=>level.indexOf(item) == -1)
+    }
+
+    return {levels, skipped}
+}
+
+/**
+ * Требование, которое не закрыто уже загруженными плагинами
+ * @param {[object]} items
+ * @param {object} item
+ * @param {[string]} loaded - id загруженных
+ * @returns {{name:string, range:string}|undefined}
+ */
+function unmet(items, item, loaded){
+    return (item.requires || []).find(need=>!suitable(items, item, need).find(p=>loaded.indexOf(p.id) >= 0))
+}
+
+export default {
+    compare,
+    satisfies,
+    suitable,
+    plan,
+    unmet
+}
@@ -0,0 +1,274 @@
+import voices from '../components/torrents/voices'
+
+/**
+ * Граница слова, которая понимает кириллицу (\b работает только с латиницей)
+ */
+let left  = '(?:^|[^a-zа-яё0-9])'
+let right = '(?=[^a-zа-яё0-9]|$)'
+
+function word(src){
+    return new RegExp(left + '(?:' + src + ')' + right, 'i')
+}
+
+let qualities = ['4k', '1080p', '720p', '480p']
+
+let dv_types = [
+    {title: 'Dolby Vision', code: 'dv'},
+    {title: 'Dolby Vision TV', code: 'tv'}
+]
+
+let voice_types = ['dub', 'mvo', 'dvo', 'avo']
+
+let resolutions = [
+    [/2160[pрi]|3840x\d{3,4}|4k|uhd|ultra ?hd/i, '2160p'],
+    [/1080[pрi]|1920x\d{3,4}|full ?hd/i, '1080p'],
+    [/720[pр]|1280x\d{3,4}/i, '720p'],
+    [/(480|576)[pр]|720x(480|576)|\bsd\b/i, '480p']
+]
+
+let sources = [
+    [/remux/i, 'Remux'],
+    [/bd-?rip|br-?rip/i, 'BDRip'],
+    [/blu-?ray|\bbd(25|50|66|100)?\b|\bbdmv\b/i, 'BluRay'],
+    [/web-?rip/i, 'WEBRip'],
+    [/web-?dl|webdl|\bweb\b(?!-?rip)/i, 'WEB-DL'],
+    [/hdtv-?rip|hdtv/i, 'HDTV'],
+    [/hd-?rip/i, 'HDRip'],
+    [/dvd-?rip/i, 'DVDRip'],
+    [/\bdvd(5|9)?\b/i, 'DVD'],
+    [/sat-?rip|\bdvb\b/i, 'SATRip'],
+    [/tv-?rip/i, 'TVRip'],
+    [/cam-?rip|\bcam\b|\bts\b|telesync|\bhdts\b/i, 'CAMRip']
+]
+
+let codecs = [
+    [/hevc|h\.?265|x\.?265/i, 'HEVC'],
+    [/\bavc\b|h\.?264|x\.?264/i, 'AVC'],
+    [/\bav1\b/i, 'AV1'],
+    [/\bvp9\b/i, 'VP9'],
+    [/xvid|divx/i, 'XviD'],
+    [/mpeg-?2/i, 'MPEG-2'],
+    [/mpeg-?4/i, 'MPEG-4']
+]
+
+let audios = [
+    [/true-?hd/i, 'TrueHD'],
+    [/atmos/i, 'Atmos'],
+    [/dts-?hd ?ma|dts-?hd/i, 'DTS-HD'],
+    [/dts-?x/i, 'DTS:X'],
+    [/\bdts\b(?!-?(hd|x))/i, 'DTS'],
+    [/ddp|dd\+|e-?ac-?3/i, 'DDP'],
+    [/(^|[^e-])ac-?3|\bdd(?=[\s.]?\d[.\s]\d)|dolby digital(?! plus)/i, 'AC3'],
+    [/\baac/i, 'AAC'],
+    [/\bflac\b/i, 'FLAC'],
+    [/\bl?pcm\b/i, 'PCM'],
+    [/\bopus\b/i, 'Opus'],
+    [/\bmp3\b/i, 'MP3']
+]
+
+/**
+ * Коды языков совпадают с components/torrents/lang.js
+ */
+let languages = [
+    ['ru', 'rus|russian|ru|русский|рус'],
+    ['uk', 'ukr|ukrainian|ua|uk|укр|украинский'],
+    ['en', 'eng|english|en|английский|англ'],
+    ['be', 'bel|belarusian|белорусский'],
+    ['ja', 'jap|jpn|japanese|японский|яп'],
+    ['zh', 'chi|chn|chinese|китайский'],
+    ['ko', 'kor|korean|корейский'],
+    ['de', 'ger|deu|german|немецкий'],
+    ['fr', 'fre|fra|french|французский'],
+    ['es', 'spa|esp|spanish|испанский'],
+    ['it', 'ita|italian|итальянский'],
+    ['pl', 'pol|polish|польский'],
+    ['pt', 'por|portuguese|португальский'],
+    ['tr', 'tur|turkish|турецкий'],
+    ['kk', 'kaz|kazakh|казахский']
+].map(a=>[a[0], word(a[1])])
+
+let voice_regexps = {
+    dub: /дублирован|дубляж|  apple| dub| d[,| |$]|[,|\s]дб[,|\s|$]/i,
+    mvo: /многоголос| p[,| |$]|[,|\s](лм|пм)[,|\s|$]/i,
+    dvo: /двухголос|двуголос| l2[,| |$]|[,|\s](лд|пд)[,|\s|$]/i,
+    avo: /любитель|авторский| l1[,| |$]|[,|\s](ло|ап)[,|\s|$]/i
+}
+
+let stereo_3d = / стереопара|interlace|anaglyph|анаглиф|bd3d|over\-?under|side\-?by\-?side|[\-\[\(| ]((half|h)?ou|(half|h)?sbs|lrq?|abq?|ba|rl|3d[\- ]video)([ |\]\),]|$)/i
+
+let group_skip = ['dl', 'rip', 'hd', 'ray', 'web', 'x264', 'x265', 'h264', 'h265', 'hevc', 'avc', 'hdr', 'remux', 'mkv', 'mp4', 'avi']
+
+/**
+ * Развернуть диапазон в массив чисел
+ * @param {number} from
+ * @param {number} to
+ * @param {number} max - защита от мусорных диапазонов
+ * @returns {[number]}
+ */
+function range(from, to, max){
+    let result = []
+
+    if(isNaN(to) || to < from) to = from
+    if(to - from > max) to = from + max
+
+    for(let i = from; i <= to; i++) result.push(i)
+
+    return result
+}
+
+function first(list, title){
+    let find = list.find(a=>a[0].test(title))
+
+    return find ? find[1] : ''
+}
+
+function all(list, title){
+    return list.filter(a=>a[0].test(title)).map(a=>a[1])
+}
+
+function unique(arr){
+    return arr.filter((a, i)=>arr.indexOf(a) == i).sort((a,b)=>a - b)
+}
+
+function parseSeasons(title){
+    let seasons = []
+    let regexps = [
+        /s(\d{1,2})\s*-\s*s?(\d{1,2})(?![\d]|e\d)/g,
+        /(?:^|[^a-zа-яё])s(\d{1,2})(?:e\d|[^a-zа-яё0-9]|$)/g,
+        /(?:сезон|сезоны|season|seasons)[:\s]*(\d{1,2})(?:\s*-\s*(\d{1,2}))?/g,
+        /(\d{1,2})(?:\s*-\s*(\d{1,2}))?\s*(?:сезон|season)/g,
+        /\[(\d{1,2})[xх]\d/g
+    ]
+
+    regexps.forEach(regexp=>{
+        let match
+
+        while((match = regexp.exec(title)) !== null){
+            seasons = seasons.concat(range(parseInt(match[1]), parseInt(match[2]), 50))
+        }
+    })
+
+    return unique(seasons).filter(a=>a > 0)
+}
+
+function parseEpisodes(title){
+    let episodes = []
+    let total    = 0
+    let regexps  = [
+        /s\d{1,2}e(\d{1,4})(?:\s*-\s*e?(\d{1,4}))?/g,
+        /(?:серии|серия|episodes|episode|eps|ep)[:.\s]*(\d{1,4})(?:\s*-\s*(\d{1,4}))?/g,
+        /(?:^|[^\d])\d{1,2}[xх](\d{1,4})(?:\s*-\s*(\d{1,4}))?/g
+    ]
+
+    regexps.forEach(regexp=>{
+        let match
+
+        while((match = regexp.exec(title)) !== null){
+            episodes = episodes.concat(range(parseInt(match[1]), parseInt(match[2]), 2000))
+        }
+    })
+
+    let of = title.match(/(\d{1,4})\s*(?:из|of)\s*(\d{1,4})/)
+
+    if(of){
+        total = parseInt(of[2])
+
+        if(!episodes.length) episodes = range(1, parseInt(of[1]), 2000)
+    }
+
+    return {
+        episodes: unique(episodes).filter(a=>a > 0),
+        total
+    }
+}
+
+function parseGroup(title){
+    let anime = title.match(/^\s*\[([^\]]{2,30})\]/)
+
+    if(anime) return anime[1].trim()
+
+    let scene = title.replace(/\.(mkv|mp4|avi|ts)$/i, '').match(/-([a-z0-9][a-z0-9_]{1,20})\s*(\[[^\]]*\])?\s*$/i)
+
+    if(scene && group_skip.indexOf(scene[1].toLowerCase()) == -1 && !/^\d+$/.test(scene[1])) return scene[1]
+
+    return ''
+}
+
+function parseChannels(title){
+    let found  = []
+    let regexp = /(?:^|[^\d.]|[^\d]\.)([257])[.\s]([01])(?!\d|\.\d)/g
+    let clear  = title.replace(/e?ac-?3|mp3|[hx]\.?26[45]|mpeg-?[24]/g, '')
+    let match
+
+    while((match = regexp.exec(clear)) !== null){
+        let channels = match[1] + '.' + match[2]
+
+        if(['2.0', '5.1', '7.1'].indexOf(channels) >= 0) found.push(channels)
+    }
+
+    return found.sort().pop() || ''
+}
+
+/**
+ * Разобрать название раздачи
+ * @param {string} title - название раздачи или файла
+ * @returns {{resolution:string, quality:string, source:string, codec:string, hdr:boolean, dv:string, hdr_types:[string], audio:[string], channels:string, languages:[string], voices:[string], voice_types:[string], subtitles:boolean, seasons:[number], episodes:[number], episodes_total:number, year:number, years:[number], group:string, stereo:boolean}}
+ */
+function parse(title){
+    let name  = (title || '') + ''
+    let lower = name.toLowerCase()
+    let flat  = lower.replace(/[._]/g, ' ')
+
+    let resolution = first(resolutions, lower)
+    let hdr_types  = []
+
+    if(/hdr10\+|hdr10 ?plus/i.test(lower)) hdr_types.push('HDR10+')
+    else if(/hdr10/i.test(lower)) hdr_types.push('HDR10')
+    else if(/(^|[^a-z])hdr([^a-z]|$)/i.test(lower)) hdr_types.push('HDR')
+
+    if(/(^|[^a-z])hlg([^a-z]|$)/i.test(lower)) hdr_types.push('HLG')
+
+    let dv = ''
+
+    if(/dolby vision tv/i.test(lower)) dv = 'tv'
+    else if(/dolby vision|(^|[^a-z])(dovi|dv)([^a-z]|$)/i.test(lower)) dv = 'dv'
+
+    if(dv) hdr_types.push('DV')
+
+    let episodes = parseEpisodes(lower)
+    let years    = unique((lower.match(/(?:^|[^\d])(19\d{2}|20\d{2})(?!\d|[pрi])/g) || []).map(a=>parseInt(a.replace(/^\D/, ''))))
+
+    let found_voices = voices.filter((voice, i)=>voices.indexOf(voice) == i && lower.indexOf(voice.toLowerCase()) >= 0)
+
+    return {
+        resolution,
+        quality: resolution == '2160p' ? '4k' : resolution,
+        source: first(sources, flat),
+        codec: first(codecs, lower),
+        hdr: hdr_types.filter(a=>a !== 'DV').length > 0,
+        dv,
+        hdr_types,
+        audio: all(audios, lower),
+        channels: parseChannels(lower),
+        languages: languages.filter(a=>a[1].test(lower)).map(a=>a[0]),
+        voices: found_voices,
+        voice_types: voice_types.filter(type=>voice_regexps[type].test(lower)),
+        subtitles: / sub|[,|\s]ст[,|\s|$]/i.test(lower),
+        seasons: parseSeasons(flat),
+        episodes: episodes.episodes,
+        episodes_total: episodes.total,
+        year: years[0] || 0,
+        years,
+        group: parseGroup(name),
+        stereo: stereo_3d.test(lower)
+    }
+}
+
+export default {
+    parse,
+    qualities,
+    dv_types,
+    voice_types,
+    sources: sources.map(a=>a[1]),
+    languages: languages.map(a=>a[0])
+}
@@ -0,0 +1,171 @@
+/**
+ * Ограничение экранного времени для родительского контроля.
+ * Правила хранятся отдельно для будней и выходных:
+ * {budget_weekdays, budget_weekend} - минут в день (0 - без лимита),
+ * {window_weekdays, window_weekend} - разрешенные интервалы, например "17:00-20:00, 21:00-22:00" (пусто - весь день).
+ * Журнал использования: {YYYY-MM-DD: {used, extra, until}}, used и extra в секундах,
+ * until - до какого времени (мс) разрешено смотреть вне интервала после ввода PIN
+ */
+
+const day = 1000 * 60 * 60 * 24
+
+/**
+ * Ключ дня по местному времени
+ * @param {number} time - мс
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(time){
+    let date = new Date(time)
+
+    return date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).slice(-2) + '-' + ('0' + date.getDate()).slice(-2)
+}
+
+/**
+ * Тип дня
+ * @param {number} time - мс
+ * @returns {string} - weekdays или weekend
+ */
+function dayType(time){
+    let week = new Date(time).getDay()
+
+    return week == 0 || week == 6 ? 'weekend' : 'weekdays'
+}
+
+function minutes(str){
+    let match = (str || '').trim().match(/^(\d{1,2})[:.](\d{2})$/)
+
+    if(!match) return -1
+
+    let hours = parseInt(match[1])
+    let mins  = parseInt(match[2])
+
+    return hours <= 24 && mins < 60 && hours * 60 + mins <= 24 * 60 ? hours * 60 + mins : -1
+}
+
+/**
+ * Разобрать интервалы
+ * @param {string} str - "17:00-20:00, 21:00-22:00"
+ * @returns {[{from:number, to:number}]|null} - минуты от начала дня, null если строка с ошибкой
+ */
+function windows(str){
+    let result = []
+    let parts  = (str || '').split(',').map(p=>p.trim()).filter(p=>p)
+
+    for(let i = 0; i < parts.length; i++){
+        let times = parts[i].split(/\s*[-–—]\s*/)
+        let from  = minutes(times[0])
+        let to    = minutes(times[1])
+
+        if(times.length !== 2 || from < 0 || to < 0 || from == to) return null
+
+        result.push({from, to})
+    }
+
+    return result
+}
+
+/**
+ * Сколько секунд осталось до конца разрешенного интервала
+ * @param {[{from:number, to:number}]} list
+ * @param {number} now - мс
+ * @returns {number} - 0 если сейчас нельзя, Infinity если интервалов нет
+ */
+function windowLeft(list, now){
+    if(!list || !list.length) return Infinity
+
+    let date    = new Date(now)
+    let current = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60
+    let left    = 0
+
+    list.forEach(w=>{
+        // интервал через полночь, например 22:00-01:00, обрезаем до конца дня
+        let to = w.to > w.from ? w.to : 24 * 60
+
+        if(current >= w.from && current < to) left = Math.max(left, (to - current) * 60)
+        else if(w.to < w.from && current < w.to) left = Math.max(left, (w.to - current) * 60)
+    })
+
+    return Math.round(left)
+}
+
+function prune(usage, now){
+    let result = {}
+    let today  = dayKey(now)
+    let oldest = dayKey(now - day * 30)
+
+    for(let key in usage){
+        if(key >= oldest) result[key] = Object.assign({used: 0, extra: 0, until: 0}, usage[key])
+    }
+
+    if(!result[today]) result[today] = {used: 0, extra: 0, until: 0}
+
+    return result
+}
+
+/**
+ * Добавить просмотренное время, дни старше месяца удаляются
+ * @param {object} usage - журнал
+ * @param {number} seconds
+ * @param {number} now - мс
+ * @returns {object} - новый журнал
+ */
+function add(usage, seconds, now){
+    let result = prune(usage, now)
+
+    result[dayKey(now)].used += seconds
+
+    return result
+}
+
+/**
+ * Продлить время на сегодня: увеличивает лимит и разрешает смотреть вне интервала
+ * @param {object} usage - журнал
+ * @param {number} seconds
+ * @param {number} now - мс
+ * @returns {object} - новый журнал
+ */
+function extend(usage, seconds, now){
+    let result = prune(usage, now)
+    let today  = result[dayKey(now)]
+
+    today.extra += seconds
+    today.until  = Math.max(today.until, now) + seconds * 1000
+
+    return result
+}
+
+/**
+ * Проверить, можно ли смотреть
+ * @param {object} rules - правила
+ * @param {object} usage - журнал
+ * @param {number} now - мс
+ * @returns {{allowed:boolean, reason:string, left:number}} - reason: budget или window, left в секундах
+ */
+function check(rules, usage, now){
+    let type   = dayType(now)
+    let today  = Object.assign({used: 0, extra: 0, until: 0}, (usage || {})[dayKey(now)])
+    let budget = parseInt(rules['budget_' + type]) || 0
+    let list   = windows(rules['window_' + type]) || []
+
+    let budget_left = budget ? Math.max(0, budget * 60 + today.extra - today.used) : Infinity
+    let window_left = Math.max(windowLeft(list, now), Math.round((today.until - now) / 1000))
+
+    let left   = Math.min(budget_left, window_left)
+    let reason = window_left <= budget_left ? 'window' : 'budget'
+
+    return {
+        allowed: left > 0,
+        reason,
+        left
+    }
+}
+
+export default {
+    dayKey,
+    dayType,
+    windows,
+    windowLeft,
+    add,
+    extend,
+    check
+}
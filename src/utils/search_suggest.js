@@ -0,0 +1,69 @@
+/**
+ * Подсказки поиска из локальных данных, без запросов в сеть.
+ * Кандидаты: {title, type, weight}, type - saved, history, card или cached
+ */
+
+let order = ['saved', 'history', 'card', 'cached']
+
+/**
+ * Привести строку к виду для сравнения
+ * @param {string} str
+ * @returns {string}
+ */
+function normalize(str){
+    return (str || '').toLowerCase().replace(/ё/g, 'е').replace(/[\s.,:;!?'"«»()\[\]\-–—_\/\\&+*#]+/g, ' ').trim()
+}
+
+/**
+ * Насколько кандидат подходит к запросу
+ * @param {string} query - нормализованный запрос
+ * @param {string} title - нормализованное название
+ * @returns {number} - 0 если не подходит
+ */
+function score(query, title){
+    if(!query || !title || title == query) return 0
+
+    if(title.indexOf(query) == 0) return 3
+
+    if((' ' + title).indexOf(' ' + query) >= 0) return 2
+
+    if(query.length >= 3 && title.indexOf(query) > 0) return 1
+
+    return 0
+}
+
+/**
+ * Подобрать подсказки
+ * @param {string} query - что ввели
+ * @param {[{title:string, type:string, weight:number}]} candidates
+ * @param {number} [limit]
+ * @returns {[{title:string, type:string}]}
+ */
+function match(query, candidates, limit = 15){
+    let norm  = normalize(query)
+    let found = {}
+
+    candidates.forEach(item=>{
+        let title = normalize(item.title)
+        let value = score(norm, title)
+
+        if(!value) return
+
+        let prev = found[title]
+        let type = order.indexOf(item.type)
+
+        if(!prev || value > prev.value || (value == prev.value && type < prev.type) || (value == prev.value && type == prev.type && (item.weight || 0) > prev.weight)){
+            found[title] = {title: item.title, type, value, weight: item.weight || 0, name: item.type}
+        }
+    })
+
+    return Object.values(found).sort((a, b)=>{
+        return b.value - a.value || a.type - b.type || b.weight - a.weight || a.title.length - b.title.length
+    }).slice(0, limit).map(item=>({title: item.title, type: item.name}))
+}
+
+export default {
+    normalize,
+    score,
+    match
+}
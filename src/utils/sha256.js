@@ -0,0 +1,124 @@
+/**
+ * SHA-256 без crypto.subtle, которого нет на старых ТВ и по http
+ */
+
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]
+
+function utf8(text){
+    let bytes = []
+
+    for(let i = 0; i < text.length; i++){
+        let code = text.charCodeAt(i)
+
+        // суррогатная пара
+        if(code >= 0xd800 && code < 0xdc00 && i + 1 < text.length){
+            let next = text.charCodeAt(i + 1)
+
+            if(next >= 0xdc00 && next < 0xe000){
+                code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00)
+
+                i++
+            }
+        }
+
+        if(code < 0x80) bytes.push(code)
+        else if(code < 0x800) bytes.push(0xc0 | (code >> 6), 0x80 | (code & 63))
+        else if(code < 0x10000) bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63))
+        else bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 63), 0x80 | ((code >> 6) & 63), 0x80 | (code & 63))
+    }
+
+    return bytes
+}
+
+/**
+ * Хэш строки в кодировке UTF-8
+ * @param {string} text
+ * @returns {[number]} - 32 байта
+ */
+function digest(text){
+    let bytes  = utf8(text + '')
+    let length = bytes.length * 8
+    let hash   = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]
+    let w      = new Array(64)
+
+    bytes.push(0x80)
+
+    while(bytes.length % 64 !== 56) bytes.push(0)
+
+    // длина в битах, старшие 32 бита для строк такого размера всегда 0
+    bytes.push(0, 0, 0, 0, (length >>> 24) & 255, (length >>> 16) & 255, (length >>> 8) & 255, length & 255)
+
+    let rotr = (x, n)=>(x >>> n) | (x << (32 - n))
+
+    for(let offset = 0; offset < bytes.length; offset += 64){
+        for(let i = 0; i < 16; i++){
+            let j = offset + i * 4
+
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]
+        }
+
+        for(let i = 16; i < 64; i++){
+            let s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)
+            let s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10)
+
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash
+
+        for(let i = 0; i < 64; i++){
+            let t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0
+            let t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0
+
+            h = g
+            g = f
+            f = e
+            e = (d + t1) | 0
+            d = c
+            c = b
+            b = a
+            a = (t1 + t2) | 0
+        }
+
+        hash = [a, b, c, d, e, f, g, h].map((v, i)=>(hash[i] + v) | 0)
+    }
+
+    let result = []
+
+    hash.forEach(v=>result.push((v >>> 24) & 255, (v >>> 16) & 255, (v >>> 8) & 255, v & 255))
+
+    return result
+}
+
+/**
+ * Хэш в hex
+ * @param {string} text
+ * @returns {string}
+ */
+function hex(text){
+    return digest(text).map(b=>('0' + b.toString(16)).slice(-2)).join('')
+}
+
+/**
+ * Хэш в формате SRI: sha256-base64
+ * @param {string} text
+ * @returns {string}
+ */
+function integrity(text){
+    return 'sha256-' + btoa(String.fromCharCode.apply(null, digest(text)))
+}
+
+export default {
+    digest,
+    hex,
+    integrity
+}
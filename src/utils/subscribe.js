@@ -50,21 +50,22 @@ function Subscribe() {
     this.send = function (type, event = {}) {
         if (this._listeners === undefined) return this
 
-        try{
-            let listeners = this._listeners
-            let listenerArray = listeners[type]
+        let listeners = this._listeners
+        let listenerArray = listeners[type]
 
-            if (listenerArray !== undefined) {
-                let array = listenerArray.slice(0)
+        if (listenerArray !== undefined) {
+            let array = listenerArray.slice(0)
 
-                for (let i = 0, l = array.length; i < l; i++) {
+            // ошибка в одном слушателе не должна мешать остальным
+            for (let i = 0, l = array.length; i < l; i++) {
+                try{
                     array[i].call(this, event)
                 }
+                catch(e){
+                    console.error('Subscribe', 'send error:', e.message, e.stack)
+                }
             }
         }
-        catch(e){
-            console.error('Subscribe', 'send error:', e.message, e.stack)
-        }
 
         return this
     }
@@ -28,7 +28,7 @@ var helper = {
 function parse(content, options) {
   var captions = [ ];
   var eol = options.eol || "\r\n";
-  var parts = content.split(/\r?\n\s+\r?\n/g);
+  var parts = content.split(/\r?\n\s*\r?\n/g);
   for (var i = 0; i < parts.length; i++) {
     var regex = /^(\d+)\r?\n(\d{1,2}:\d{1,2}:\d{1,2}([.,]\d{1,3})?)\s*\-\-\>\s*(\d{1,2}:\d{1,2}:\d{1,2}([.,]\d{1,3})?)\r?\n([\s\S]*)(\r?\n)*$/gi;
     var match = regex.exec(parts[i]);
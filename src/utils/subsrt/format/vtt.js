@@ -27,7 +27,7 @@ function parse(content, options) {
   var index = 1;
   var captions = [ ];
   var eol = options.eol || "\r\n";
-  var parts = content.split(/\r?\n\s+\r?\n/);
+  var parts = content.split(/\r?\n\s*\r?\n/);
   for (var i = 0; i < parts.length; i++) {
     //WebVTT data
     var regex = /^([^\r\n]+\r?\n)?((\d{1,2}:)?\d{1,2}:\d{1,2}([.,]\d{1,3})?)\s*\-\-\>\s*((\d{1,2}:)?\d{1,2}:\d{1,2}([.,]\d{1,3})?)\r?\n([\s\S]*)(\r?\n)*$/gi;
@@ -0,0 +1,119 @@
+/**
+ * Разрешение конфликтов синхронизации по времени изменения записи.
+ * Если у пришедшей записи нет времени, значит сервер уже решил конфликт сам (так делает CUB), и она побеждает
+ */
+
+/**
+ * Время изменения записи в мс. Сервер может отдать время в секундах или строкой даты
+ */
+function stamp(item, field){
+    let value = item && typeof item == 'object' ? item[field] : 0
+    let time  = typeof value == 'string' && !/^\d+$/.test(value) ? Date.parse(value) || 0 : parseInt(value) || 0
+
+    return time && time < 100000000000 ? time * 1000 : time
+}
+
+/**
+ * Нужно ли заменить локальную запись пришедшей
+ * @param {object} [local] - текущая запись
+ * @param {object} remote - запись с сервера или другого устройства
+ * @param {string} [field] - поле со временем изменения
+ * @returns {boolean}
+ */
+function newer(local, remote, field = 'updated'){
+    if(!local || typeof local !== 'object') return true
+
+    let time = stamp(remote, field)
+
+    return !time || time >= stamp(local, field)
+}
+
+/**
+ * Выбрать прогресс просмотра. Побеждает более новый, но если хоть один досмотрен,
+ * то побеждает тот, где просмотрено дальше, чтобы отстающее устройство не сбросило просмотренную серию
+ * @param {object} [local] - {percent, time, duration, updated, device}
+ * @param {object} remote - то же с сервера или другого устройства
+ * @param {number} [finished] - с какого процента серия считается досмотренной
+ * @returns {object} - local или remote
+ */
+function progress(local, remote, finished = 90){
+    if(!local || typeof local !== 'object') return remote
+
+    let near = parseFloat(local.percent) || 0
+    let away = parseFloat(remote.percent) || 0
+
+    if(near >= finished || away >= finished) return away >= near ? remote : local
+
+    return newer(local, remote) ? remote : local
+}
+
+/**
+ * Выбрать актуальный профиль
+ * @param {object} local - профиль из аккаунта на устройстве
+ * @param {object} remote - профиль с сервера
+ * @returns {object}
+ */
+function profile(local, remote){
+    return newer(local, remote) ? remote : local
+}
+
+/**
+ * Применить журнал изменений закладок. Изменения применяются по порядку времени,
+ * а изменение, которое старше локальной записи, пропускается
+ * @param {[object]} bookmarks - [{id, card_id, type, data, time}]
+ * @param {[object]} changelog - [{action, entity_id, card_id, type, data, updated_at}], action - add/update/remove/clear
+ * @returns {[object]} - новый список, свежие сверху
+ */
+function changelog(bookmarks, changelog){
+    let result = bookmarks.slice()
+    let order  = changelog.map((change, index)=>({change, index}))
+
+    // sort в старых движках нестабильный, поэтому при равном времени сохраняем порядок сервера
+    order.sort((a, b)=>(stamp(a.change, 'updated_at') - stamp(b.change, 'updated_at')) || a.index - b.index)
+
+    order.forEach(({change})=>{
+        let time = stamp(change, 'updated_at')
+        let late = (book)=>time && stamp(book, 'time') > time
+
+        if(change.action == 'remove'){
+            let find = result.find(book=>book.id == change.entity_id)
+
+            if(find && !late(find)) result.splice(result.indexOf(find), 1)
+        }
+        else if(change.action == 'update'){
+            let find = result.find(book=>book.id == change.entity_id)
+
+            if(find && !late(find)){
+                find.time = change.updated_at
+
+                result.splice(result.indexOf(find), 1)
+                result.unshift(find)
+            }
+        }
+        else if(change.action == 'add'){
+            if(!change.data) return
+
+            let find = result.find(book=>book.type == change.type && book.card_id == change.card_id)
+
+            if(find){
+                if(late(find)) return
+
+                result.splice(result.indexOf(find), 1)
+            }
+
+            result.unshift(change)
+        }
+        else if(change.action == 'clear'){
+            result = result.filter(book=>book.type !== change.entity_id || late(book))
+        }
+    })
+
+    return result
+}
+
+export default {
+    newer,
+    progress,
+    profile,
+    changelog
+}
@@ -0,0 +1,232 @@
+/**
+ * Локальные темы: переменные оформления, CSS и файл темы для импорта и экспорта.
+ * Старые ТВ не понимают var(), поэтому правила собираются с готовыми значениями,
+ * а CSS-переменные --theme-* только дублируются для плагинов
+ */
+
+const format = 'lampa_theme'
+
+/**
+ * Переменные темы: тип и значение по умолчанию, как в основных стилях
+ */
+const variables = {
+    accent:      {type: 'color',  default: '#ffffff'},
+    background:  {type: 'color',  default: '#1d1f20'},
+    card_radius: {type: 'number', default: 1, min: 0, max: 3},
+    focus_ring:  {type: 'color',  default: '#ffffff'},
+    font:        {type: 'font',   default: 'SegoeUI'}
+}
+
+const fonts = ['SegoeUI', 'Arial', 'Roboto', 'Verdana', 'Georgia', 'monospace']
+
+/**
+ * Тема по умолчанию
+ * @returns {{id:string, name:string, variables:object, background:{type:string, color:string, blur:number, image:string}}}
+ */
+function defaults(){
+    let vars = {}
+
+    for(let name in variables) vars[name] = variables[name].default
+
+    return {
+        id: '',
+        name: '',
+        variables: vars,
+        background: {
+            type: 'default',
+            color: '#000000',
+            blur: 0,
+            image: ''
+        }
+    }
+}
+
+/**
+ * Проверить цвет, понимаем #rgb, #rrggbb, rgb() и rgba()
+ * @param {string} value
+ * @returns {string} - цвет в нижнем регистре или пустая строка
+ */
+function color(value){
+    let str = (value + '').trim().toLowerCase()
+
+    if(/^#([0-9a-f]{3}|[0-9a-f]{6})$/.test(str)) return str
+    if(/^rgba?\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*(,\s*(0|1|0?\.\d+)\s*)?\)$/.test(str)) return str.replace(/\s+/g, '')
+
+    return ''
+}
+
+function font(value){
+    let str = (value + '').trim()
+
+    return str.length <= 60 && /^[\w\s\-,"']+$/.test(str) ? str : ''
+}
+
+function number(value, min, max){
+    let num = parseFloat(value)
+
+    if(isNaN(num)) return null
+
+    return Math.min(max, Math.max(min, Math.round(num * 100) / 100))
+}
+
+function image(value){
+    let str = (value || '') + ''
+
+    return /^(https?:\/\/|data:image\/)/.test(str) ? str : ''
+}
+
+/**
+ * Привести тему к полному виду, неверные значения заменяются значениями по умолчанию
+ * @param {object} theme
+ * @returns {object}
+ */
+function normalize(theme){
+    let result = defaults()
+    let source = theme && typeof theme == 'object' ? theme : {}
+    let vars   = source.variables && typeof source.variables == 'object' ? source.variables : {}
+    let bg     = source.background && typeof source.background == 'object' ? source.background : {}
+
+    result.id   = ((source.id || '') + '').replace(/[^\w-]/g, '').slice(0, 40)
+    result.name = ((source.name || '') + '').trim().slice(0, 60)
+
+    for(let name in variables){
+        let info  = variables[name]
+        let value = null
+
+        if(vars[name] === undefined) continue
+
+        if(info.type == 'color') value = color(vars[name])
+        if(info.type == 'font')  value = font(vars[name])
+        if(info.type == 'number') value = number(vars[name], info.min, info.max)
+
+        if(value !== null && value !== '') result.variables[name] = value
+    }
+
+    if(bg.type && /^[\w-]+$/.test(bg.type)) result.background.type = bg.type
+
+    result.background.color = color(bg.color) || result.background.color
+    result.background.blur  = number(bg.blur, 0, 40) || 0
+    result.background.image = image(bg.image)
+
+    return result
+}
+
+/**
+ * Цвет текста поверх цвета: черный на светлом, белый на темном
+ * @param {string} value - #rgb или #rrggbb
+ * @returns {string}
+ */
+function contrast(value){
+    let hex = color(value)
+
+    if(hex.charAt(0) !== '#') return '#000000'
+
+    if(hex.length == 4) hex = '#' + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2) + hex.charAt(3) + hex.charAt(3)
+
+    let r = parseInt(hex.slice(1, 3), 16)
+    let g = parseInt(hex.slice(3, 5), 16)
+    let b = parseInt(hex.slice(5, 7), 16)
+
+    return (r * 299 + g * 587 + b * 114) / 1000 > 140 ? '#000000' : '#ffffff'
+}
+
+/**
+ * Собрать CSS темы. Правила добавляются только для измененных переменных,
+ * чтобы тема по умолчанию ничего не перекрывала
+ * @param {object} theme
+ * @returns {string}
+ */
+function css(theme){
+    let vars  = normalize(theme).variables
+    let def   = defaults().variables
+    let rules = []
+
+    let root = [
+        '--theme-accent: ' + vars.accent,
+        '--theme-accent-text: ' + contrast(vars.accent),
+        '--theme-background: ' + vars.background,
+        '--theme-card-radius: ' + vars.card_radius + 'em',
+        '--theme-focus-ring: ' + vars.focus_ring,
+        '--theme-font: ' + vars.font
+    ]
+
+    rules.push(':root{' + root.join('; ') + '}')
+
+    if(vars.background !== def.background) rules.push('body{background: ' + vars.background + '}')
+    if(vars.font !== def.font) rules.push('body{font-family: ' + vars.font + ', sans-serif}')
+
+    if(vars.accent !== def.accent){
+        rules.push([
+            '.menu__item.focus',
+            '.menu__item.traverse',
+            '.menu__item.hover',
+            '.simple-button.focus',
+            '.full-start__button.focus',
+            '.selectbox-item.focus',
+            '.settings-folder.focus',
+            '.settings-param.focus'
+        ].join(', ') + '{background-color: ' + vars.accent + '; color: ' + contrast(vars.accent) + '}')
+    }
+
+    if(vars.card_radius !== def.card_radius){
+        rules.push('.card__img, .card__view{border-radius: ' + vars.card_radius + 'em}')
+        rules.push('.card.focus .card__view::after, .card.hover .card__view::after{border-radius: ' + (Math.round((vars.card_radius + 0.4) * 100) / 100) + 'em}')
+    }
+
+    if(vars.focus_ring !== def.focus_ring){
+        rules.push('.card.focus .card__view::after{border-color: ' + vars.focus_ring + '}')
+    }
+
+    return rules.join('\n')
+}
+
+/**
+ * Файл темы
+ * @param {object} theme
+ * @returns {string}
+ */
+function pack(theme){
+    return JSON.stringify({
+        type: format,
+        version: 1,
+        theme: normalize(theme)
+    }, null, 2)
+}
+
+/**
+ * Прочитать файл темы
+ * @param {string} text
+ * @returns {object} - тема
+ * @throws {Error} - если это не файл темы
+ */
+function unpack(text){
+    let data
+
+    try{
+        data = JSON.parse(text)
+    }
+    catch(e){
+        throw new Error('not a json')
+    }
+
+    if(!data || data.type !== format || !data.theme) throw new Error('not a theme')
+
+    let theme = normalize(data.theme)
+
+    if(!theme.name) throw new Error('theme without name')
+
+    return theme
+}
+
+export default {
+    format,
+    variables,
+    fonts,
+    defaults,
+    color,
+    normalize,
+    contrast,
+    css,
+    pack,
+    unpack
+}
@@ -0,0 +1,125 @@
+import ReleaseParser from './release_parser'
+
+/**
+ * Вес каждого критерия профиля
+ */
+let weights = {
+    quality: 40,
+    source: 20,
+    hdr: 15,
+    dv: 15,
+    voice_types: 25,
+    voices: 25,
+    languages: 20
+}
+
+/**
+ * Профиль со значениями по умолчанию
+ * @param {object} data
+ * @returns {{name:string, quality:[string], source:[string], hdr:number, dv:number, voice_types:[string], voices:[string], languages:[string], min_seeders:number, max_size:number, strict:boolean, autostart:boolean}}
+ */
+function profile(data = {}){
+    return {
+        name: data.name || '',
+        quality: data.quality || [],
+        source: data.source || [],
+        hdr: data.hdr || 0,
+        dv: data.dv || 0,
+        voice_types: data.voice_types || [],
+        voices: data.voices || [],
+        languages: data.languages || [],
+        min_seeders: data.min_seeders || 0,
+        max_size: data.max_size || 0,
+        strict: data.strict || false,
+        autostart: typeof data.autostart == 'boolean' ? data.autostart : true
+    }
+}
+
+function intersect(a, b){
+    return a.some(v=>b.indexOf(v) >= 0)
+}
+
+/**
+ * Оценить раздачу по профилю
+ * @param {object} data - профиль, hdr и dv: 0 - неважно, 1 - нужно, 2 - не нужно, max_size в гигабайтах
+ * @param {object} element - раздача из parser.get
+ * @returns {number} - чем больше, тем лучше, -1 если раздача не подходит или не совпала ни с одним правилом
+ */
+function score(data, element){
+    let need    = profile(data)
+    let release = element.release || ReleaseParser.parse(element.Title)
+    let seeders = parseInt(element.Seeders) || 0
+    let size    = parseInt(element.Size) || 0
+    let total   = 0
+    let matched = 0
+    let reject  = false
+
+    let voices = release.voices.concat(element.info && element.info.voices ? element.info.voices : []).map(v=>v.toLowerCase())
+
+    let rule = (name, ok, points)=>{
+        if(ok){
+            total += typeof points == 'number' ? points : weights[name]
+
+            matched++
+        }
+        else if(need.strict) reject = true
+    }
+
+    if(need.min_seeders && seeders < need.min_seeders) return -1
+    if(need.max_size && size && size > need.max_size * 1024 * 1024 * 1024) return -1
+
+    if(need.quality.length){
+        let index = need.quality.indexOf(release.quality)
+
+        // чем раньше качество в списке, тем оно желаннее
+        rule('quality', index >= 0, weights.quality + (need.quality.length - index - 1) * 5)
+    }
+
+    if(need.source.length) rule('source', need.source.indexOf(release.source) >= 0)
+
+    if(need.hdr) rule('hdr', need.hdr == 1 ? release.hdr : !release.hdr)
+    if(need.dv) rule('dv', need.dv == 1 ? release.dv : !release.dv)
+
+    if(need.voice_types.length) rule('voice_types', intersect(need.voice_types, release.voice_types))
+    if(need.voices.length) rule('voices', intersect(need.voices.map(v=>v.toLowerCase()), voices))
+
+    if(need.languages.length){
+        let languages = element.languages ? element.languages.map(l=>l.toLowerCase().slice(0,2)) : release.languages
+
+        rule('languages', intersect(need.languages, languages))
+    }
+
+    // раздача, которая не совпала ни с одним правилом профиля, не подходит
+    if(reject || !matched) return -1
+
+    // раздающие решают только при равных совпадениях
+    return total + Math.min(10, Math.log2(seeders + 1))
+}
+
+/**
+ * Найти лучшую раздачу по профилю
+ * @param {object} data - профиль
+ * @param {[object]} list - раздачи
+ * @returns {object|null} - null, если ни одна раздача не совпала с профилем
+ */
+function best(data, list){
+    let found = null
+    let max   = -1
+
+    list.forEach(element=>{
+        let value = score(data, element)
+
+        if(value > max){
+            max   = value
+            found = element
+        }
+    })
+
+    return found
+}
+
+export default {
+    profile,
+    score,
+    best
+}
@@ -572,6 +572,37 @@ function copyTextToClipboard(text, succes, error) {
     document.body.removeChild(textArea);
 }
 
+/**
+ * Сохранить текст в файл через браузер
+ * @param {string} text
+ * @param {string} name - имя файла с расширением
+ * @returns {boolean}
+ */
+function saveFile(text, name){
+    try{
+        let blob = new Blob([text], {type: 'text/plain;charset=utf-8'})
+        let link = document.createElement('a')
+
+        link.href     = URL.createObjectURL(blob)
+        link.download = name
+
+        document.body.appendChild(link)
+
+        link.click()
+
+        document.body.removeChild(link)
+
+        setTimeout(()=>URL.revokeObjectURL(link.href), 1000 * 10)
+
+        return true
+    }
+    catch(e){
+        console.log('Utils', 'save file error', e.message)
+    }
+
+    return false
+}
+
 function imgLoad(image, src, onload, onerror){
     let img = image instanceof jQuery ? image[0] : image
 
@@ -1083,6 +1114,7 @@ export default {
     uid,
     guid,
     copyTextToClipboard,
+    saveFile,
     imgLoad,
     isTouchDevice,
     toggleFullscreen,
@@ -0,0 +1,222 @@
+/**
+ * Статистика просмотров, считается только из локальных данных.
+ * Просмотренное время берется из позиции в файле, а дата из времени последнего изменения прогресса,
+ * поэтому фильм, который смотрели несколько дней, засчитывается в день окончания.
+ * У старых записей без времени изменения даты нет, они попадают только в общий итог
+ */
+
+const day = 1000 * 60 * 60 * 24
+
+/**
+ * Ключ дня по местному времени
+ * @param {number} time - мс
+ * @returns {string} - YYYY-MM-DD
+ */
+function dayKey(time){
+    let date = new Date(time)
+
+    return date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).slice(-2) + '-' + ('0' + date.getDate()).slice(-2)
+}
+
+/**
+ * Начало недели (понедельник 00:00)
+ * @param {number} time - мс
+ * @returns {number}
+ */
+function weekStart(time){
+    let date = new Date(time)
+
+    date.setHours(0, 0, 0, 0)
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7)
+
+    return date.getTime()
+}
+
+/**
+ * Начало месяца
+ * @param {number} time - мс
+ * @returns {number}
+ */
+function monthStart(time){
+    let date = new Date(time)
+
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime()
+}
+
+function isRoad(road){
+    return road && typeof road == 'object'
+}
+
+/**
+ * Сколько секунд просмотрено в файле
+ * @param {object} road - {percent, time, duration}
+ * @returns {number}
+ */
+function seconds(road){
+    if(!isRoad(road)) return 0
+
+    return Math.round(road.time || (road.duration || 0) * (road.percent || 0) / 100)
+}
+
+/**
+ * Серия самых длинных дней подряд
+ * @param {[string]} days - ключи дней
+ * @param {number} now - мс
+ * @returns {{longest:number, current:number}}
+ */
+function streak(days, now){
+    let sorted  = days.slice().sort()
+    let longest = 0
+    let run     = 0
+    let prev    = 0
+
+    sorted.forEach(key=>{
+        let time = new Date(key + 'T00:00:00').getTime()
+
+        // разница дней с учетом перевода часов
+        run  = prev && Math.round((time - prev) / day) == 1 ? run + 1 : 1
+        prev = time
+
+        longest = Math.max(longest, run)
+    })
+
+    let today     = dayKey(now)
+    let yesterday = dayKey(now - day)
+    let last      = sorted[sorted.length - 1]
+
+    return {
+        longest,
+        current: last == today || last == yesterday ? run : 0
+    }
+}
+
+/**
+ * Время просмотра по неделям и месяцам
+ * @param {object} viewed - {hash: {percent, time, duration, updated}}
+ * @param {{now:number, weeks:number, months:number, finished:number}} [options]
+ * @returns {{total:{seconds:number, files:number, finished:number}, weeks:[{from:number, seconds:number}], months:[{from:number, seconds:number}], streak:{longest:number, current:number}}}
+ */
+function time(viewed, options = {}){
+    let now      = options.now || Date.now()
+    let finished = options.finished || 90
+    let weeks    = []
+    let months   = []
+    let days     = {}
+    let total    = {seconds: 0, files: 0, finished: 0}
+
+    for(let i = (options.weeks || 8) - 1; i >= 0; i--) weeks.push({from: weekStart(now - i * day * 7), seconds: 0})
+
+    let month = new Date(monthStart(now))
+
+    for(let i = (options.months || 6) - 1; i >= 0; i--) months.push({from: new Date(month.getFullYear(), month.getMonth() - i, 1).getTime(), seconds: 0})
+
+    for(let hash in viewed){
+        let road = viewed[hash]
+        let sec  = seconds(road)
+
+        if(!sec) continue
+
+        total.seconds += sec
+        total.files++
+
+        if(road.percent >= finished) total.finished++
+
+        if(!road.updated) continue
+
+        days[dayKey(road.updated)] = true
+
+        let week  = weeks.find(w=>w.from == weekStart(road.updated))
+        let month = months.find(m=>m.from == monthStart(road.updated))
+
+        if(week)  week.seconds  += sec
+        if(month) month.seconds += sec
+    }
+
+    return {
+        total,
+        weeks,
+        months,
+        streak: streak(Object.keys(days), now)
+    }
+}
+
+/**
+ * Популярные жанры
+ * @param {[object]} cards - карточки с genre_ids
+ * @param {number} [limit]
+ * @returns {[{id:number, count:number}]}
+ */
+function genres(cards, limit = 10){
+    let count = {}
+
+    cards.forEach(card=>{
+        (card.genre_ids || []).forEach(id=>{
+            count[id] = (count[id] || 0) + 1
+        })
+    })
+
+    return Object.keys(count).map(id=>({id: parseInt(id), count: count[id]})).sort((a, b)=>b.count - a.count).slice(0, limit)
+}
+
+/**
+ * Популярные люди
+ * @param {[object]} cards - карточки
+ * @param {object} people - {ключ карточки: [{id, name}]}
+ * @param {(card:object)=>string} key - ключ карточки в people
+ * @param {number} [limit]
+ * @returns {[{id:number, name:string, count:number}]}
+ */
+function people(cards, people, key, limit = 10){
+    let count = {}
+
+    cards.forEach(card=>{
+        (people[key(card)] || []).forEach(person=>{
+            if(!count[person.id]) count[person.id] = {id: person.id, name: person.name, count: 0}
+
+            count[person.id].count++
+        })
+    })
+
+    return Object.values(count).sort((a, b)=>b.count - a.count).slice(0, limit)
+}
+
+/**
+ * Сколько серий сериала досмотрено
+ * @param {object} card - карточка с number_of_seasons и number_of_episodes
+ * @param {object} viewed - {hash: road}
+ * @param {(season:number, episode:number)=>string} hash - хеш серии как в Timeline
+ * @param {number} [finished]
+ * @returns {{watched:number, total:number, percent:number}}
+ */
+function series(card, viewed, hash, finished = 90){
+    let total   = parseInt(card.number_of_episodes) || 0
+    let seasons = parseInt(card.number_of_seasons) || 0
+    let watched = 0
+
+    // сколько серий в каждом сезоне неизвестно, поэтому перебираем до общего числа серий
+    for(let s = 1; s <= seasons && watched < total; s++){
+        for(let e = 1; e <= total && watched < total; e++){
+            let road = viewed[hash(s, e)]
+
+            if(isRoad(road) && road.percent >= finished) watched++
+        }
+    }
+
+    return {
+        watched,
+        total,
+        percent: total ? Math.round(watched / total * 100) : 0
+    }
+}
+
+export default {
+    dayKey,
+    weekStart,
+    monthStart,
+    seconds,
+    streak,
+    time,
+    genres,
+    people,
+    series
+}